@@ -8,6 +8,7 @@
 import { jest } from '@jest/globals';
 import sharp from 'sharp';
 import { convertBufferToAvif, isHeicBuffer } from '../image-processor.js';
+import { resolveMetadataPolicy } from '../metadata-policy.js';
 
 jest.setTimeout(60000); // AVIF encoding can be slow on CI hardware
 
@@ -49,6 +50,22 @@ async function createPngBuffer(width, height) {
     .toBuffer();
 }
 
+/**
+ * Create a noisy JPEG buffer whose AVIF size depends strongly on quality
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<Buffer>}
+ */
+async function createNoisyJpegBuffer(width, height) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < pixels.length; i++) {
+    pixels[i] = (i * 7919 + (i >> 5) * 104729) % 256;
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } })
+    .jpeg({ quality: 95 })
+    .toBuffer();
+}
+
 /**
  * Build a minimal ISO BMFF header with the given ftyp brand
  * @param {string} brand - 4-character brand string (e.g. 'heic')
@@ -141,6 +158,233 @@ describe('convertBufferToAvif', () => {
     expect(outputMetadata.height).toBe(200);
   });
 
+  test('reports the fixed quality when no target size is set', async () => {
+    const input = await createJpegBuffer(100, 100);
+
+    const result = await convertBufferToAvif(input, { quality: 55 });
+
+    expect(result.quality).toBe(55);
+    expect(result.targetSizeMet).toBeUndefined();
+  });
+
+  test('searches quality to fit a target size', async () => {
+    const input = await createNoisyJpegBuffer(256, 256);
+    const unconstrained = await convertBufferToAvif(input, { quality: 90 });
+    const targetSize = Math.floor(unconstrained.outputSize / 2);
+
+    const result = await convertBufferToAvif(input, {
+      targetSize,
+      minQuality: 1,
+      maxQuality: 90
+    });
+
+    expect(result.targetSizeMet).toBe(true);
+    expect(result.outputSize).toBeLessThanOrEqual(targetSize);
+    expect(result.quality).toBeGreaterThanOrEqual(1);
+    expect(result.quality).toBeLessThan(90);
+  });
+
+  test('falls back to minQuality when the target size cannot be met', async () => {
+    const input = await createNoisyJpegBuffer(256, 256);
+
+    const result = await convertBufferToAvif(input, {
+      targetSize: 10,
+      minQuality: 30,
+      maxQuality: 60
+    });
+
+    expect(result.targetSizeMet).toBe(false);
+    expect(result.quality).toBe(30);
+  });
+
+  test('picks the lowest quality that reaches a target SSIM', async () => {
+    const input = await createNoisyJpegBuffer(128, 128);
+
+    const strict = await convertBufferToAvif(input, { targetSsim: 0.95, minQuality: 1, maxQuality: 100 });
+    const loose = await convertBufferToAvif(input, { targetSsim: 0.5, minQuality: 1, maxQuality: 100 });
+
+    expect(strict.targetSsimMet).toBe(true);
+    expect(strict.ssim).toBeGreaterThanOrEqual(0.95);
+    expect(loose.targetSsimMet).toBe(true);
+    expect(loose.quality).toBeLessThanOrEqual(strict.quality);
+  });
+
+  test('encodes losslessly with 4:4:4 chroma when requested', async () => {
+    const input = await createPngBuffer(32, 32);
+
+    const result = await convertBufferToAvif(input, { lossless: true, targetSize: 100 });
+    const decoded = await sharp(result.buffer).raw().toBuffer();
+    const source = await sharp(input).raw().toBuffer();
+
+    expect(result.lossless).toBe(true);
+    expect(result.chromaSubsampling).toBe('4:4:4');
+    expect(result.targetSizeMet).toBeUndefined();
+    expect(decoded).toEqual(source);
+  });
+
+  test('auto chroma keeps photo formats at 4:2:0 without inspecting them', async () => {
+    const input = await createJpegBuffer(64, 64);
+
+    const result = await convertBufferToAvif(input, { chroma: 'auto' });
+
+    expect(result.lossless).toBe(false);
+    expect(result.chromaSubsampling).toBe('4:2:0');
+    expect(result.contentDetection).toBeUndefined();
+  });
+
+  test('auto chroma switches low-color PNGs to lossless', async () => {
+    const input = await createPngBuffer(64, 64);
+
+    const result = await convertBufferToAvif(input, { chroma: 'auto' });
+
+    expect(result.contentDetection.type).toBe('low-color');
+    expect(result.lossless).toBe(true);
+  });
+
+  test('converts wide-gamut sources to sRGB unless wideGamut is set', async () => {
+    const input = await sharp({
+      create: { width: 32, height: 32, channels: 3, background: '#ff0000' }
+    })
+      .withIccProfile('p3')
+      .png()
+      .toBuffer();
+
+    const converted = await convertBufferToAvif(input);
+    const kept = await convertBufferToAvif(input, { wideGamut: true });
+
+    expect(converted.sourceColor.colorSpace).toBe('display-p3');
+    expect(converted.colorSpace).toBe('srgb');
+    expect((await sharp(converted.buffer).metadata()).icc).toBeUndefined();
+    expect(kept.colorSpace).toBe('display-p3');
+    expect((await sharp(kept.buffer).metadata()).icc).toBeDefined();
+  });
+
+  test('converts untagged Adobe RGB (EXIF color space) to sRGB', async () => {
+    const input = await sharp({
+      create: { width: 32, height: 32, channels: 3, background: '#c86432' }
+    })
+      .withExif({ IFD2: { ColorSpace: '65535' }, IFD4: { InteroperabilityIndex: 'R03' } })
+      .png()
+      .toBuffer();
+
+    const result = await convertBufferToAvif(input, { quality: 90 });
+    const [red] = await sharp(result.buffer).raw().toBuffer();
+
+    expect(result.sourceColor).toMatchObject({ colorSpace: 'adobe-rgb', profile: 'exif' });
+    expect(result.colorSpace).toBe('srgb');
+    expect(result.iccProfile).toBe('none');
+    // Adobe RGB red 200 is noticeably more saturated in sRGB
+    expect(red).toBeGreaterThan(215);
+  });
+
+  test('keeps or assigns the ICC profile without changing pixel values', async () => {
+    const input = await sharp({
+      create: { width: 32, height: 32, channels: 3, background: '#c86432' }
+    })
+      .withIccProfile('p3')
+      .png()
+      .toBuffer();
+
+    const kept = await convertBufferToAvif(input, { quality: 90, colorProfile: 'keep' });
+    const assigned = await convertBufferToAvif(input, { quality: 90, colorProfile: 'assign', assignProfile: 'adobe-rgb' });
+    const storedRed = async (buffer) => (await sharp(buffer, { ignoreIcc: true }).raw().toBuffer())[0];
+    const inputRed = await storedRed(input);
+
+    expect(kept).toMatchObject({ colorSpace: 'display-p3', iccProfile: 'kept' });
+    expect(assigned).toMatchObject({ colorSpace: 'adobe-rgb', iccProfile: 'assigned' });
+    expect(Math.abs(await storedRed(kept.buffer) - inputRed)).toBeLessThanOrEqual(3);
+    expect(Math.abs(await storedRed(assigned.buffer) - inputRed)).toBeLessThanOrEqual(3);
+  });
+
+  test('always converts CMYK sources to sRGB', async () => {
+    const input = await sharp({
+      create: { width: 32, height: 32, channels: 3, background: '#c86432' }
+    })
+      .toColourspace('cmyk')
+      .withIccProfile('cmyk')
+      .jpeg()
+      .toBuffer();
+
+    const result = await convertBufferToAvif(input, { colorProfile: 'keep' });
+    const metadata = await sharp(result.buffer).metadata();
+
+    expect(result.sourceColor.colorSpace).toBe('cmyk');
+    expect(result).toMatchObject({ colorSpace: 'srgb', iccProfile: 'none' });
+    expect(metadata.space).toBe('srgb');
+    expect(metadata.icc).toBeUndefined();
+  });
+
+  test('applies EXIF orientation and reports post-rotation dimensions', async () => {
+    const input = await sharp({
+      create: { width: 400, height: 200, channels: 3, background: '#3c78dc' }
+    })
+      .withMetadata({ orientation: 6 })
+      .jpeg()
+      .toBuffer();
+
+    const rotated = await convertBufferToAvif(input, { maxDimension: 100 });
+    const stored = await convertBufferToAvif(input, { maxDimension: 100, autoOrient: false });
+
+    expect(rotated).toMatchObject({ originalWidth: 200, originalHeight: 400, width: 50, height: 100, autoOriented: true });
+    expect(stored).toMatchObject({ originalWidth: 400, originalHeight: 200, width: 100, height: 50, autoOriented: false });
+  });
+
+  test('keeps copyright credit while stripping GPS with a metadata policy', async () => {
+    const input = await sharp({
+      create: { width: 32, height: 32, channels: 3, background: '#3c78dc' }
+    })
+      .withExif({
+        IFD0: { Copyright: 'Jane Doe' },
+        IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '47/1 22/1 1234/100' }
+      })
+      .jpeg()
+      .toBuffer();
+
+    const result = await convertBufferToAvif(input, { metadata: ['copyright'] });
+    const output = resolveMetadataPolicy(await sharp(result.buffer).metadata(), { metadata: ['copyright', 'gps'] });
+
+    expect(result.metadataRetained).toEqual(['copyright']);
+    expect(output.exif).toEqual({ IFD0: { Copyright: 'Jane Doe' } });
+  });
+
+  test('letterboxes to the aspect ratio with fit contain', async () => {
+    const input = await createPngBuffer(200, 100);
+
+    const result = await convertBufferToAvif(input, { aspect: '1:1', fit: 'contain', background: '#000000' });
+    const { data } = await sharp(result.buffer).raw().toBuffer({ resolveWithObject: true });
+
+    expect([result.width, result.height]).toEqual([200, 200]);
+    expect(result.framing).toEqual({ aspect: '1:1', fit: 'contain' });
+    // Top-left corner is letterbox
+    expect(Math.max(data[0], data[1], data[2])).toBeLessThan(10);
+  });
+
+  test('computes the requested placeholders from the framed output', async () => {
+    const input = await createJpegBuffer(400, 200);
+
+    const result = await convertBufferToAvif(input, { placeholders: ['lqip', 'color'], aspect: '1:1' });
+    const lqip = Buffer.from(result.placeholders.lqip.split(',')[1], 'base64');
+    const lqipMetadata = await sharp(lqip).metadata();
+
+    expect(Object.keys(result.placeholders)).toEqual(['lqip', 'color']);
+    expect(result.placeholders.lqip).toMatch(/^data:image\/webp;base64,/);
+    expect([lqipMetadata.format, lqipMetadata.width, lqipMetadata.height]).toEqual(['webp', 16, 16]);
+    expect(result.placeholders.color).toMatch(/^#[0-9a-f]{6}$/);
+    expect((await convertBufferToAvif(input)).placeholders).toBeUndefined();
+  });
+
+  test('encodes the requested bit depth or fails with BIT_DEPTH_UNSUPPORTED', async () => {
+    const input = await createPngBuffer(32, 32);
+
+    try {
+      const result = await convertBufferToAvif(input, { bitDepth: 10 });
+      expect(result.bitDepth).toBe(10);
+    } catch (error) {
+      // Prebuilt sharp binaries only encode 8-bit AVIF
+      expect(error.code).toBe('BIT_DEPTH_UNSUPPORTED');
+    }
+  });
+
   test('throws on a garbage buffer', async () => {
     const garbage = Buffer.from('this is definitely not an image file at all');
 
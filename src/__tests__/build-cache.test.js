@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Tests for the incremental build cache
+ *
+ * The cache only hashes sources and checks that outputs exist, so plain
+ * files stand in for images and conversion results.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { openBuildCache, getSettingsHash } from '../build-cache.js';
+import { DEFAULT_CONFIG } from '../constants.js';
+
+let tmpDir;
+let cachePath;
+let inputPath;
+let outputPath;
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'avif-cache-'));
+  cachePath = path.join(tmpDir, 'dist', '.avif-cache.json');
+  inputPath = path.join(tmpDir, 'photo.jpg');
+  outputPath = path.join(tmpDir, 'dist', 'photo.avif');
+  await fs.mkdir(path.join(tmpDir, 'dist'));
+  await fs.writeFile(inputPath, 'source v1');
+  await fs.writeFile(outputPath, 'avif');
+});
+
+afterEach(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Record a conversion of the input in a fresh cache and save it
+ * @param {Object} config
+ * @param {Object} [result]
+ * @returns {Promise<void>}
+ */
+async function buildOnce(config, result = { inputPath, outputPath, outputSize: 4 }) {
+  const cache = await openBuildCache(cachePath);
+  const { hit, sourceHash } = await cache.lookup(inputPath, config);
+  expect(hit).toBe(false);
+  cache.record(inputPath, sourceHash, config, result);
+  await cache.save();
+}
+
+describe('getSettingsHash', () => {
+  test('changes with output settings only', () => {
+    const base = getSettingsHash(DEFAULT_CONFIG);
+
+    expect(getSettingsHash({ ...DEFAULT_CONFIG, quality: 70 })).not.toBe(base);
+    expect(getSettingsHash({ ...DEFAULT_CONFIG, widths: [320, 640] })).not.toBe(base);
+    expect(getSettingsHash({ ...DEFAULT_CONFIG, onCollision: 'suffix' })).not.toBe(base);
+    expect(getSettingsHash({ ...DEFAULT_CONFIG, preferFormats: ['jpeg'] })).not.toBe(base);
+    expect(getSettingsHash(DEFAULT_CONFIG, ['dist/photo.avif'])).not.toBe(base);
+    expect(getSettingsHash({ ...DEFAULT_CONFIG, verbose: true, concurrency: 8 })).toBe(base);
+  });
+});
+
+describe('openBuildCache', () => {
+  test('hits unchanged sources and stores paths relative to the cache file', async () => {
+    await buildOnce(DEFAULT_CONFIG);
+
+    const cache = await openBuildCache(cachePath);
+    const lookup = await cache.lookup(inputPath, DEFAULT_CONFIG);
+    const saved = JSON.parse(await fs.readFile(cachePath, 'utf8'));
+
+    expect(lookup.hit).toBe(true);
+    expect(path.resolve(lookup.outputPath)).toBe(outputPath);
+    expect(cache.stats).toEqual({ hits: 1, misses: 0 });
+    expect(saved.entries['../photo.jpg'].outputs).toEqual(['photo.avif']);
+  });
+
+  test('misses changed sources, changed settings and missing outputs', async () => {
+    await buildOnce(DEFAULT_CONFIG);
+
+    const cache = await openBuildCache(cachePath);
+    expect((await cache.lookup(inputPath, { ...DEFAULT_CONFIG, quality: 80 })).hit).toBe(false);
+
+    await fs.writeFile(inputPath, 'source v2');
+    expect((await cache.lookup(inputPath, DEFAULT_CONFIG)).hit).toBe(false);
+
+    await buildOnce(DEFAULT_CONFIG);
+    await fs.rm(outputPath);
+    expect((await cache.lookup(inputPath, DEFAULT_CONFIG)).hit).toBe(false);
+  });
+
+  test('misses when the output paths move with the input root', async () => {
+    const config = { ...DEFAULT_CONFIG, outputDir: path.join(tmpDir, 'dist'), inputRoot: tmpDir };
+    await buildOnce(config);
+
+    const cache = await openBuildCache(cachePath);
+    expect((await cache.lookup(inputPath, config)).hit).toBe(true);
+    expect((await cache.lookup(inputPath, { ...config, inputRoot: path.dirname(tmpDir) })).hit).toBe(false);
+  });
+
+  test('remembers sources skipped by --min-savings but not other skips or errors', async () => {
+    const config = { ...DEFAULT_CONFIG, minSavings: 10 };
+    await buildOnce(config, { inputPath, outputPath, skipped: true, skippedReason: 'not-smaller' });
+
+    const cache = await openBuildCache(cachePath);
+    const lookup = await cache.lookup(inputPath, config);
+    expect(lookup).toMatchObject({ hit: true, skippedReason: 'not-smaller' });
+
+    cache.record(inputPath, lookup.sourceHash, DEFAULT_CONFIG, { inputPath, outputPath, error: 'failed' });
+    await cache.save();
+    expect((await (await openBuildCache(cachePath)).lookup(inputPath, config)).hit).toBe(true);
+  });
+
+  test('drops entries of deleted sources and ignores unreadable cache files', async () => {
+    await buildOnce(DEFAULT_CONFIG);
+    await fs.rm(inputPath);
+    await (await openBuildCache(cachePath)).save();
+
+    expect(JSON.parse(await fs.readFile(cachePath, 'utf8')).entries).toEqual({});
+
+    await fs.writeFile(cachePath, '{ not json');
+    await fs.writeFile(inputPath, 'source v1');
+    expect((await (await openBuildCache(cachePath)).lookup(inputPath, DEFAULT_CONFIG)).hit).toBe(false);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Tests for batch runs through optimizeImages
+ *
+ * Fixtures are generated at runtime with sharp into a temporary directory
+ * that is removed afterwards. Console output of the runs is silenced.
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { optimizeImages } from '../cli.js';
+import { supportsAnimatedAvif } from '../image-processor.js';
+
+jest.setTimeout(60000); // AVIF encoding can be slow on CI hardware
+
+/**
+ * Two-frame 1×1 GIF
+ * @constant {Buffer}
+ */
+const ANIMATED_GIF = Buffer.from(
+  'R0lGODlhAQABAPEAAAAAAP8AAAD/AAAA/yH/C05FVFNDQVBFMi4wAwEAAAAh+QQECgAAACwAAAAAAQABAAACAkwBACH5BAQKAAAALAAAAAABAAEAAAICVAEAOw==',
+  'base64'
+);
+
+const animatedAvif = await supportsAnimatedAvif();
+
+let tmpDir;
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'avif-cli-'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Write a solid-color image fixture into the temporary directory
+ * @param {string} name - File name; the extension picks the format
+ * @returns {Promise<void>}
+ */
+async function writeImage(name) {
+  await sharp({ create: { width: 64, height: 48, channels: 3, background: { r: 30, g: 120, b: 200 } } })
+    .toFile(path.join(tmpDir, name));
+}
+
+describe('optimizeImages', () => {
+  test('does not convert fallbacks written next to their sources on the next run', async () => {
+    await writeImage('hero.jpg');
+    await writeImage('logo.png');
+    const options = { quiet: true, formats: ['avif', 'webp'] };
+
+    const first = await optimizeImages(tmpDir, options);
+    const afterFirst = (await fs.readdir(tmpDir)).sort();
+    const second = await optimizeImages(tmpDir, options);
+    const afterSecond = (await fs.readdir(tmpDir)).sort();
+
+    expect(first.stats.processed).toBe(2);
+    expect(afterFirst).toEqual(['hero.avif', 'hero.jpg', 'hero.webp', 'logo.avif', 'logo.png', 'logo.webp']);
+    expect(afterSecond).toEqual(afterFirst);
+    expect(second.collisions).toEqual([]);
+    expect(second.stats).toMatchObject({ processed: 0, skipped: 2, skippedReasons: { exists: 2 } });
+  });
+
+  test('converts the rest of the batch when inputs share an output name', async () => {
+    await writeImage('photo.jpg');
+    await writeImage('photo.png');
+    await writeImage('logo.png');
+
+    const summary = await optimizeImages(tmpDir, { quiet: true });
+
+    expect(summary.stats).toMatchObject({ processed: 2, skipped: 1, skippedReasons: { collision: 1 } });
+    expect(summary.collisions).toEqual([expect.objectContaining({ resolution: 'prefer', kept: path.join(tmpDir, 'photo.png') })]);
+    await expect(optimizeImages(tmpDir, { quiet: true, force: true, onCollision: 'error' })).rejects.toThrow('collision');
+  });
+
+  test('falls back to the next colliding input when the kept one is discarded by --min-savings', async () => {
+    await sharp({ create: { width: 8, height: 8, channels: 3, background: '#cc8844' } })
+      .png({ palette: true })
+      .toFile(path.join(tmpDir, 'photo.png'));
+    await sharp({ create: { width: 400, height: 300, channels: 3, background: '#cc8844' } })
+      .jpeg({ quality: 95 })
+      .toFile(path.join(tmpDir, 'photo.jpg'));
+
+    const summary = await optimizeImages(tmpDir, { quiet: true, minSavings: 10 });
+
+    expect(summary.stats).toMatchObject({ processed: 1, skipped: 1, skippedReasons: { 'not-smaller': 1 } });
+    expect(summary.results[0].inputPath).toBe(path.join(tmpDir, 'photo.jpg'));
+    expect(summary.collisions).toEqual([expect.objectContaining({ resolution: 'prefer', kept: path.join(tmpDir, 'photo.jpg') })]);
+    expect((await fs.readdir(tmpDir)).sort()).toEqual(['photo.avif', 'photo.jpg', 'photo.png']);
+  });
+
+  test('writes reports when every file is skipped for low savings', async () => {
+    await sharp({ create: { width: 8, height: 8, channels: 3, background: '#cc8844' } })
+      .png({ palette: true })
+      .toFile(path.join(tmpDir, 'tiny.png'));
+
+    const summary = await optimizeImages(tmpDir, { quiet: true, minSavings: 10, generateReport: true, outputDir: tmpDir });
+    const report = (await fs.readdir(tmpDir)).find(name => name.endsWith('.json'));
+
+    expect(summary.stats).toMatchObject({ processed: 0, skipped: 1, skippedReasons: { 'not-smaller': 1 } });
+    expect(JSON.parse(await fs.readFile(path.join(tmpDir, report), 'utf8'))).toMatchObject({
+      stats: { skipped: 1, skippedReasons: { 'not-smaller': 1 } },
+      results: []
+    });
+  });
+
+  test('keeps sources discarded by --min-savings skipped for that reason on cache hits', async () => {
+    await sharp({ create: { width: 8, height: 8, channels: 3, background: '#cc8844' } })
+      .png({ palette: true })
+      .toFile(path.join(tmpDir, 'tiny.png'));
+    const options = { quiet: true, minSavings: 10, cache: true };
+
+    await optimizeImages(tmpDir, options);
+    const second = await optimizeImages(tmpDir, options);
+
+    expect(second.stats).toMatchObject({ skipped: 1, skippedReasons: { 'not-smaller': 1 }, cache: { hits: 1, misses: 0 } });
+    expect(await fs.readdir(tmpDir)).not.toContain('tiny.avif');
+  });
+
+  (animatedAvif ? test.skip : test)('counts animations reduced to their first frame in the summary and reports', async () => {
+    await fs.writeFile(path.join(tmpDir, 'banner.gif'), ANIMATED_GIF);
+
+    const summary = await optimizeImages(tmpDir, { generateReport: true, outputDir: tmpDir });
+    const report = (await fs.readdir(tmpDir)).find(name => name.endsWith('.md'));
+    const logged = console.log.mock.calls.map(args => args.join(' ')).join('\n');
+
+    expect(summary.stats).toMatchObject({ processed: 1, firstFrameOnly: 1 });
+    expect(logged).toContain('First frame only: 1 animated files');
+    expect(await fs.readFile(path.join(tmpDir, report), 'utf8')).toContain('**First Frame Only**: 1');
+  });
+});
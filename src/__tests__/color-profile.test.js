@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Tests for ICC profile inspection
+ *
+ * Profiles come from sharp's built-in sRGB, Display P3 and CMYK profiles
+ * and from the profiles this module generates for assignment.
+ */
+
+import sharp from 'sharp';
+import { detectSourceColor, readIccDescription, loadIccProfile, embedPngIccProfile } from '../color-profile.js';
+
+/**
+ * Read the metadata of a small red image encoded with the given options
+ * @param {Object} [options]
+ * @param {string} [options.profile] - Built-in ICC profile to attach ('srgb', 'p3', 'cmyk')
+ * @param {string} [options.colourspace] - Output interpretation (e.g. 'rgb16', 'cmyk', 'b-w')
+ * @param {boolean} [options.jpeg] - Encode as JPEG instead of PNG
+ * @returns {Promise<import('sharp').Metadata>}
+ */
+async function metadataOf({ profile, colourspace, jpeg } = {}) {
+  let image = sharp({
+    create: { width: 8, height: 8, channels: 3, background: '#ff0000' }
+  });
+  if (colourspace) image = image.toColourspace(colourspace);
+  if (profile) image = image.withIccProfile(profile);
+  const buffer = await (jpeg ? image.jpeg() : image.png()).toBuffer();
+  return sharp(buffer).metadata();
+}
+
+describe('detectSourceColor', () => {
+  test('assumes 8-bit sRGB for images without a profile', async () => {
+    expect(detectSourceColor(await metadataOf())).toEqual({
+      bitDepth: 8,
+      colorSpace: 'srgb',
+      profile: 'none',
+      profileDescription: null,
+      wideGamut: false
+    });
+  });
+
+  test('recognizes Display P3 from the profile primaries', async () => {
+    const sourceColor = detectSourceColor(await metadataOf({ profile: 'p3' }));
+
+    expect(sourceColor.colorSpace).toBe('display-p3');
+    expect(sourceColor.wideGamut).toBe(true);
+  });
+
+  test('recognizes an embedded sRGB profile', async () => {
+    const sourceColor = detectSourceColor(await metadataOf({ profile: 'srgb' }));
+
+    expect(sourceColor.colorSpace).toBe('srgb');
+    expect(sourceColor.wideGamut).toBe(false);
+  });
+
+  test('reports 16-bit sources', async () => {
+    expect(detectSourceColor(await metadataOf({ colourspace: 'rgb16' })).bitDepth).toBe(16);
+  });
+
+  test('reports CMYK and greyscale sources', async () => {
+    const cmyk = await metadataOf({ colourspace: 'cmyk', profile: 'cmyk', jpeg: true });
+    const grey = await metadataOf({ colourspace: 'b-w' });
+
+    expect(detectSourceColor(cmyk).colorSpace).toBe('cmyk');
+    expect(detectSourceColor(grey).colorSpace).toBe('grey');
+  });
+
+  test('recognizes untagged Adobe RGB from the EXIF color space', async () => {
+    const buffer = await sharp({
+      create: { width: 8, height: 8, channels: 3, background: '#ff0000' }
+    })
+      .withExif({ IFD2: { ColorSpace: '65535' }, IFD4: { InteroperabilityIndex: 'R03' } })
+      .jpeg()
+      .toBuffer();
+
+    expect(detectSourceColor(await sharp(buffer).metadata())).toMatchObject({
+      colorSpace: 'adobe-rgb',
+      profile: 'exif',
+      wideGamut: true
+    });
+  });
+});
+
+describe('readIccDescription', () => {
+  test('reads ICC v4 (mluc) and v2 (desc) descriptions', async () => {
+    const p3 = await metadataOf({ profile: 'p3' });
+    const cmyk = await metadataOf({ colourspace: 'cmyk', profile: 'cmyk', jpeg: true });
+
+    expect(readIccDescription(p3.icc)).toBe('sP3C');
+    expect(readIccDescription(cmyk.icc)).toBe('Chemical proof');
+  });
+
+  test('returns null for truncated profiles', () => {
+    expect(readIccDescription(Buffer.alloc(64))).toBeNull();
+  });
+});
+
+describe('loadIccProfile', () => {
+  test('generates built-in profiles that identify as their color space', async () => {
+    const png = await sharp({
+      create: { width: 8, height: 8, channels: 3, background: '#ff0000' }
+    }).png().toBuffer();
+
+    for (const [name, colorSpace] of [['srgb', 'srgb'], ['p3', 'display-p3'], ['adobe-rgb', 'adobe-rgb']]) {
+      const tagged = embedPngIccProfile(png, await loadIccProfile(name));
+      const sourceColor = detectSourceColor(await sharp(tagged).metadata());
+
+      expect(sourceColor).toMatchObject({ colorSpace, profile: 'embedded' });
+    }
+  });
+
+  test('rejects files that are not ICC profiles', async () => {
+    await expect(loadIccProfile('package.json')).rejects.toMatchObject({ code: 'INVALID_INPUT' });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Tests for CSS rewriting and source map updates
+ *
+ * rewriteCss only needs manifest entries, so a lookup over a fixed table
+ * stands in for the manifest.
+ */
+
+import path from 'path';
+import { rewriteCss } from '../css-rewriter.js';
+import { shiftSourceMap } from '../source-map.js';
+
+/** @type {Object.<string, Object>} */
+const ENTRIES = {
+  [path.join('dist', 'img', 'hero.jpg')]: {
+    width: 1280,
+    height: 720,
+    outputs: [
+      { src: path.join('dist', 'img', 'hero-640w.avif'), type: 'image/avif', width: 640, height: 360 },
+      { src: path.join('dist', 'img', 'hero-1280w.avif'), type: 'image/avif', width: 1280, height: 720 },
+      { src: path.join('dist', 'img', 'hero-1280w.webp'), type: 'image/webp', width: 1280, height: 720 }
+    ]
+  },
+  [path.join('dist', 'logo.png')]: {
+    width: 200,
+    height: 100,
+    outputs: [{ src: path.join('dist', 'logo.avif'), type: 'image/avif', width: 200, height: 100 }]
+  }
+};
+
+/**
+ * Rewrite a style sheet as if it were dist/css/main.css
+ * @param {string} css
+ * @returns {{css: string, edits: Array<Object>, references: number}}
+ */
+function rewrite(css) {
+  return rewriteCss(css, {
+    filePath: path.join('dist', 'css', 'main.css'),
+    webRoot: 'dist',
+    lookup: (source) => ENTRIES[path.normalize(source)] || null
+  });
+}
+
+describe('rewriteCss', () => {
+  test('adds an image-set() declaration after the original, largest output of each type first', () => {
+    const { css, references } = rewrite('.hero {\n  background: url("../img/hero.jpg") center / cover;\n}\n');
+
+    expect(references).toBe(1);
+    expect(css).toBe(
+      '.hero {\n  background: url("../img/hero.jpg") center / cover; background: image-set('
+      + 'url("../img/hero-1280w.avif") type("image/avif"), '
+      + 'url("../img/hero-1280w.webp") type("image/webp"), '
+      + 'url("../img/hero.jpg") type("image/jpeg")) center / cover;\n}\n'
+    );
+  });
+
+  test('handles root-relative URLs and declarations without a semicolon', () => {
+    const { css } = rewrite('.logo{background-image:url(/logo.png)}');
+
+    expect(css).toBe('.logo{background-image:url(/logo.png); background-image: image-set(url(/logo.avif) type("image/avif"), url(/logo.png) type("image/png"))}');
+  });
+
+  test('is idempotent and leaves unknown, data, custom property and at-rule references alone', () => {
+    const once = rewrite('a { background: url(/logo.png); color: red }').css;
+    expect(rewrite(once).edits).toEqual([]);
+
+    const untouched = [
+      '@import url(/logo.png);',
+      'a { background: url(/missing.jpg); }',
+      'a { background: url(data:image/svg+xml;utf8,<svg/>); mask: none; }',
+      'a { --logo: url(/logo.png); }',
+      '/* a { background: url(/logo.png); } */'
+    ].join('\n');
+    expect(rewrite(untouched).edits).toEqual([]);
+  });
+});
+
+describe('shiftSourceMap', () => {
+  test('moves generated positions after an insertion on the same line', () => {
+    const map = { version: 3, sources: ['main.scss'], names: [], mappings: 'AAAA,EAAE;AACA' };
+    const shifted = shiftSourceMap(map, 'a{b}\nc{}', [{ start: 1, end: 1, text: 'xyz' }]);
+
+    expect(shifted).toEqual({ ...map, mappings: 'AAAA,KAAE;AACA' });
+  });
+
+  test('moves segments to later lines when an edit inserts a line break', () => {
+    const map = { version: 3, sources: ['main.scss'], names: [], mappings: 'AAAA,EAAE;AACA' };
+    const shifted = shiftSourceMap(map, 'abcd\nef', [{ start: 1, end: 1, text: 'X\n' }]);
+
+    expect(shifted.mappings).toBe('AAAA;CAAE;AACA');
+  });
+});
@@ -0,0 +1,744 @@
+/**
+ * @fileoverview Tests for the file-based API
+ *
+ * Covers convertImageToAvif and analyzeImageFile. Fixtures are generated at
+ * runtime with sharp into a temporary directory that is removed afterwards.
+ */
+
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import {
+  convertImageToAvif,
+  analyzeImageFile,
+  getVariantWidths,
+  getAnimationInfo,
+  getOrientedDimensions,
+  getAspectFrame,
+  detectImageContent,
+  listResultOutputs,
+  getExpectedOutputs,
+  supportsAnimatedAvif
+} from '../image-processor.js';
+import { DEFAULT_CONFIG } from '../constants.js';
+
+jest.setTimeout(60000); // AVIF encoding can be slow on CI hardware
+
+// Prebuilt sharp binaries cannot encode AVIF sequences; each animation test runs on one kind of build
+const animatedAvif = await supportsAnimatedAvif();
+
+let tmpDir;
+
+/**
+ * Write a solid-color JPEG fixture into the temporary directory
+ * @param {string} name - File name
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<string>} Path of the written file
+ */
+async function writeJpeg(name, width, height) {
+  const filePath = path.join(tmpDir, name);
+  await sharp({
+    create: {
+      width,
+      height,
+      channels: 3,
+      background: { r: 220, g: 90, b: 40 }
+    }
+  })
+    .jpeg({ quality: 90 })
+    .toFile(filePath);
+  return filePath;
+}
+
+/**
+ * Write a fully transparent PNG fixture into the temporary directory
+ * @param {string} name - File name
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<string>} Path of the written file
+ */
+async function writeTransparentPng(name, width, height) {
+  const filePath = path.join(tmpDir, name);
+  await sharp({
+    create: {
+      width,
+      height,
+      channels: 4,
+      background: { r: 0, g: 0, b: 0, alpha: 0 }
+    }
+  })
+    .png()
+    .toFile(filePath);
+  return filePath;
+}
+
+/**
+ * Write a minimal animated GIF with one solid color per frame
+ *
+ * Uses a 4-color palette and emits an LZW clear code every two pixels so the
+ * code size never grows, which keeps the encoder tiny.
+ *
+ * @param {string} name - File name
+ * @param {number} width
+ * @param {number} height
+ * @param {number[]} delays - Per-frame delay in milliseconds (one frame per entry)
+ * @returns {Promise<string>} Path of the written file
+ */
+async function writeAnimatedGif(name, width, height, delays) {
+  const bytes = [];
+  const push16 = (value) => bytes.push(value & 0xff, (value >> 8) & 0xff);
+
+  bytes.push(...Buffer.from('GIF89a'));
+  push16(width);
+  push16(height);
+  bytes.push(0xf1, 0, 0, 0, 0, 0, 255, 0, 0, 0, 255, 0, 0, 0, 255);
+  bytes.push(0x21, 0xff, 0x0b, ...Buffer.from('NETSCAPE2.0'), 3, 1, 0, 0, 0); // loop forever
+
+  delays.forEach((delay, frame) => {
+    const color = (frame % 3) + 1;
+    bytes.push(0x21, 0xf9, 4, 0x04);
+    push16(Math.round(delay / 10));
+    bytes.push(0, 0, 0x2c);
+    push16(0);
+    push16(0);
+    push16(width);
+    push16(height);
+    bytes.push(0, 2);
+
+    const codes = [];
+    for (let i = 0; i < width * height; i += 2) {
+      codes.push(4, color);
+      if (i + 1 < width * height) codes.push(color);
+    }
+    codes.push(5);
+
+    const data = [];
+    let acc = 0;
+    let bits = 0;
+    for (const code of codes) {
+      acc |= code << bits;
+      bits += 3;
+      while (bits >= 8) {
+        data.push(acc & 0xff);
+        acc >>= 8;
+        bits -= 8;
+      }
+    }
+    if (bits > 0) data.push(acc & 0xff);
+
+    for (let i = 0; i < data.length; i += 255) {
+      const chunk = data.slice(i, i + 255);
+      bytes.push(chunk.length, ...chunk);
+    }
+    bytes.push(0);
+  });
+  bytes.push(0x3b);
+
+  const filePath = path.join(tmpDir, name);
+  await fs.writeFile(filePath, Buffer.from(bytes));
+  return filePath;
+}
+
+/**
+ * Write an RGBA PNG fixture whose pixels come from a callback
+ * @param {string} name - File name
+ * @param {number} width
+ * @param {number} height
+ * @param {function(number, number): number[]} pixelAt - Returns [r, g, b, alpha] for (x, y)
+ * @returns {Promise<string>} Path of the written file
+ */
+async function writeRgbaPng(name, width, height, pixelAt) {
+  const pixels = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels.set(pixelAt(x, y), (y * width + x) * 4);
+    }
+  }
+
+  const filePath = path.join(tmpDir, name);
+  await sharp(pixels, { raw: { width, height, channels: 4 } }).png().toFile(filePath);
+  return filePath;
+}
+
+/**
+ * Deterministic pseudo-random byte for noise fixtures
+ * @param {number} x
+ * @param {number} y
+ * @param {number} channel
+ * @returns {number}
+ */
+const noise = (x, y, channel) => (x * 7919 + y * 104729 + channel * 31) * 2654435761 % 251;
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'avif-optimizer-'));
+});
+
+afterEach(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('getVariantWidths', () => {
+  test('sorts and de-duplicates requested widths', () => {
+    expect(getVariantWidths(2000, [1024, 320, 640, 320])).toEqual([320, 640, 1024]);
+  });
+
+  test('replaces widths larger than the original with the original width', () => {
+    expect(getVariantWidths(1500, [320, 640, 1024, 1920, 2560])).toEqual([320, 640, 1024, 1500]);
+  });
+
+  test('does not duplicate an exact match with the original width', () => {
+    expect(getVariantWidths(1024, [640, 1024, 1920])).toEqual([640, 1024]);
+  });
+});
+
+describe('convertImageToAvif', () => {
+  test('converts a file to a single resized AVIF by default', async () => {
+    const input = await writeJpeg('photo.jpg', 2000, 1000);
+
+    const result = await convertImageToAvif(input, { ...DEFAULT_CONFIG });
+
+    expect(result.error).toBeUndefined();
+    expect(result.outputPath).toBe(path.join(tmpDir, 'photo.avif'));
+    expect(result.newWidth).toBe(1200);
+    expect(result.newHeight).toBe(600);
+    expect(result.variants).toBeUndefined();
+  });
+
+  test('emits one AVIF per responsive width without upscaling', async () => {
+    const input = await writeJpeg('hero.jpg', 1500, 750);
+
+    const result = await convertImageToAvif(input, {
+      ...DEFAULT_CONFIG,
+      widths: [320, 640, 1920]
+    });
+
+    expect(result.error).toBeUndefined();
+    expect(result.variants.map(v => v.width)).toEqual([320, 640, 1500]);
+    expect(result.outputPath).toBe(path.join(tmpDir, 'hero-1500w.avif'));
+    expect(result.newWidth).toBe(1500);
+    expect(result.resized).toBe(false);
+
+    for (const variant of result.variants) {
+      expect(path.basename(variant.outputPath)).toBe(`hero-${variant.width}w.avif`);
+      const metadata = await sharp(variant.outputPath).metadata();
+      expect(metadata.width).toBe(variant.width);
+      expect(metadata.height).toBe(variant.height);
+      expect((await fs.stat(variant.outputPath)).size).toBe(variant.outputSize);
+    }
+  });
+
+  test('skips responsive variants that already exist unless forced', async () => {
+    const input = await writeJpeg('hero.jpg', 800, 400);
+    const config = { ...DEFAULT_CONFIG, widths: [320, 640] };
+
+    await convertImageToAvif(input, config);
+    const second = await convertImageToAvif(input, config);
+    const forced = await convertImageToAvif(input, { ...config, force: true });
+
+    expect(second.skipped).toBe(true);
+    expect(forced.skipped).toBe(false);
+    expect(forced.variants).toHaveLength(2);
+  });
+});
+
+describe('convertImageToAvif fallback formats', () => {
+  test('writes WebP and JPEG fallbacks from the same resized pipeline', async () => {
+    const input = await writeJpeg('photo.jpg', 2000, 1000);
+    const outputDir = path.join(tmpDir, 'out');
+
+    const result = await convertImageToAvif(input, {
+      ...DEFAULT_CONFIG,
+      outputDir,
+      formats: ['avif', 'webp', 'jpeg']
+    });
+
+    expect(result.error).toBeUndefined();
+    expect(result.fallbacks.map(f => f.format)).toEqual(['webp', 'jpeg']);
+
+    for (const fallback of result.fallbacks) {
+      const metadata = await sharp(fallback.outputPath).metadata();
+      expect(metadata.width).toBe(1200);
+      expect(metadata.height).toBe(600);
+      expect((await fs.stat(fallback.outputPath)).size).toBe(fallback.outputSize);
+    }
+    expect(path.basename(result.fallbacks[1].outputPath)).toBe('photo.jpg');
+  });
+
+  test('flattens transparent images against the background for JPEG', async () => {
+    const input = await writeTransparentPng('logo.png', 40, 40);
+
+    const result = await convertImageToAvif(input, {
+      ...DEFAULT_CONFIG,
+      formats: ['avif', 'jpeg'],
+      background: '#ff0000'
+    });
+
+    const { data } = await sharp(result.fallbacks[0].outputPath).raw().toBuffer({ resolveWithObject: true });
+    expect(data[0]).toBeGreaterThan(240);
+    expect(data[1]).toBeLessThan(20);
+  });
+
+  test('never overwrites the source file with a fallback', async () => {
+    const input = await writeJpeg('photo.jpg', 100, 100);
+    const before = await fs.readFile(input);
+
+    const result = await convertImageToAvif(input, {
+      ...DEFAULT_CONFIG,
+      formats: ['avif', 'jpeg', 'webp']
+    });
+
+    expect(result.fallbacks.map(f => f.format)).toEqual(['webp']);
+    expect(await fs.readFile(input)).toEqual(before);
+  });
+});
+
+describe('animated input', () => {
+  test('detects frames, delays and loop count of animated GIFs', async () => {
+    const input = await writeAnimatedGif('banner.gif', 40, 30, [100, 200, 300]);
+
+    const animation = getAnimationInfo(await sharp(input).metadata(), DEFAULT_CONFIG);
+
+    expect(animation.animated).toBe(true);
+    expect(animation.frames).toBe(3);
+    expect(animation.delay).toEqual([100, 200, 300]);
+  });
+
+  test('treats animated input as still when animation is disabled', async () => {
+    const input = await writeAnimatedGif('banner.gif', 40, 30, [100, 200, 300]);
+
+    const animation = getAnimationInfo(await sharp(input).metadata(), { animation: false });
+    const result = await convertImageToAvif(input, { ...DEFAULT_CONFIG, animation: false });
+
+    expect(animation.animated).toBe(false);
+    expect(result.error).toBeUndefined();
+    expect(result.animated).toBe(false);
+    const metadata = await sharp(result.outputPath, { animated: true }).metadata();
+    expect(metadata.width).toBe(40);
+    expect(metadata.height).toBe(30);
+  });
+
+  (animatedAvif ? test.skip : test)('converts the first frame when animated AVIF is unsupported, or fails if required', async () => {
+    const input = await writeAnimatedGif('banner.gif', 40, 30, [100, 200, 300]);
+
+    const required = await convertImageToAvif(input, { ...DEFAULT_CONFIG, maxWidth: 20, animation: 'require' });
+    expect(required.errorCode).toBe('ANIMATION_UNSUPPORTED');
+    await expect(fs.access(path.join(tmpDir, 'banner.avif'))).rejects.toThrow();
+
+    const result = await convertImageToAvif(input, { ...DEFAULT_CONFIG, maxWidth: 20, poster: true });
+    const metadata = await sharp(result.outputPath, { animated: true }).metadata();
+
+    expect(result.error).toBeUndefined();
+    expect(result).toMatchObject({ animated: false, firstFrameOnly: true, frames: 3 });
+    expect(result.poster).toBeUndefined();
+    expect(metadata.pages).toBe(1);
+    expect(metadata.width).toBe(20);
+    expect(metadata.height).toBe(15);
+  });
+
+  (animatedAvif ? test : test.skip)('keeps every frame when the encoder supports animated AVIF', async () => {
+    const input = await writeAnimatedGif('banner.gif', 40, 30, [100, 200, 300]);
+
+    const result = await convertImageToAvif(input, { ...DEFAULT_CONFIG, maxWidth: 20 });
+    const metadata = await sharp(result.outputPath, { animated: true }).metadata();
+
+    expect(result.frames).toBe(3);
+    expect(metadata.pages).toBe(3);
+    expect(metadata.width).toBe(20);
+    expect(metadata.pageHeight).toBe(15);
+  });
+});
+
+describe('content detection', () => {
+  test('classifies solid, flat, transparent and noisy images', async () => {
+    const solid = await writeJpeg('solid.jpg', 64, 64);
+    const flat = await writeRgbaPng('flat.png', 128, 128, (x, y) => [x >> 3, y, (x >> 3) * y % 256, 255]);
+    const transparent = await writeRgbaPng('cutout.png', 64, 64, (x, y) =>
+      [noise(x, y, 0), noise(x, y, 1), noise(x, y, 2), x < 32 ? 0 : 255]);
+    const photo = await writeRgbaPng('noise.png', 64, 64, (x, y) =>
+      [noise(x, y, 0), noise(x, y, 1), noise(x, y, 2), 255]);
+
+    expect((await detectImageContent(solid)).type).toBe('low-color');
+    expect((await detectImageContent(flat)).type).toBe('flat-color');
+    expect((await detectImageContent(transparent)).type).toBe('alpha-heavy');
+    expect((await detectImageContent(photo)).type).toBe('photo');
+  });
+
+  test('auto chroma encodes flat-color PNGs with 4:4:4 and reports the detection', async () => {
+    const input = await writeRgbaPng('chart.png', 128, 128, (x, y) => [x >> 3, y, (x >> 3) * y % 256, 255]);
+
+    const result = await convertImageToAvif(input, { ...DEFAULT_CONFIG, chroma: 'auto' });
+    const analysis = await analyzeImageFile(input, { ...DEFAULT_CONFIG, chroma: 'auto' });
+
+    expect(result.error).toBeUndefined();
+    expect(result.contentDetection.type).toBe('flat-color');
+    expect(result.chromaSubsampling).toBe('4:4:4');
+    expect(result.lossless).toBe(false);
+    expect(analysis.contentDetection).toEqual(result.contentDetection);
+  });
+
+  test('uses the configured chroma without inspecting content', async () => {
+    const input = await writeJpeg('photo.jpg', 64, 64);
+
+    const result = await convertImageToAvif(input, { ...DEFAULT_CONFIG, chroma: '444' });
+
+    expect(result.chromaSubsampling).toBe('4:4:4');
+    expect(result.contentDetection).toBeUndefined();
+  });
+});
+
+describe('EXIF orientation', () => {
+  /**
+   * Write a landscape-stored JPEG tagged to display as portrait (orientation 6)
+   * @param {string} name - File name
+   * @returns {Promise<string>} Path of the written file
+   */
+  async function writeRotatedJpeg(name) {
+    const filePath = path.join(tmpDir, name);
+    await sharp({
+      create: { width: 2400, height: 1600, channels: 3, background: '#3c78dc' }
+    })
+      .withMetadata({ orientation: 6 })
+      .jpeg()
+      .toFile(filePath);
+    return filePath;
+  }
+
+  test('swaps dimensions for rotated orientations only', () => {
+    expect(getOrientedDimensions({ width: 40, height: 20, orientation: 6 }))
+      .toEqual({ width: 20, height: 40, autoOriented: true });
+    expect(getOrientedDimensions({ width: 40, height: 20, orientation: 3 }))
+      .toEqual({ width: 40, height: 20, autoOriented: true });
+    expect(getOrientedDimensions({ width: 40, height: 20, orientation: 6 }, { autoOrient: false }))
+      .toEqual({ width: 40, height: 20, autoOriented: false });
+  });
+
+  test('rotates before fitting the max-width/height box', async () => {
+    const input = await writeRotatedJpeg('portrait.jpg');
+
+    const result = await convertImageToAvif(input, DEFAULT_CONFIG);
+    const metadata = await sharp(result.outputPath).metadata();
+
+    expect(result).toMatchObject({ originalWidth: 1600, originalHeight: 2400, autoOriented: true });
+    expect([result.newWidth, result.newHeight]).toEqual([800, 1200]);
+    expect([metadata.width, metadata.height]).toEqual([800, 1200]);
+  });
+
+  test('keeps stored orientation with autoOrient disabled, in dry runs too', async () => {
+    const input = await writeRotatedJpeg('portrait.jpg');
+    const config = { ...DEFAULT_CONFIG, autoOrient: false };
+
+    const analysis = await analyzeImageFile(input, DEFAULT_CONFIG);
+    const result = await convertImageToAvif(input, config);
+
+    expect([analysis.newWidth, analysis.newHeight]).toEqual([800, 1200]);
+    expect(result.autoOriented).toBe(false);
+    expect([result.newWidth, result.newHeight]).toEqual([1200, 800]);
+  });
+});
+
+describe('aspect framing', () => {
+  /**
+   * Write a 600x200 PNG whose left, middle and right thirds are red, green and blue
+   * @param {string} name - File name
+   * @returns {Promise<string>} Path of the written file
+   */
+  async function writeStripes(name) {
+    const filePath = path.join(tmpDir, name);
+    const raw = Buffer.alloc(600 * 200 * 3);
+    for (let i = 0; i < 600 * 200; i++) {
+      raw[i * 3 + Math.floor((i % 600) / 200)] = 255;
+    }
+    await sharp(raw, { raw: { width: 600, height: 200, channels: 3 } }).png().toFile(filePath);
+    return filePath;
+  }
+
+  /**
+   * Read the center pixel of an image
+   * @param {string} filePath
+   * @returns {Promise<number[]>} RGB values
+   */
+  async function centerPixel(filePath) {
+    const { data, info } = await sharp(filePath).raw().toBuffer({ resolveWithObject: true });
+    const offset = (Math.floor(info.height / 2) * info.width + Math.floor(info.width / 2)) * info.channels;
+    return [...data.subarray(offset, offset + 3)];
+  }
+
+  test('frames cover/fill inside the image and contain around it', () => {
+    expect(getAspectFrame(3000, 2000, '1:1')).toEqual({ width: 2000, height: 2000 });
+    expect(getAspectFrame(3000, 2000, '16:9')).toEqual({ width: 3000, height: 1688 });
+    expect(getAspectFrame(3000, 2000, '1:1', 'contain')).toEqual({ width: 3000, height: 3000 });
+  });
+
+  test('crops to the aspect ratio around the center by default', async () => {
+    const input = await writeStripes('stripes.png');
+
+    const result = await convertImageToAvif(input, { ...DEFAULT_CONFIG, aspect: '1:1', lossless: true });
+
+    expect([result.newWidth, result.newHeight]).toEqual([200, 200]);
+    expect(result.framing).toEqual({ aspect: '1:1', fit: 'cover', strategy: 'center' });
+    expect(await centerPixel(result.outputPath)).toEqual([0, 255, 0]);
+  });
+
+  test('keeps the focal point from a sidecar file over the --focus option', async () => {
+    const input = await writeStripes('stripes.png');
+    await fs.writeFile(path.join(tmpDir, 'stripes.focus.json'), JSON.stringify({ x: 0.9, y: 0.5 }));
+
+    const result = await convertImageToAvif(input, {
+      ...DEFAULT_CONFIG,
+      aspect: '1:1',
+      focus: { x: 0.1, y: 0.5 },
+      lossless: true
+    });
+
+    expect(result.framing).toMatchObject({ strategy: 'focus', focus: { x: 0.9, y: 0.5 }, focusSource: 'sidecar' });
+    expect(await centerPixel(result.outputPath)).toEqual([0, 0, 255]);
+  });
+
+  test('fails the file on an invalid sidecar', async () => {
+    const input = await writeStripes('stripes.png');
+    await fs.writeFile(path.join(tmpDir, 'stripes.focus.json'), '{ "x": 2 }');
+
+    const result = await convertImageToAvif(input, { ...DEFAULT_CONFIG, aspect: '1:1' });
+
+    expect(result.errorCode).toBe('INVALID_INPUT');
+  });
+
+  test('sizes responsive variants from the frame in dry runs', async () => {
+    const input = await writeJpeg('hero.jpg', 1600, 1200);
+
+    const result = await analyzeImageFile(input, { ...DEFAULT_CONFIG, aspect: '16:9', widths: [320, 2000] });
+
+    expect(result.variants.map(v => [v.width, v.height])).toEqual([[320, 180], [1600, 900]]);
+    expect(result.framing).toMatchObject({ aspect: '16:9', fit: 'cover' });
+  });
+});
+
+describe('analyzeImageFile', () => {
+  test('lists responsive variants without writing files', async () => {
+    const input = await writeJpeg('hero.jpg', 1000, 500);
+
+    const result = await analyzeImageFile(input, {
+      ...DEFAULT_CONFIG,
+      widths: [320, 2000]
+    });
+
+    expect(result.variants.map(v => v.width)).toEqual([320, 1000]);
+    expect(result.variants[0].height).toBe(160);
+    expect(await fs.readdir(tmpDir)).toEqual(['hero.jpg']);
+  });
+
+  test('reports the metadata groups a policy would retain', async () => {
+    const input = path.join(tmpDir, 'credited.jpg');
+    await sharp({
+      create: { width: 64, height: 64, channels: 3, background: '#ff0000' }
+    })
+      .withExif({ IFD0: { Artist: 'Jane Doe', Make: 'Canon' } })
+      .jpeg()
+      .toFile(input);
+
+    const result = await analyzeImageFile(input, { ...DEFAULT_CONFIG, metadata: ['copyright', 'gps'] });
+
+    expect(result.metadataRetained).toEqual(['copyright']);
+  });
+
+  test('reports the source bit depth and color space', async () => {
+    const input = path.join(tmpDir, 'master.png');
+    await sharp({
+      create: { width: 64, height: 64, channels: 3, background: '#ff0000' }
+    })
+      .withIccProfile('p3')
+      .toColourspace('rgb16')
+      .png()
+      .toFile(input);
+
+    const result = await analyzeImageFile(input, { ...DEFAULT_CONFIG, wideGamut: true });
+
+    expect(result.sourceColor.bitDepth).toBe(16);
+    expect(result.sourceColor.colorSpace).toBe('display-p3');
+    expect(result.bitDepth).toBe(8);
+    expect(result.colorSpace).toBe('display-p3');
+  });
+});
+
+describe('name templates', () => {
+  test('names outputs after their content hash and skips unchanged files', async () => {
+    const input = await writeJpeg('logo.jpg', 400, 200);
+    const config = { ...DEFAULT_CONFIG, nameTemplate: 'assets/[name].[hash:8].avif', formats: ['avif', 'webp'] };
+
+    const result = await convertImageToAvif(input, config);
+    const second = await convertImageToAvif(input, config);
+
+    const data = await fs.readFile(result.outputPath);
+    const hash = crypto.createHash('sha256').update(data).digest('hex').slice(0, 8);
+    expect(result.outputPath).toBe(path.join(tmpDir, 'assets', `logo.${hash}.avif`));
+    expect(result.fallbacks[0].outputPath).toBe(path.join(tmpDir, 'assets', `logo.${hash}.webp`));
+    expect(second).toMatchObject({ skipped: true, outputPath: result.outputPath });
+  });
+
+  test('renders dimension and quality tokens for variants, in dry runs too', async () => {
+    const input = await writeJpeg('hero.jpg', 800, 400);
+    const config = { ...DEFAULT_CONFIG, widths: [320, 800], quality: 55, nameTemplate: '[name]-[width]x[height]-q[quality].avif' };
+
+    const analysis = await analyzeImageFile(input, config);
+    const result = await convertImageToAvif(input, config);
+
+    expect(result.variants.map(v => path.basename(v.outputPath))).toEqual(['hero-320x160-q55.avif', 'hero-800x400-q55.avif']);
+    expect(analysis.variants.map(v => v.outputPath)).toEqual(result.variants.map(v => v.outputPath));
+  });
+
+  test('keeps the hash token literal in dry runs and requires [width] for variants', async () => {
+    const input = await writeJpeg('photo.jpeg', 100, 100);
+
+    const analysis = await analyzeImageFile(input, { ...DEFAULT_CONFIG, nameTemplate: '[name]-[ext].[hash:8].avif' });
+    const invalid = await convertImageToAvif(input, { ...DEFAULT_CONFIG, widths: [50], nameTemplate: '[name].avif' });
+
+    expect(analysis.outputPath).toBe(path.join(tmpDir, 'photo-jpeg.[hash:8].avif'));
+    expect(invalid.error).toMatch('[width]');
+  });
+
+  test('returns an error result for a template that cannot be rendered', async () => {
+    const input = await writeJpeg('photo.jpg', 100, 100);
+    const config = { ...DEFAULT_CONFIG, nameTemplate: 42 };
+
+    const converted = await convertImageToAvif(input, config);
+    const analyzed = await analyzeImageFile(input, config);
+
+    expect(converted).toMatchObject({ inputPath: input, outputPath: null, error: expect.any(String) });
+    expect(analyzed).toMatchObject({ inputPath: input, outputPath: null, error: expect.any(String) });
+  });
+});
+
+describe('output directory tree', () => {
+  test('mirrors the input tree below the output directory unless flat', async () => {
+    await fs.mkdir(path.join(tmpDir, 'images', 'blog'), { recursive: true });
+    await fs.mkdir(path.join(tmpDir, 'images', 'shop'), { recursive: true });
+    const blog = await writeJpeg(path.join('images', 'blog', 'a.jpg'), 100, 100);
+    const shop = await writeJpeg(path.join('images', 'shop', 'a.jpg'), 100, 100);
+    const outputDir = path.join(tmpDir, 'optimized');
+    const config = { ...DEFAULT_CONFIG, outputDir, inputRoot: path.join(tmpDir, 'images'), formats: ['avif', 'webp'] };
+
+    const results = [await convertImageToAvif(blog, config), await convertImageToAvif(shop, config)];
+    const analysis = await analyzeImageFile(blog, config);
+    const flat = await analyzeImageFile(blog, { ...config, flat: true });
+
+    expect(results.map(r => r.outputPath)).toEqual([
+      path.join(outputDir, 'blog', 'a.avif'),
+      path.join(outputDir, 'shop', 'a.avif')
+    ]);
+    expect(results[0].fallbacks[0].outputPath).toBe(path.join(outputDir, 'blog', 'a.webp'));
+    expect(analysis.outputPath).toBe(results[0].outputPath);
+    expect(flat.outputPath).toBe(path.join(outputDir, 'a.avif'));
+  });
+
+  test('writes inputs outside the input root flat', async () => {
+    const input = await writeJpeg('outside.jpg', 100, 100);
+    const outputDir = path.join(tmpDir, 'optimized');
+
+    const result = await analyzeImageFile(input, { ...DEFAULT_CONFIG, outputDir, inputRoot: path.join(tmpDir, 'images') });
+
+    expect(result.outputPath).toBe(path.join(outputDir, 'outside.avif'));
+  });
+});
+
+describe('placeholders', () => {
+  test('are computed once per input, from the largest variant', async () => {
+    const input = await writeJpeg('hero.jpg', 800, 400);
+    const config = { ...DEFAULT_CONFIG, widths: [320, 640], placeholders: ['blurhash', 'thumbhash'] };
+
+    const result = await convertImageToAvif(input, config);
+
+    expect(result.placeholders.blurhash).toHaveLength(28);
+    expect(Buffer.from(result.placeholders.thumbhash, 'base64').length).toBeGreaterThan(5);
+    expect(result.variants.every(variant => variant.placeholders === undefined)).toBe(true);
+  });
+});
+
+describe('output listing', () => {
+  test('lists written outputs and predicts them from the configuration', async () => {
+    const input = await writeJpeg('hero.jpg', 800, 400);
+    const config = { ...DEFAULT_CONFIG, outputDir: path.join(tmpDir, 'dist'), inputRoot: tmpDir, formats: ['avif', 'webp'], widths: [320, 640] };
+
+    const result = await convertImageToAvif(input, config);
+    const expected = getExpectedOutputs(input, config);
+
+    expect(listResultOutputs(result).sort()).toEqual(
+      ['hero-320w.avif', 'hero-640w.avif', 'hero-320w.webp', 'hero-640w.webp'].map(name => path.join(tmpDir, 'dist', name)).sort()
+    );
+    expect(expected).toEqual(expect.arrayContaining(listResultOutputs(result)));
+    expect(expected).toContain(path.join(tmpDir, 'dist', 'hero-poster.avif'));
+    expect(getExpectedOutputs(input, { ...config, nameTemplate: '[name]-[width]w.[hash].avif' })).toEqual([]);
+  });
+});
+
+describe('removing originals', () => {
+  test('keeps originals by default and deletes them once the AVIF decodes', async () => {
+    const kept = await writeJpeg('kept.jpg', 100, 100);
+    const removed = await writeJpeg('removed.jpg', 100, 100);
+
+    const keptResult = await convertImageToAvif(kept, { ...DEFAULT_CONFIG });
+    const removedResult = await convertImageToAvif(removed, { ...DEFAULT_CONFIG, preserveOriginal: false });
+
+    expect(keptResult.originalRemoved).toBeUndefined();
+    expect(removedResult.originalRemoved).toEqual({ method: 'deleted' });
+    expect((await fs.readdir(tmpDir)).sort()).toEqual(['kept.avif', 'kept.jpg', 'removed.avif']);
+    expect((await sharp(removedResult.outputPath).metadata()).format).toBe('heif');
+  });
+
+  test('moves originals into the trash directory without replacing earlier ones', async () => {
+    await fs.mkdir(path.join(tmpDir, 'images', 'blog'), { recursive: true });
+    const input = await writeJpeg(path.join('images', 'blog', 'a.jpg'), 100, 100);
+    const trashDir = path.join(tmpDir, 'trash');
+    await fs.mkdir(path.join(trashDir, 'blog'), { recursive: true });
+    await fs.writeFile(path.join(trashDir, 'blog', 'a.jpg'), 'earlier original');
+    const config = { ...DEFAULT_CONFIG, preserveOriginal: false, trashDir, inputRoot: path.join(tmpDir, 'images') };
+
+    const analysis = await analyzeImageFile(input, config);
+    const result = await convertImageToAvif(input, config);
+
+    expect(analysis.originalRemoved).toEqual({ method: 'trashed' });
+    expect(result.originalRemoved).toEqual({ method: 'trashed', trashPath: path.join(trashDir, 'blog', 'a-1.jpg') });
+    expect(await fs.readFile(path.join(trashDir, 'blog', 'a.jpg'), 'utf8')).toBe('earlier original');
+    await expect(fs.access(input)).rejects.toThrow();
+  });
+
+  test('keeps originals that serve as their own fallback', async () => {
+    const input = await writeJpeg('photo.jpg', 100, 100);
+
+    const result = await convertImageToAvif(input, { ...DEFAULT_CONFIG, preserveOriginal: false, formats: ['avif', 'jpeg'] });
+
+    expect(result.originalRemoved).toBeUndefined();
+    await expect(fs.access(input)).resolves.toBeUndefined();
+  });
+});
+
+describe('minimum savings', () => {
+  test('discards outputs that do not save enough and keeps the others', async () => {
+    const tiny = path.join(tmpDir, 'tiny.png');
+    await sharp({ create: { width: 8, height: 8, channels: 3, background: '#cc8844' } })
+      .png({ palette: true })
+      .toFile(tiny);
+    const photo = await writeJpeg('photo.jpg', 400, 300);
+    const config = { ...DEFAULT_CONFIG, minSavings: 10 };
+
+    const skipped = await convertImageToAvif(tiny, config);
+    const kept = await convertImageToAvif(photo, config);
+
+    expect(skipped).toMatchObject({ skipped: true, skippedReason: 'not-smaller', outputPath: path.join(tmpDir, 'tiny.avif') });
+    expect(skipped.sizeSavings).toBeLessThan(10);
+    expect(kept.skipped).toBe(false);
+    expect((await fs.readdir(tmpDir)).sort()).toEqual(['photo.avif', 'photo.jpg', 'tiny.png']);
+  });
+
+  test('marks existing outputs with their skip reason', async () => {
+    const input = await writeJpeg('photo.jpg', 100, 100);
+
+    await convertImageToAvif(input, { ...DEFAULT_CONFIG });
+    const second = await convertImageToAvif(input, { ...DEFAULT_CONFIG });
+
+    expect(second).toMatchObject({ skipped: true, skippedReason: 'exists' });
+  });
+});
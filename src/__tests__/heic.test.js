@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Tests for HEIC/HEIF preprocessing
+ *
+ * No HEVC encoder is available to generate HEIC fixtures, so the container
+ * parser is exercised on AVIF files written by sharp (same HEIF boxes) and
+ * the intermediate on synthetic decoded pixels. The benchmark compares it
+ * with the previous JPEG intermediate produced by heic-convert.
+ */
+
+import sharp from 'sharp';
+import heicFormats from 'heic-convert/formats-node.js';
+import { readHeifMetadata, readHeifImages } from '../heif-container.js';
+import { encodeHeicIntermediate, convertBufferToAvif } from '../image-processor.js';
+import { computeSsim } from '../quality-metrics.js';
+import { DEFAULT_CONFIG } from '../constants.js';
+
+/**
+ * Build photo-like RGBA pixels as returned by the HEIC decoder
+ *
+ * Smooth gradients with fine noise and a hard edge, deterministic so the
+ * benchmark numbers are stable.
+ *
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+function decodedPhoto(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  let seed = 7;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      const noise = (seed % 17) - 8;
+      const i = (y * width + x) * 4;
+      data[i] = (x * 255) / width + noise;
+      data[i + 1] = x > width / 2 ? 200 + noise : 40 + noise;
+      data[i + 2] = (y * 255) / height + noise;
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Decode an image to raw pixels of the given channel count
+ * @param {Buffer} buffer - Encoded image
+ * @param {number} channels - 1 for greyscale, 3 for RGB
+ * @returns {Promise<Buffer>}
+ */
+async function rawPixels(buffer, channels) {
+  const image = sharp(buffer).removeAlpha();
+  return (channels === 1 ? image.greyscale() : image).raw().toBuffer();
+}
+
+/**
+ * Peak signal-to-noise ratio of two equally sized 8-bit buffers
+ * @param {Buffer} reference
+ * @param {Buffer} candidate
+ * @returns {number} PSNR in dB (Infinity when identical)
+ */
+function psnr(reference, candidate) {
+  let sum = 0;
+  for (let i = 0; i < reference.length; i++) {
+    sum += (reference[i] - candidate[i]) ** 2;
+  }
+  return sum === 0 ? Infinity : 10 * Math.log10((255 ** 2) / (sum / reference.length));
+}
+
+/**
+ * Build an ISO BMFF box
+ * @param {string} type - 4-character box type
+ * @param {...(Buffer|string)} payload - Box contents
+ * @returns {Buffer}
+ */
+function box(type, ...payload) {
+  const data = Buffer.concat(payload.map(part => Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1')));
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + data.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Build an ISO BMFF full box (with version and flags)
+ * @param {string} type - 4-character box type
+ * @param {number} version - Box version
+ * @param {number} flags - 24-bit flags
+ * @param {...(Buffer|string)} payload - Box contents
+ * @returns {Buffer}
+ */
+function fullBox(type, version, flags, ...payload) {
+  const versionAndFlags = Buffer.alloc(4);
+  versionAndFlags.writeUInt32BE(((version << 24) | flags) >>> 0, 0);
+  return box(type, versionAndFlags, ...payload);
+}
+
+/**
+ * Big-endian unsigned integers of the given byte size
+ * @param {number} size - 1, 2 or 4
+ * @param {...number} values
+ * @returns {Buffer}
+ */
+function uint(size, ...values) {
+  const buffer = Buffer.alloc(size * values.length);
+  values.forEach((value, i) => buffer.writeUIntBE(value, i * size, size));
+  return buffer;
+}
+
+describe('readHeifMetadata', () => {
+  test('reads the ICC profile and EXIF item of the primary image', async () => {
+    const heif = await sharp({
+      create: { width: 16, height: 16, channels: 3, background: '#ff0000' }
+    })
+      .withIccProfile('p3')
+      .withExif({ IFD0: { Copyright: 'Jane Doe' } })
+      .heif({ compression: 'av1' })
+      .toBuffer();
+
+    const { icc, exif } = readHeifMetadata(heif);
+
+    expect(icc.toString('latin1', 36, 40)).toBe('acsp');
+    expect(['II', 'MM']).toContain(exif.toString('latin1', 0, 2));
+    expect(exif.toString('latin1')).toContain('Jane Doe');
+  });
+
+  test('returns nulls for images without metadata and for other data', async () => {
+    const heif = await sharp({
+      create: { width: 16, height: 16, channels: 3, background: '#ff0000' }
+    }).heif({ compression: 'av1' }).toBuffer();
+
+    expect(readHeifMetadata(heif)).toEqual({ icc: null, exif: null });
+    expect(readHeifMetadata(Buffer.from('not an image'))).toEqual({ icc: null, exif: null });
+  });
+});
+
+describe('readHeifImages', () => {
+  test('lists top-level images with their own metadata, skipping thumbnails and hidden items', () => {
+    const tiff = Buffer.from('II*\0\x08\0\0\0\0\0\0\0\0\0', 'latin1');
+    const exifItem = Buffer.concat([uint(4, 6), Buffer.from('Exif\0\0', 'latin1'), tiff]);
+    const infe = (id, type, flags = 0) => fullBox('infe', 2, flags, uint(2, id, 0), type);
+
+    // 1 primary, 2 second image, 3 thumbnail of 1, 4 Exif of 2 (stored in idat), 5 hidden
+    const heic = Buffer.concat([
+      box('ftyp', 'heic', uint(4, 0), 'mif1heic'),
+      fullBox('meta', 0, 0,
+        fullBox('hdlr', 0, 0, uint(4, 0), 'pict', Buffer.alloc(13)),
+        fullBox('pitm', 0, 0, uint(2, 1)),
+        fullBox('iinf', 0, 0, uint(2, 5),
+          infe(1, 'hvc1'), infe(2, 'hvc1'), infe(3, 'hvc1'), infe(4, 'Exif'), infe(5, 'hvc1', 1)),
+        fullBox('iloc', 1, 0, uint(1, 0x44, 0x00), uint(2, 1, 4, 1, 0, 1), uint(4, 0, exifItem.length)),
+        fullBox('iref', 0, 0, box('thmb', uint(2, 3, 1, 1)), box('cdsc', uint(2, 4, 1, 2))),
+        box('iprp',
+          box('ipco', box('colr', 'prof', 'fake-icc')),
+          fullBox('ipma', 0, 0, uint(4, 1), uint(2, 2), uint(1, 1, 0x81))),
+        box('idat', exifItem)
+      )
+    ]);
+
+    expect(readHeifImages(heic)).toEqual([
+      { id: 1, primary: true, icc: null, exif: null },
+      { id: 2, primary: false, icc: Buffer.from('fake-icc'), exif: tiff }
+    ]);
+    expect(readHeifMetadata(heic)).toEqual({ icc: null, exif: null });
+  });
+});
+
+describe('encodeHeicIntermediate', () => {
+  test('keeps the decoded pixels exactly and drops an opaque alpha channel', async () => {
+    const image = decodedPhoto(64, 48);
+    const png = await encodeHeicIntermediate(image);
+    const { data, info } = await sharp(png).raw().toBuffer({ resolveWithObject: true });
+
+    expect(info.channels).toBe(3);
+    for (let i = 0, j = 0; i < image.data.length; i += 4, j += 3) {
+      if (data[j] !== image.data[i] || data[j + 1] !== image.data[i + 1] || data[j + 2] !== image.data[i + 2]) {
+        throw new Error(`pixel ${i / 4} differs`);
+      }
+    }
+  });
+
+  test('keeps transparency', async () => {
+    const image = decodedPhoto(8, 8);
+    image.data[3] = 0;
+
+    expect((await sharp(await encodeHeicIntermediate(image)).metadata()).hasAlpha).toBe(true);
+  });
+
+  test('embeds the ICC profile and EXIF with the orientation reset', async () => {
+    const tagged = await sharp({
+      create: { width: 8, height: 8, channels: 3, background: '#ff0000' }
+    })
+      .withIccProfile('p3')
+      .withExif({ IFD0: { Copyright: 'Jane Doe', Orientation: '6' } })
+      .heif({ compression: 'av1' })
+      .toBuffer();
+
+    const png = await encodeHeicIntermediate(decodedPhoto(8, 8), readHeifMetadata(tagged));
+    const metadata = await sharp(png).metadata();
+
+    expect(metadata.icc).toEqual(readHeifMetadata(tagged).icc);
+    expect(metadata.exif.toString('latin1')).toContain('Jane Doe');
+    expect(metadata.orientation).toBe(1);
+  });
+});
+
+describe('HEIC intermediate benchmark', () => {
+  test('the lossless intermediate beats the previous JPEG round-trip', async () => {
+    const image = decodedPhoto(256, 256);
+    const { width, height } = image;
+    const reference = await sharp(Buffer.from(image.data.buffer), { raw: { width, height, channels: 4 } })
+      .png()
+      .toBuffer();
+
+    // Previous path: heic-convert JPEG at the AVIF quality
+    const jpeg = Buffer.from(heicFormats.JPEG({ ...image, quality: DEFAULT_CONFIG.quality / 100 }));
+    const lossless = await encodeHeicIntermediate(image);
+
+    const sourceRgb = await rawPixels(reference, 3);
+    expect(psnr(sourceRgb, await rawPixels(lossless, 3))).toBe(Infinity);
+    expect(psnr(sourceRgb, await rawPixels(jpeg, 3))).toBeLessThan(40);
+
+    // The loss carries through to the AVIF output
+    const sourceGrey = await rawPixels(reference, 1);
+    const ssimOf = async (intermediate) => {
+      const { buffer } = await convertBufferToAvif(intermediate, { quality: 80, chroma: '444' });
+      return computeSsim(sourceGrey, await rawPixels(buffer, 1), width, height);
+    };
+    const viaLossless = await ssimOf(lossless);
+    const viaJpeg = await ssimOf(jpeg);
+
+    expect(viaLossless).toBeGreaterThan(viaJpeg);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Tests for HTML rewriting
+ *
+ * rewriteHtml only needs manifest entries, so a lookup over a fixed table
+ * stands in for the manifest.
+ */
+
+import path from 'path';
+import { rewriteHtml } from '../html-rewriter.js';
+import { formatDiff, resolveReference, toReference } from '../web-references.js';
+
+/** @type {Object.<string, Object>} */
+const ENTRIES = {
+  [path.join('dist', 'img', 'hero.jpg')]: {
+    width: 1280,
+    height: 720,
+    outputs: [
+      { src: path.join('dist', 'img', 'hero-640w.avif'), type: 'image/avif', width: 640, height: 360 },
+      { src: path.join('dist', 'img', 'hero-1280w.avif'), type: 'image/avif', width: 1280, height: 720 },
+      { src: path.join('dist', 'img', 'hero-1280w.webp'), type: 'image/webp', width: 1280, height: 720 }
+    ]
+  },
+  [path.join('dist', 'logo.png')]: {
+    width: 200,
+    height: 100,
+    outputs: [{ src: path.join('dist', 'logo.avif'), type: 'image/avif', width: 200, height: 100 }]
+  }
+};
+
+/**
+ * Rewrite a document as if it were dist/blog/post.html
+ * @param {string} html
+ * @returns {{html: string, edits: Array<Object>}}
+ */
+function rewrite(html) {
+  return rewriteHtml(html, {
+    filePath: path.join('dist', 'blog', 'post.html'),
+    webRoot: 'dist',
+    lookup: (source) => ENTRIES[path.normalize(source)] || null
+  });
+}
+
+describe('rewriteHtml', () => {
+  test('wraps images in <picture> with AVIF and WebP sources and adds dimensions', () => {
+    const { html } = rewrite('<p><img src="../img/hero.jpg" alt="Hero" sizes="100vw"></p>');
+
+    expect(html).toBe(
+      '<p><picture>'
+      + '<source type="image/avif" srcset="../img/hero-640w.avif 640w, ../img/hero-1280w.avif 1280w" sizes="100vw">'
+      + '<source type="image/webp" srcset="../img/hero-1280w.webp">'
+      + '<img src="../img/hero.jpg" alt="Hero" sizes="100vw" width="1280" height="720">'
+      + '</picture></p>'
+    );
+  });
+
+  test('keeps root-relative URLs and self-closing tags, and completes a single dimension', () => {
+    const { html } = rewrite('<img src="/logo.png" width="100" />');
+
+    expect(html).toBe('<picture><source type="image/avif" srcset="/logo.avif" /><img src="/logo.png" width="100" height="50" /></picture>');
+  });
+
+  test('is idempotent and leaves unknown, external and srcset images alone', () => {
+    const once = rewrite('<img src="/logo.png"><img src="/missing.jpg"><img src="https://cdn.example.com/logo.png">').html;
+    const { html, edits } = rewrite(once);
+
+    expect(edits).toEqual([]);
+    expect(html).toBe(once);
+    expect(rewrite('<img src="/logo.png" srcset="/logo.png 1x, /logo@2x.png 2x">').edits).toEqual([]);
+  });
+
+  test('skips comments and script content', () => {
+    const source = '<!-- <img src="/logo.png"> --><script>const tag = \'<img src="/logo.png">\';</script>';
+
+    expect(rewrite(source).edits).toEqual([]);
+  });
+});
+
+describe('web references', () => {
+  test('resolve URLs against the file or the web root and build them back', () => {
+    const from = path.join('dist', 'blog', 'post.html');
+
+    expect(resolveReference('../img/hero%20big.jpg?v=2#top', from, 'dist')).toBe(path.join('dist', 'img', 'hero big.jpg'));
+    expect(resolveReference('/img/hero.jpg', from, 'dist')).toBe(path.join('dist', 'img', 'hero.jpg'));
+    expect(resolveReference('data:image/png;base64,AAAA', from, 'dist')).toBeNull();
+    expect(toReference(path.join('dist', 'img', 'hero big.avif'), from, 'dist', false)).toBe('../img/hero%20big.avif');
+    expect(toReference(path.join('assets', 'hero.avif'), from, 'dist', true)).toBeNull();
+  });
+
+  test('formatDiff prints one hunk per group of changed lines', () => {
+    const text = 'a\n<img src="x.jpg">\nb\n<img src="y.jpg">\n';
+    const edits = [
+      { start: 2, end: 2, text: '<picture>' },
+      { start: 19, end: 19, text: '</picture>' },
+      { start: 22, end: 22, text: '<picture>\n' }
+    ];
+
+    expect(formatDiff('index.html', text, edits)).toBe([
+      '--- index.html',
+      '+++ index.html',
+      '@@ -2,1 +2,1 @@',
+      '-<img src="x.jpg">',
+      '+<picture><img src="x.jpg"></picture>',
+      '@@ -4,1 +4,2 @@',
+      '-<img src="y.jpg">',
+      '+<picture>',
+      '+<img src="y.jpg">'
+    ].join('\n'));
+  });
+});
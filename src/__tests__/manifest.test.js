@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Tests for the image manifest
+ *
+ * Outputs are written with sharp directly so the manifest is tested
+ * without running AVIF conversions for every case.
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { openManifest, MANIFEST_VERSION } from '../manifest.js';
+import { DEFAULT_CONFIG } from '../constants.js';
+
+jest.setTimeout(60000); // AVIF encoding can be slow on CI hardware
+
+let tmpDir;
+let manifestPath;
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'avif-manifest-'));
+  manifestPath = path.join(tmpDir, 'src', 'images.json');
+});
+
+afterEach(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Write a solid-color image in a format chosen by the file extension
+ * @param {string} name - File name inside the temporary directory
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<string>} Path of the written file
+ */
+async function writeImage(name, width, height) {
+  const filePath = path.join(tmpDir, name);
+  const image = sharp({ create: { width, height, channels: 3, background: { r: 40, g: 120, b: 200 } } });
+  await (name.endsWith('.avif') ? image.avif({ effort: 0 }) : image).toFile(filePath);
+  return filePath;
+}
+
+/**
+ * Read the saved manifest
+ * @returns {Promise<Object>} Parsed manifest
+ */
+async function readManifest() {
+  return JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+}
+
+describe('openManifest', () => {
+  test('describes converted outputs sorted by format and width, relative to the manifest', async () => {
+    const inputPath = await writeImage('hero.jpg', 64, 32);
+    const result = {
+      inputPath,
+      outputPath: await writeImage('hero-64w.avif', 64, 32),
+      variants: [
+        { width: 32, outputPath: await writeImage('hero-32w.avif', 32, 16) },
+        { width: 64, outputPath: path.join(tmpDir, 'hero-64w.avif') }
+      ],
+      fallbacks: [{ format: 'webp', outputPath: await writeImage('hero-64w.webp', 64, 32) }],
+      placeholders: { color: '#2878c8' }
+    };
+
+    const manifest = await openManifest(manifestPath);
+    await manifest.record(result, DEFAULT_CONFIG);
+    await manifest.save();
+
+    const saved = await readManifest();
+    const entry = saved.images['../hero.jpg'];
+    expect(saved.version).toBe(MANIFEST_VERSION);
+    expect(entry).toMatchObject({ width: 64, height: 32, placeholders: { color: '#2878c8' } });
+    expect(entry.outputs.map(output => [output.src, output.type, output.width])).toEqual([
+      ['../hero-32w.avif', 'image/avif', 32],
+      ['../hero-64w.avif', 'image/avif', 64],
+      ['../hero-64w.webp', 'image/webp', 64]
+    ]);
+    expect(entry.outputs[0].bytes).toBe((await fs.stat(path.join(tmpDir, 'hero-32w.avif'))).size);
+    expect(entry.outputs[0].hash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('merges runs, describes existing outputs of skipped sources and drops discarded ones', async () => {
+    const first = await writeImage('a.png', 20, 10);
+    const second = await writeImage('b.png', 30, 10);
+    await writeImage('a.avif', 20, 10);
+
+    const run1 = await openManifest(manifestPath);
+    await run1.record({ inputPath: first, outputPath: path.join(tmpDir, 'a.avif') }, DEFAULT_CONFIG);
+    await run1.save();
+
+    // An earlier run without --manifest already wrote b.avif
+    await writeImage('b.avif', 30, 10);
+    const run2 = await openManifest(manifestPath);
+    await run2.record({ inputPath: second, skipped: true, skippedReason: 'exists' }, DEFAULT_CONFIG);
+    await run2.save();
+
+    expect(Object.keys((await readManifest()).images)).toEqual(['../a.png', '../b.png']);
+    expect((await readManifest()).images['../b.png'].outputs[0]).toMatchObject({ src: '../b.avif', width: 30, height: 10 });
+
+    const run3 = await openManifest(manifestPath);
+    await run3.record({ inputPath: first, skipped: true, skippedReason: 'not-smaller' }, DEFAULT_CONFIG);
+    await run3.save();
+
+    expect(Object.keys((await readManifest()).images)).toEqual(['../b.png']);
+  });
+
+  test('keeps entries of removed originals and drops entries whose outputs are gone', async () => {
+    const first = await writeImage('a.png', 20, 10);
+    const second = await writeImage('b.png', 20, 10);
+    const manifest = await openManifest(manifestPath);
+    await manifest.record({ inputPath: first, outputPath: await writeImage('a.avif', 20, 10) }, DEFAULT_CONFIG);
+    await manifest.record({ inputPath: second, outputPath: await writeImage('b.avif', 20, 10) }, DEFAULT_CONFIG);
+    await manifest.save();
+
+    await fs.rm(first);
+    await fs.rm(path.join(tmpDir, 'b.avif'));
+    await (await openManifest(manifestPath)).save();
+
+    expect(Object.keys((await readManifest()).images)).toEqual(['../a.png']);
+  });
+});
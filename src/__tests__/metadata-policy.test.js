@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Tests for the selective metadata policy
+ *
+ * EXIF fixtures are written with sharp's withExif and read back from the
+ * encoded output.
+ */
+
+import sharp from 'sharp';
+import { resolveMetadataGroups, resolveMetadataPolicy } from '../metadata-policy.js';
+import { METADATA_GROUPS } from '../constants.js';
+
+/**
+ * Read the metadata of a small JPEG carrying copyright, capture date, camera and GPS tags
+ * @returns {Promise<import('sharp').Metadata>}
+ */
+async function taggedMetadata() {
+  const buffer = await sharp({
+    create: { width: 8, height: 8, channels: 3, background: '#ff0000' }
+  })
+    .withExif({
+      IFD0: { Artist: 'Jane Doe', Copyright: 'CC BY 4.0', Make: 'Canon', DateTime: '2024:05:01 10:00:00' },
+      IFD2: { ExposureTime: '1/200', DateTimeOriginal: '2024:05:01 10:00:00' },
+      IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '47/1 22/1 1234/100' }
+    })
+    .jpeg()
+    .toBuffer();
+  return sharp(buffer).metadata();
+}
+
+describe('resolveMetadataGroups', () => {
+  test('keeps nothing by default and everything with preserveExif', () => {
+    expect(resolveMetadataGroups({})).toEqual([]);
+    expect(resolveMetadataGroups({ preserveExif: true })).toEqual(METADATA_GROUPS);
+  });
+
+  test('lets an explicit list override preserveExif, in canonical order', () => {
+    expect(resolveMetadataGroups({ preserveExif: true, metadata: ['gps', 'copyright'] }))
+      .toEqual(['copyright', 'gps']);
+    expect(resolveMetadataGroups({ preserveExif: true, metadata: [] })).toEqual([]);
+  });
+});
+
+describe('resolveMetadataPolicy', () => {
+  test('copies only the EXIF tags of the selected groups', async () => {
+    const policy = resolveMetadataPolicy(await taggedMetadata(), { metadata: ['copyright', 'datetime'] });
+
+    expect(policy.keepAll).toBe(false);
+    expect(policy.retained).toEqual(['copyright', 'datetime']);
+    expect(policy.exif).toEqual({
+      IFD0: { Artist: 'Jane Doe', Copyright: 'CC BY 4.0', DateTime: '2024:05:01 10:00:00' },
+      IFD2: { DateTimeOriginal: '2024:05:01 10:00:00' }
+    });
+  });
+
+  test('round-trips rational GPS values', async () => {
+    const policy = resolveMetadataPolicy(await taggedMetadata(), { metadata: ['gps'] });
+
+    expect(policy.exif).toEqual({ IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '47/1 22/1 1234/100' } });
+  });
+
+  test('reports icc only when the profile is kept and skips absent groups', async () => {
+    const metadata = await sharp({
+      create: { width: 8, height: 8, channels: 3, background: '#ff0000' }
+    }).jpeg().toBuffer().then(buffer => sharp(buffer).metadata());
+
+    expect(resolveMetadataPolicy(metadata, { metadata: ['icc', 'gps'] }, true).retained).toEqual(['icc']);
+    expect(resolveMetadataPolicy(metadata, { metadata: ['icc', 'gps'] }, false))
+      .toEqual({ keepAll: false, exif: null, retained: [] });
+  });
+
+  test('keeps all metadata unchanged when every group is selected', async () => {
+    const policy = resolveMetadataPolicy(await taggedMetadata(), { preserveExif: true });
+
+    expect(policy.keepAll).toBe(true);
+    expect(policy.exif).toBeNull();
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Tests for output file name templates
+ */
+
+import {
+  parseNameTemplate,
+  getNameTemplate,
+  dependsOnImage,
+  dependsOnEncoding,
+  renderNameTemplate,
+  replaceAvifExtension
+} from '../name-template.js';
+
+describe('parseNameTemplate', () => {
+  test('lists the tokens of a template once each', () => {
+    expect(parseNameTemplate('[dir]/[name].[hash:8].avif')).toEqual(['dir', 'name', 'hash']);
+    expect(parseNameTemplate('[name]-[width]w-[width].avif')).toEqual(['name', 'width']);
+  });
+
+  test('rejects malformed templates', () => {
+    expect(() => parseNameTemplate('[name].webp')).toThrow('.avif');
+    expect(() => parseNameTemplate('.avif')).toThrow('.avif');
+    expect(() => parseNameTemplate('../[name].avif')).toThrow('output directory');
+    expect(() => parseNameTemplate('/tmp/[name].avif')).toThrow('output directory');
+    expect(() => parseNameTemplate('[title].avif')).toThrow('[title]');
+    expect(() => parseNameTemplate('[name:4].avif')).toThrow('length');
+    expect(() => parseNameTemplate('[hash:0].avif')).toThrow('length');
+  });
+});
+
+describe('getNameTemplate', () => {
+  test('defaults to plain names, or width suffixes for variants', () => {
+    expect(getNameTemplate({})).toBe('[name].avif');
+    expect(getNameTemplate({ widths: [320] })).toBe('[name]-[width]w.avif');
+    expect(getNameTemplate({ widths: [320], nameTemplate: '[width]/[name].avif' })).toBe('[width]/[name].avif');
+  });
+
+  test('tells when the name is known', () => {
+    expect(dependsOnImage('[dir]-[name].[ext].avif')).toBe(false);
+    expect(dependsOnImage('[name]-[height].avif')).toBe(true);
+    expect(dependsOnEncoding('[name]-[height].avif')).toBe(false);
+    expect(dependsOnEncoding('[name]-q[quality].avif')).toBe(true);
+  });
+});
+
+describe('renderNameTemplate', () => {
+  test('fills tokens and truncates the hash', () => {
+    const values = { name: 'hero', ext: 'jpg', width: 640, hash: 'abcdef0123456789' };
+
+    expect(renderNameTemplate('[name].[ext]-[width]w.[hash].avif', values)).toBe('hero.jpg-640w.abcdef01.avif');
+    expect(renderNameTemplate('[name].[hash:4].avif', values)).toBe('hero.abcd.avif');
+  });
+
+  test('keeps tokens without a value as written', () => {
+    expect(renderNameTemplate('[name].[hash:8].avif', { name: 'hero' })).toBe('hero.[hash:8].avif');
+  });
+
+  test('derives sibling outputs from the AVIF path', () => {
+    expect(replaceAvifExtension('out/hero.abcd.avif', '.webp')).toBe('out/hero.abcd.webp');
+    expect(replaceAvifExtension('out/hero.avif', '-poster.avif')).toBe('out/hero-poster.avif');
+  });
+});
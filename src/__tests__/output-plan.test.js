@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Tests for output planning and collision resolution
+ *
+ * planOutputs only computes paths, so the inputs do not need to exist.
+ */
+
+import path from 'path';
+import { planOutputs } from '../output-plan.js';
+import { DEFAULT_CONFIG } from '../constants.js';
+
+const files = [
+  path.join('images', 'photo.png'),
+  path.join('images', 'photo.jpg'),
+  path.join('images', 'logo.png')
+];
+
+describe('planOutputs', () => {
+  test('lists inputs that share an output and leaves them unresolved in error mode', () => {
+    const { collisions, configs, skipped } = planOutputs(files, { ...DEFAULT_CONFIG, onCollision: 'error' });
+
+    expect(collisions).toEqual([{
+      outputPath: path.join('images', 'photo.avif'),
+      inputs: [path.join('images', 'photo.jpg'), path.join('images', 'photo.png')],
+      resolution: 'error'
+    }]);
+    expect(configs.size).toBe(0);
+    expect(skipped.size).toBe(0);
+  });
+
+  test('keeps the preferred source format and skips the others by default', () => {
+    const byDefault = planOutputs(files, { ...DEFAULT_CONFIG });
+    const jpegFirst = planOutputs(files, { ...DEFAULT_CONFIG, onCollision: 'prefer', preferFormats: ['.jpeg', '.png'] });
+
+    expect(byDefault.collisions[0].kept).toBe(path.join('images', 'photo.png'));
+    expect([...byDefault.skipped]).toEqual([[path.join('images', 'photo.jpg'), path.join('images', 'photo.png')]]);
+    expect(jpegFirst.collisions[0].kept).toBe(path.join('images', 'photo.jpg'));
+    expect(jpegFirst.collisions[0].ranked).toEqual([path.join('images', 'photo.jpg'), path.join('images', 'photo.png')]);
+  });
+
+  test('suffixes colliding outputs with the source extension', () => {
+    const config = { ...DEFAULT_CONFIG, onCollision: 'suffix', outputDir: 'dist' };
+    const { collisions, configs } = planOutputs(files, config);
+
+    expect(collisions[0].outputs).toEqual([path.join('dist', 'photo.jpg.avif'), path.join('dist', 'photo.png.avif')]);
+    expect(configs.get(path.join('images', 'photo.png')).nameTemplate).toBe('[name].[ext].avif');
+    expect(configs.has(path.join('images', 'logo.png'))).toBe(false);
+  });
+
+  test('compares output paths case-insensitively', () => {
+    const { collisions } = planOutputs(['Photo.jpg', 'photo.png'], { ...DEFAULT_CONFIG });
+
+    expect(collisions).toHaveLength(1);
+  });
+
+  test('does not check templates named after the content hash', () => {
+    const { collisions } = planOutputs(files, { ...DEFAULT_CONFIG, nameTemplate: '[name].[hash:8].avif' });
+
+    expect(collisions).toEqual([]);
+  });
+});
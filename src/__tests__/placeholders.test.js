@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Tests for placeholder generation
+ *
+ * The expected BlurHash and ThumbHash strings were produced by the
+ * reference encoders (blurhash 2.0.5, thumbhash 0.1.1) for the same pixels.
+ */
+
+import sharp from 'sharp';
+import { encodeBlurHash, encodeThumbHash, generatePlaceholders } from '../placeholders.js';
+
+/**
+ * Render a landscape fixture with a half-transparent green patch
+ * @returns {Promise<{data: Buffer, info: import('sharp').OutputInfo}>}
+ */
+async function createTransparentFixture() {
+  return sharp({ create: { width: 100, height: 67, channels: 4, background: { r: 200, g: 40, b: 90, alpha: 1 } } })
+    .composite([{
+      input: { create: { width: 40, height: 30, channels: 4, background: { r: 10, g: 200, b: 30, alpha: 0.5 } } },
+      left: 10,
+      top: 5
+    }])
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Render an opaque portrait fixture with a yellow square
+ * @returns {Promise<{data: Buffer, info: import('sharp').OutputInfo}>}
+ */
+async function createPortraitFixture() {
+  return sharp({ create: { width: 60, height: 100, channels: 3, background: { r: 20, g: 40, b: 220 } } })
+    .composite([{
+      input: { create: { width: 30, height: 30, channels: 3, background: { r: 250, g: 250, b: 0 } } },
+      left: 20,
+      top: 50
+    }])
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
+
+describe('encodeBlurHash', () => {
+  test('matches the reference encoder in both orientations', async () => {
+    const landscape = await createTransparentFixture();
+    const portrait = await createPortraitFixture();
+
+    expect(encodeBlurHash(landscape.data, landscape.info.width, landscape.info.height)).toBe('LDLcS-3g+#{T7;B#w4+h#XwMW.OU');
+    expect(encodeBlurHash(portrait.data, portrait.info.width, portrait.info.height)).toBe('TVCZouIe4%9Tt1%C4%xn-y~aN49S');
+  });
+});
+
+describe('encodeThumbHash', () => {
+  test('matches the reference encoder with and without alpha', async () => {
+    const landscape = await createTransparentFixture();
+    const portrait = await createPortraitFixture();
+
+    expect(encodeThumbHash(landscape.data, landscape.info.width, landscape.info.height)).toBe('GvkCDYiwrpgwuYmaZ9dqiU/PBQuj');
+    expect(encodeThumbHash(portrait.data, portrait.info.width, portrait.info.height)).toBe('GtQFTAAlOqkmuW9jWJgEkkEgGQ==');
+  });
+
+  test('rejects images larger than 100x100', () => {
+    expect(() => encodeThumbHash(Buffer.alloc(101 * 4), 101, 1)).toThrow('100x100');
+  });
+});
+
+describe('generatePlaceholders', () => {
+  test('computes only the requested placeholders', async () => {
+    const portrait = await createPortraitFixture();
+
+    const placeholders = await generatePlaceholders(portrait, ['color', 'thumbhash']);
+
+    expect(placeholders).toEqual({ color: expect.stringMatching(/^#[0-9a-f]{6}$/), thumbhash: 'GtQFTAAlOqkmuW9jWJgEkkEgGQ==' });
+    // The blue background dominates the yellow square
+    expect(parseInt(placeholders.color.slice(5, 7), 16)).toBeGreaterThan(150);
+  });
+});
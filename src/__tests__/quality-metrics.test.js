@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Tests for the perceptual quality metrics
+ */
+
+import { computeSsim } from '../quality-metrics.js';
+
+/**
+ * Create a greyscale gradient with optional per-pixel noise
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [noise=0] - Maximum absolute noise added to each pixel
+ * @returns {Uint8Array}
+ */
+function createGradient(width, height, noise = 0) {
+  const pixels = new Uint8Array(width * height);
+  for (let i = 0; i < pixels.length; i++) {
+    const offset = noise ? ((i * 7919) % (2 * noise + 1)) - noise : 0;
+    pixels[i] = Math.max(0, Math.min(255, (i % width) * 4 + offset));
+  }
+  return pixels;
+}
+
+describe('computeSsim', () => {
+  test('returns 1 for identical images', () => {
+    const pixels = createGradient(32, 32);
+    expect(computeSsim(pixels, pixels, 32, 32)).toBeCloseTo(1, 6);
+  });
+
+  test('decreases as distortion increases', () => {
+    const reference = createGradient(32, 32);
+    const mild = computeSsim(reference, createGradient(32, 32, 4), 32, 32);
+    const strong = computeSsim(reference, createGradient(32, 32, 40), 32, 32);
+
+    expect(mild).toBeLessThan(1);
+    expect(strong).toBeLessThan(mild);
+  });
+
+  test('handles images smaller than a window', () => {
+    const pixels = createGradient(4, 3);
+    expect(computeSsim(pixels, pixels, 4, 3)).toBeCloseTo(1, 6);
+  });
+
+  test('throws when buffers do not match the dimensions', () => {
+    expect(() => computeSsim(new Uint8Array(10), new Uint8Array(16), 4, 4)).toThrow('identical dimensions');
+  });
+});
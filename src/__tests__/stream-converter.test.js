@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Tests for the streaming API
+ *
+ * Covers createAvifTransform (Node.js Duplex) and createAvifTransformStream
+ * (web TransformStream). Sources are generated with sharp and fed in small
+ * chunks, which are written into Sharp as they arrive.
+ */
+
+import { jest } from '@jest/globals';
+import { Readable, Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+import sharp from 'sharp';
+import { createAvifTransform, createAvifTransformStream } from '../stream-converter.js';
+import { convertBufferToAvif } from '../image-processor.js';
+
+jest.setTimeout(60000); // AVIF encoding can be slow on CI hardware
+
+/**
+ * Create a solid-color JPEG buffer
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<Buffer>}
+ */
+async function createJpegBuffer(width, height) {
+  return sharp({
+    create: { width, height, channels: 3, background: { r: 220, g: 90, b: 40 } }
+  })
+    .jpeg({ quality: 90 })
+    .toBuffer();
+}
+
+/**
+ * Split a buffer into chunks of the given size
+ * @param {Buffer} buffer
+ * @param {number} size
+ * @returns {Buffer[]}
+ */
+function chunksOf(buffer, size) {
+  const chunks = [];
+  for (let offset = 0; offset < buffer.length; offset += size) {
+    chunks.push(buffer.subarray(offset, offset + size));
+  }
+  return chunks;
+}
+
+/**
+ * Writable that collects everything written to it
+ * @returns {{sink: Writable, data: function(): Buffer}}
+ */
+function collector() {
+  const chunks = [];
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  return { sink, data: () => Buffer.concat(chunks) };
+}
+
+describe('createAvifTransform', () => {
+  test('converts piped input with the buffer API rules and reports the result', async () => {
+    const input = await createJpegBuffer(800, 400);
+    const avif = createAvifTransform({ maxWidth: 200, quality: 50 });
+    const { sink, data } = collector();
+    const events = [];
+    avif.on('result', (result) => events.push(result));
+
+    await pipeline(Readable.from(chunksOf(input, 1024)), avif, sink);
+
+    const output = data();
+    const metadata = await sharp(output).metadata();
+    const result = await avif.result;
+
+    expect(metadata.format).toBe('heif');
+    expect([metadata.width, metadata.height]).toEqual([200, 100]);
+    expect(result).toMatchObject({ width: 200, height: 100, originalSize: input.length, outputSize: output.length, quality: 50 });
+    expect(result.buffer).toBeUndefined();
+    expect(events).toEqual([result]);
+  });
+
+  test('produces the same AVIF as the buffer API when profiles, content and placeholders are inspected', async () => {
+    const input = await sharp({
+      create: { width: 120, height: 80, channels: 4, background: { r: 40, g: 160, b: 90, alpha: 1 } }
+    })
+      .withIccProfile('p3')
+      .png()
+      .toBuffer();
+    const options = { colorProfile: 'assign', assignProfile: 'adobe-rgb', chroma: 'auto', placeholders: ['color'] };
+    const avif = createAvifTransform(options);
+    const { sink, data } = collector();
+
+    await pipeline(Readable.from(chunksOf(input, 5)), avif, sink);
+
+    const { buffer, processingTime, ...expected } = await convertBufferToAvif(input, options);
+    const { processingTime: streamTime, ...result } = await avif.result;
+    expect(data()).toEqual(buffer);
+    expect(result).toEqual(expected);
+    expect(result).toMatchObject({ iccProfile: 'assigned', wasPreprocessed: false });
+  });
+
+  test('fails the pipeline and rejects the result for invalid input', async () => {
+    const avif = createAvifTransform();
+    const { sink } = collector();
+
+    await expect(pipeline(Readable.from([Buffer.from('not an image')]), avif, sink)).rejects.toThrow();
+    await expect(avif.result).rejects.toThrow();
+  });
+});
+
+describe('createAvifTransformStream', () => {
+  test('converts a web stream and resolves the result', async () => {
+    const input = await createJpegBuffer(300, 300);
+    const avif = createAvifTransformStream({ maxDimension: 100 });
+
+    const output = Buffer.from(await new Response(new Blob([input]).stream().pipeThrough(avif)).arrayBuffer());
+    const result = await avif.result;
+
+    expect((await sharp(output).metadata()).width).toBe(100);
+    expect(result).toMatchObject({ width: 100, height: 100, outputSize: output.length });
+  });
+
+  test('errors the stream for invalid input', async () => {
+    const avif = createAvifTransformStream();
+    const readable = new Blob([Buffer.from('not an image')]).stream().pipeThrough(avif);
+
+    await expect(new Response(readable).arrayBuffer()).rejects.toThrow();
+    await expect(avif.result).rejects.toThrow();
+  });
+});
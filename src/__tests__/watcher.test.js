@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Tests for the debounced directory watcher
+ *
+ * Uses a short debounce so batches are reported quickly; each test waits
+ * for the batch it expects instead of sleeping.
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { watchDirectory } from '../watcher.js';
+
+jest.setTimeout(10000);
+
+let tmpDir;
+let watcher;
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'avif-watch-'));
+});
+
+afterEach(async () => {
+  await watcher?.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Watch tmpDir and collect batches
+ * @param {Object} [options]
+ * @returns {{batches: string[][], next: function(): Promise<string[]>}}
+ */
+function collectBatches(options = {}) {
+  const batches = [];
+  let notify = () => {};
+  watcher = watchDirectory(tmpDir, {
+    debounceMs: 50,
+    ...options,
+    onChange: async (paths) => {
+      batches.push(paths);
+      notify();
+      await options.onChange?.(paths);
+    }
+  });
+  return {
+    batches,
+    next: () => new Promise(resolve => {
+      notify = () => resolve(batches[batches.length - 1]);
+    })
+  };
+}
+
+describe('watchDirectory', () => {
+  test('reports changes in subdirectories as one debounced batch', async () => {
+    await fs.mkdir(path.join(tmpDir, 'sub'));
+    const { batches, next } = collectBatches({ recursive: true });
+
+    const batch = next();
+    await fs.writeFile(path.join(tmpDir, 'a.jpg'), 'a');
+    await fs.writeFile(path.join(tmpDir, 'sub', 'b.jpg'), 'b');
+
+    expect((await batch).sort()).toEqual([path.join(tmpDir, 'a.jpg'), path.join(tmpDir, 'sub', 'b.jpg')]);
+    expect(batches).toHaveLength(1);
+  });
+
+  test('holds changes made during a batch for the next one', async () => {
+    let release;
+    const blocked = new Promise(resolve => { release = resolve; });
+    const { batches, next } = collectBatches({ onChange: () => batches.length === 1 && blocked });
+
+    const first = next();
+    await fs.writeFile(path.join(tmpDir, 'a.jpg'), 'a');
+    await first;
+
+    const second = next();
+    await fs.writeFile(path.join(tmpDir, 'b.jpg'), 'b');
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(batches).toHaveLength(1);
+
+    release();
+    expect(await second).toEqual([path.join(tmpDir, 'b.jpg')]);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Incremental build cache for AVIF Image Optimizer
+ *
+ * Records, per source file, the SHA-256 of its content, a hash of the
+ * settings and output paths that shape its outputs and the outputs written. A later run
+ * skips sources whose content and settings are unchanged and whose outputs
+ * still exist, and rebuilds everything else even if an (outdated) output
+ * exists. Paths are stored relative to the cache file, so the cache stays
+ * valid when a CI checkout moves.
+ *
+ * @module build-cache
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import path from 'path';
+import { hashContent } from './name-template.js';
+import { listResultOutputs, getExpectedOutputs, getOutputPath } from './image-processor.js';
+
+/**
+ * Version of the cache file format; other versions are ignored
+ * @constant {number}
+ * @private
+ */
+const CACHE_FORMAT_VERSION = 1;
+
+/**
+ * Configuration keys that change the outputs of a source
+ * @constant {string[]}
+ * @private
+ */
+const OUTPUT_SETTINGS = [
+  'maxWidth', 'maxHeight', 'quality', 'effort', 'targetSize', 'targetSsim', 'minQuality', 'maxQuality',
+  'lossless', 'chroma', 'bitDepth', 'wideGamut', 'colorProfile', 'assignProfile', 'formats', 'background',
+  'animation', 'poster', 'allImages', 'widths', 'aspect', 'fit', 'crop', 'focus', 'autoOrient',
+  'preserveExif', 'metadata', 'outputDir', 'flat', 'nameTemplate', 'minSavings',
+  'placeholders', 'onCollision', 'preferFormats'
+];
+
+/**
+ * Version of the optimizer, so upgrades rebuild everything
+ * @constant {string}
+ * @private
+ */
+const OPTIMIZER_VERSION = JSON.parse(
+  fsSync.readFileSync(new URL('../package.json', import.meta.url), 'utf8')
+).version;
+
+/**
+ * Hash the settings that shape the outputs of a source
+ *
+ * Settings such as config.inputRoot only matter through the paths they
+ * resolve to, so callers pass the resolved output paths of the source
+ * rather than the setting itself.
+ *
+ * @param {Object} config - Effective configuration of the source
+ * @param {string[]} [outputs=[]] - Resolved output paths of the source
+ * @returns {string} Hex SHA-256 of the output settings and paths
+ * @example
+ * getSettingsHash({ ...DEFAULT_CONFIG, quality: 70 }) !== getSettingsHash(DEFAULT_CONFIG); // true
+ */
+export function getSettingsHash(config, outputs = []) {
+  const settings = Object.fromEntries(OUTPUT_SETTINGS.map(key => [key, config[key] ?? null]));
+  return crypto.createHash('sha256').update(JSON.stringify([OPTIMIZER_VERSION, settings, outputs])).digest('hex');
+}
+
+/**
+ * Open the build cache stored at a path
+ *
+ * A missing or unreadable cache file starts an empty cache. `lookup`
+ * reports a hit when the source content, the settings and the outputs are
+ * unchanged; `record` stores the outcome of a conversion (including
+ * sources skipped as 'not-smaller', which stay skipped while unchanged);
+ * `save` writes the cache, dropping entries whose source no longer exists.
+ *
+ * @param {string} cachePath - Cache file path, e.g. '.avif-cache.json'
+ * @returns {Promise<{lookup: function(string, Object): Promise<{hit: boolean, sourceHash: string, skippedReason?: string, outputPath?: string}>, record: function(string, string, Object, Object): void, save: function(): Promise<void>, stats: {hits: number, misses: number}}>} Build cache
+ * @example
+ * const cache = await openBuildCache('.avif-cache.json');
+ * const { hit, sourceHash } = await cache.lookup('images/hero.jpg', config);
+ * if (!hit) {
+ *   cache.record('images/hero.jpg', sourceHash, config, await convertImageToAvif('images/hero.jpg', { ...config, force: true }));
+ * }
+ * await cache.save();
+ */
+export async function openBuildCache(cachePath) {
+  const cacheDir = path.dirname(path.resolve(cachePath));
+  const toKey = (filePath) => path.relative(cacheDir, path.resolve(filePath)).split(path.sep).join('/');
+  const fromKey = (key) => path.relative(process.cwd(), path.join(cacheDir, key));
+  // Names that depend on the encoded output keep their tokens, so the output directory still counts
+  const hashSettings = (inputPath, config) => getSettingsHash(config, [
+    ...new Set([getOutputPath(inputPath, config), ...getExpectedOutputs(inputPath, config)])
+  ].map(toKey));
+
+  /** @type {Object.<string, {sourceHash: string, settingsHash: string, outputs: string[], skippedReason?: string}>} */
+  let entries = {};
+  try {
+    const cache = JSON.parse(await fs.readFile(cachePath, 'utf8'));
+    if (cache.version === CACHE_FORMAT_VERSION && cache.entries && typeof cache.entries === 'object') {
+      entries = cache.entries;
+    }
+  } catch {
+    // No usable cache yet; every source is a miss
+  }
+
+  const stats = { hits: 0, misses: 0 };
+
+  return {
+    stats,
+
+    async lookup(inputPath, config) {
+      const sourceHash = hashContent(await fs.readFile(inputPath));
+      const entry = entries[toKey(inputPath)];
+      const outputs = entry ? entry.outputs.map(fromKey) : [];
+      const unchanged = entry
+        && entry.sourceHash === sourceHash
+        && entry.settingsHash === hashSettings(inputPath, config)
+        && outputs.every(output => fsSync.existsSync(output));
+
+      if (!unchanged) {
+        stats.misses++;
+        return { hit: false, sourceHash };
+      }
+      stats.hits++;
+      return { hit: true, sourceHash, skippedReason: entry.skippedReason, outputPath: outputs[0] };
+    },
+
+    record(inputPath, sourceHash, config, result) {
+      if (result.error || (result.skipped && result.skippedReason !== 'not-smaller')) {
+        return;
+      }
+      entries[toKey(inputPath)] = {
+        sourceHash,
+        settingsHash: hashSettings(inputPath, config),
+        outputs: listResultOutputs(result).map(toKey),
+        ...(result.skippedReason ? { skippedReason: result.skippedReason } : {})
+      };
+    },
+
+    async save() {
+      const kept = Object.fromEntries(
+        Object.entries(entries)
+          .filter(([key]) => fsSync.existsSync(path.join(cacheDir, key)))
+          .sort(([a], [b]) => a.localeCompare(b))
+      );
+      // Write a temporary file first so an interrupted run never leaves a truncated cache
+      const temporaryPath = `${cachePath}.${process.pid}.tmp`;
+      await fs.mkdir(cacheDir, { recursive: true });
+      await fs.writeFile(temporaryPath, JSON.stringify({ version: CACHE_FORMAT_VERSION, entries: kept }, null, 2));
+      await fs.rename(temporaryPath, cachePath);
+    }
+  };
+}
@@ -2,7 +2,7 @@
 
 import fs from 'fs';
 import path from 'path';
-import { glob } from 'glob';
+import { glob, hasMagic } from 'glob';
 import { program } from 'commander';
 import {
   setOutputMode,
@@ -20,26 +20,66 @@ import {
   displayFileDiscovery,
   displayNoFilesError,
   displayValidationError,
+  displayCollisions,
+  displayWatchStart,
+  displayWatchBatch,
+  displayPrunedOutputs,
+  displayWatchStop,
+  displayRewrites,
   COLORS,
   OUTPUT_MODES
 } from './output-formatter.js';
-import { DEFAULT_CONFIG, SUPPORTED_FORMATS, DEFAULT_EXCLUDED_DIRS, DEFAULT_EXCLUDED_FILES } from './constants.js';
+import {
+  DEFAULT_CONFIG,
+  SUPPORTED_FORMATS,
+  DEFAULT_EXCLUDED_DIRS,
+  DEFAULT_EXCLUDED_FILES,
+  DEFAULT_CACHE_FILE
+} from './constants.js';
+import { ERROR_TYPES, createError } from './error-handler.js';
 import {
   validateNumericRange,
   validateQuality,
   validateEffort,
   validateInputExists,
   validateOutputDirectory,
-  validateDimensions
+  validateDimensions,
+  validateWidths,
+  validateByteSize,
+  validateTargetSsim,
+  validateFormats,
+  validateChroma,
+  validateBitDepth,
+  validateColorProfile,
+  validateAssignProfile,
+  validateAspect,
+  validateFit,
+  validateCrop,
+  validateFocus,
+  validateMetadataGroups,
+  validateNameTemplate,
+  validateMinSavings,
+  validateCollisionMode,
+  validatePreferFormats,
+  validatePlaceholders
 } from './validation.js';
 import {
   convertImageToAvif,
   analyzeImageFile,
   getOptimizedDimensions,
-  createTimer
+  createTimer,
+  getOutputPath,
+  getExpectedOutputs,
+  listResultOutputs
 } from './image-processor.js';
+import { planOutputs } from './output-plan.js';
+import { openBuildCache } from './build-cache.js';
+import { openManifest } from './manifest.js';
+import { rewriteHtmlFiles } from './html-rewriter.js';
+import { rewriteCssFiles } from './css-rewriter.js';
 import { processInParallel, getOptimalConcurrency } from './parallel-processor.js';
 import { generateReports } from './report-generator.js';
+import { watchDirectory } from './watcher.js';
 
 /**
  * AVIF Image Optimizer
@@ -110,46 +150,122 @@ async function findImageFilesWithExclusions(pattern, recursive, excludePatterns
 }
 
 /**
- * Main conversion function
+ * Leave out files the optimizer wrote for other discovered sources
+ *
+ * Without --output-dir, fallbacks (`hero.webp` next to `hero.jpg`) are
+ * written next to their sources and would otherwise be converted as inputs
+ * on the next run. Expected outputs cover name templates that do not depend
+ * on the encoded image; the manifest, if any, covers the rest.
+ *
+ * @param {string[]} files - Discovered image files
+ * @param {Object} config - Configuration object
+ * @param {?Object} manifest - Image manifest from openManifest
+ * @returns {string[]} Files that are not outputs of another discovered file
+ * @private
  */
-async function optimizeImages(input, options) {
-  const batchTimer = createTimer();
-  const config = { ...DEFAULT_CONFIG, ...options };
+function excludeOwnOutputs(files, config, manifest) {
+  const key = (file) => path.resolve(file);
+  /** @type {Set<string>} */
+  const outputs = new Set();
+  for (const file of files) {
+    const fileOutputs = [
+      ...getExpectedOutputs(file, config),
+      ...(manifest?.lookup(file)?.outputs.map(output => output.src) || [])
+    ];
+    // An AVIF-named source converted in place is still a source
+    fileOutputs.filter(output => key(output) !== key(file)).forEach(output => outputs.add(key(output)));
+  }
+  return files.filter(file => !outputs.has(key(file)));
+}
 
-  setOutputMode(config);
-  
-  displayHeader({
-    ...config,
-    supportedFormats: SUPPORTED_FORMATS
+/**
+ * Get the directory whose tree is mirrored under --output-dir
+ *
+ * A directory input is its own root, a single file's root is its
+ * directory and a glob's root is the part before the first wildcard
+ * (`images/*.{jpg,png}` → `images`).
+ *
+ * @param {string} input - Input file, directory or glob pattern
+ * @returns {string} Input root directory
+ */
+function getInputRoot(input) {
+  if (!hasMagic(input)) {
+    return fs.existsSync(input) && fs.statSync(input).isDirectory() ? input : path.dirname(input);
+  }
+
+  const segments = input.split(/[\\/]/);
+  const staticSegments = segments.slice(0, segments.findIndex(segment => hasMagic(segment)));
+  return staticSegments.join('/') || (input.startsWith('/') ? '/' : '.');
+}
+
+/**
+ * Aggregate written outputs per format (AVIF plus any fallbacks)
+ * @param {Array<Object>} results - Successful processing results
+ * @returns {Object.<string, {files: number, totalOutputSize: number}>} Output count and bytes per format
+ */
+function summarizeFormats(results) {
+  /** @type {Object.<string, {files: number, totalOutputSize: number}>} */
+  const formats = {};
+  const add = (format, outputSize) => {
+    formats[format] = formats[format] || { files: 0, totalOutputSize: 0 };
+    formats[format].files++;
+    formats[format].totalOutputSize += outputSize;
+  };
+
+  results.forEach(result => {
+    if (result.variants) {
+      result.variants.forEach(variant => add('avif', variant.outputSize));
+    } else {
+      add('avif', result.outputSize);
+    }
+    (result.fallbacks || []).forEach(fallback => add(fallback.format, fallback.outputSize));
   });
-  
-  // Find image files with exclusions
-  const { files: imageFiles, excludedCount } = await findImageFilesWithExclusions(
-    input, 
-    config.recursive, 
-    config.exclude
-  );
 
-  if (imageFiles.length === 0) {
-    displayNoFilesError(input, SUPPORTED_FORMATS);
-    // Return empty results for programmatic use instead of exiting
-    return {
-      stats: {
-        processed: 0,
-        skipped: 0,
-        resized: 0,
-        totalOriginalSize: 0,
-        totalOutputSize: 0,
-        totalSavingsPercent: 0,
-        totalBatchTime: batchTimer.end(),
-        totalProcessingTime: 0,
-        averageProcessingTime: 0
-      },
-      results: []
-    };
-  }
+  return formats;
+}
 
-  displayFileDiscovery(imageFiles.length, excludedCount);
+/**
+ * Check whether a conversion result left no output behind
+ * @param {?Object} result - Result of convertImageToAvif or analyzeImageFile, null if it threw
+ * @returns {boolean} True for failures and sources discarded by --min-savings
+ * @private
+ */
+function writesNothing(result) {
+  return !result || Boolean(result.error) || result.skippedReason === 'not-smaller';
+}
+
+/**
+ * Convert a batch of files and summarize the results
+ *
+ * Outputs are planned across all of `plannedFiles`, so a watch mode batch
+ * of changed files still detects collisions with the rest of the tree;
+ * only collisions involving the batch are reported. When the input kept by
+ * a 'prefer' collision writes nothing (it fails or is discarded by
+ * --min-savings), the next input in order of preference is converted
+ * instead; `kept` is updated to the input that wrote the output, or null.
+ *
+ * @param {string[]} imageFiles - Files to convert
+ * @param {Object} config - Configuration object
+ * @param {Object} [context={}] - Batch context
+ * @param {?Object} [context.cache=null] - Build cache from openBuildCache
+ * @param {?Object} [context.manifest=null] - Image manifest from openManifest
+ * @param {string[]} [context.plannedFiles] - Inputs whose outputs must not collide (default: imageFiles)
+ * @param {{end: function(): number}} [context.batchTimer] - Timer started before discovery
+ * @returns {Promise<Object>} Summary with stats, inputRoot, collisions and successful results
+ * @throws {Error} OUTPUT_COLLISION if inputs share an output and config.onCollision is 'error'
+ */
+async function convertFiles(imageFiles, config, { cache = null, manifest = null, plannedFiles = imageFiles, batchTimer = createTimer() } = {}) {
+  // Map every input to its output up front, so inputs sharing an output don't race in the workers
+  const plan = planOutputs(plannedFiles, config);
+  const { configs, skipped } = plan;
+  const collisions = plan.collisions.filter(collision => collision.inputs.some(input => imageFiles.includes(input)));
+  displayCollisions(collisions, config);
+  if (!config.dryRun && collisions.some(collision => collision.resolution === 'error')) {
+    throw createError(
+      `${collisions.length} output name collision(s); choose --on-collision suffix or prefer`,
+      ERROR_TYPES.OUTPUT_COLLISION
+    );
+  }
   
   // Determine concurrency level
   const concurrency = config.concurrency || getOptimalConcurrency(imageFiles.length);
@@ -157,24 +273,88 @@ async function optimizeImages(input, options) {
     verbose(`Using concurrency level: ${concurrency}`);
   }
   
+  // Inputs ranked ahead of each skipped input of a 'prefer' collision, best first
+  /** @type {Map<string, string[]>} */
+  const preferredInputs = new Map();
+  collisions.filter(collision => collision.ranked).forEach(({ ranked }) => {
+    ranked.forEach((input, index) => preferredInputs.set(input, ranked.slice(0, index)));
+  });
+
   // Process files in parallel
-  const processFunction = config.dryRun 
-    ? (file) => analyzeImageFile(file, config)
-    : (file) => convertImageToAvif(file, config);
+  const processFile = config.dryRun ? analyzeImageFile : convertImageToAvif;
+  /** @type {Map<string, Promise<Object>>} */
+  const conversions = new Map();
+  const convert = (file) => {
+    if (!conversions.has(file)) {
+      conversions.set(file, convertFile(file));
+    }
+    return conversions.get(file);
+  };
+  const processFunction = async (file) => {
+    // A skipped input takes over the name when every input preferred over it writes nothing
+    for (const preferred of skipped.has(file) ? preferredInputs.get(file) : []) {
+      // Inputs outside a watch batch keep the output they wrote before
+      const inBatch = imageFiles.includes(preferred);
+      if (!inBatch || !writesNothing(await convert(preferred).catch(() => null))) {
+        return {
+          inputPath: file,
+          outputPath: getOutputPath(file, config),
+          skipped: true,
+          skippedReason: 'collision',
+          keptInputPath: preferred
+        };
+      }
+    }
+    return convert(file);
+  };
+  const convertFile = async (file) => {
+    const fileConfig = configs.get(file) || config;
+    if (!cache) {
+      return processFile(file, fileConfig);
+    }
+
+    // The cache decides what is stale, so a miss rebuilds even if an outdated output exists
+    const { hit, sourceHash, skippedReason, outputPath } = await cache.lookup(file, fileConfig);
+    if (hit) {
+      // Sources discarded by --min-savings wrote nothing, so they stay skipped for that reason
+      return {
+        inputPath: file,
+        outputPath: outputPath || getOutputPath(file, fileConfig),
+        skipped: true,
+        skippedReason: skippedReason || 'cached',
+        ...(skippedReason ? { cached: true } : {})
+      };
+    }
+    const result = await processFile(file, { ...fileConfig, force: true });
+    if (!config.dryRun) {
+      cache.record(file, sourceHash, fileConfig, result);
+    }
+    return result;
+  };
   
   let skippedCount = 0;
+  /** @type {Object.<string, number>} */
+  const skippedReasons = {};
+  let failedCount = 0;
   const allResults = [];
+  const outcomes = [];
   
-  const { results: processedResults, errors } = await processInParallel(
+  const { errors } = await processInParallel(
     imageFiles,
     processFunction,
     {
       concurrency,
       onProgress: ({ result, error }) => {
         if (result) {
+          outcomes.push(result);
           displayFileProgress(result, config);
           if (result.skipped) {
             skippedCount++;
+            const reason = result.skippedReason || 'exists';
+            skippedReasons[reason] = (skippedReasons[reason] || 0) + 1;
+          } else if (result.error) {
+            // Per-file failures are returned as results, not thrown
+            failedCount++;
           } else {
             allResults.push(result);
           }
@@ -186,10 +366,7 @@ async function optimizeImages(input, options) {
         // Create error result for display
         const errorResult = {
           inputPath: file,
-          outputPath: path.join(
-            config.outputDir || path.dirname(file),
-            `${path.basename(file, path.extname(file))}.avif`
-          ),
+          outputPath: getOutputPath(file, configs.get(file) || config),
           error: error.message,
           errorCode: /** @type {Error & {code?: string}} */ (error).code
         };
@@ -198,45 +375,286 @@ async function optimizeImages(input, options) {
     }
   );
 
+  if (cache && !config.dryRun) {
+    await cache.save();
+  }
+  // Dry runs are recorded too, so --rewrite-html can preview its changes
+  if (manifest) {
+    for (const result of outcomes) {
+      await manifest.record(result, configs.get(result.inputPath) || config);
+    }
+    if (!config.dryRun) {
+      await manifest.save();
+    }
+  }
+
+  // Report which input of each 'prefer' collision ended up writing the output, if any
+  for (const collision of collisions.filter(collision => collision.ranked)) {
+    collision.kept = collision.ranked.find(input => {
+      if (!imageFiles.includes(input)) return true;
+      const result = outcomes.find(outcome => outcome.inputPath === input);
+      return result && result.skippedReason !== 'collision' && !writesNothing(result);
+    }) ?? null;
+  }
+
   // Filter out skipped files from results
   const results = allResults.filter(r => !r.skipped);
   
   const totalBatchTime = batchTimer.end();
 
-  // Summary
-  if (results.length > 0 || skippedCount > 0) {
-    const totalOriginalSize = results.reduce((sum, r) => sum + r.originalSize, 0);
-    const totalOutputSize = results.reduce((sum, r) => sum + r.outputSize, 0);
-    const totalSavings = totalOriginalSize > 0 
-      ? ((totalOriginalSize - totalOutputSize) / totalOriginalSize * 100).toFixed(1)
-      : '0';
-    const resizedCount = results.filter(r => r.resized || r.dimensionChange).length;
-    
-    // Calculate timing statistics
-    const totalProcessingTime = results.reduce((sum, r) => sum + (r.processingTime || 0), 0);
-    const averageProcessingTime = results.length > 0 ? totalProcessingTime / results.length : 0;
+  const totalOriginalSize = results.reduce((sum, r) => sum + r.originalSize, 0);
+  const totalOutputSize = results.reduce((sum, r) => sum + r.outputSize, 0);
+  const totalSavings = totalOriginalSize > 0 
+    ? ((totalOriginalSize - totalOutputSize) / totalOriginalSize * 100).toFixed(1)
+    : '0';
+  const resizedCount = results.filter(r => r.resized || r.dimensionChange).length;
+  
+  // Calculate timing statistics
+  const totalProcessingTime = results.reduce((sum, r) => sum + (r.processingTime || 0), 0);
+  const averageProcessingTime = results.length > 0 ? totalProcessingTime / results.length : 0;
+
+  return {
+    stats: {
+      processed: results.length,
+      skipped: skippedCount,
+      skippedReasons,
+      resized: resizedCount,
+      firstFrameOnly: results.filter(r => r.firstFrameOnly).length,
+      totalOriginalSize,
+      totalOutputSize,
+      totalSavingsPercent: parseFloat(totalSavings),
+      formats: summarizeFormats(results),
+      originalsDeleted: results.filter(r => r.originalRemoved?.method === 'deleted').length,
+      originalsTrashed: results.filter(r => r.originalRemoved?.method === 'trashed').length,
+      totalBatchTime,
+      totalProcessingTime,
+      averageProcessingTime,
+      concurrency,
+      ...(cache ? { cache: { ...cache.stats } } : {}),
+      errors: errors.length + failedCount
+    },
+    inputRoot: config.inputRoot,
+    collisions,
+    results
+  };
+}
 
-    const summary = {
+/**
+ * Rewrite references to converted images in web files
+ *
+ * Uses every source known to the manifest, so images converted by earlier
+ * runs are rewritten as well. The rewrites are added to the summary.
+ *
+ * @param {Object} summary - Summary from convertFiles
+ * @param {Object} config - Configuration object
+ * @param {Object} manifest - Image manifest from openManifest
+ * @returns {Promise<void>}
+ */
+async function rewriteReferences(summary, config, manifest) {
+  if (config.rewriteHtml) {
+    summary.htmlRewrites = await rewriteHtmlFiles(config.rewriteHtml, manifest, {
+      webRoot: getInputRoot(config.rewriteHtml),
+      dryRun: config.dryRun
+    });
+    displayRewrites(summary.htmlRewrites, 'image(s) wrapped in <picture>', config);
+  }
+  if (config.rewriteCss) {
+    summary.cssRewrites = await rewriteCssFiles(config.rewriteCss, manifest, {
+      webRoot: getInputRoot(config.rewriteCss),
+      dryRun: config.dryRun
+    });
+    displayRewrites(summary.cssRewrites, 'url() reference(s) given an image-set()', config);
+  }
+}
+
+/**
+ * Convert new and changed images until stopped
+ *
+ * Changed paths are matched against a fresh discovery, so watch mode
+ * converts exactly the files a new run would pick up, exclusions included.
+ * Files the optimizer wrote itself (e.g. WebP fallbacks next to their
+ * sources) are ignored. With config.prune, deleting a source deletes the
+ * outputs it had or would have.
+ *
+ * @param {string} input - Input file, directory or glob pattern
+ * @param {Object} config - Configuration object
+ * @param {Object} context - State of the initial run
+ * @param {string[]} context.excludes - Exclude patterns used for discovery
+ * @param {string[]} context.files - Files found by the initial discovery
+ * @param {Array<Object>} context.results - Successful results of the initial run
+ * @param {?Object} context.cache - Build cache from openBuildCache
+ * @param {?Object} context.manifest - Image manifest from openManifest
+ * @returns {{close: function(): Promise<void>}} Watcher
+ * @throws {Error} INVALID_INPUT if recursive watching is unavailable on this Node.js version
+ */
+function watchImages(input, config, { excludes, files, results, cache, manifest }) {
+  const key = (file) => path.resolve(file);
+  /** @type {Map<string, string[]>} */
+  const outputsBySource = new Map();
+  /** @type {Set<string>} */
+  const ownOutputs = new Set();
+  // Sources whose original was removed after converting must not prune their new outputs
+  const removedOriginals = (batchResults) => new Set(
+    batchResults.filter(result => result.originalRemoved).map(result => key(result.inputPath))
+  );
+  const recordOutputs = (batchResults) => batchResults.forEach(result => {
+    const outputs = listResultOutputs(result);
+    outputsBySource.set(key(result.inputPath), outputs);
+    outputs.forEach(output => ownOutputs.add(key(output)));
+  });
+
+  recordOutputs(results);
+  const removed = removedOriginals(results);
+  let knownFiles = new Set(files.map(key).filter(file => !removed.has(file)));
+
+  const pruneOutputs = async (inputPath, currentFiles) => {
+    const candidates = new Set([...(outputsBySource.get(key(inputPath)) || []), ...getExpectedOutputs(inputPath, config)]);
+    const pruned = [];
+    for (const output of candidates) {
+      // Never delete another source that happens to share a fallback name
+      if (!fs.existsSync(output) || (currentFiles.has(key(output)) && !ownOutputs.has(key(output)))) continue;
+      await fs.promises.rm(output);
+      pruned.push(output);
+    }
+    outputsBySource.delete(key(inputPath));
+    if (pruned.length > 0) {
+      displayPrunedOutputs(inputPath, pruned, config);
+    }
+  };
+
+  const onChange = async (paths) => {
+    const changed = new Set(paths.map(key).filter(file => !ownOutputs.has(file)));
+    if (changed.size === 0) return;
+
+    const { files: found } = await findImageFilesWithExclusions(input, config.recursive, excludes);
+    const discovered = excludeOwnOutputs(found, config, manifest);
+    const currentFiles = new Set(discovered.map(key));
+    const deleted = [...changed].filter(file => knownFiles.has(file) && !currentFiles.has(file) && !fs.existsSync(file));
+    knownFiles = currentFiles;
+
+    if (config.prune) {
+      for (const file of deleted) {
+        await pruneOutputs(path.relative(process.cwd(), file), currentFiles);
+      }
+      if (deleted.length > 0) {
+        await cache?.save();
+        await manifest?.save();
+      }
+    }
+
+    const changedFiles = discovered.filter(file => changed.has(key(file)));
+    if (changedFiles.length === 0) return;
+
+    // Changed sources are converted again even though their outputs exist
+    const summary = await convertFiles(changedFiles, { ...config, force: true }, { cache, manifest, plannedFiles: discovered });
+    await rewriteReferences(summary, config, manifest);
+    recordOutputs(summary.results);
+    removedOriginals(summary.results).forEach(file => knownFiles.delete(file));
+    displayWatchBatch(summary, config);
+  };
+
+  const recursive = config.recursive || input.includes('**');
+  let watcher;
+  try {
+    watcher = watchDirectory(config.inputRoot, {
+      recursive,
+      onChange,
+      onError: (err) => error('❌ Watch batch failed:', err.message)
+    });
+  } catch (err) {
+    // fs.watch only watches recursively on Linux from Node.js 20
+    if (recursive && err.code === 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+      throw createError(
+        `Recursive watching needs Node.js 20 or newer on ${process.platform} (running ${process.version})`,
+        ERROR_TYPES.INVALID_INPUT
+      );
+    }
+    throw err;
+  }
+  displayWatchStart(config.inputRoot, config);
+
+  return {
+    async close() {
+      await watcher.close();
+      displayWatchStop();
+    }
+  };
+}
+
+/**
+ * Main conversion function
+ */
+async function optimizeImages(input, options) {
+  const batchTimer = createTimer();
+  const config = { ...DEFAULT_CONFIG, ...options };
+  config.inputRoot = config.inputRoot || getInputRoot(input);
+
+  setOutputMode(config);
+  
+  displayHeader({
+    ...config,
+    supportedFormats: SUPPORTED_FORMATS
+  });
+  
+  // Find image files with exclusions (originals moved to the trash directory are never picked up again)
+  const excludes = config.trashDir ? [...config.exclude, path.join(path.normalize(config.trashDir), '**')] : config.exclude;
+  const { files: foundFiles, excludedCount: excludedByPattern } = await findImageFilesWithExclusions(
+    input, 
+    config.recursive, 
+    excludes
+  );
+
+  // Open the build cache; `--cache` without a path keeps it next to the outputs
+  const cache = config.cache
+    ? await openBuildCache(
+      typeof config.cache === 'string'
+        ? config.cache
+        : path.join(config.outputDir || config.inputRoot, DEFAULT_CACHE_FILE)
+    )
+    : null;
+  // HTML and CSS rewriting look up outputs in a manifest, kept in memory without --manifest
+  const manifest = config.manifest || config.rewriteHtml || config.rewriteCss ? await openManifest(config.manifest) : null;
+
+  // Fallbacks written next to their sources by an earlier run are outputs, not inputs
+  const imageFiles = excludeOwnOutputs(foundFiles, config, manifest);
+  const excludedCount = excludedByPattern + foundFiles.length - imageFiles.length;
+
+  if (imageFiles.length === 0) {
+    // Watch mode waits for the first images to be added
+    if (config.watch) {
+      displayFileDiscovery(0, excludedCount);
+      return { watcher: watchImages(input, config, { excludes, files: [], results: [], cache, manifest }) };
+    }
+
+    displayNoFilesError(input, SUPPORTED_FORMATS);
+    // Return empty results for programmatic use instead of exiting
+    return {
       stats: {
-        processed: results.length,
-        skipped: skippedCount,
-        resized: resizedCount,
-        totalOriginalSize,
-        totalOutputSize,
-        totalSavingsPercent: parseFloat(totalSavings),
-        totalBatchTime,
-        totalProcessingTime,
-        averageProcessingTime,
-        concurrency,
-        errors: errors.length
+        processed: 0,
+        skipped: 0,
+        resized: 0,
+        totalOriginalSize: 0,
+        totalOutputSize: 0,
+        totalSavingsPercent: 0,
+        totalBatchTime: batchTimer.end(),
+        totalProcessingTime: 0,
+        averageProcessingTime: 0
       },
-      results
+      results: []
     };
-    
+  }
+
+  displayFileDiscovery(imageFiles.length, excludedCount);
+
+  const summary = await convertFiles(imageFiles, config, { cache, manifest, batchTimer });
+  await rewriteReferences(summary, config, manifest);
+
+  // Summary
+  if (summary.stats.processed > 0 || summary.stats.skipped > 0) {
     displaySummary(summary, config);
     
     // Generate reports if requested
-    if (config.generateReport && !config.dryRun && results.length > 0) {
+    if (config.generateReport && !config.dryRun) {
       const reportDir = config.outputDir || process.cwd();
       const reportPaths = generateReports(summary, reportDir);
       
@@ -246,32 +664,74 @@ async function optimizeImages(input, options) {
         normal(`  • JSON: ${reportPaths.json}`);
       }
     }
-    
-    return summary;
   }
+
+  if (config.watch) {
+    return {
+      ...summary,
+      watcher: watchImages(input, config, { excludes, files: imageFiles, results: summary.results, cache, manifest })
+    };
+  }
+  return summary;
 }
 
 // CLI Setup
 program
   .name('avif-image-optimizer')
-  .description('Convert JPG, PNG, HEIC, HEIF and other image formats to AVIF with intelligent optimization')
+  .description('Convert JPG, PNG, GIF, HEIC, HEIF and other image formats to AVIF with intelligent optimization')
   .version('1.0.0')
   .argument('<input>', 'Input image file, directory, or glob pattern')
   .option('-w, --max-width <pixels>', 'Maximum width in pixels', (value) => validateNumericRange(value, 1, 50000, 'Max width', ['--max-width 800', '--max-width 1200', '--max-width 1920']), DEFAULT_CONFIG.maxWidth)
   .option('-h, --max-height <pixels>', 'Maximum height in pixels', (value) => validateNumericRange(value, 1, 50000, 'Max height', ['--max-height 600', '--max-height 1200', '--max-height 1080']), DEFAULT_CONFIG.maxHeight)
   .option('-q, --quality <number>', 'AVIF quality (1-100)', validateQuality, DEFAULT_CONFIG.quality)
   .option('-e, --effort <number>', 'Compression effort (1-10)', validateEffort, DEFAULT_CONFIG.effort)
+  .option('--max-bytes <size>', 'Target maximum output size (e.g. 80KB); searches quality to fit', validateByteSize)
+  .option('--target-ssim <value>', 'Pick the lowest quality whose SSIM reaches this value (e.g. 0.98)', validateTargetSsim)
+  .option('--min-quality <number>', 'Lowest quality the --max-bytes/--target-ssim search may use', validateQuality, DEFAULT_CONFIG.minQuality)
+  .option('--max-quality <number>', 'Highest quality the --max-bytes/--target-ssim search may use', validateQuality, DEFAULT_CONFIG.maxQuality)
+  .option('--min-savings <percent>', 'Discard AVIFs that do not save at least this much over the source (e.g. 10%)', validateMinSavings)
+  .option('--lossless', 'Encode AVIF losslessly (ignores quality targets)')
+  .option('--chroma <mode>', 'Chroma subsampling: 420, 444 or auto (lossless/4:4:4 for flat, low-color or transparent PNG/GIF)', validateChroma, DEFAULT_CONFIG.chroma)
+  .option('--bit-depth <bits>', 'AVIF bit depth: 8, 10 or 12 (10/12 need sharp built against a global libvips)', validateBitDepth, DEFAULT_CONFIG.bitDepth)
+  .option('--wide-gamut', 'Keep Display P3 / Adobe RGB / BT.2020 color primaries instead of converting to sRGB')
+  .option('--color-profile <mode>', 'ICC handling: srgb (convert), keep (keep embedded profile) or assign', validateColorProfile, DEFAULT_CONFIG.colorProfile)
+  .option('--assign-profile <profile>', 'Tag pixels with srgb, p3, adobe-rgb or an .icc file (implies --color-profile assign)', validateAssignProfile)
+  .option('--formats <list>', 'Output formats: avif plus optional webp, jpeg, png fallbacks (e.g. avif,webp,jpeg)', validateFormats)
+  .option('--background <color>', 'Background color for flattening transparent images in JPEG fallbacks', DEFAULT_CONFIG.background)
+  .option('--no-animation', 'Convert only the first frame of animated GIF/WebP input')
+  .option('--require-animation', 'Fail animated GIF/WebP input instead of converting its first frame when animated AVIF is unsupported')
+  .option('--poster', 'Also write a static <name>-poster.avif from the first frame of animated input')
+  .option('--all-images', 'Convert every image of multi-image HEIC/HEIF files (bursts, edits) as <name>-1.avif, <name>-2.avif, ...')
+  .option('--aspect <ratio>', 'Output aspect ratio, e.g. 16:9 or 1:1 (default: keep source aspect)', validateAspect)
+  .option('--fit <mode>', 'How the image fills the --aspect box: cover (crop), contain (letterbox) or fill (stretch)', validateFit, DEFAULT_CONFIG.fit)
+  .option('--crop <strategy>', 'Crop strategy for --fit cover: center, attention or entropy', validateCrop, DEFAULT_CONFIG.crop)
+  .option('--focus <x,y>', 'Focal point kept in view when cropping, as fractions (e.g. 0.3,0.6); <name>.focus.json sidecars override it', validateFocus)
+  .option('--placeholders <list>', 'Compute lazy-loading placeholders: lqip, blurhash, thumbhash, color (e.g. blurhash,color)', validatePlaceholders)
+  .option('--widths <list>', 'Comma-separated responsive widths, one AVIF per width (e.g. 320,640,1024)', validateWidths)
+  .option('--name-template <template>', 'Output file name, e.g. "[name].[hash:8].avif"; tokens [name] [ext] [dir] [width] [height] [quality] [hash:N]', validateNameTemplate)
   .option('-o, --output-dir <path>', 'Output directory (default: same as input)')
+  .option('--on-collision <mode>', 'When inputs share an output name (photo.jpg, photo.png): prefer (keep one, see --prefer-formats), suffix (photo.png.avif) or error (stop the batch)', validateCollisionMode, DEFAULT_CONFIG.onCollision)
+  .option('--prefer-formats <list>', 'Source formats in order of preference for colliding inputs, e.g. png,jpg (implies --on-collision prefer)', validatePreferFormats)
+  .option('--flat', 'Write all outputs directly into --output-dir instead of mirroring the input directory tree')
   .option('-r, --recursive', 'Search recursively in subdirectories')
   .option('-f, --force', 'Overwrite existing .avif files without prompting')
+  .option('--watch', 'Keep running and convert new or changed images as they appear')
+  .option('--prune', 'With --watch, delete generated files when their source is deleted')
+  .option('--manifest <path>', 'Write a source-keyed JSON manifest of outputs (sizes, dimensions, MIME types, hashes), merged across runs')
+  .option('--rewrite-html <pattern>', 'Wrap <img> tags in matching HTML files (e.g. "dist/**/*.html") in <picture> with AVIF sources and add missing width/height')
+  .option('--rewrite-css <pattern>', 'Add image-set() declarations with AVIF for url() references in matching CSS files (e.g. "dist/**/*.css"), updating source maps')
+  .option('--cache [path]', `Skip sources whose content and settings are unchanged since the last run (default: ${DEFAULT_CACHE_FILE} in the output directory or input root)`)
   .option('--json', 'Output conversion results as JSON')
   .option('-d, --dry-run', 'Show what files would be processed without converting')
   .option('-x, --exclude <pattern>', 'Glob pattern to exclude (can be used multiple times)', (val, acc) => {
     acc.push(val);
     return acc;
   }, [])
-  .option('--no-preserve-original', 'Delete original files after conversion')
-  .option('--preserve-exif', 'Preserve EXIF metadata in converted images (increases file size)')
+  .option('--no-preserve-original', 'Delete original files once their AVIF has been written and decodes')
+  .option('--trash-dir <path>', 'Move originals here instead of deleting them (implies --no-preserve-original)')
+  .option('--preserve-exif', 'Preserve all metadata in converted images (increases file size)')
+  .option('--metadata <groups>', 'Metadata to keep: all, none or a list of copyright, icc, datetime, camera, gps (overrides --preserve-exif)', validateMetadataGroups)
+  .option('--no-auto-orient', 'Keep pixels as stored instead of rotating according to EXIF orientation')
   .option('-c, --concurrency <number>', 'Number of files to process in parallel (default: CPU cores)', (value) => validateNumericRange(value, 1, 32, 'Concurrency', ['--concurrency 4', '--concurrency 8']))
   .option('--generate-report', 'Generate markdown and JSON reports of conversion results')
   .option('--verbose', 'Enable verbose output')
@@ -283,17 +743,86 @@ program
       
       // Validate output directory if specified
       validateOutputDirectory(options.outputDir);
+      validateOutputDirectory(options.trashDir);
+
+      // An assigned profile implies assign mode, and assign mode needs a profile
+      const colorProfile = options.assignProfile ? 'assign' : options.colorProfile;
+      if (colorProfile === 'assign' && !options.assignProfile) {
+        displayValidationError('--color-profile assign requires --assign-profile', {
+          provided: options.colorProfile,
+          examples: ['--assign-profile adobe-rgb', '--assign-profile p3', '--assign-profile ./profiles/camera.icc']
+        });
+        process.exit(1);
+      }
+
+      // Watch mode converts for real, and pruning only happens while watching
+      if (options.watch && options.dryRun) {
+        displayValidationError('--watch cannot be combined with --dry-run', {
+          suggestions: ['Run --dry-run once to preview, then start --watch']
+        });
+        process.exit(1);
+      }
+      if (options.prune && !options.watch) {
+        displayValidationError('--prune only applies to --watch', {
+          examples: ['--watch --prune']
+        });
+        process.exit(1);
+      }
+
+      // Responsive variants need distinct names
+      if (options.widths && options.nameTemplate && !options.nameTemplate.includes('[width]')) {
+        displayValidationError('--name-template must contain [width] when --widths is set', {
+          provided: options.nameTemplate,
+          examples: ['--name-template "[name]-[width]w.avif"', '--name-template "[width]/[name].[hash:8].avif"']
+        });
+        process.exit(1);
+      }
       
-      await optimizeImages(input, {
+      const summary = await optimizeImages(input, {
         maxWidth: options.maxWidth,
         maxHeight: options.maxHeight,
         quality: options.quality,
         effort: options.effort,
+        targetSize: options.maxBytes || DEFAULT_CONFIG.targetSize,
+        targetSsim: options.targetSsim || DEFAULT_CONFIG.targetSsim,
+        minQuality: options.minQuality,
+        maxQuality: options.maxQuality,
+        minSavings: options.minSavings ?? DEFAULT_CONFIG.minSavings,
+        lossless: options.lossless || DEFAULT_CONFIG.lossless,
+        chroma: options.chroma,
+        bitDepth: options.bitDepth,
+        wideGamut: options.wideGamut || DEFAULT_CONFIG.wideGamut,
+        colorProfile,
+        assignProfile: options.assignProfile || DEFAULT_CONFIG.assignProfile,
+        formats: options.formats || DEFAULT_CONFIG.formats,
+        background: options.background,
+        animation: options.requireAnimation && options.animation ? 'require' : options.animation,
+        poster: options.poster || DEFAULT_CONFIG.poster,
+        allImages: options.allImages || DEFAULT_CONFIG.allImages,
+        widths: options.widths || DEFAULT_CONFIG.widths,
+        placeholders: options.placeholders || DEFAULT_CONFIG.placeholders,
+        aspect: options.aspect || DEFAULT_CONFIG.aspect,
+        fit: options.fit,
+        crop: options.crop,
+        focus: options.focus || DEFAULT_CONFIG.focus,
         outputDir: options.outputDir,
-        preserveOriginal: options.preserveOriginal,
+        flat: options.flat || DEFAULT_CONFIG.flat,
+        onCollision: options.preferFormats ? 'prefer' : options.onCollision,
+        preferFormats: options.preferFormats || DEFAULT_CONFIG.preferFormats,
+        nameTemplate: options.nameTemplate || DEFAULT_CONFIG.nameTemplate,
+        preserveOriginal: options.trashDir ? false : options.preserveOriginal,
+        trashDir: options.trashDir || DEFAULT_CONFIG.trashDir,
         preserveExif: options.preserveExif || DEFAULT_CONFIG.preserveExif,
+        metadata: options.metadata || DEFAULT_CONFIG.metadata,
+        autoOrient: options.autoOrient,
         recursive: options.recursive,
         force: options.force,
+        cache: options.cache || DEFAULT_CONFIG.cache,
+        manifest: options.manifest || DEFAULT_CONFIG.manifest,
+        rewriteHtml: options.rewriteHtml || DEFAULT_CONFIG.rewriteHtml,
+        rewriteCss: options.rewriteCss || DEFAULT_CONFIG.rewriteCss,
+        watch: options.watch || DEFAULT_CONFIG.watch,
+        prune: options.prune || DEFAULT_CONFIG.prune,
         verbose: options.verbose,
         quiet: options.quiet,
         json: options.json || false,
@@ -302,6 +831,11 @@ program
         concurrency: options.concurrency,
         generateReport: options.generateReport || DEFAULT_CONFIG.generateReport
       });
+
+      // The watcher keeps the process alive until Ctrl+C
+      if (summary.watcher) {
+        process.once('SIGINT', () => summary.watcher.close());
+      }
     } catch (err) {
       error('❌ Optimization failed:', err.message);
       process.exit(1);
@@ -316,14 +850,47 @@ Examples:
   $ avif-optimizer ./images --recursive
   $ avif-optimizer "*.{jpg,png}" --max-width 800
   $ avif-optimizer ./photos --output-dir ./optimized
+  $ avif-optimizer ./images --recursive --output-dir ./optimized --flat
+  $ avif-optimizer ./images --on-collision suffix
+  $ avif-optimizer ./images --on-collision error
+  $ avif-optimizer ./images --prefer-formats png,heic,jpg
+  $ avif-optimizer ./images --recursive --no-preserve-original
+  $ avif-optimizer ./images --recursive --trash-dir ./originals-trash
   $ avif-optimizer ./images --force
+  $ avif-optimizer ./assets --recursive --output-dir dist --cache
+  $ avif-optimizer ./public --recursive --output-dir dist --manifest src/images.json
+  $ avif-optimizer ./dist --recursive --rewrite-html "dist/**/*.html" --dry-run
+  $ avif-optimizer ./public --recursive --manifest images.json --rewrite-css "public/**/*.css"
+  $ avif-optimizer ./public --recursive --watch
+  $ avif-optimizer ./public --recursive --output-dir dist --watch --prune
+  $ avif-optimizer ./assets --recursive --cache .cache/avif.json
   $ avif-optimizer image.jpg --quiet
   $ avif-optimizer ./images --dry-run
   $ avif-optimizer ./images --exclude "*.thumb.*"
   $ avif-optimizer ./images --preserve-exif
+  $ avif-optimizer ./uploads --metadata copyright,icc
   $ avif-optimizer ./images --json > report.json
   $ avif-optimizer ./images --concurrency 8
   $ avif-optimizer ./images --generate-report
+  $ avif-optimizer hero.jpg --widths 320,640,1024,1920
+  $ avif-optimizer ./images --placeholders lqip,blurhash,color --generate-report
+  $ avif-optimizer ./cards --aspect 4:3 --crop attention --max-width 600
+  $ avif-optimizer team.jpg --aspect 1:1 --focus 0.3,0.4
+  $ avif-optimizer ./thumbnails --max-bytes 20KB
+  $ avif-optimizer ./screenshots --target-ssim 0.98
+  $ avif-optimizer ./icons --min-savings 10%
+  $ avif-optimizer ./icons --chroma auto
+  $ avif-optimizer diagram.png --lossless
+  $ avif-optimizer ./masters --dry-run
+  $ avif-optimizer ./masters --bit-depth 10 --wide-gamut
+  $ avif-optimizer ./print --color-profile keep
+  $ avif-optimizer ./scans --assign-profile adobe-rgb
+  $ avif-optimizer ./images --output-dir ./optimized --formats avif,webp,jpeg
+  $ avif-optimizer banner.gif --poster
+  $ avif-optimizer ./marketing --require-animation
+  $ avif-optimizer ./iphone --all-images
+  $ avif-optimizer ./assets --output-dir dist --name-template "[name].[hash:8].avif"
+  $ avif-optimizer hero.jpg --widths 320,640 --name-template "[name]-[width]x[height].avif"
 
 Supported formats: ${SUPPORTED_FORMATS.join(', ')}
 `);
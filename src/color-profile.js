@@ -0,0 +1,495 @@
+/**
+ * @fileoverview Color profile handling for AVIF Image Optimizer
+ *
+ * Reads the embedded ICC profile, EXIF color space and pixel format of a
+ * source image to tell which color primaries and bit depth it uses, and
+ * provides the ICC profiles that can be assigned to untagged sources.
+ *
+ * @module color-profile
+ */
+
+import fs from 'fs/promises';
+import zlib from 'zlib';
+import { ERROR_TYPES, createError } from './error-handler.js';
+
+/**
+ * Chromaticity (x, y) of the D50-adapted red and green colorants of each
+ * known RGB color space, as stored in the rXYZ/gXYZ tags of ICC profiles
+ * @constant {Object.<string, {red: number[], green: number[]}>}
+ * @private
+ */
+const COLOR_PRIMARIES = {
+  'srgb': { red: [0.6484, 0.3309], green: [0.3212, 0.5979] },
+  'display-p3': { red: [0.6820, 0.3193], green: [0.2846, 0.6746] },
+  'adobe-rgb': { red: [0.6484, 0.3309], green: [0.2302, 0.7016] },
+  'bt2020': { red: [0.7085, 0.2935], green: [0.1902, 0.7754] }
+};
+
+/**
+ * Maximum distance per chromaticity coordinate for a colorant to match
+ * @constant {number}
+ * @private
+ */
+const PRIMARY_TOLERANCE = 0.01;
+
+/**
+ * Color spaces with a wider gamut than sRGB
+ * @constant {string[]}
+ * @private
+ */
+const WIDE_GAMUT_SPACES = ['display-p3', 'adobe-rgb', 'bt2020'];
+
+/**
+ * Bits per sample for each libvips band format
+ * @constant {Object.<string, number>}
+ * @private
+ */
+const DEPTH_BITS = {
+  char: 8,
+  uchar: 8,
+  short: 16,
+  ushort: 16,
+  int: 32,
+  uint: 32,
+  float: 32,
+  double: 64
+};
+
+/**
+ * D50-adapted XYZ colorants (red, green, blue) and tone curve of the
+ * profiles that can be assigned by name
+ * - curve: ICC parametric curve parameters (type 0: gamma, type 3: sRGB-style)
+ * @constant {Object.<string, {description: string, colorants: number[][], curve: number[]}>}
+ * @private
+ */
+const BUILTIN_PROFILES = {
+  'srgb': {
+    description: 'sRGB',
+    colorants: [[0.4360, 0.2225, 0.0139], [0.3851, 0.7169, 0.0971], [0.1430, 0.0606, 0.7139]],
+    curve: [2.4, 1 / 1.055, 0.055 / 1.055, 1 / 12.92, 0.04045]
+  },
+  'p3': {
+    description: 'Display P3',
+    colorants: [[0.5151, 0.2412, -0.0011], [0.2920, 0.6922, 0.0419], [0.1571, 0.0666, 0.7841]],
+    curve: [2.4, 1 / 1.055, 0.055 / 1.055, 1 / 12.92, 0.04045]
+  },
+  'adobe-rgb': {
+    description: 'Adobe RGB (1998) compatible',
+    colorants: [[0.6097, 0.3111, 0.0195], [0.2053, 0.6257, 0.0609], [0.1492, 0.0632, 0.7446]],
+    curve: [563 / 256]
+  }
+};
+
+/**
+ * D50 white point used as the ICC profile connection space illuminant
+ * @constant {number[]}
+ * @private
+ */
+const D50 = [0.9642, 1.0, 0.8249];
+
+/**
+ * Names of the built-in profiles that can be assigned
+ * @constant {string[]}
+ */
+export const BUILTIN_PROFILE_NAMES = Object.keys(BUILTIN_PROFILES);
+
+/**
+ * Find a tag in the tag table of an ICC profile
+ * @param {Buffer} icc - ICC profile
+ * @param {string} signature - 4-character tag signature (e.g. 'desc')
+ * @returns {?{offset: number, size: number}} Tag location, or null if missing
+ * @private
+ */
+function findIccTag(icc, signature) {
+  if (icc.length < 132) {
+    return null;
+  }
+
+  const count = icc.readUInt32BE(128);
+  for (let i = 0; i < count && 132 + (i + 1) * 12 <= icc.length; i++) {
+    const entry = 132 + i * 12;
+    if (icc.toString('ascii', entry, entry + 4) === signature) {
+      const offset = icc.readUInt32BE(entry + 4);
+      const size = icc.readUInt32BE(entry + 8);
+      return offset + size <= icc.length ? { offset, size } : null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read the chromaticity of a colorant tag (rXYZ, gXYZ, bXYZ)
+ * @param {Buffer} icc - ICC profile
+ * @param {string} signature - Colorant tag signature
+ * @returns {?number[]} [x, y] chromaticity, or null if the tag is missing
+ * @private
+ */
+function readColorant(icc, signature) {
+  const tag = findIccTag(icc, signature);
+  if (!tag || tag.size < 20) {
+    return null;
+  }
+
+  const [X, Y, Z] = [0, 1, 2].map(i => icc.readInt32BE(tag.offset + 8 + i * 4) / 65536);
+  const sum = X + Y + Z;
+  return sum > 0 ? [X / sum, Y / sum] : null;
+}
+
+/**
+ * Read the human-readable description of an ICC profile
+ *
+ * Supports the ICC v2 `desc` and ICC v4 `mluc` tag types (first record).
+ *
+ * @param {Buffer} icc - ICC profile
+ * @returns {?string} Profile description, or null if missing
+ * @example
+ * readIccDescription(metadata.icc); // Returns e.g. 'Display P3'
+ */
+export function readIccDescription(icc) {
+  const tag = findIccTag(icc, 'desc');
+  if (!tag) {
+    return null;
+  }
+
+  const type = icc.toString('ascii', tag.offset, tag.offset + 4);
+  let description = null;
+
+  if (type === 'desc') {
+    const length = icc.readUInt32BE(tag.offset + 8);
+    description = icc.toString('latin1', tag.offset + 12, tag.offset + 12 + length);
+  } else if (type === 'mluc' && icc.readUInt32BE(tag.offset + 8) > 0) {
+    const length = icc.readUInt32BE(tag.offset + 20);
+    const start = tag.offset + icc.readUInt32BE(tag.offset + 24);
+    // Strings are UTF-16BE; swap to little endian for Node's decoder
+    description = Buffer.from(icc.subarray(start, start + length)).swap16().toString('utf16le');
+  }
+
+  return description ? description.replace(/\0+$/, '').trim() || null : null;
+}
+
+/**
+ * Identify the RGB color space of an ICC profile
+ *
+ * Colorants are compared against known primaries first, so renamed profiles
+ * are still recognized; the description is only used as a fallback.
+ *
+ * @param {Buffer} icc - ICC profile
+ * @returns {string} One of 'srgb', 'display-p3', 'adobe-rgb', 'bt2020' or 'custom'
+ * @private
+ */
+function identifyRgbProfile(icc) {
+  const red = readColorant(icc, 'rXYZ');
+  const green = readColorant(icc, 'gXYZ');
+
+  if (red && green) {
+    const matches = (actual, expected) =>
+      Math.abs(actual[0] - expected[0]) <= PRIMARY_TOLERANCE &&
+      Math.abs(actual[1] - expected[1]) <= PRIMARY_TOLERANCE;
+
+    const match = Object.entries(COLOR_PRIMARIES)
+      .find(([, primaries]) => matches(red, primaries.red) && matches(green, primaries.green));
+    if (match) {
+      return match[0];
+    }
+  }
+
+  const description = readIccDescription(icc) || '';
+  if (/p3/i.test(description)) return 'display-p3';
+  if (/2020|2100/.test(description)) return 'bt2020';
+  if (/adobe ?rgb/i.test(description)) return 'adobe-rgb';
+  if (/srgb|61966/i.test(description)) return 'srgb';
+  return 'custom';
+}
+
+/**
+ * Read the entries of one TIFF/EXIF image file directory
+ * @param {Buffer} tiff - TIFF data (EXIF payload without the "Exif" prefix)
+ * @param {number} offset - IFD offset within the TIFF data
+ * @param {boolean} littleEndian - Byte order of the TIFF data
+ * @returns {Map<number, number>} Entry offsets keyed by tag id
+ * @private
+ */
+function readIfdEntries(tiff, offset, littleEndian) {
+  const entries = new Map();
+  if (offset + 2 > tiff.length) {
+    return entries;
+  }
+
+  const count = littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+    entries.set(littleEndian ? tiff.readUInt16LE(entry) : tiff.readUInt16BE(entry), entry);
+  }
+
+  return entries;
+}
+
+/**
+ * Detect the DCF "option file" marking of Adobe RGB in EXIF
+ *
+ * Cameras shooting in Adobe RGB usually embed no ICC profile. Instead they
+ * set ColorSpace (0xA001) to 0xFFFF (uncalibrated) and the interoperability
+ * index (0x0001) to "R03".
+ *
+ * @param {Buffer} [exif] - EXIF block from Sharp metadata
+ * @returns {boolean} True if the EXIF marks the image as Adobe RGB
+ * @private
+ */
+function isExifAdobeRgb(exif) {
+  if (!exif || exif.length < 14) {
+    return false;
+  }
+
+  const tiff = exif.toString('ascii', 0, 4) === 'Exif' ? exif.subarray(6) : exif;
+  const littleEndian = tiff.toString('ascii', 0, 2) === 'II';
+  const read16 = (offset) => littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+  const read32 = (offset) => littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+
+  const ifd0 = readIfdEntries(tiff, read32(4), littleEndian);
+  if (!ifd0.has(0x8769)) {
+    return false;
+  }
+
+  const exifIfd = readIfdEntries(tiff, read32(ifd0.get(0x8769) + 8), littleEndian);
+  if (!exifIfd.has(0xA001) || read16(exifIfd.get(0xA001) + 8) !== 0xFFFF || !exifIfd.has(0xA005)) {
+    return false;
+  }
+
+  const interopIfd = readIfdEntries(tiff, read32(exifIfd.get(0xA005) + 8), littleEndian);
+  return interopIfd.has(0x0001) &&
+    tiff.toString('ascii', interopIfd.get(0x0001) + 8, interopIfd.get(0x0001) + 11) === 'R03';
+}
+
+/**
+ * Detect the bit depth and color space of a source image
+ *
+ * Untagged images are assumed to be sRGB (or grey/CMYK according to their
+ * pixel format), unless their EXIF marks them as Adobe RGB. `profile` tells
+ * where the color space came from: 'embedded', 'exif' or 'none'.
+ *
+ * @param {import('sharp').Metadata} metadata - Sharp metadata of the source
+ * @returns {{bitDepth: number, colorSpace: string, profile: string, profileDescription: ?string, wideGamut: boolean}} Detected source color
+ * @example
+ * const sourceColor = detectSourceColor(await sharp('master.png').metadata());
+ * // Returns e.g. { bitDepth: 16, colorSpace: 'display-p3', profile: 'embedded', profileDescription: 'Display P3', wideGamut: true }
+ */
+export function detectSourceColor(metadata) {
+  const bitDepth = DEPTH_BITS[metadata.depth] ?? 8;
+  const icc = metadata.icc;
+  // Sharp's typings omit the 16-bit interpretations ('rgb16', 'grey16')
+  const space = String(metadata.space);
+  let colorSpace = 'srgb';
+  let profile = icc ? 'embedded' : 'none';
+
+  if (space === 'cmyk') {
+    colorSpace = 'cmyk';
+  } else if (space === 'b-w' || space === 'grey16') {
+    colorSpace = 'grey';
+  } else if (icc) {
+    colorSpace = identifyRgbProfile(icc);
+  } else if (isExifAdobeRgb(metadata.exif)) {
+    colorSpace = 'adobe-rgb';
+    profile = 'exif';
+  }
+
+  return {
+    bitDepth,
+    colorSpace,
+    profile,
+    profileDescription: icc ? readIccDescription(icc) : null,
+    wideGamut: WIDE_GAMUT_SPACES.includes(colorSpace)
+  };
+}
+
+/**
+ * Build an ICC v4 RGB matrix/TRC display profile
+ * @param {{description: string, colorants: number[][], curve: number[]}} definition - Built-in profile definition
+ * @returns {Buffer} ICC profile
+ * @private
+ */
+function createMatrixProfile({ description, colorants, curve }) {
+  const fixed = (values) => {
+    const buffer = Buffer.alloc(values.length * 4);
+    values.forEach((value, i) => buffer.writeInt32BE(Math.round(value * 65536), i * 4));
+    return buffer;
+  };
+  const typed = (type, body) => Buffer.concat([Buffer.from(type, 'ascii'), Buffer.alloc(4), body]);
+  const xyz = (values) => typed('XYZ ', fixed(values));
+  const mluc = (text) => {
+    const header = Buffer.alloc(20);
+    header.writeUInt32BE(1, 0); // one record
+    header.writeUInt32BE(12, 4); // record size
+    header.write('enUS', 8, 'ascii');
+    header.writeUInt32BE(text.length * 2, 12);
+    header.writeUInt32BE(28, 16); // string offset from the tag start
+    return typed('mluc', Buffer.concat([header, Buffer.from(text, 'utf16le').swap16()]));
+  };
+  const functionType = Buffer.alloc(4);
+  functionType.writeUInt16BE(curve.length === 1 ? 0 : 3, 0);
+  const trc = typed('para', Buffer.concat([functionType, fixed(curve)]));
+
+  /** @type {Array<[string, Buffer]>} */
+  const tags = [
+    ['desc', mluc(description)],
+    ['cprt', mluc('No copyright, use freely')],
+    ['wtpt', xyz(D50)],
+    ['rXYZ', xyz(colorants[0])],
+    ['gXYZ', xyz(colorants[1])],
+    ['bXYZ', xyz(colorants[2])],
+    ['rTRC', trc],
+    ['gTRC', trc],
+    ['bTRC', trc]
+  ];
+
+  const table = Buffer.alloc(4 + tags.length * 12);
+  table.writeUInt32BE(tags.length, 0);
+  const chunks = [];
+  let offset = 128 + table.length;
+
+  tags.forEach(([signature, data], i) => {
+    const padded = Buffer.concat([data, Buffer.alloc((4 - data.length % 4) % 4)]);
+    table.write(signature, 4 + i * 12, 'ascii');
+    table.writeUInt32BE(offset, 8 + i * 12);
+    table.writeUInt32BE(data.length, 12 + i * 12);
+    chunks.push(padded);
+    offset += padded.length;
+  });
+
+  const header = Buffer.alloc(128);
+  header.writeUInt32BE(offset, 0);
+  header.writeUInt32BE(0x04300000, 8); // version 4.3
+  header.write('mntrRGB XYZ ', 12, 'ascii');
+  header.write('acsp', 36, 'ascii');
+  fixed(D50).copy(header, 68);
+
+  return Buffer.concat([header, table, ...chunks]);
+}
+
+/**
+ * Load an ICC profile by built-in name or file path
+ * @param {string} profile - 'srgb', 'p3', 'adobe-rgb' or a path to an .icc/.icm file
+ * @returns {Promise<Buffer>} ICC profile
+ * @throws {Error} INVALID_INPUT if the file cannot be read or is not an ICC profile
+ * @example
+ * const icc = await loadIccProfile('adobe-rgb');
+ * const custom = await loadIccProfile('./profiles/studio.icc');
+ */
+export async function loadIccProfile(profile) {
+  if (BUILTIN_PROFILES[profile]) {
+    return createMatrixProfile(BUILTIN_PROFILES[profile]);
+  }
+
+  let icc;
+  try {
+    icc = await fs.readFile(profile);
+  } catch (error) {
+    throw createError(`Unable to read ICC profile ${profile}: ${error.message}`, ERROR_TYPES.INVALID_INPUT);
+  }
+
+  if (icc.length < 132 || icc.toString('ascii', 36, 40) !== 'acsp') {
+    throw createError(`Not an ICC profile: ${profile}`, ERROR_TYPES.INVALID_INPUT);
+  }
+
+  return icc;
+}
+
+/**
+ * CRC-32 lookup table for PNG chunk checksums
+ * @constant {Uint32Array}
+ * @private
+ */
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 of a buffer
+ * @param {Buffer} buffer
+ * @returns {number} Unsigned CRC-32
+ * @private
+ */
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Insert a chunk into a PNG right after IHDR
+ * @param {Buffer} png - PNG data
+ * @param {string} chunkType - 4-character chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} PNG with the chunk inserted
+ * @private
+ */
+function insertPngChunk(png, chunkType, data) {
+  const ihdrEnd = 8 + 12 + png.readUInt32BE(8);
+  const type = Buffer.from(chunkType, 'ascii');
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([type, data])), 0);
+
+  return Buffer.concat([png.subarray(0, ihdrEnd), length, type, data, crc, png.subarray(ihdrEnd)]);
+}
+
+/**
+ * Remove every chunk of a type from a PNG
+ * @param {Buffer} png - PNG data
+ * @param {string} chunkType - 4-character chunk type
+ * @returns {Buffer} PNG without those chunks
+ * @private
+ */
+function removePngChunks(png, chunkType) {
+  const parts = [png.subarray(0, 8)];
+  for (let offset = 8; offset < png.length;) {
+    const end = offset + 12 + png.readUInt32BE(offset);
+    if (png.toString('ascii', offset + 4, offset + 8) !== chunkType) {
+      parts.push(png.subarray(offset, end));
+    }
+    offset = end;
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Embed an ICC profile in a PNG without touching its pixels
+ *
+ * Inserts an iCCP chunk right after IHDR, replacing a profile Sharp kept.
+ * Used to assign a profile: the pixel values stay the same but are from
+ * then on interpreted in `icc`.
+ *
+ * @param {Buffer} png - PNG as written by Sharp
+ * @param {Buffer} icc - ICC profile to embed
+ * @returns {Buffer} PNG with the profile embedded
+ * @example
+ * const tagged = embedPngIccProfile(untaggedPng, await loadIccProfile('adobe-rgb'));
+ */
+export function embedPngIccProfile(png, icc) {
+  const data = Buffer.concat([Buffer.from('icc\0\0', 'latin1'), zlib.deflateSync(icc)]);
+  return insertPngChunk(removePngChunks(png, 'iCCP'), 'iCCP', data);
+}
+
+/**
+ * Embed an EXIF block in a PNG
+ *
+ * Inserts an eXIf chunk right after IHDR, where Sharp reads it back as the
+ * image's EXIF metadata.
+ *
+ * @param {Buffer} png - PNG without an eXIf chunk (as written by Sharp)
+ * @param {Buffer} exif - Bare TIFF data (starting with `II` or `MM`)
+ * @returns {Buffer} PNG with the EXIF block embedded
+ * @example
+ * const withExif = embedPngExif(png, exif);
+ */
+export function embedPngExif(png, exif) {
+  return insertPngChunk(png, 'eXIf', exif);
+}
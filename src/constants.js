@@ -15,7 +15,10 @@
  * @property {number} quality - AVIF quality 1-100 (default: 60)
  * @property {number} effort - AVIF effort level 0-10 (default: 6)
  * @property {?string} outputDir - Output directory path (null = same as input)
- * @property {boolean} preserveOriginal - Keep original files (default: true)
+ * @property {boolean} flat - Write every output directly into outputDir instead of mirroring the input tree (default: false)
+ * @property {?string} inputRoot - Directory the input tree is mirrored from under outputDir (default: null = flat; set from the input by optimizeImages)
+ * @property {boolean} preserveOriginal - Keep original files (default: true); false deletes them once the AVIF decodes
+ * @property {?string} trashDir - Move removed originals here instead of deleting them (default: null)
  * @property {boolean} preserveExif - Preserve EXIF metadata (default: false)
  * @property {boolean} recursive - Process directories recursively (default: false)
  * @property {boolean} force - Overwrite existing AVIF files (default: false)
@@ -25,6 +28,39 @@
  * @property {boolean} dryRun - Preview without processing (default: false)
  * @property {string[]} exclude - Glob patterns to exclude (default: [])
  * @property {boolean} generateReport - Generate markdown and JSON reports (default: false)
+ * @property {?number} targetSize - Maximum output size in bytes; searches quality to fit (default: null = fixed quality)
+ * @property {?number} targetSsim - Minimum SSIM 0-1; searches the lowest quality that reaches it (default: null = disabled)
+ * @property {number} minQuality - Lowest quality the target size/SSIM search may use (default: 20)
+ * @property {number} maxQuality - Highest quality the target size/SSIM search may use (default: 90)
+ * @property {string[]} formats - Output formats; 'avif' plus optional 'webp', 'jpeg', 'png' fallbacks (default: ['avif'])
+ * @property {string} background - Background color JPEG fallbacks with alpha are flattened against (default: '#ffffff')
+ * @property {boolean|string} animation - Keep all frames of animated GIF/WebP input, or only the first frame if the AVIF encoder cannot; 'require' fails instead (default: true)
+ * @property {boolean} poster - Also write a static poster frame for animated input (default: false)
+ * @property {?number[]} widths - Responsive breakpoint widths, one AVIF per width (default: null = single output)
+ * @property {boolean} lossless - Encode AVIF losslessly (default: false)
+ * @property {string} chroma - Chroma subsampling: '420', '444' or 'auto' to detect graphics (default: '420')
+ * @property {number} bitDepth - AVIF bit depth: 8, 10 or 12 (default: 8)
+ * @property {boolean} wideGamut - Keep Display P3 / Adobe RGB / BT.2020 primaries instead of converting to sRGB (default: false)
+ * @property {string} colorProfile - ICC handling: 'srgb' converts, 'keep' keeps the embedded profile, 'assign' tags with assignProfile (default: 'srgb')
+ * @property {?string} assignProfile - Profile used by 'assign': 'srgb', 'p3', 'adobe-rgb' or an ICC file path (default: null)
+ * @property {boolean} autoOrient - Apply EXIF orientation before resizing (default: true)
+ * @property {?string} aspect - Output aspect ratio such as '16:9' (default: null = keep the source aspect)
+ * @property {string} fit - How the source fills the aspect box: 'cover', 'contain' or 'fill' (default: 'cover')
+ * @property {string} crop - Crop strategy for 'cover': 'center', 'attention' or 'entropy' (default: 'center')
+ * @property {?{x: number, y: number}} focus - Focal point (0-1) kept in view when cropping; overrides crop (default: null)
+ * @property {?string[]} metadata - Metadata groups to keep: 'copyright', 'icc', 'datetime', 'camera', 'gps' (default: null = follow preserveExif)
+ * @property {boolean} allImages - Convert every image of multi-image HEIC/HEIF files as <name>-1.avif, <name>-2.avif, ... (default: false = primary image only)
+ * @property {?string} nameTemplate - Output file name template, e.g. '[name].[hash:8].avif' (default: null = '[name].avif', or '[name]-[width]w.avif' with widths)
+ * @property {string} onCollision - Inputs mapping to the same output: 'prefer' keeps one by preferFormats, 'suffix' names them photo.png.avif, 'error' stops the batch (default: 'prefer')
+ * @property {?number} minSavings - Discard AVIF outputs that save less than this percentage of the source size (default: null = keep all)
+ * @property {string[]} preferFormats - Source extensions in order of preference for onCollision 'prefer' (default: lossless sources first)
+ * @property {?string[]} placeholders - Placeholders to compute for lazy loading: 'lqip', 'blurhash', 'thumbhash', 'color' (default: null = none)
+ * @property {?string} manifest - Image manifest file, merged across runs (default: null = none)
+ * @property {?string} rewriteHtml - HTML file or glob pattern whose <img> tags are wrapped in <picture> with AVIF sources (default: null = none)
+ * @property {?string} rewriteCss - CSS file or glob pattern whose url() references get image-set() declarations with AVIF (default: null = none)
+ * @property {boolean} watch - Keep running and convert new or changed images (default: false)
+ * @property {boolean} prune - In watch mode, delete generated files when their source is deleted (default: false)
+ * @property {?(string|boolean)} cache - Build cache file, or true for .avif-cache.json next to the outputs; unchanged sources with unchanged settings are skipped (default: null = no cache)
  * @constant {DefaultConfig}
  */
 export const DEFAULT_CONFIG = {
@@ -33,7 +69,10 @@ export const DEFAULT_CONFIG = {
   quality: 60,
   effort: 6,
   outputDir: null, // Same directory as input by default
+  flat: false,
+  inputRoot: null,
   preserveOriginal: true,
+  trashDir: null,
   preserveExif: false, // Strip metadata by default for smaller files
   recursive: false,
   force: false,
@@ -42,12 +81,45 @@ export const DEFAULT_CONFIG = {
   json: false,
   dryRun: false,
   exclude: [],
-  generateReport: false
+  generateReport: false,
+  formats: ['avif'],
+  background: '#ffffff',
+  animation: true,
+  poster: false,
+  widths: null, // Single output sized by maxWidth/maxHeight
+  targetSize: null, // Fixed quality by default
+  targetSsim: null,
+  minQuality: 20,
+  maxQuality: 90,
+  lossless: false,
+  chroma: '420',
+  bitDepth: 8,
+  wideGamut: false,
+  colorProfile: 'srgb',
+  assignProfile: null,
+  autoOrient: true, // Rotate phone photos upright before resizing
+  aspect: null,
+  fit: 'cover',
+  crop: 'center',
+  focus: null,
+  metadata: null,
+  allImages: false,
+  nameTemplate: null,
+  minSavings: null,
+  onCollision: 'prefer',
+  preferFormats: ['.png', '.tiff', '.tif', '.heic', '.heif', '.webp', '.jpg', '.jpeg', '.gif'],
+  placeholders: null,
+  manifest: null,
+  rewriteHtml: null,
+  rewriteCss: null,
+  watch: false,
+  prune: false,
+  cache: null
 };
 
 /**
  * Supported input image formats
- * Includes common formats and iPhone/modern camera formats (HEIC/HEIF)
+ * Includes common formats, animated GIF and iPhone/modern camera formats (HEIC/HEIF)
  * @constant {string[]}
  * @example
  * // Check if a file is supported
@@ -58,12 +130,151 @@ export const SUPPORTED_FORMATS = [
   '.jpeg', 
   '.png', 
   '.webp', 
+  '.gif',
   '.tiff', 
   '.tif', 
   '.heic', 
   '.heif'
 ];
 
+/**
+ * Supported output formats and the file extension written for each
+ * AVIF is always produced; the others are optional fallbacks for older browsers
+ * @constant {Object.<string, string>}
+ */
+export const OUTPUT_FORMAT_EXTENSIONS = {
+  avif: '.avif',
+  webp: '.webp',
+  jpeg: '.jpg',
+  png: '.png'
+};
+
+/**
+ * MIME type of each output format, in the order browsers should try them
+ * @constant {Object.<string, string>}
+ */
+export const OUTPUT_MIME_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+/**
+ * Supported chroma subsampling modes
+ * 'auto' inspects PNG/GIF sources and picks lossless or 4:4:4 for graphics
+ * @constant {string[]}
+ */
+export const CHROMA_MODES = ['420', '444', 'auto'];
+
+/**
+ * Supported AVIF bit depths
+ * 10 and 12 bit need sharp built against a global libvips; prebuilt binaries encode 8-bit only
+ * @constant {number[]}
+ */
+export const BIT_DEPTHS = [8, 10, 12];
+
+/**
+ * ICC profile handling modes
+ * 'srgb' converts to sRGB, 'keep' keeps the embedded profile, 'assign' tags pixels with a given profile
+ * @constant {string[]}
+ */
+export const COLOR_PROFILE_MODES = ['srgb', 'keep', 'assign'];
+
+/**
+ * How the source fills an --aspect box
+ * 'cover' crops, 'contain' letterboxes against the background color, 'fill' stretches
+ * @constant {string[]}
+ */
+export const FIT_MODES = ['cover', 'contain', 'fill'];
+
+/**
+ * Crop strategies for --fit cover
+ * 'attention' and 'entropy' use sharp's smart crop; a focal point overrides them
+ * @constant {string[]}
+ */
+export const CROP_STRATEGIES = ['center', 'attention', 'entropy'];
+
+/**
+ * Suffix of per-image focal point sidecar files (e.g. photo.jpg → photo.focus.json)
+ * containing `{ "x": 0.3, "y": 0.6 }`
+ * @constant {string}
+ */
+export const FOCUS_SIDECAR_SUFFIX = '.focus.json';
+
+/**
+ * Metadata groups that can be kept with --metadata
+ * 'icc' is the color profile; the others are EXIF tag groups (Artist/Copyright,
+ * capture dates, camera and lens settings, GPS location)
+ * @constant {string[]}
+ */
+export const METADATA_GROUPS = ['copyright', 'icc', 'datetime', 'camera', 'gps'];
+
+/**
+ * Tokens available in --name-template
+ * @constant {string[]}
+ */
+export const NAME_TEMPLATE_TOKENS = ['name', 'ext', 'dir', 'width', 'height', 'quality', 'hash'];
+
+/**
+ * Output name template for single outputs
+ * @constant {string}
+ */
+export const DEFAULT_NAME_TEMPLATE = '[name].avif';
+
+/**
+ * Output name template for responsive variants (--widths)
+ * @constant {string}
+ */
+export const DEFAULT_VARIANT_NAME_TEMPLATE = '[name]-[width]w.avif';
+
+/**
+ * Reasons a file is skipped, with their summary labels
+ * 'exists': the output already exists, 'collision': another input keeps
+ * the output name, 'not-smaller': the AVIF misses the --min-savings threshold,
+ * 'cached': the build cache shows the source and settings are unchanged
+ * @constant {Object.<string, string>}
+ */
+export const SKIP_REASONS = {
+  exists: 'output exists',
+  collision: 'name collision',
+  'not-smaller': 'not smaller than the original',
+  cached: 'unchanged (cache hit)'
+};
+
+/**
+ * Default build cache file name, created in the output directory or input root
+ * @constant {string}
+ */
+export const DEFAULT_CACHE_FILE = '.avif-cache.json';
+
+/**
+ * Quiet period in milliseconds before watch mode converts changed files,
+ * so files still being copied or saved are converted once
+ * @constant {number}
+ */
+export const WATCH_DEBOUNCE_MS = 300;
+
+/**
+ * Lazy-loading placeholders that can be computed for each output
+ * 'lqip': blurred WebP data URI, 'blurhash'/'thumbhash': hash strings,
+ * 'color': dominant color as #rrggbb
+ * @constant {string[]}
+ */
+export const PLACEHOLDER_TYPES = ['lqip', 'blurhash', 'thumbhash', 'color'];
+
+/**
+ * Longest side in pixels of the LQIP placeholder image
+ * @constant {number}
+ */
+export const LQIP_SIZE = 16;
+
+/**
+ * Ways to resolve inputs that map to the same output path
+ * @constant {string[]}
+ */
+export const COLLISION_MODES = ['error', 'prefer', 'suffix'];
+
 /**
  * Default directories to exclude from image processing
  * @constant {string[]}
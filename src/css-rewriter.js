@@ -0,0 +1,302 @@
+/**
+ * @fileoverview CSS rewriting for AVIF Image Optimizer
+ *
+ * Gives declarations that reference converted images an `image-set()`
+ * counterpart offering the AVIF (and WebP, when generated) with the
+ * original as the last candidate:
+ *
+ *   background-image: url(hero.jpg);
+ *   background-image: url(hero.jpg); background-image: image-set(url(hero.avif) type("image/avif"), url(hero.jpg) type("image/jpeg"));
+ *
+ * The original declaration stays in front for browsers without
+ * `image-set()`, and the new one is added on the same line, so line
+ * numbers do not change. Declarations already followed by their
+ * `image-set()` counterpart are skipped, which makes rewriting idempotent.
+ * Source maps, inline or referenced by `sourceMappingURL`, are updated to
+ * match.
+ *
+ * @module css-rewriter
+ */
+
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import path from 'path';
+import { glob } from 'glob';
+import { OUTPUT_MIME_TYPES } from './constants.js';
+import { resolveReference, toReference, applyEdits, formatDiff } from './web-references.js';
+import { shiftSourceMap } from './source-map.js';
+
+/**
+ * MIME types of source formats browsers display, for the original candidate
+ * @constant {Object.<string, string>}
+ * @private
+ */
+const SOURCE_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+/**
+ * `url()` references, quoted or not
+ * @constant {RegExp}
+ * @private
+ */
+const URL_REFERENCE = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)"'\s]*))\s*\)/gi;
+
+/**
+ * Source map comment; the last one in a file applies
+ * @constant {RegExp}
+ * @private
+ */
+const SOURCE_MAPPING_URL = /\/\*[#@]\s*sourceMappingURL=([^\s*]+)\s*\*\//g;
+
+/**
+ * Prefix of inline source maps
+ * @constant {string}
+ * @private
+ */
+const INLINE_MAP_PREFIX = 'data:application/json;base64,';
+
+/**
+ * Find the declarations of a style sheet
+ *
+ * Comments, strings and parentheses (such as `url(data:...;...)`) are
+ * skipped; at-rule statements and selectors are not declarations.
+ *
+ * @param {string} css - Style sheet
+ * @returns {Array<{block: number, property: string, valueStart: number, valueEnd: number, end: number, terminated: boolean}>} Declarations in order; `block` identifies the enclosing rule, `end` is the offset of the `;` or `}`
+ * @private
+ */
+function findDeclarations(css) {
+  const declarations = [];
+  const blocks = [];
+  let block = -1;
+  let nextBlock = 0;
+  let parentheses = 0;
+  let segmentStart = 0;
+
+  const addDeclaration = (end, terminated) => {
+    if (block === -1) return;
+    // Skip whitespace and comments in front of the property
+    const leading = /(?:\s|\/\*[\s\S]*?\*\/)*/y;
+    leading.lastIndex = segmentStart;
+    leading.exec(css);
+    const property = /(-?[a-zA-Z-][\w-]*)\s*:/y;
+    property.lastIndex = leading.lastIndex;
+    const match = property.exec(css);
+    if (!match || property.lastIndex > end) return;
+
+    let valueEnd = end;
+    while (valueEnd > property.lastIndex && /\s/.test(css[valueEnd - 1])) valueEnd--;
+    declarations.push({ block, property: match[1], valueStart: property.lastIndex, valueEnd, end, terminated });
+  };
+
+  for (let index = 0; index < css.length; index++) {
+    const character = css[index];
+    if (css.startsWith('/*', index)) {
+      const end = css.indexOf('*/', index + 2);
+      index = end === -1 ? css.length : end + 1;
+    } else if (character === '"' || character === "'") {
+      index++;
+      while (index < css.length && css[index] !== character) {
+        if (css[index] === '\\') index++;
+        index++;
+      }
+    } else if (character === '(') {
+      parentheses++;
+    } else if (character === ')') {
+      parentheses = Math.max(0, parentheses - 1);
+    } else if (parentheses > 0) {
+      continue;
+    } else if (character === '{') {
+      blocks.push(block);
+      block = nextBlock++;
+      segmentStart = index + 1;
+    } else if (character === ';') {
+      addDeclaration(index, true);
+      segmentStart = index + 1;
+    } else if (character === '}') {
+      addDeclaration(index, false);
+      block = blocks.pop() ?? -1;
+      segmentStart = index + 1;
+    }
+  }
+  return declarations;
+}
+
+/**
+ * Build the `image-set()` replacing a `url()` of a converted image
+ * @param {string} reference - The `url()` as written
+ * @param {string} url - URL inside it
+ * @param {string} quote - Quote character used, or ''
+ * @param {string} sourcePath - Source image path
+ * @param {{outputs: Array<{src: string, type: string, width: number}>}} entry - Manifest entry of the source
+ * @param {Object} options - Rewrite options (filePath, webRoot)
+ * @returns {?string} `image-set(...)`, or null if an output can't be referenced
+ * @private
+ */
+function buildImageSet(reference, url, quote, sourcePath, entry, { filePath, webRoot }) {
+  const rootRelative = url.trim().startsWith('/');
+  const candidates = [];
+  for (const type of Object.values(OUTPUT_MIME_TYPES)) {
+    const outputs = entry.outputs.filter(output => output.type === type);
+    if (outputs.length === 0) continue;
+    // image-set() picks by type, so offer the largest output of each
+    const largest = outputs.reduce((a, b) => (b.width > a.width ? b : a));
+    const outputUrl = toReference(largest.src, filePath, webRoot, rootRelative);
+    if (outputUrl === null) return null;
+    const written = quote ? outputUrl : outputUrl.replace(/\(/g, '%28').replace(/\)/g, '%29');
+    candidates.push({ type, text: `url(${quote}${written}${quote}) type("${type}")` });
+  }
+  if (candidates[0]?.type !== OUTPUT_MIME_TYPES.avif) return null;
+
+  const sourceType = SOURCE_MIME_TYPES[path.extname(sourcePath).toLowerCase()];
+  if (sourceType && !candidates.some(candidate => candidate.type === sourceType)) {
+    candidates.push({ type: sourceType, text: `${reference} type("${sourceType}")` });
+  }
+  return `image-set(${candidates.map(candidate => candidate.text).join(', ')})`;
+}
+
+/**
+ * Add `image-set()` declarations for the converted images of a style sheet
+ *
+ * @param {string} css - Style sheet
+ * @param {Object} options - Rewrite options
+ * @param {string} options.filePath - Path of the style sheet, for resolving relative URLs
+ * @param {string} options.webRoot - Directory served as `/`, for root-relative URLs
+ * @param {function(string): ?{outputs: Array<{src: string, type: string, width: number}>}} options.lookup - Manifest entry of a source path
+ * @returns {{css: string, edits: Array<{start: number, end: number, text: string}>, references: number}} Rewritten style sheet, the edits made and the number of url() references rewritten
+ * @example
+ * const { css } = rewriteCss('.hero { background: url(hero.jpg) center; }', {
+ *   filePath: 'dist/main.css',
+ *   webRoot: 'dist',
+ *   lookup: (source) => manifest.lookup(source)
+ * });
+ * // '.hero { background: url(hero.jpg) center; background: image-set(url(hero.avif) type("image/avif"), url(hero.jpg) type("image/jpeg")) center; }'
+ */
+export function rewriteCss(css, options) {
+  const declarations = findDeclarations(css);
+  const edits = [];
+  let references = 0;
+
+  declarations.forEach((declaration, index) => {
+    const value = css.slice(declaration.valueStart, declaration.valueEnd);
+    const next = declarations[index + 1];
+    const alreadyRewritten = /image-set\(/i.test(value) || (
+      next && next.block === declaration.block
+      && next.property.toLowerCase() === declaration.property.toLowerCase()
+      && /image-set\(/i.test(css.slice(next.valueStart, next.valueEnd))
+    );
+    // Custom properties accept any value, so browsers would not fall back to the original
+    if (alreadyRewritten || declaration.property.startsWith('--') || !/url\(/i.test(value)) return;
+
+    let replaced = 0;
+    const rewritten = value.replace(URL_REFERENCE, (reference, doubleQuoted, singleQuoted, unquoted) => {
+      const url = doubleQuoted ?? singleQuoted ?? unquoted;
+      const quote = doubleQuoted !== undefined ? '"' : singleQuoted !== undefined ? "'" : '';
+      const sourcePath = resolveReference(url, options.filePath, options.webRoot);
+      const entry = sourcePath && options.lookup(sourcePath);
+      const imageSet = entry && buildImageSet(reference, url, quote, sourcePath, entry, options);
+      if (!imageSet) return reference;
+      replaced++;
+      return imageSet;
+    });
+    if (replaced === 0) return;
+
+    references += replaced;
+    const added = `${declaration.property}: ${rewritten.trimStart()}`;
+    edits.push(declaration.terminated
+      ? { start: declaration.end + 1, end: declaration.end + 1, text: ` ${added};` }
+      : { start: declaration.valueEnd, end: declaration.valueEnd, text: `; ${added}` });
+  });
+
+  return { css: applyEdits(css, edits), edits, references };
+}
+
+/**
+ * Update the source map of a rewritten style sheet
+ *
+ * Inline maps are re-encoded by an extra edit; maps in separate files are
+ * returned for writing. Unreadable or missing maps are left alone.
+ *
+ * @param {string} css - Original style sheet
+ * @param {string} filePath - Path of the style sheet
+ * @param {Array<{start: number, end: number, text: string}>} edits - Edits made by rewriteCss
+ * @returns {Promise<{edit?: {start: number, end: number, text: string}, mapPath?: string, map?: Object}>} Inline map edit, or external map path and content
+ * @private
+ */
+async function updateSourceMap(css, filePath, edits) {
+  const comment = [...css.matchAll(SOURCE_MAPPING_URL)].pop();
+  if (!comment) {
+    return {};
+  }
+
+  const url = comment[1];
+  try {
+    if (url.startsWith(INLINE_MAP_PREFIX)) {
+      const map = JSON.parse(Buffer.from(url.slice(INLINE_MAP_PREFIX.length), 'base64').toString('utf8'));
+      const encoded = Buffer.from(JSON.stringify(shiftSourceMap(map, css, edits))).toString('base64');
+      const start = comment.index + comment[0].indexOf(url);
+      return { edit: { start, end: start + url.length, text: `${INLINE_MAP_PREFIX}${encoded}` } };
+    }
+
+    const mapPath = resolveReference(url, filePath, path.dirname(filePath));
+    if (!mapPath || !fsSync.existsSync(mapPath)) {
+      return {};
+    }
+    const map = JSON.parse(await fs.readFile(mapPath, 'utf8'));
+    return { mapPath, map: shiftSourceMap(map, css, edits) };
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Rewrite the converted images of every style sheet matching a pattern
+ *
+ * Files without references to rewrite are not touched. In a dry run
+ * nothing is written and each rewrite carries a diff of the style sheet
+ * instead.
+ *
+ * @param {string} pattern - CSS file, or glob pattern such as "dist/**\/*.css"
+ * @param {{lookup: function(string): ?Object}} manifest - Manifest from openManifest
+ * @param {Object} options - Rewrite options
+ * @param {string} options.webRoot - Directory served as `/`
+ * @param {boolean} [options.dryRun=false] - Only compute the diffs
+ * @returns {Promise<Array<{filePath: string, images: number, sourceMap?: string, diff?: string}>>} Rewritten files with the number of url() references rewritten and the updated source map ('inline' or its path)
+ * @example
+ * const rewrites = await rewriteCssFiles('dist/**\/*.css', manifest, { webRoot: 'dist' });
+ * // [{ filePath: 'dist/main.css', images: 2, sourceMap: 'dist/main.css.map' }]
+ */
+export async function rewriteCssFiles(pattern, manifest, { webRoot, dryRun = false }) {
+  const files = (await glob(pattern, { nodir: true })).sort();
+  const rewrites = [];
+
+  for (const filePath of files) {
+    const original = await fs.readFile(filePath, 'utf8');
+    const { edits, references } = rewriteCss(original, { filePath, webRoot, lookup: (source) => manifest.lookup(source) });
+    if (edits.length === 0) continue;
+
+    const sourceMap = await updateSourceMap(original, filePath, edits);
+    const allEdits = sourceMap.edit ? [...edits, sourceMap.edit].sort((a, b) => a.start - b.start) : edits;
+    const rewrite = {
+      filePath,
+      images: references,
+      ...(sourceMap.edit ? { sourceMap: 'inline' } : sourceMap.mapPath ? { sourceMap: sourceMap.mapPath } : {})
+    };
+
+    if (dryRun) {
+      rewrites.push({ ...rewrite, diff: formatDiff(filePath, original, allEdits) });
+      continue;
+    }
+    await fs.writeFile(filePath, applyEdits(original, allEdits));
+    if (sourceMap.map) {
+      await fs.writeFile(sourceMap.mapPath, JSON.stringify(sourceMap.map));
+    }
+    rewrites.push(rewrite);
+  }
+  return rewrites;
+}
@@ -22,6 +22,9 @@ export const ERROR_TYPES = {
   METADATA_ERROR: 'METADATA_ERROR',
   WRITE_ERROR: 'WRITE_ERROR',
   HEIC_PREPROCESSING_FAILED: 'HEIC_PREPROCESSING_FAILED',
+  ANIMATION_UNSUPPORTED: 'ANIMATION_UNSUPPORTED',
+  BIT_DEPTH_UNSUPPORTED: 'BIT_DEPTH_UNSUPPORTED',
+  OUTPUT_COLLISION: 'OUTPUT_COLLISION',
   UNKNOWN_ERROR: 'UNKNOWN_ERROR'
 };
 
@@ -54,6 +57,9 @@ const ERROR_SUGGESTIONS = {
   [ERROR_TYPES.WRITE_ERROR]: 'Unable to write output file - check permissions and disk space',
   [ERROR_TYPES.CONVERSION_FAILED]: 'Image conversion failed - try adjusting quality or dimensions',
   [ERROR_TYPES.HEIC_PREPROCESSING_FAILED]: 'Unable to process HEIC/HEIF file - ensure the file is valid',
+  [ERROR_TYPES.ANIMATION_UNSUPPORTED]: 'Animated AVIF is not supported by this sharp/libvips build - drop --require-animation to convert the first frame only',
+  [ERROR_TYPES.BIT_DEPTH_UNSUPPORTED]: 'High bit-depth AVIF requires sharp built against a global libvips - use --bit-depth 8 with the prebuilt binaries',
+  [ERROR_TYPES.OUTPUT_COLLISION]: 'Several inputs map to the same output - use --on-collision suffix or prefer, or a --name-template with [ext]',
   [ERROR_TYPES.UNKNOWN_ERROR]: 'An unexpected error occurred - check the error message for details'
 };
 
@@ -107,6 +113,14 @@ export function getErrorType(error) {
     return ERROR_TYPES.HEIC_PREPROCESSING_FAILED;
   }
   
+  if (message.includes('Animated AVIF output is not supported')) {
+    return ERROR_TYPES.ANIMATION_UNSUPPORTED;
+  }
+  
+  if (message.includes('AVIF encoding is not supported')) {
+    return ERROR_TYPES.BIT_DEPTH_UNSUPPORTED;
+  }
+  
   return ERROR_TYPES.UNKNOWN_ERROR;
 }
 
@@ -199,7 +213,9 @@ export function isRecoverableError(error) {
     ERROR_TYPES.CONVERSION_FAILED,
     ERROR_TYPES.METADATA_ERROR,
     ERROR_TYPES.INVALID_INPUT,
-    ERROR_TYPES.HEIC_PREPROCESSING_FAILED
+    ERROR_TYPES.HEIC_PREPROCESSING_FAILED,
+    ERROR_TYPES.ANIMATION_UNSUPPORTED,
+    ERROR_TYPES.BIT_DEPTH_UNSUPPORTED
   ];
   
   return recoverableTypes.includes(errorType);
@@ -0,0 +1,330 @@
+/**
+ * @fileoverview HEIF container parsing for AVIF Image Optimizer
+ *
+ * The HEIC decoder only returns pixels, so the ICC profile and EXIF block
+ * of a HEIC/HEIF image are read directly from its ISO BMFF boxes: the
+ * `colr` property associated with the image item and the `Exif` item that
+ * describes it (`cdsc` reference).
+ *
+ * @module heif-container
+ */
+
+/**
+ * Color types of a `colr` box that carry an ICC profile
+ * @constant {string[]}
+ * @private
+ */
+const ICC_COLOR_TYPES = ['prof', 'rICC'];
+
+/**
+ * Item types that carry metadata rather than an image
+ * @constant {string[]}
+ * @private
+ */
+const METADATA_ITEM_TYPES = ['Exif', 'mime', 'uri '];
+
+/**
+ * List the boxes between two offsets
+ * @param {Buffer} buffer - HEIF data
+ * @param {number} start - Offset of the first box
+ * @param {number} end - Offset after the last box
+ * @returns {Array<{type: string, start: number, end: number}>} Box types with payload start and end offsets
+ * @private
+ */
+function readBoxes(buffer, start, end) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let header = 8;
+
+    if (size === 1) {
+      if (offset + 16 > end) break;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header || offset + size > end) break;
+
+    boxes.push({ type, start: offset + header, end: offset + size });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+/**
+ * Read an unsigned big-endian integer of 0, 2, 4 or 8 bytes
+ * @param {Buffer} buffer - HEIF data
+ * @param {number} offset - Offset of the integer
+ * @param {number} size - Integer size in bytes
+ * @returns {number} Integer value (0 for size 0)
+ * @private
+ */
+function readSized(buffer, offset, size) {
+  if (size === 8) return Number(buffer.readBigUInt64BE(offset));
+  if (size === 4) return buffer.readUInt32BE(offset);
+  if (size === 2) return buffer.readUInt16BE(offset);
+  return 0;
+}
+
+/**
+ * Read the item types (`iinf`)
+ * @param {Buffer} buffer - HEIF data
+ * @param {{start: number, end: number}} box - `iinf` box
+ * @returns {Map<number, {type: string, hidden: boolean}>} Item types keyed by item id
+ * @private
+ */
+function readItemInfo(buffer, box) {
+  const items = new Map();
+  const version = buffer[box.start];
+  const entries = box.start + (version === 0 ? 6 : 8);
+
+  for (const infe of readBoxes(buffer, entries, box.end)) {
+    if (infe.type !== 'infe') continue;
+    const infeVersion = buffer[infe.start];
+    if (infeVersion < 2) continue;
+
+    const idSize = infeVersion === 2 ? 2 : 4;
+    const id = readSized(buffer, infe.start + 4, idSize);
+    const typeOffset = infe.start + 4 + idSize + 2;
+    items.set(id, {
+      type: buffer.toString('latin1', typeOffset, typeOffset + 4),
+      hidden: (buffer[infe.start + 3] & 1) === 1
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Read the data locations of all items (`iloc`)
+ * @param {Buffer} buffer - HEIF data
+ * @param {{start: number, end: number}} box - `iloc` box
+ * @returns {Map<number, {method: number, extents: Array<{offset: number, length: number}>}>} Construction method and extents keyed by item id
+ * @private
+ */
+function readItemLocations(buffer, box) {
+  const locations = new Map();
+  const version = buffer[box.start];
+  const offsetSize = buffer[box.start + 4] >> 4;
+  const lengthSize = buffer[box.start + 4] & 0x0F;
+  const baseOffsetSize = buffer[box.start + 5] >> 4;
+  const indexSize = version > 0 ? buffer[box.start + 5] & 0x0F : 0;
+  const idSize = version < 2 ? 2 : 4;
+
+  let offset = box.start + 6;
+  const count = readSized(buffer, offset, idSize);
+  offset += idSize;
+
+  for (let i = 0; i < count && offset < box.end; i++) {
+    const id = readSized(buffer, offset, idSize);
+    offset += idSize;
+    const method = version > 0 ? buffer.readUInt16BE(offset) & 0x0F : 0;
+    offset += (version > 0 ? 2 : 0) + 2;
+    const baseOffset = readSized(buffer, offset, baseOffsetSize);
+    offset += baseOffsetSize;
+    const extentCount = buffer.readUInt16BE(offset);
+    offset += 2;
+
+    const extents = [];
+    for (let e = 0; e < extentCount; e++) {
+      offset += indexSize;
+      const extentOffset = readSized(buffer, offset, offsetSize);
+      offset += offsetSize;
+      const length = readSized(buffer, offset, lengthSize);
+      offset += lengthSize;
+      extents.push({ offset: baseOffset + extentOffset, length });
+    }
+    locations.set(id, { method, extents });
+  }
+
+  return locations;
+}
+
+/**
+ * Read the item references of one type (`iref`)
+ * @param {Buffer} buffer - HEIF data
+ * @param {{start: number, end: number}} box - `iref` box
+ * @param {string} referenceType - Reference type (e.g. 'cdsc', 'thmb')
+ * @returns {Array<{from: number, to: number[]}>} References from one item to others
+ * @private
+ */
+function readItemReferences(buffer, box, referenceType) {
+  const idSize = buffer[box.start] === 0 ? 2 : 4;
+  const references = [];
+
+  for (const reference of readBoxes(buffer, box.start + 4, box.end)) {
+    if (reference.type !== referenceType) continue;
+    const from = readSized(buffer, reference.start, idSize);
+    const count = buffer.readUInt16BE(reference.start + idSize);
+    const to = [];
+    for (let i = 0; i < count; i++) {
+      to.push(readSized(buffer, reference.start + idSize + 2 + i * idSize, idSize));
+    }
+    references.push({ from, to });
+  }
+
+  return references;
+}
+
+/**
+ * Find the ICC profile associated with each item (`iprp`)
+ * @param {Buffer} buffer - HEIF data
+ * @param {{start: number, end: number}} box - `iprp` box
+ * @returns {Map<number, Buffer>} ICC profiles keyed by item id
+ * @private
+ */
+function readItemProfiles(buffer, box) {
+  const children = readBoxes(buffer, box.start, box.end);
+  const ipco = children.find(child => child.type === 'ipco');
+  const profiles = new Map();
+  if (!ipco) {
+    return profiles;
+  }
+
+  // Property indices are 1-based; only ICC-carrying colr boxes are kept
+  const properties = readBoxes(buffer, ipco.start, ipco.end).map(property => {
+    if (property.type !== 'colr') return null;
+    const colorType = buffer.toString('latin1', property.start, property.start + 4);
+    return ICC_COLOR_TYPES.includes(colorType) ? buffer.subarray(property.start + 4, property.end) : null;
+  });
+
+  for (const ipma of children.filter(child => child.type === 'ipma')) {
+    const version = buffer[ipma.start];
+    const wideIndex = (buffer[ipma.start + 3] & 1) === 1;
+    const idSize = version < 1 ? 2 : 4;
+    const count = buffer.readUInt32BE(ipma.start + 4);
+    let offset = ipma.start + 8;
+
+    for (let i = 0; i < count && offset < ipma.end; i++) {
+      const id = readSized(buffer, offset, idSize);
+      const associations = buffer[offset + idSize];
+      offset += idSize + 1;
+      for (let a = 0; a < associations; a++) {
+        const index = wideIndex ? buffer.readUInt16BE(offset) & 0x7FFF : buffer[offset] & 0x7F;
+        offset += wideIndex ? 2 : 1;
+        if (properties[index - 1]) {
+          profiles.set(id, properties[index - 1]);
+        }
+      }
+    }
+  }
+
+  return profiles;
+}
+
+/**
+ * Read the payload of an item
+ * @param {Buffer} buffer - HEIF data
+ * @param {{method: number, extents: Array<{offset: number, length: number}>}} location - Item location
+ * @param {?{start: number}} idat - `idat` box for items stored in the meta box
+ * @returns {?Buffer} Item data, or null for unsupported construction methods
+ * @private
+ */
+function readItemData(buffer, location, idat) {
+  if (location.method > 1 || (location.method === 1 && !idat)) {
+    return null;
+  }
+  const base = location.method === 1 ? idat.start : 0;
+  return Buffer.concat(location.extents.map(
+    extent => buffer.subarray(base + extent.offset, base + extent.offset + extent.length)
+  ));
+}
+
+/**
+ * Extract the TIFF data of an Exif item
+ * @param {Buffer} payload - Exif item data
+ * @returns {?Buffer} Bare TIFF data, or null if malformed
+ * @private
+ */
+function readExifItem(payload) {
+  // The Exif item starts with the offset of the TIFF header after it
+  const tiff = payload.subarray(4 + payload.readUInt32BE(0));
+  const byteOrder = tiff.toString('latin1', 0, 2);
+  return byteOrder === 'II' || byteOrder === 'MM' ? Buffer.from(tiff) : null;
+}
+
+/**
+ * List the top-level images of a HEIC/HEIF file with their ICC profile and EXIF block
+ *
+ * Top-level images are the image items that are neither hidden, thumbnails,
+ * auxiliary images (alpha, depth) nor tiles of a derived image, in file
+ * order: the images a decoder enumerates. EXIF blocks are returned as bare
+ * TIFF data (starting with `II` or `MM`), as stored in a PNG `eXIf` chunk.
+ * Unreadable containers yield an empty list rather than an error.
+ *
+ * @param {Buffer} buffer - HEIC/HEIF data
+ * @returns {Array<{id: number, primary: boolean, icc: ?Buffer, exif: ?Buffer}>} Top-level images
+ * @example
+ * const images = readHeifImages(await fs.readFile('burst.heic'));
+ * // Returns e.g. [{ id: 1, primary: true, icc: <Buffer>, exif: <Buffer> }, { id: 2, primary: false, ... }]
+ */
+export function readHeifImages(buffer) {
+  try {
+    const meta = readBoxes(buffer, 0, buffer.length).find(box => box.type === 'meta');
+    if (!meta) {
+      return [];
+    }
+
+    const boxes = readBoxes(buffer, meta.start + 4, meta.end);
+    const find = (type) => boxes.find(box => box.type === type);
+    const pitm = find('pitm');
+    const iinf = find('iinf');
+    const iloc = find('iloc');
+    const iref = find('iref');
+    const iprp = find('iprp');
+    const idat = find('idat');
+    if (!pitm || !iinf || !iloc) {
+      return [];
+    }
+
+    const primaryId = readSized(buffer, pitm.start + 4, buffer[pitm.start] === 0 ? 2 : 4);
+    const items = readItemInfo(buffer, iinf);
+    const locations = readItemLocations(buffer, iloc);
+    const profiles = iprp ? readItemProfiles(buffer, iprp) : new Map();
+    const references = (type) => iref ? readItemReferences(buffer, iref, type) : [];
+
+    const nested = new Set([
+      ...references('thmb').map(reference => reference.from),
+      ...references('auxl').map(reference => reference.from),
+      ...references('dimg').flatMap(reference => reference.to)
+    ]);
+    const descriptions = references('cdsc').filter(reference => items.get(reference.from)?.type === 'Exif');
+
+    return [...items]
+      .filter(([id, item]) => !METADATA_ITEM_TYPES.includes(item.type) && !item.hidden && !nested.has(id))
+      .map(([id]) => {
+        const exifItem = descriptions.find(reference => reference.to.includes(id));
+        const location = exifItem ? locations.get(exifItem.from) : null;
+        const payload = location ? readItemData(buffer, location, idat) : null;
+        return {
+          id,
+          primary: id === primaryId,
+          icc: profiles.get(id) ?? null,
+          exif: payload ? readExifItem(payload) : null
+        };
+      });
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Read the ICC profile and EXIF block of the primary image of a HEIC/HEIF file
+ *
+ * Missing metadata yields null rather than an error: the pixels can still
+ * be converted.
+ *
+ * @param {Buffer} buffer - HEIC/HEIF data
+ * @returns {{icc: ?Buffer, exif: ?Buffer}} ICC profile and EXIF data (bare TIFF) of the primary image
+ * @example
+ * const { icc, exif } = readHeifMetadata(await fs.readFile('IMG_0001.heic'));
+ */
+export function readHeifMetadata(buffer) {
+  const primary = readHeifImages(buffer).find(image => image.primary);
+  return { icc: primary?.icc ?? null, exif: primary?.exif ?? null };
+}
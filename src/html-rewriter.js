@@ -0,0 +1,263 @@
+/**
+ * @fileoverview HTML rewriting for AVIF Image Optimizer
+ *
+ * Wraps `<img>` elements that reference converted images in `<picture>`
+ * elements with AVIF (and WebP, when generated) sources, and fills in
+ * missing `width`/`height` attributes so browsers reserve space before the
+ * image loads. Images already inside a `<picture>`, images with their own
+ * `srcset` and images without outputs are left alone, so running the
+ * rewrite again changes nothing.
+ *
+ * The scanner understands just enough HTML for this: tags with quoted or
+ * unquoted attributes, comments, and raw text elements such as `<script>`
+ * whose content is skipped.
+ *
+ * @module html-rewriter
+ */
+
+import fs from 'fs/promises';
+import { glob } from 'glob';
+import { OUTPUT_MIME_TYPES } from './constants.js';
+import { resolveReference, toReference, applyEdits, formatDiff } from './web-references.js';
+
+/**
+ * Output types offered as `<source>` elements, in order of preference;
+ * JPEG and PNG fallbacks are left to the `<img>` itself
+ * @constant {string[]}
+ * @private
+ */
+const SOURCE_TYPES = [OUTPUT_MIME_TYPES.avif, OUTPUT_MIME_TYPES.webp];
+
+/**
+ * Elements whose content is text, not markup
+ * @constant {string[]}
+ * @private
+ */
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title'];
+
+/**
+ * Character references decoded in attribute values
+ * @constant {Object.<string, string>}
+ * @private
+ */
+const ENTITIES = { '&amp;': '&', '&quot;': '"', '&#39;': "'", '&apos;': "'", '&lt;': '<', '&gt;': '>' };
+
+/**
+ * Read the tag starting at an offset
+ * @param {string} html - Document
+ * @param {number} start - Offset of the `<`
+ * @returns {?{name: string, closing: boolean, attributes: Array<{name: string, value: ?string}>, start: number, end: number, closeStart: number, selfClosing: boolean}} Tag, or null if no tag starts there
+ * @private
+ */
+function readTag(html, start) {
+  const tagName = /<(\/?)([a-zA-Z][^\s/>]*)/y;
+  tagName.lastIndex = start;
+  const match = tagName.exec(html);
+  if (!match) {
+    return null;
+  }
+
+  const attributes = [];
+  const separator = /[\s/]*/y;
+  const attribute = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/y;
+  let position = tagName.lastIndex;
+  while (position < html.length) {
+    separator.lastIndex = position;
+    separator.exec(html);
+    position = separator.lastIndex;
+    if (html[position] === '>') {
+      const selfClosing = html[position - 1] === '/';
+      return {
+        name: match[2].toLowerCase(),
+        closing: match[1] === '/',
+        attributes,
+        start,
+        end: position + 1,
+        closeStart: selfClosing ? position - 1 : position,
+        selfClosing
+      };
+    }
+
+    attribute.lastIndex = position;
+    const found = attribute.exec(html);
+    if (found) {
+      attributes.push({ name: found[1].toLowerCase(), value: found[2] ?? found[3] ?? found[4] ?? null });
+      position = attribute.lastIndex;
+    } else {
+      // Stray quotes and the like are skipped like browsers do
+      position++;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the `<img>` tags that are not inside a `<picture>`
+ * @param {string} html - Document
+ * @returns {Array<Object>} Tags as returned by readTag, in document order
+ * @private
+ */
+function findImages(html) {
+  const images = [];
+  let pictureDepth = 0;
+  let position = 0;
+  while ((position = html.indexOf('<', position)) !== -1) {
+    if (html.startsWith('<!--', position)) {
+      const end = html.indexOf('-->', position + 4);
+      position = end === -1 ? html.length : end + 3;
+      continue;
+    }
+
+    const tag = readTag(html, position);
+    if (!tag) {
+      position++;
+      continue;
+    }
+    position = tag.end;
+
+    if (tag.name === 'picture') {
+      pictureDepth = Math.max(0, pictureDepth + (tag.closing ? -1 : 1));
+    } else if (tag.name === 'img' && !tag.closing && pictureDepth === 0) {
+      images.push(tag);
+    } else if (!tag.closing && RAW_TEXT_ELEMENTS.includes(tag.name)) {
+      const closing = new RegExp(`</${tag.name}[\\s>]`, 'ig');
+      closing.lastIndex = tag.end;
+      position = closing.exec(html)?.index ?? html.length;
+    }
+  }
+  return images;
+}
+
+/**
+ * Escape a value for a double-quoted attribute
+ * @param {string} value - Attribute value
+ * @returns {string} Escaped value
+ * @private
+ */
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Work out the width and height attributes an image is missing
+ *
+ * Both come from the manifest entry when neither is set; when only one is
+ * set as a number, the other follows from the image's aspect ratio.
+ *
+ * @param {?string} width - Current width attribute
+ * @param {?string} height - Current height attribute
+ * @param {{width: number, height: number}} entry - Manifest entry
+ * @returns {string} Attributes to add, e.g. ' width="1200" height="800"' (empty if none)
+ * @private
+ */
+function getMissingDimensions(width, height, entry) {
+  const isNumber = (value) => value !== null && /^\s*\d+\s*$/.test(value);
+  if (width === null && height === null) {
+    return ` width="${entry.width}" height="${entry.height}"`;
+  }
+  if (height === null && isNumber(width)) {
+    return ` height="${Math.round(Number(width) * entry.height / entry.width)}"`;
+  }
+  if (width === null && isNumber(height)) {
+    return ` width="${Math.round(Number(height) * entry.width / entry.height)}"`;
+  }
+  return '';
+}
+
+/**
+ * Rewrite the images of an HTML document to `<picture>` elements
+ *
+ * @param {string} html - Document
+ * @param {Object} options - Rewrite options
+ * @param {string} options.filePath - Path of the document, for resolving relative URLs
+ * @param {string} options.webRoot - Directory served as `/`, for root-relative URLs
+ * @param {function(string): ?{width: number, height: number, outputs: Array<{src: string, type: string, width: number}>}} options.lookup - Manifest entry of a source path
+ * @returns {{html: string, edits: Array<{start: number, end: number, text: string}>}} Rewritten document and the edits made
+ * @example
+ * const { html } = rewriteHtml('<img src="hero.jpg" alt="">', {
+ *   filePath: 'dist/index.html',
+ *   webRoot: 'dist',
+ *   lookup: (source) => manifest.lookup(source)
+ * });
+ * // '<picture><source type="image/avif" srcset="hero.avif"><img src="hero.jpg" alt="" width="1200" height="800"></picture>'
+ */
+export function rewriteHtml(html, { filePath, webRoot, lookup }) {
+  const edits = [];
+
+  for (const tag of findImages(html)) {
+    const attribute = (name) => tag.attributes.find(candidate => candidate.name === name)?.value ?? null;
+    const src = attribute('src');
+    if (!src || attribute('srcset') !== null) continue;
+
+    const decoded = src.replace(/&(?:amp|quot|#39|apos|lt|gt);/g, entity => ENTITIES[entity]);
+    const sourcePath = resolveReference(decoded, filePath, webRoot);
+    const entry = sourcePath && lookup(sourcePath);
+    if (!entry) continue;
+
+    const rootRelative = decoded.trim().startsWith('/');
+    const sizes = attribute('sizes');
+    const sources = [];
+    for (const type of SOURCE_TYPES) {
+      const outputs = entry.outputs.filter(output => output.type === type);
+      if (outputs.length === 0) continue;
+      const urls = outputs.map(output => toReference(output.src, filePath, webRoot, rootRelative));
+      if (urls.includes(null)) continue;
+
+      const srcset = outputs.length === 1
+        ? urls[0]
+        : urls.map((url, index) => `${url} ${outputs[index].width}w`).join(', ');
+      const sizesAttribute = sizes !== null && outputs.length > 1 ? ` sizes="${escapeAttribute(sizes)}"` : '';
+      sources.push({
+        type,
+        markup: `<source type="${type}" srcset="${escapeAttribute(srcset)}"${sizesAttribute}${tag.selfClosing ? ' />' : '>'}`
+      });
+    }
+    if (sources[0]?.type !== OUTPUT_MIME_TYPES.avif) continue;
+
+    // Keep the tag as written and add the missing dimensions before its closing `>` or `/>`
+    const dimensions = getMissingDimensions(attribute('width'), attribute('height'), entry);
+    const beforeClose = html.slice(tag.start, tag.closeStart);
+    const image = beforeClose
+      + (dimensions && /\s$/.test(beforeClose) ? `${dimensions.trimStart()} ` : dimensions)
+      + html.slice(tag.closeStart, tag.end);
+    const markup = sources.map(source => source.markup).join('');
+    edits.push({ start: tag.start, end: tag.end, text: `<picture>${markup}${image}</picture>` });
+  }
+
+  return { html: applyEdits(html, edits), edits };
+}
+
+/**
+ * Rewrite the images of every HTML file matching a pattern
+ *
+ * Files without images to rewrite are not touched. In a dry run nothing is
+ * written and each rewrite carries a diff of the changes instead.
+ *
+ * @param {string} pattern - HTML file, or glob pattern such as "dist/**\/*.html"
+ * @param {{lookup: function(string): ?Object}} manifest - Manifest from openManifest
+ * @param {Object} options - Rewrite options
+ * @param {string} options.webRoot - Directory served as `/`
+ * @param {boolean} [options.dryRun=false] - Only compute the diffs
+ * @returns {Promise<Array<{filePath: string, images: number, diff?: string}>>} Rewritten files with the number of images wrapped
+ * @example
+ * const rewrites = await rewriteHtmlFiles('dist/**\/*.html', manifest, { webRoot: 'dist' });
+ * // [{ filePath: 'dist/index.html', images: 3 }]
+ */
+export async function rewriteHtmlFiles(pattern, manifest, { webRoot, dryRun = false }) {
+  const files = (await glob(pattern, { nodir: true })).sort();
+  const rewrites = [];
+
+  for (const filePath of files) {
+    const original = await fs.readFile(filePath, 'utf8');
+    const { html, edits } = rewriteHtml(original, { filePath, webRoot, lookup: (source) => manifest.lookup(source) });
+    if (edits.length === 0) continue;
+
+    if (dryRun) {
+      rewrites.push({ filePath, images: edits.length, diff: formatDiff(filePath, original, edits) });
+    } else {
+      await fs.writeFile(filePath, html);
+      rewrites.push({ filePath, images: edits.length });
+    }
+  }
+  return rewrites;
+}
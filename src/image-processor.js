@@ -11,9 +11,10 @@ import fs from 'fs/promises';
 import fsSync from 'fs';
 import path from 'path';
 import sharp from 'sharp';
-import heicConvert from 'heic-convert';
+import heicDecode from 'heic-decode';
 import {
   verbose,
+  normal,
   formatTime,
   formatBytes
 } from './output-formatter.js';
@@ -22,7 +23,21 @@ import {
   createError,
   createTimedErrorResponse
 } from './error-handler.js';
-import { DEFAULT_CONFIG } from './constants.js';
+import { DEFAULT_CONFIG, OUTPUT_FORMAT_EXTENSIONS, FOCUS_SIDECAR_SUFFIX } from './constants.js';
+import { computeSsim } from './quality-metrics.js';
+import { detectSourceColor, loadIccProfile, embedPngIccProfile, embedPngExif } from './color-profile.js';
+import { resolveMetadataGroups, resolveMetadataPolicy, clearExifOrientation } from './metadata-policy.js';
+import { readHeifMetadata, readHeifImages } from './heif-container.js';
+import { generatePlaceholders, PLACEHOLDER_THUMBNAIL_SIZE } from './placeholders.js';
+import {
+  parseNameTemplate,
+  getNameTemplate,
+  dependsOnImage,
+  dependsOnEncoding,
+  renderNameTemplate,
+  hashContent,
+  replaceAvifExtension
+} from './name-template.js';
 
 /**
  * Timing utility functions for high precision measurement
@@ -88,22 +103,1202 @@ export function getOptimizedDimensions(width, height, maxWidth, maxHeight) {
 }
 
 /**
- * Convert HEIC/HEIF to intermediate format for Sharp processing
- * @param {Buffer} inputBuffer - Input image buffer
- * @param {number} quality - Quality setting (0-1 scale)
- * @returns {Promise<{buffer: Buffer|null, success: boolean, error?: string}>} Preprocessing result
+ * Get the displayed dimensions of an image, honoring its EXIF orientation
+ *
+ * Orientations 5-8 are rotated by 90°, so width and height swap once the
+ * image is auto-oriented. With `autoOrient: false` the stored dimensions
+ * are returned unchanged.
+ *
+ * @param {import('sharp').Metadata} metadata - Sharp metadata of the input
+ * @param {Object} [config] - Configuration object
+ * @param {boolean} [config.autoOrient] - Whether to auto-orient (default: DEFAULT_CONFIG.autoOrient)
+ * @returns {{width: number, height: number, autoOriented: boolean}} Dimensions after orientation, and whether an orientation other than "normal" is applied
+ * @example
+ * // Portrait phone photo stored landscape with orientation 6
+ * getOrientedDimensions({ width: 4032, height: 3024, orientation: 6 });
+ * // Returns { width: 3024, height: 4032, autoOriented: true }
+ */
+export function getOrientedDimensions(metadata, config = {}) {
+  const autoOrient = config.autoOrient ?? DEFAULT_CONFIG.autoOrient;
+  const autoOriented = autoOrient && (metadata.orientation ?? 1) > 1;
+  const swapped = autoOriented && metadata.orientation >= 5;
+
+  return {
+    width: swapped ? metadata.height : metadata.width,
+    height: swapped ? metadata.width : metadata.height,
+    autoOriented
+  };
+}
+
+/**
+ * Resolve the responsive breakpoint widths to generate for an image
+ *
+ * Widths larger than the original are dropped and replaced by a single
+ * variant at the original width, so variants are never upscaled.
+ *
+ * @param {number} originalWidth - Original width in pixels
+ * @param {number[]} widths - Requested breakpoint widths in pixels
+ * @returns {number[]} Sorted, de-duplicated widths to generate
+ * @example
+ * getVariantWidths(1500, [320, 640, 1024, 1920]);
+ * // Returns [320, 640, 1024, 1500]
+ */
+export function getVariantWidths(originalWidth, widths) {
+  const requested = [...new Set(widths)].sort((a, b) => a - b);
+  const variantWidths = requested.filter(width => width <= originalWidth);
+
+  if (variantWidths.length < requested.length && !variantWidths.includes(originalWidth)) {
+    variantWidths.push(originalWidth);
+  }
+
+  return variantWidths;
+}
+
+/**
+ * Parse an aspect ratio given as 'W:H', 'W/H' or a number
+ * @param {string|number} aspect - Aspect ratio (e.g. '16:9', '4/3', 1.5)
+ * @returns {number} Width divided by height
+ * @throws {Error} INVALID_INPUT if the ratio is not positive
+ * @private
+ */
+function parseAspectRatio(aspect) {
+  const [width, height = 1] = String(aspect).split(/[:/]/).map(Number);
+  const ratio = width / height;
+
+  if (!Number.isFinite(ratio) || ratio <= 0) {
+    throw createError(`Invalid aspect ratio: ${aspect}`, ERROR_TYPES.INVALID_INPUT);
+  }
+
+  return ratio;
+}
+
+/**
+ * Get the box of a given aspect ratio that frames an image
+ *
+ * For 'cover' and 'fill' this is the largest box that fits inside the
+ * image, i.e. the crop area for 'cover'. For 'contain' it is the smallest
+ * box the whole image fits into, so letterboxing never shrinks the image.
+ *
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {string|number} aspect - Aspect ratio (e.g. '16:9', '4/3', 1.5)
+ * @param {string} [fit='cover'] - 'cover', 'contain' or 'fill'
+ * @returns {{width: number, height: number}} Frame dimensions in source pixels
+ * @example
+ * getAspectFrame(3000, 2000, '1:1');
+ * // Returns { width: 2000, height: 2000 }
+ * getAspectFrame(3000, 2000, '1:1', 'contain');
+ * // Returns { width: 3000, height: 3000 }
+ */
+export function getAspectFrame(width, height, aspect, fit = 'cover') {
+  const ratio = parseAspectRatio(aspect);
+  const wider = width / height > ratio;
+
+  if (wider === (fit === 'contain')) {
+    return { width, height: Math.max(1, Math.round(width / ratio)) };
+  }
+  return { width: Math.max(1, Math.round(height * ratio)), height };
+}
+
+/**
+ * Read the focal point sidecar of an image (e.g. `photo.focus.json`)
+ * @param {string} inputPath - Path to the input image
+ * @returns {Promise<?{x: number, y: number}>} Focal point, or null without a sidecar
+ * @throws {Error} INVALID_INPUT if the sidecar is not `{ "x": 0-1, "y": 0-1 }`
  * @private
  */
-async function preprocessHeicImage(inputBuffer, quality = 0.85) {
+async function readFocusSidecar(inputPath) {
+  const sidecarPath = path.join(
+    path.dirname(inputPath),
+    path.basename(inputPath, path.extname(inputPath)) + FOCUS_SIDECAR_SUFFIX
+  );
+
+  let focus;
   try {
-    verbose('  📱 Converting HEIC/HEIF to JPEG for processing...');
-    
-    const outputBuffer = await heicConvert({
-      buffer: inputBuffer,
-      format: 'JPEG',
-      quality: quality
+    focus = JSON.parse(await fs.readFile(sidecarPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw createError(`Invalid focal point sidecar ${sidecarPath}: ${error.message}`, ERROR_TYPES.INVALID_INPUT);
+  }
+
+  const valid = focus && [focus.x, focus.y].every(value => typeof value === 'number' && value >= 0 && value <= 1);
+  if (!valid) {
+    throw createError(`Invalid focal point sidecar ${sidecarPath}: expected { "x": 0-1, "y": 0-1 }`, ERROR_TYPES.INVALID_INPUT);
+  }
+
+  return { x: focus.x, y: focus.y };
+}
+
+/**
+ * Resolve how an image is framed: the source-pixel frame that output sizes
+ * derive from, and the resize settings that produce it
+ *
+ * Without `aspect` the frame is the whole image. With `aspect`, 'cover'
+ * crops around the focal point (sidecar file, then `focus`) or with the
+ * `crop` strategy; 'contain' pads and 'fill' stretches to the ratio.
+ *
+ * @param {number} width - Image width in pixels (post-orientation)
+ * @param {number} height - Image height in pixels (post-orientation)
+ * @param {Object} options - Processing options
+ * @param {?string|number} [options.aspect] - Output aspect ratio
+ * @param {string} [options.fit] - 'cover', 'contain' or 'fill' (default: DEFAULT_CONFIG.fit)
+ * @param {string} [options.crop] - 'center', 'attention' or 'entropy' (default: DEFAULT_CONFIG.crop)
+ * @param {?{x: number, y: number}} [options.focus] - Focal point (0-1)
+ * @param {?string} [inputPath] - Input file path, used to look up a focal point sidecar
+ * @returns {Promise<{width: number, height: number, resize: ?{fit: string, position?: string, region?: {left: number, top: number, width: number, height: number}}, framing?: {aspect: string, fit: string, strategy?: string, focus?: {x: number, y: number}, focusSource?: string}}>} Frame dimensions, resize settings and the reported framing
+ * @private
+ */
+async function resolveFraming(width, height, options, inputPath = null) {
+  if (!options.aspect) {
+    return { width, height, resize: null };
+  }
+
+  const fit = options.fit ?? DEFAULT_CONFIG.fit;
+  const frame = getAspectFrame(width, height, options.aspect, fit);
+  const aspect = String(options.aspect);
+
+  if (fit !== 'cover') {
+    return { ...frame, resize: { fit }, framing: { aspect, fit } };
+  }
+
+  const sidecarFocus = inputPath ? await readFocusSidecar(inputPath) : null;
+  const focus = sidecarFocus || options.focus;
+
+  if (focus) {
+    // Center the frame on the focal point, clamped to the image
+    const left = Math.round(focus.x * width - frame.width / 2);
+    const top = Math.round(focus.y * height - frame.height / 2);
+    return {
+      ...frame,
+      resize: {
+        fit,
+        region: {
+          left: Math.min(Math.max(left, 0), width - frame.width),
+          top: Math.min(Math.max(top, 0), height - frame.height),
+          width: frame.width,
+          height: frame.height
+        }
+      },
+      framing: { aspect, fit, strategy: 'focus', focus, focusSource: sidecarFocus ? 'sidecar' : 'option' }
+    };
+  }
+
+  const strategy = options.crop ?? DEFAULT_CONFIG.crop;
+  return {
+    ...frame,
+    resize: { fit, position: strategy === 'center' ? 'centre' : strategy },
+    framing: { aspect, fit, strategy }
+  };
+}
+
+/**
+ * Get the output directory of an input file
+ *
+ * Without config.outputDir outputs are written next to the input. With it,
+ * the input's location relative to config.inputRoot is mirrored below it
+ * (`images/blog/a.jpg` → `optimized/blog/`), unless config.flat is set or
+ * no root is known. Inputs outside the root are written flat.
+ *
+ * @param {string} inputPath - Path to input image
+ * @param {Object} config - Configuration object
+ * @param {?string} [config.outputDir] - Output directory (null = same as input)
+ * @param {?string} [config.inputRoot] - Directory the input tree is mirrored from
+ * @param {boolean} [config.flat] - Write every output directly into config.outputDir
+ * @returns {string} Output directory
+ * @private
+ */
+function getOutputDir(inputPath, config) {
+  const inputDir = path.dirname(inputPath);
+  if (!config.outputDir) {
+    return inputDir;
+  }
+  if (config.flat || !config.inputRoot) {
+    return config.outputDir;
+  }
+
+  const relativeDir = path.relative(path.resolve(config.inputRoot), path.resolve(inputDir));
+  if (relativeDir.startsWith('..') || path.isAbsolute(relativeDir)) {
+    return config.outputDir;
+  }
+  return path.join(config.outputDir, relativeDir);
+}
+
+/**
+ * Get the AVIF output path of an input file from the name template
+ *
+ * Renders config.nameTemplate (or the default `[name].avif`, or
+ * `[name]-[width]w.avif` for responsive variants) inside the output
+ * directory (see getOutputDir). Tokens without a value in `values` are
+ * kept as written.
+ *
+ * @param {string} inputPath - Path to input image
+ * @param {Object} config - Configuration object
+ * @param {?string} [config.outputDir] - Output directory (null = same as input)
+ * @param {?string} [config.inputRoot] - Directory the input tree is mirrored from under config.outputDir
+ * @param {boolean} [config.flat] - Write every output directly into config.outputDir
+ * @param {?string} [config.nameTemplate] - Output name template
+ * @param {?number[]} [config.widths] - Responsive widths
+ * @param {?number} [config.heicImageIndex] - Selected HEIC/HEIF image (0-based)
+ * @param {{width?: number, height?: number, quality?: number, hash?: string}} [values={}] - Values of the image-dependent tokens
+ * @returns {string} Output path
+ * @example
+ * getOutputPath('photos/hero.jpg', { outputDir: 'dist', nameTemplate: '[name]-[width]w.avif' }, { width: 640 });
+ * // Returns 'dist/hero-640w.avif'
+ */
+export function getOutputPath(inputPath, config, values = {}) {
+  const name = renderNameTemplate(getNameTemplate(config), {
+    name: getOutputName(inputPath, config),
+    ext: path.extname(inputPath).slice(1),
+    dir: path.basename(path.dirname(path.resolve(inputPath))),
+    ...values
+  });
+  return path.join(getOutputDir(inputPath, config), name);
+}
+
+/**
+ * Get the AVIF output path of an input file for an error result
+ *
+ * The error may come from the name template itself, which must not turn
+ * the error result into a rejection.
+ *
+ * @param {string} inputPath - Path to input image
+ * @param {Object} config - Configuration object
+ * @returns {?string} Output path, or null if it cannot be rendered
+ * @private
+ */
+function getOutputPathOrNull(inputPath, config) {
+  try {
+    return getOutputPath(inputPath, config);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the output path of the poster frame of an animation
+ *
+ * The poster is named after the AVIF output (`hero-poster.avif`); with the
+ * default variant names it is named after the input rather than a width.
+ *
+ * @param {string} inputPath - Path to input image
+ * @param {Object} config - Configuration object
+ * @param {{width?: number, height?: number, quality?: number, hash?: string}} values - Token values of the primary output
+ * @returns {string} Poster output path
+ * @private
+ */
+function getPosterPath(inputPath, config, values) {
+  return replaceAvifExtension(getOutputPath(inputPath, { ...config, widths: null }, values), '-poster.avif');
+}
+
+/**
+ * List every file a conversion result wrote
+ * @param {Object} result - Result of convertImageToAvif
+ * @returns {string[]} AVIF outputs or variants, HEIC image outputs, fallbacks and poster (none for skipped results)
+ * @example
+ * listResultOutputs(await convertImageToAvif('hero.gif', { formats: ['avif', 'webp'], poster: true }));
+ * // Returns ['hero.avif', 'hero.webp', 'hero-poster.avif']
+ */
+export function listResultOutputs(result) {
+  if (result.skipped || result.error) {
+    return [];
+  }
+  const outputs = [
+    ...(result.images ? result.images.map(image => image.outputPath) : []),
+    ...(result.variants ? result.variants.map(variant => variant.outputPath) : [result.outputPath]),
+    ...(result.fallbacks || []).map(fallback => fallback.outputPath),
+    ...(result.poster ? [result.poster.outputPath] : [])
+  ];
+  return [...new Set(outputs)];
+}
+
+/**
+ * List the files a conversion would write, as far as their names are known up front
+ *
+ * Names that depend on the encoded output or the image height cannot be
+ * predicted and yield no paths, nor can the images of multi-image HEIC
+ * files. Outputs are listed whether or not they exist, including variants
+ * wider than the source and a poster frame only animations get.
+ *
+ * @param {string} inputPath - Path to input image
+ * @param {Object} config - Configuration object
+ * @returns {string[]} Possible output paths
+ * @example
+ * getExpectedOutputs('photos/hero.jpg', { outputDir: 'dist', formats: ['avif', 'webp'] });
+ * // Returns ['dist/hero.avif', 'dist/hero.webp', 'dist/hero-poster.avif']
+ */
+export function getExpectedOutputs(inputPath, config) {
+  const template = getNameTemplate(config);
+  if (dependsOnEncoding(template) || parseNameTemplate(template).includes('height')) {
+    return [];
+  }
+
+  const widths = Array.isArray(config.widths) && config.widths.length > 0 ? config.widths : [undefined];
+  const avifPaths = widths.map(width => getOutputPath(inputPath, config, { width }));
+
+  return [
+    ...avifPaths,
+    ...avifPaths.flatMap(avifPath => getFallbackFormats(config).map(format =>
+      replaceAvifExtension(avifPath, OUTPUT_FORMAT_EXTENSIONS[format])
+    )),
+    replaceAvifExtension(getOutputPath(inputPath, { ...config, widths: null }), '-poster.avif')
+  ];
+}
+
+/**
+ * Check that responsive variants get distinct names
+ * @param {Object} config - Configuration object
+ * @throws {Error} INVALID_INPUT if the name template lacks [width]
+ * @private
+ */
+function assertVariantNameTemplate(config) {
+  if (!getNameTemplate(config).includes('[width]')) {
+    throw createError('Name template must contain [width] when widths are set', ERROR_TYPES.INVALID_INPUT);
+  }
+}
+
+/**
+ * Input formats that can hold animation frames
+ * @constant {string[]}
+ * @private
+ */
+const ANIMATED_FORMATS = ['gif', 'webp'];
+
+/**
+ * Output formats that can store animation frames
+ * @constant {string[]}
+ * @private
+ */
+const ANIMATED_OUTPUT_FORMATS = ['avif', 'webp'];
+
+/**
+ * Describe the animation of an image from its (first-page) Sharp metadata
+ *
+ * Only GIF and WebP inputs are treated as animated, so multi-page TIFF and
+ * HEIF collections keep converting their first image as before.
+ *
+ * @param {import('sharp').Metadata} metadata - Metadata read without `animated: true`
+ * @param {Object} config - Configuration object
+ * @param {boolean|string} [config.animation] - Whether to keep animation: true, false or 'require' (default: DEFAULT_CONFIG.animation)
+ * @returns {{animated: boolean, frames?: number, delay?: number[], loop?: number}} Animation info
+ * @example
+ * const animation = getAnimationInfo(await sharp('banner.gif').metadata(), config);
+ * // Returns { animated: true, frames: 12, delay: [80, 80, ...], loop: 0 }
+ */
+export function getAnimationInfo(metadata, config = {}) {
+  const keepAnimation = config.animation ?? DEFAULT_CONFIG.animation;
+  const animated = keepAnimation &&
+    ANIMATED_FORMATS.includes(metadata.format) &&
+    (metadata.pages ?? 1) > 1;
+
+  if (!animated) {
+    return { animated: false };
+  }
+
+  return {
+    animated: true,
+    frames: metadata.pages,
+    delay: metadata.delay,
+    loop: metadata.loop
+  };
+}
+
+/**
+ * Two-frame 1×1 GIF encoded once to find out whether AVIF sequences work
+ * @constant {Buffer}
+ * @private
+ */
+const ANIMATION_PROBE = Buffer.from(
+  'R0lGODlhAQABAPEAAAAAAP8AAAD/AAAA/yH/C05FVFNDQVBFMi4wAwEAAAAh+QQECgAAACwAAAAAAQABAAACAkwBACH5BAQKAAAALAAAAAABAAEAAAICVAEAOw==',
+  'base64'
+);
+
+/**
+ * Pending or settled result of the animated AVIF probe
+ * @type {?Promise<boolean>}
+ * @private
+ */
+let animatedAvifSupport = null;
+
+/**
+ * Whether the first-frame fallback has been announced in this process
+ * @type {boolean}
+ * @private
+ */
+let firstFrameWarningShown = false;
+
+/**
+ * Check whether the installed sharp/libvips build can encode AVIF sequences
+ *
+ * Builds without sequence support (such as the prebuilt libvips of sharp
+ * 0.33) stack all frames into one tall still image. The check encodes a
+ * tiny two-frame image the first time it is needed and remembers the answer.
+ *
+ * @returns {Promise<boolean>} Whether animated AVIF output keeps its frames
+ * @example
+ * if (!await supportsAnimatedAvif()) {
+ *   console.warn('Animated GIFs will be converted to their first frame');
+ * }
+ */
+export function supportsAnimatedAvif() {
+  animatedAvifSupport ??= sharp(ANIMATION_PROBE, { animated: true })
+    .avif()
+    .toBuffer()
+    .then(data => sharp(data, { animated: true }).metadata())
+    .then(({ pages = 1 }) => pages > 1)
+    .catch(() => false);
+  return animatedAvifSupport;
+}
+
+/**
+ * Describe the animation that will be encoded for an image
+ *
+ * Like getAnimationInfo, but animated input falls back to its first frame
+ * (`firstFrameOnly`) when the AVIF encoder cannot write sequences, unless
+ * `config.animation` is 'require'. The fallback is announced once per
+ * process; results carry `firstFrameOnly` for the per-file output.
+ *
+ * @param {import('sharp').Metadata} metadata - Metadata read without `animated: true`
+ * @param {Object} config - Configuration object
+ * @param {boolean|string} [config.animation] - true, false or 'require' (default: DEFAULT_CONFIG.animation)
+ * @returns {Promise<{animated: boolean, frames?: number, delay?: number[], loop?: number, firstFrameOnly?: boolean}>} Animation info
+ * @throws {Error} ANIMATION_UNSUPPORTED if animation is required but cannot be encoded
+ * @private
+ */
+async function resolveAnimation(metadata, config) {
+  const animation = getAnimationInfo(metadata, config);
+  if (!animation.animated || await supportsAnimatedAvif()) {
+    return animation;
+  }
+
+  if (config.animation === 'require') {
+    throw createError(
+      `Animated AVIF output is not supported by the installed sharp/libvips build (${animation.frames} frames would be lost)`,
+      ERROR_TYPES.ANIMATION_UNSUPPORTED
+    );
+  }
+  if (!firstFrameWarningShown) {
+    firstFrameWarningShown = true;
+    normal('⚠️  Animated AVIF is not supported by this sharp/libvips build; animated images keep only their first frame (use --require-animation to fail instead)');
+  }
+  return { animated: false, frames: animation.frames, firstFrameOnly: true };
+}
+
+/**
+ * Open a Sharp instance for an input
+ *
+ * Streamed input is written once into a Sharp instance (see
+ * convertStreamedInputToAvif), which is cloned instead of reopened and so
+ * keeps the input options it was created with.
+ *
+ * @param {string|Buffer|import('sharp').Sharp} sharpInput - Path, buffer or Sharp instance holding streamed input
+ * @param {import('sharp').SharpOptions} [inputOptions] - Input options for paths and buffers
+ * @returns {import('sharp').Sharp} Sharp instance
+ * @private
+ */
+function openInput(sharpInput, inputOptions) {
+  return sharpInput instanceof sharp
+    ? /** @type {import('sharp').Sharp} */ (sharpInput).clone()
+    : sharp(/** @type {string|Buffer} */ (sharpInput), inputOptions);
+}
+
+/**
+ * Open a Sharp instance, loading every frame for animated inputs
+ *
+ * Frame delays and loop count travel with the image metadata, so every
+ * resize applies per frame and animated encoders keep the original timing.
+ *
+ * @param {string|Buffer|import('sharp').Sharp} sharpInput - Input for Sharp (path, buffer or streamed input)
+ * @param {{animated: boolean}} animation - Animation info from getAnimationInfo
+ * @returns {import('sharp').Sharp} Sharp instance
+ * @private
+ */
+function openImage(sharpInput, animation) {
+  return openInput(sharpInput, { animated: animation.animated });
+}
+
+/**
+ * Ensure an encoded AVIF kept every animation frame
+ *
+ * Builds of libvips without AVIF sequence support silently stack all frames
+ * into one tall still image; fail loudly instead of writing that.
+ *
+ * @param {Buffer} data - Encoded AVIF
+ * @param {{animated: boolean, frames?: number}} animation - Animation info of the source
+ * @returns {Promise<void>}
+ * @throws {Error} ANIMATION_UNSUPPORTED if frames were lost
+ * @private
+ */
+async function assertAnimationPreserved(data, animation) {
+  if (!animation.animated) {
+    return;
+  }
+
+  const { pages = 1 } = await sharp(data, { animated: true }).metadata();
+  if (pages < animation.frames) {
+    throw createError(
+      `Animated AVIF output is not supported by the installed sharp/libvips build (${animation.frames} frames would be merged into one image)`,
+      ERROR_TYPES.ANIMATION_UNSUPPORTED
+    );
+  }
+}
+
+/**
+ * Write a static AVIF poster from the first frame (e.g. `banner-poster.avif`)
+ * @param {string|Buffer} sharpInput - Input for Sharp (path or buffer)
+ * @param {number} width - Target width in pixels
+ * @param {number} height - Target height in pixels
+ * @param {string} outputPath - Poster output path
+ * @param {Object} config - Configuration object
+ * @returns {Promise<{outputPath: string, outputSize: number}>} Written poster
+ * @private
+ */
+async function writePosterFrame(sharpInput, width, height, outputPath, config) {
+  const { data } = await encodeAvif(openImage(sharpInput, { animated: false }), width, height, config);
+  await fs.writeFile(outputPath, data);
+  return { outputPath, outputSize: data.length };
+}
+
+/**
+ * Compute lazy-loading placeholders for an output
+ *
+ * The thumbnail goes through the same orientation and framing as the
+ * output (first frame of animated inputs) and is converted to sRGB.
+ *
+ * @param {string|Buffer|import('sharp').Sharp} sharpInput - Input for Sharp (path, buffer or streamed input)
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @param {Object} options - Processing options
+ * @param {?string[]} [options.placeholders] - Placeholders to compute (see PLACEHOLDER_TYPES)
+ * @param {boolean} [options.autoOrient] - Rotate/flip according to EXIF orientation
+ * @param {?Object} [options.resize] - Aspect framing from resolveFraming
+ * @param {string} [options.background] - Letterbox color for 'contain' framing
+ * @returns {Promise<{lqip?: string, blurhash?: string, thumbhash?: string, color?: string}|undefined>} Placeholders (undefined when none are requested)
+ * @private
+ */
+async function createPlaceholders(sharpInput, width, height, options) {
+  if (!options.placeholders?.length) {
+    return undefined;
+  }
+
+  const scale = Math.min(1, PLACEHOLDER_THUMBNAIL_SIZE / Math.max(width, height));
+  const thumbnail = await buildResizePipeline(
+    openImage(sharpInput, { animated: false }),
+    Math.max(1, Math.round(width * scale)),
+    Math.max(1, Math.round(height * scale)),
+    { autoOrient: options.autoOrient, resize: options.resize, background: options.background }
+  )
+    .toColourspace('srgb')
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return generatePlaceholders(thumbnail, options.placeholders);
+}
+
+/**
+ * Get the fallback formats requested in addition to AVIF
+ * @param {Object} config - Configuration object
+ * @param {string[]} [config.formats] - Requested output formats
+ * @returns {string[]} Requested formats other than AVIF
+ * @private
+ */
+function getFallbackFormats(config) {
+  return (config.formats || []).filter(format => format !== 'avif');
+}
+
+/**
+ * Encode and write fallback formats (WebP, JPEG, PNG) from the resized pipeline
+ *
+ * A single resized pipeline is built and cloned per format. Formats without
+ * alpha support (JPEG) are flattened against `config.background`, and
+ * formats without animation support (JPEG, PNG) use the first frame of
+ * animated inputs. A fallback whose path would overwrite the source file is
+ * skipped.
+ *
+ * @param {string} inputPath - Path to input image
+ * @param {string|Buffer} sharpInput - Input for Sharp (path or buffer)
+ * @param {{animated: boolean}} animation - Animation info from getAnimationInfo
+ * @param {number} width - Target width in pixels
+ * @param {number} height - Target height in pixels
+ * @param {function(string): string} getOutputPath - Maps a file extension to an output path
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Array<{format: string, width: number, height: number, outputPath: string, outputSize: number}>>} Written fallbacks
+ * @private
+ */
+async function writeFallbackFormats(inputPath, sharpInput, animation, width, height, getOutputPath, config) {
+  const fallbackFormats = getFallbackFormats(config);
+  const fallbacks = [];
+
+  if (fallbackFormats.length === 0) {
+    return fallbacks;
+  }
+
+  const resized = buildResizePipeline(openImage(sharpInput, animation), width, height, config);
+  const resizedStill = animation.animated
+    ? buildResizePipeline(openImage(sharpInput, { animated: false }), width, height, config)
+    : resized;
+
+  for (const format of fallbackFormats) {
+    const outputPath = getOutputPath(OUTPUT_FORMAT_EXTENSIONS[format]);
+
+    if (path.resolve(outputPath) === path.resolve(inputPath)) {
+      verbose(`  ⚠️  Skipping ${format} fallback: it would overwrite the source file`);
+      continue;
+    }
+
+    const pipeline = ANIMATED_OUTPUT_FORMATS.includes(format)
+      ? resized.clone()
+      : resizedStill.clone();
+    switch (format) {
+      case 'webp':
+        pipeline.webp({ quality: config.quality, effort: Math.min(config.effort, 6) });
+        break;
+      case 'jpeg':
+        pipeline
+          .flatten({ background: config.background ?? DEFAULT_CONFIG.background })
+          .jpeg({ quality: config.quality, mozjpeg: true });
+        break;
+      case 'png':
+        pipeline.png({ compressionLevel: 9 });
+        break;
+    }
+
+    const data = await pipeline.toBuffer();
+    await fs.writeFile(outputPath, data);
+    fallbacks.push({ format, width, height, outputPath, outputSize: data.length });
+  }
+
+  return fallbacks;
+}
+
+/**
+ * Chroma subsampling passed to the AVIF encoder for each `chroma` mode
+ * @constant {Object.<string, string>}
+ * @private
+ */
+const CHROMA_SUBSAMPLING = {
+  '420': '4:2:0',
+  '444': '4:4:4'
+};
+
+/**
+ * Source formats whose content is inspected in `chroma: 'auto'` mode
+ * @constant {string[]}
+ * @private
+ */
+const GRAPHICS_FORMATS = ['png', 'gif'];
+
+/**
+ * Thresholds used by content detection
+ * - sampleSize: longest edge of the nearest-neighbour sample that is inspected
+ * - maxColors: at most this many distinct colors counts as low-color (lossless)
+ * - flatRatio: share of pixels equal to their left neighbour that counts as flat-color
+ * - alphaRatio: share of non-opaque pixels that counts as alpha-heavy
+ * @constant {{sampleSize: number, maxColors: number, flatRatio: number, alphaRatio: number}}
+ * @private
+ */
+const CONTENT_THRESHOLDS = {
+  sampleSize: 256,
+  maxColors: 256,
+  flatRatio: 0.6,
+  alphaRatio: 0.25
+};
+
+/**
+ * Classify image content as photo or graphics
+ *
+ * Inspects a nearest-neighbour sample of the first frame (so no new colors
+ * are blended in) and reports the distinct color count, the share of flat
+ * runs and the share of transparent pixels. The `type` is the first match of
+ * `low-color`, `alpha-heavy`, `flat-color`, otherwise `photo`.
+ *
+ * @param {string|Buffer|import('sharp').Sharp} sharpInput - Input for Sharp (path, buffer or streamed input)
+ * @returns {Promise<{type: string, uniqueColors: number, flatRatio: number, alphaRatio: number}>} Detection result; `uniqueColors` stops counting just above the low-color limit
+ * @example
+ * const { type } = await detectImageContent('./logo.png');
+ * // Returns e.g. 'low-color' for a flat logo, 'photo' for a screenshot of a photo
+ */
+export async function detectImageContent(sharpInput) {
+  const { data, info } = await openInput(sharpInput)
+    .resize(CONTENT_THRESHOLDS.sampleSize, CONTENT_THRESHOLDS.sampleSize, {
+      fit: 'inside',
+      kernel: sharp.kernel.nearest,
+      withoutEnlargement: true
+    })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const pixels = info.width * info.height;
+  const colors = new Set();
+  let flat = 0;
+  let transparent = 0;
+
+  for (let i = 0; i < pixels; i++) {
+    const offset = i * 4;
+    const color = data.readUInt32BE(offset);
+
+    if (colors.size <= CONTENT_THRESHOLDS.maxColors) {
+      colors.add(color);
+    }
+    if (i % info.width !== 0 && data.readUInt32BE(offset - 4) === color) {
+      flat++;
+    }
+    if (data[offset + 3] < 255) {
+      transparent++;
+    }
+  }
+
+  const flatRatio = flat / pixels;
+  const alphaRatio = transparent / pixels;
+  let type = 'photo';
+
+  if (colors.size <= CONTENT_THRESHOLDS.maxColors) {
+    type = 'low-color';
+  } else if (alphaRatio >= CONTENT_THRESHOLDS.alphaRatio) {
+    type = 'alpha-heavy';
+  } else if (flatRatio >= CONTENT_THRESHOLDS.flatRatio) {
+    type = 'flat-color';
+  }
+
+  return {
+    type,
+    uniqueColors: colors.size,
+    flatRatio: parseFloat(flatRatio.toFixed(3)),
+    alphaRatio: parseFloat(alphaRatio.toFixed(3))
+  };
+}
+
+/**
+ * Resolve lossless and chroma subsampling settings for one image
+ *
+ * An explicit `lossless` always wins. In `chroma: 'auto'` mode PNG and GIF
+ * sources are inspected with {@link detectImageContent}: low-color images are
+ * encoded losslessly, flat-color and alpha-heavy ones with 4:4:4; everything
+ * else (including all photo formats) keeps 4:2:0.
+ *
+ * @param {string|Buffer|import('sharp').Sharp} sharpInput - Input for Sharp (path, buffer or streamed input)
+ * @param {import('sharp').Metadata} metadata - Metadata of the input
+ * @param {Object} options - Processing options
+ * @param {boolean} [options.lossless] - Encode losslessly
+ * @param {string} [options.chroma] - '420', '444' or 'auto'
+ * @returns {Promise<{lossless: boolean, chromaSubsampling: string, contentDetection?: {type: string, uniqueColors: number, flatRatio: number, alphaRatio: number}}>} Encoder settings
+ * @private
+ */
+async function resolveEncodingSettings(sharpInput, metadata, options) {
+  const chroma = options.chroma ?? DEFAULT_CONFIG.chroma;
+
+  if (options.lossless) {
+    return { lossless: true, chromaSubsampling: CHROMA_SUBSAMPLING['444'] };
+  }
+
+  if (chroma !== 'auto') {
+    return { lossless: false, chromaSubsampling: CHROMA_SUBSAMPLING[chroma] };
+  }
+
+  if (!GRAPHICS_FORMATS.includes(metadata.format)) {
+    return { lossless: false, chromaSubsampling: CHROMA_SUBSAMPLING['420'] };
+  }
+
+  const contentDetection = await detectImageContent(sharpInput);
+  verbose(`  🔍 Content: ${contentDetection.type}`);
+
+  return {
+    lossless: contentDetection.type === 'low-color',
+    chromaSubsampling: contentDetection.type === 'photo'
+      ? CHROMA_SUBSAMPLING['420']
+      : CHROMA_SUBSAMPLING['444'],
+    contentDetection
+  };
+}
+
+/**
+ * Resolve output bit depth, color space and ICC handling for one image
+ *
+ * - `colorProfile: 'srgb'` converts to sRGB through the embedded profile
+ *   (the default). Untagged sources whose EXIF marks them as Adobe RGB get
+ *   the Adobe RGB profile assigned first, so they are converted correctly.
+ * - `colorProfile: 'keep'` keeps the embedded profile and the pixel values.
+ * - `colorProfile: 'assign'` tags the pixels with `assignProfile` instead of
+ *   the embedded profile (if any) and keeps it in the output.
+ *
+ * `wideGamut` keeps the profile of wide-gamut sources only, and
+ * the 'icc' metadata group keeps whatever profile the source has. CMYK sources are
+ * always converted to sRGB through their embedded (or a generic) CMYK
+ * profile, since a CMYK profile cannot describe the RGB output. Profiles are
+ * not assigned to animated sources.
+ *
+ * @param {{colorSpace: string, profile: string, wideGamut: boolean}} sourceColor - Result of detectSourceColor
+ * @param {import('sharp').Metadata} metadata - Metadata of the input
+ * @param {{animated: boolean}} animation - Animation info from getAnimationInfo
+ * @param {Object} options - Processing options
+ * @param {number} [options.bitDepth] - AVIF bit depth (default: DEFAULT_CONFIG.bitDepth)
+ * @param {boolean} [options.wideGamut] - Keep wide-gamut primaries (default: DEFAULT_CONFIG.wideGamut)
+ * @param {string} [options.colorProfile] - 'srgb', 'keep' or 'assign' (default: DEFAULT_CONFIG.colorProfile)
+ * @param {?string} [options.assignProfile] - Profile to assign: 'srgb', 'p3', 'adobe-rgb' or an ICC file path
+ * @param {?string[]} [options.metadata] - Metadata groups to keep ('icc' keeps the profile)
+ * @param {boolean} [options.preserveExif] - Keep all metadata, the ICC profile included
+ * @returns {Promise<{bitDepth: number, colorSpace: string, iccProfile: string, keepIccProfile: boolean, assignedProfile: ?Buffer}>} Output color settings; `iccProfile` is 'none', 'kept' or 'assigned'
+ * @private
+ */
+async function resolveColorSettings(sourceColor, metadata, animation, options) {
+  const mode = options.colorProfile ?? DEFAULT_CONFIG.colorProfile;
+  const bitDepth = options.bitDepth ?? DEFAULT_CONFIG.bitDepth;
+
+  if (sourceColor.colorSpace === 'cmyk') {
+    return { bitDepth, colorSpace: 'srgb', iccProfile: 'none', keepIccProfile: false, assignedProfile: null };
+  }
+
+  let assignedProfile = null;
+  if (!animation.animated) {
+    if (mode === 'assign' && options.assignProfile) {
+      assignedProfile = await loadIccProfile(options.assignProfile);
+    } else if (sourceColor.profile === 'exif') {
+      assignedProfile = await loadIccProfile(sourceColor.colorSpace);
+    }
+  }
+
+  const hasProfile = Boolean(assignedProfile) || sourceColor.profile === 'embedded';
+  const keepIccProfile = hasProfile && (
+    mode !== 'srgb' ||
+    (Boolean(options.wideGamut ?? DEFAULT_CONFIG.wideGamut) && sourceColor.wideGamut) ||
+    resolveMetadataGroups(options).includes('icc')
+  );
+  let colorSpace = 'srgb';
+  if (keepIccProfile) {
+    colorSpace = assignedProfile
+      ? detectSourceColor({ ...metadata, icc: assignedProfile }).colorSpace
+      : sourceColor.colorSpace;
+  }
+
+  return {
+    bitDepth,
+    colorSpace,
+    iccProfile: keepIccProfile ? (mode === 'assign' && assignedProfile ? 'assigned' : 'kept') : 'none',
+    keepIccProfile,
+    assignedProfile
+  };
+}
+
+/**
+ * Tag decoded pixels with an ICC profile without converting them
+ *
+ * The source is decoded ignoring its own profile and re-encoded as a
+ * lossless PNG (keeping EXIF) with `icc` embedded. Streamed input cannot be
+ * reopened with `ignoreIcc`; keeping its profile leaves the pixels
+ * unconverted as well, and the kept profile is replaced.
+ *
+ * @param {string|Buffer|import('sharp').Sharp} sharpInput - Input for Sharp (path, buffer or streamed input)
+ * @param {Buffer} icc - ICC profile to assign
+ * @returns {Promise<Buffer>} PNG buffer to use as the new Sharp input
+ * @private
+ */
+async function assignIccProfile(sharpInput, icc) {
+  const decoded = sharpInput instanceof sharp
+    ? openInput(sharpInput).keepIccProfile()
+    : openInput(sharpInput, { ignoreIcc: true });
+  const png = await decoded
+    .keepExif()
+    .png({ compressionLevel: 1 })
+    .toBuffer();
+
+  return embedPngIccProfile(png, icc);
+}
+
+/**
+ * Build the Sharp resize pipeline shared by all conversion paths
+ * @param {import('sharp').Sharp} baseInstance - Sharp instance for the decoded input
+ * @param {number} width - Target width in pixels
+ * @param {number} height - Target height in pixels
+ * @param {Object} options - Processing options
+ * @param {?{keepAll: boolean, exif: ?Object}} [options.metadataPolicy] - Metadata to write, from resolveMetadataPolicy
+ * @param {boolean} [options.keepIccProfile] - Keep the source ICC profile instead of converting to sRGB
+ * @param {boolean} [options.autoOrient] - Rotate/flip according to EXIF orientation (default: DEFAULT_CONFIG.autoOrient)
+ * @param {?{fit: string, position?: string, region?: {left: number, top: number, width: number, height: number}}} [options.resize] - Aspect framing from resolveFraming
+ * @param {string} [options.background] - Letterbox color for 'contain' framing
+ * @returns {import('sharp').Sharp} Configured Sharp instance (no output format yet)
+ * @private
+ */
+function buildResizePipeline(baseInstance, width, height, options) {
+  // Normalize EXIF orientation first; width and height are post-rotation dimensions
+  if (options.autoOrient ?? DEFAULT_CONFIG.autoOrient) {
+    baseInstance.rotate();
+  }
+
+  const framing = options.resize;
+  if (framing?.region) {
+    // Focal point crop: cut the frame out before resizing it
+    baseInstance.extract(framing.region);
+  }
+
+  const sharpInstance = baseInstance
+    .resize(width, height, {
+      kernel: sharp.kernel.lanczos3,
+      // Aspect frames are derived from the source size, so only fit-inside needs the upscaling guard
+      withoutEnlargement: !framing,
+      ...(framing && {
+        fit: /** @type {keyof import('sharp').FitEnum} */ (framing.fit),
+        position: framing.position,
+        background: options.background ?? DEFAULT_CONFIG.background
+      })
     });
-    
+
+  // Keep all metadata (without the ICC profile when color settings drop it, e.g. CMYK)
+  // or only the EXIF tags of the selected metadata groups
+  const metadataPolicy = options.metadataPolicy;
+  if (metadataPolicy?.keepAll) {
+    if (options.keepIccProfile === false) {
+      sharpInstance.keepExif();
+    } else {
+      sharpInstance.keepMetadata();
+    }
+  } else if (metadataPolicy?.exif) {
+    sharpInstance.withExif(metadataPolicy.exif);
+  }
+
+  if (options.keepIccProfile) {
+    sharpInstance.keepIccProfile();
+  }
+
+  return sharpInstance;
+}
+
+/**
+ * Build the Sharp resize + AVIF encode pipeline shared by all conversion paths
+ * @param {import('sharp').Sharp} baseInstance - Sharp instance for the decoded input
+ * @param {number} width - Target width in pixels
+ * @param {number} height - Target height in pixels
+ * @param {Object} options - Encoding options
+ * @param {number} options.quality - AVIF quality (1-100)
+ * @param {number} options.effort - AVIF effort level (0-10)
+ * @param {?{keepAll: boolean, exif: ?Object}} [options.metadataPolicy] - Metadata to write, from resolveMetadataPolicy
+ * @param {boolean} [options.lossless] - Encode losslessly (quality is ignored)
+ * @param {string} [options.chromaSubsampling] - '4:2:0' or '4:4:4' (default: '4:2:0')
+ * @param {number} [options.bitDepth] - 8, 10 or 12 (default: 8)
+ * @returns {import('sharp').Sharp} Configured Sharp instance
+ * @throws {Error} BIT_DEPTH_UNSUPPORTED if the sharp build cannot encode the bit depth
+ * @private
+ */
+function buildAvifPipeline(baseInstance, width, height, options) {
+  const bitDepth = options.bitDepth ?? DEFAULT_CONFIG.bitDepth;
+  const sharpInstance = buildResizePipeline(baseInstance, width, height, options);
+
+  try {
+    return sharpInstance.avif({
+      quality: options.quality,
+      effort: options.effort,
+      lossless: Boolean(options.lossless),
+      chromaSubsampling: options.chromaSubsampling || CHROMA_SUBSAMPLING['420'],
+      bitdepth: /** @type {8|10|12} */ (bitDepth)
+    });
+  } catch (error) {
+    // Prebuilt sharp binaries reject anything but 8-bit when the encoder is configured
+    if (bitDepth !== 8) {
+      throw createError(
+        `${bitDepth}-bit AVIF encoding is not supported by the installed sharp/libvips build (prebuilt binaries encode 8-bit only)`,
+        ERROR_TYPES.BIT_DEPTH_UNSUPPORTED
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Decode an image to raw single-channel pixels for SSIM comparison
+ * @param {import('sharp').Sharp} sharpInstance - Sharp instance producing the image
+ * @returns {Promise<Buffer>} Raw greyscale pixels
+ * @private
+ */
+async function toGreyscalePixels(sharpInstance) {
+  return sharpInstance
+    .removeAlpha()
+    .greyscale()
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * Encode an AVIF buffer, searching the quality setting when a target is set
+ *
+ * Without a target the image is encoded once at `options.quality`. With
+ * `targetSsim`, a binary search over the integer range
+ * [`minQuality`, `maxQuality`] finds the lowest quality whose decoded output
+ * reaches the SSIM threshold against the resized source; if even
+ * `maxQuality` falls short, that output is returned with
+ * `targetSsimMet: false`. `targetSsim` takes precedence over `targetSize`.
+ *
+ * With `targetSize`, the same search finds the highest quality whose output
+ * fits the budget. If even `minQuality` is too large, the `minQuality` output
+ * is returned with `targetSizeMet: false`.
+ *
+ * Lossless output has no quality trade-off, so targets are ignored and the
+ * image is encoded once.
+ *
+ * @param {import('sharp').Sharp} baseInstance - Sharp instance for the decoded input (cloned per attempt)
+ * @param {number} width - Target width in pixels
+ * @param {number} height - Target height in pixels
+ * @param {Object} options - Encoding options
+ * @param {number} options.quality - AVIF quality (1-100), used when no target size is set
+ * @param {number} options.effort - AVIF effort level (0-10)
+ * @param {?{keepAll: boolean, exif: ?Object}} [options.metadataPolicy] - Metadata to write, from resolveMetadataPolicy
+ * @param {?number} [options.targetSize] - Maximum output size in bytes
+ * @param {?number} [options.targetSsim] - Minimum SSIM (0-1) against the resized source
+ * @param {number} [options.minQuality] - Lowest quality the search may use
+ * @param {number} [options.maxQuality] - Highest quality the search may use
+ * @param {boolean} [options.lossless] - Encode losslessly
+ * @param {string} [options.chromaSubsampling] - '4:2:0' or '4:4:4'
+ * @param {number} [options.bitDepth] - 8, 10 or 12
+ * @param {boolean} [options.keepIccProfile] - Keep the source ICC profile
+ * @param {boolean} [options.autoOrient] - Apply EXIF orientation before resizing
+ * @param {?{fit: string, position?: string, region?: Object}} [options.resize] - Aspect framing from resolveFraming
+ * @param {string} [options.background] - Letterbox color for 'contain' framing
+ * @returns {Promise<{data: Buffer, info: import('sharp').OutputInfo, quality: number, targetSizeMet?: boolean, ssim?: number, targetSsimMet?: boolean}>} Encoded output and the quality used
+ * @private
+ */
+async function encodeAvif(baseInstance, width, height, options) {
+  const encode = async (quality) => {
+    const { data, info } = await buildAvifPipeline(
+      baseInstance.clone(),
+      width,
+      height,
+      { ...options, quality }
+    ).toBuffer({ resolveWithObject: true });
+    return { data, info, quality };
+  };
+
+  if (options.lossless || (!options.targetSsim && !options.targetSize)) {
+    return encode(options.quality);
+  }
+
+  const minQuality = options.minQuality ?? DEFAULT_CONFIG.minQuality;
+  const maxQuality = options.maxQuality ?? DEFAULT_CONFIG.maxQuality;
+  let low = Math.min(minQuality, maxQuality);
+  let high = Math.max(minQuality, maxQuality);
+  let best = null;
+  let lastAttempt = null;
+
+  if (options.targetSsim) {
+    const reference = await toGreyscalePixels(
+      buildResizePipeline(baseInstance.clone(), width, height, options)
+    );
+
+    while (low <= high) {
+      const quality = Math.floor((low + high) / 2);
+      const attempt = await encode(quality);
+      const candidate = await toGreyscalePixels(sharp(attempt.data));
+      const ssim = computeSsim(reference, candidate, attempt.info.width, attempt.info.height);
+      verbose(`  🎯 Quality ${quality}: SSIM ${ssim.toFixed(4)}`);
+
+      if (ssim >= options.targetSsim) {
+        best = { ...attempt, ssim };
+        high = quality - 1;
+      } else {
+        lastAttempt = { ...attempt, ssim };
+        low = quality + 1;
+      }
+    }
+
+    if (best) {
+      return { ...best, targetSsimMet: true };
+    }
+
+    // Even the highest quality misses the threshold; the last attempt was maxQuality
+    return { ...lastAttempt, targetSsimMet: false };
+  }
+
+  while (low <= high) {
+    const quality = Math.floor((low + high) / 2);
+    const attempt = await encode(quality);
+    verbose(`  🎯 Quality ${quality}: ${formatBytes(attempt.data.length)}`);
+
+    if (attempt.data.length <= options.targetSize) {
+      best = attempt;
+      low = quality + 1;
+    } else {
+      lastAttempt = attempt;
+      high = quality - 1;
+    }
+  }
+
+  if (best) {
+    return { ...best, targetSizeMet: true };
+  }
+
+  // Even the lowest quality exceeds the budget; the last attempt was minQuality
+  return { ...lastAttempt, targetSizeMet: false };
+}
+
+/**
+ * Encode decoded HEIC/HEIF pixels as a lossless PNG intermediate for Sharp
+ *
+ * The alpha channel is dropped when every pixel is opaque. The ICC profile
+ * and EXIF block of the source are embedded so that color management and
+ * the metadata policy treat the image like any other source; the EXIF
+ * orientation is reset because the decoder already applied the rotation.
+ *
+ * @param {{width: number, height: number, data: Uint8Array|Uint8ClampedArray}} image - Decoded 8-bit RGBA pixels
+ * @param {{icc?: ?Buffer, exif?: ?Buffer}} [metadata={}] - ICC profile and EXIF data (bare TIFF) of the source
+ * @returns {Promise<Buffer>} PNG with the exact decoded pixels
+ * @example
+ * const png = await encodeHeicIntermediate(await heicDecode({ buffer }), readHeifMetadata(buffer));
+ */
+export async function encodeHeicIntermediate(image, metadata = {}) {
+  const { width, height, data } = image;
+  const pixels = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+
+  let opaque = true;
+  for (let i = 3; i < pixels.length; i += 4) {
+    if (pixels[i] !== 255) {
+      opaque = false;
+      break;
+    }
+  }
+
+  let pipeline = sharp(pixels, { raw: { width, height, channels: 4 } });
+  if (opaque) {
+    pipeline = pipeline.removeAlpha();
+  }
+  // Fast deflate: the intermediate only lives in memory
+  let png = await pipeline.png({ compressionLevel: 1 }).toBuffer();
+
+  if (metadata.exif) {
+    png = embedPngExif(png, clearExifOrientation(metadata.exif));
+  }
+  if (metadata.icc) {
+    png = embedPngIccProfile(png, metadata.icc);
+  }
+  return png;
+}
+
+/**
+ * Decode HEIC/HEIF to a lossless intermediate for Sharp processing
+ * @param {Buffer} inputBuffer - Input image buffer
+ * @param {?number} [imageIndex=null] - Image to decode (0-based, in container order); null for the primary image
+ * @returns {Promise<{buffer: Buffer|null, success: boolean, error?: string}>} Preprocessing result
+ * @private
+ */
+async function preprocessHeicImage(inputBuffer, imageIndex = null) {
+  try {
+    verbose('  📱 Decoding HEIC/HEIF for processing...');
+
+    let image;
+    let metadata;
+    if (imageIndex === null) {
+      image = await heicDecode({ buffer: inputBuffer });
+      metadata = readHeifMetadata(inputBuffer);
+    } else {
+      const images = await heicDecode.all({ buffer: inputBuffer });
+      if (imageIndex >= images.length) {
+        throw new Error(`image ${imageIndex + 1} not found, the file holds ${images.length}`);
+      }
+      image = await images[imageIndex].decode();
+      const containerImages = readHeifImages(inputBuffer);
+      metadata = containerImages.length === images.length ? containerImages[imageIndex] : {};
+    }
+    const outputBuffer = await encodeHeicIntermediate(image, metadata);
+
     return {
       buffer: outputBuffer,
       success: true
@@ -117,6 +1312,90 @@ async function preprocessHeicImage(inputBuffer, quality = 0.85) {
   }
 }
 
+/**
+ * Convert or analyze every image of a multi-image HEIC/HEIF file
+ *
+ * Each image is processed on its own as `<name>-<n>.avif` (n counts from 1
+ * in container order). The combined result describes the primary image,
+ * with the total output size of all images and an `images` list of every
+ * output; if any image fails, the result carries that error.
+ *
+ * @param {string} inputPath - Path to the HEIC/HEIF file
+ * @param {Object} config - Configuration object
+ * @param {function(string, Object): Promise<Object>} processImage - convertImageToAvif or analyzeImageFile
+ * @returns {Promise<?Object>} Combined result, or null if the file holds a single image
+ * @private
+ */
+async function processHeicImages(inputPath, config, processImage) {
+  const buffer = await fs.readFile(inputPath);
+  const count = (await heicDecode.all({ buffer })).length;
+  if (count < 2) {
+    return null;
+  }
+
+  const containerImages = readHeifImages(buffer);
+  const primaryIndex = containerImages.length === count
+    ? Math.max(0, containerImages.findIndex(image => image.primary))
+    : 0;
+  verbose(`  📱 ${count} images in ${path.basename(inputPath)}`);
+
+  const results = [];
+  for (let index = 0; index < count; index++) {
+    // The original is removed once, after every image has been converted
+    results.push(await processImage(inputPath, { ...config, allImages: false, heicImageIndex: index, preserveOriginal: true }));
+  }
+
+  const images = results.map((result, index) => ({
+    index: index + 1,
+    primary: index === primaryIndex,
+    outputPath: result.outputPath,
+    outputSize: result.outputSize,
+    width: result.newWidth,
+    height: result.newHeight,
+    placeholders: result.placeholders,
+    skipped: result.skipped,
+    error: result.error
+  }));
+  const processingTime = results.reduce((total, result) => total + (result.processingTime || 0), 0);
+
+  const failed = results.find(result => result.error);
+  if (failed) {
+    return { ...failed, images, processingTime };
+  }
+
+  const processed = results.filter(result => !result.skipped);
+  if (processed.length === 0) {
+    return { ...results[primaryIndex], images };
+  }
+
+  const base = results[primaryIndex].skipped ? processed[0] : results[primaryIndex];
+  const outputSize = processed.reduce((total, result) => total + result.outputSize, 0);
+  return {
+    ...base,
+    outputSize,
+    sizeSavings: parseFloat(((base.originalSize - outputSize) / base.originalSize * 100).toFixed(1)),
+    images,
+    processingTime
+  };
+}
+
+/**
+ * Base name of the outputs of an input file
+ *
+ * The input name without extension, suffixed with `-<n>` when a single
+ * image of a multi-image HEIC/HEIF is selected.
+ *
+ * @param {string} inputPath - Path to input image
+ * @param {Object} config - Configuration object
+ * @param {?number} [config.heicImageIndex] - Selected HEIC/HEIF image (0-based)
+ * @returns {string} Output base name
+ * @private
+ */
+function getOutputName(inputPath, config) {
+  const inputName = path.basename(inputPath, path.extname(inputPath));
+  return Number.isInteger(config.heicImageIndex) ? `${inputName}-${config.heicImageIndex + 1}` : inputName;
+}
+
 /**
  * Known HEIC/HEIF brand identifiers found in the ISO BMFF "ftyp" box
  * @constant {string[]}
@@ -161,7 +1440,7 @@ export function isHeicBuffer(buffer) {
  * images should be converted without touching the filesystem. Accepts the
  * same formats as the file API (JPG, PNG, WebP, TIFF) plus HEIC/HEIF
  * buffers (e.g. iPhone uploads), which are detected via {@link isHeicBuffer}
- * and transparently preprocessed with heic-convert. Images are never
+ * and transparently decoded to a lossless intermediate. Images are never
  * upscaled.
  *
  * NOTE: Unlike the file-based API (convertImageToAvif), which returns an
@@ -175,9 +1454,29 @@ export function isHeicBuffer(buffer) {
  * @param {number} [options.maxDimension] - Shorthand that sets both maxWidth and maxHeight
  * @param {number} [options.quality] - AVIF quality 1-100 (default: DEFAULT_CONFIG.quality)
  * @param {number} [options.effort] - AVIF effort level 0-10 (default: DEFAULT_CONFIG.effort)
- * @param {boolean} [options.preserveExif] - Preserve EXIF metadata (default: DEFAULT_CONFIG.preserveExif)
- * @returns {Promise<{buffer: Buffer, width: number, height: number, originalWidth: number, originalHeight: number, originalSize: number, outputSize: number, wasPreprocessed: boolean, resized: boolean, processingTime: number}>} Conversion result with the AVIF buffer
- * @throws {Error} If the input is not a valid image buffer or conversion fails
+ * @param {boolean} [options.preserveExif] - Preserve all metadata (default: DEFAULT_CONFIG.preserveExif)
+ * @param {?string[]} [options.metadata] - Metadata groups to keep: 'copyright', 'icc', 'datetime', 'camera', 'gps' (overrides preserveExif)
+ * @param {?number} [options.targetSize] - Maximum output size in bytes; searches quality to fit (default: DEFAULT_CONFIG.targetSize)
+ * @param {?number} [options.targetSsim] - Minimum SSIM (0-1); searches the lowest quality that reaches it (default: DEFAULT_CONFIG.targetSsim)
+ * @param {boolean|string} [options.animation] - Keep all frames of animated GIF/WebP input; 'require' fails instead of falling back to the first frame (default: DEFAULT_CONFIG.animation)
+ * @param {number} [options.minQuality] - Lowest quality the target size search may use (default: DEFAULT_CONFIG.minQuality)
+ * @param {number} [options.maxQuality] - Highest quality the target size search may use (default: DEFAULT_CONFIG.maxQuality)
+ * @param {boolean} [options.lossless] - Encode losslessly (default: DEFAULT_CONFIG.lossless)
+ * @param {string} [options.chroma] - Chroma subsampling '420', '444' or 'auto' (default: DEFAULT_CONFIG.chroma)
+ * @param {number} [options.bitDepth] - AVIF bit depth 8, 10 or 12 (default: DEFAULT_CONFIG.bitDepth)
+ * @param {boolean} [options.wideGamut] - Keep Display P3 / Adobe RGB / BT.2020 primaries (default: DEFAULT_CONFIG.wideGamut)
+ * @param {string} [options.colorProfile] - ICC handling: 'srgb', 'keep' or 'assign' (default: DEFAULT_CONFIG.colorProfile)
+ * @param {?string} [options.assignProfile] - Profile for 'assign': 'srgb', 'p3', 'adobe-rgb' or an ICC file path
+ * @param {boolean} [options.autoOrient] - Apply EXIF orientation before resizing (default: DEFAULT_CONFIG.autoOrient)
+ * @param {?string|number} [options.aspect] - Output aspect ratio such as '16:9' (default: source aspect)
+ * @param {string} [options.fit] - 'cover', 'contain' or 'fill' when aspect is set (default: DEFAULT_CONFIG.fit)
+ * @param {string} [options.crop] - 'center', 'attention' or 'entropy' for 'cover' (default: DEFAULT_CONFIG.crop)
+ * @param {?{x: number, y: number}} [options.focus] - Focal point (0-1) kept in view when cropping
+ * @param {string} [options.background] - Letterbox color for 'contain' (default: DEFAULT_CONFIG.background)
+ * @param {?string[]} [options.placeholders] - Placeholders to compute: 'lqip', 'blurhash', 'thumbhash', 'color'
+ * @returns {Promise<{buffer: Buffer, width: number, height: number, originalWidth: number, originalHeight: number, autoOriented: boolean, framing?: {aspect: string, fit: string, strategy?: string, focus?: {x: number, y: number}, focusSource?: string}, originalSize: number, outputSize: number, quality: number, targetSizeMet?: boolean, ssim?: number, targetSsimMet?: boolean, lossless: boolean, chromaSubsampling: string, contentDetection?: {type: string, uniqueColors: number, flatRatio: number, alphaRatio: number}, bitDepth: number, colorSpace: string, iccProfile: string, sourceColor: {bitDepth: number, colorSpace: string, profile: string, profileDescription: ?string, wideGamut: boolean}, metadataRetained: string[], animated: boolean, frames?: number, delay?: number[], loop?: number, firstFrameOnly?: boolean, placeholders?: {lqip?: string, blurhash?: string, thumbhash?: string, color?: string}, wasPreprocessed: boolean, resized: boolean, processingTime: number}>} Conversion result with the AVIF buffer
+ * @throws {Error} If the input is not a valid image buffer or conversion fails (including
+ *   ANIMATION_UNSUPPORTED when options.animation is 'require' and animated input cannot be encoded as an AVIF sequence)
  * @example
  * const { buffer } = await convertBufferToAvif(uploadBuffer, {
  *   maxDimension: 1600,
@@ -194,22 +1493,12 @@ export async function convertBufferToAvif(inputBuffer, options = {}) {
     );
   }
 
-  const maxWidth = options.maxWidth ?? options.maxDimension ?? DEFAULT_CONFIG.maxWidth;
-  const maxHeight = options.maxHeight ?? options.maxDimension ?? DEFAULT_CONFIG.maxHeight;
-  const quality = options.quality ?? DEFAULT_CONFIG.quality;
-  const effort = options.effort ?? DEFAULT_CONFIG.effort;
-  const preserveExif = options.preserveExif ?? DEFAULT_CONFIG.preserveExif;
-
-  const originalSize = inputBuffer.length;
   let sharpInput = inputBuffer;
   let wasPreprocessed = false;
 
   // HEIC/HEIF buffers need preprocessing before Sharp can handle them
   if (isHeicBuffer(inputBuffer)) {
-    const preprocessResult = await preprocessHeicImage(
-      inputBuffer,
-      quality / 100 // Convert quality scale
-    );
+    const preprocessResult = await preprocessHeicImage(inputBuffer);
 
     if (!preprocessResult.success) {
       throw createError(
@@ -223,9 +1512,62 @@ export async function convertBufferToAvif(inputBuffer, options = {}) {
     verbose('  📱 HEIC/HEIF preprocessing completed');
   }
 
+  return convertInputToAvif(sharpInput, { originalSize: inputBuffer.length, wasPreprocessed, overallTimer }, options);
+}
+
+/**
+ * Convert an image streamed into a Sharp instance to an AVIF buffer
+ *
+ * The stream API writes input chunks into `sharp()` as they arrive instead
+ * of collecting them itself; once the input has ended, the instance is
+ * converted with the same rules as convertBufferToAvif. HEIC/HEIF input
+ * needs its own decoder and goes through convertBufferToAvif, as does
+ * animated input whose frames should be kept (the instance is opened for
+ * the first frame only).
+ *
+ * @param {import('sharp').Sharp} input - Sharp instance the complete input was written to
+ * @param {number} originalSize - Number of bytes written
+ * @param {Object} [options={}] - Conversion options, the same as convertBufferToAvif
+ * @returns {ReturnType<typeof convertBufferToAvif>} Conversion result with the AVIF buffer
+ * @throws {Error} If the input is not a valid image or conversion fails
+ * @example
+ * const input = sharp();
+ * upload.pipe(input);
+ * await once(input, 'finish');
+ * const { buffer } = await convertStreamedInputToAvif(input, upload.bytesRead, { maxDimension: 1600 });
+ */
+export async function convertStreamedInputToAvif(input, originalSize, options = {}) {
+  const overallTimer = createTimer();
+  // Reading the metadata of the instance itself loads the streamed chunks, so clones see them
+  await input.metadata();
+  return convertInputToAvif(input, { originalSize, wasPreprocessed: false, overallTimer }, options);
+}
+
+/**
+ * Convert an input Sharp can read to an AVIF buffer
+ *
+ * The part of convertBufferToAvif shared with streamed input, after
+ * HEIC/HEIF preprocessing.
+ *
+ * @param {Buffer|import('sharp').Sharp} sharpInput - Input buffer or Sharp instance holding streamed input
+ * @param {Object} source - Facts about the original input
+ * @param {number} source.originalSize - Size of the original input in bytes
+ * @param {boolean} source.wasPreprocessed - Whether HEIC/HEIF input was decoded to an intermediate
+ * @param {{end: function(): number}} source.overallTimer - Timer started when the conversion began
+ * @param {Object} options - Conversion options (see convertBufferToAvif)
+ * @returns {ReturnType<typeof convertBufferToAvif>} Conversion result with the AVIF buffer
+ * @private
+ */
+async function convertInputToAvif(sharpInput, { originalSize, wasPreprocessed, overallTimer }, options) {
+  const maxWidth = options.maxWidth ?? options.maxDimension ?? DEFAULT_CONFIG.maxWidth;
+  const maxHeight = options.maxHeight ?? options.maxDimension ?? DEFAULT_CONFIG.maxHeight;
+  const quality = options.quality ?? DEFAULT_CONFIG.quality;
+  const effort = options.effort ?? DEFAULT_CONFIG.effort;
+
   // Read metadata (throws for invalid/garbage buffers)
-  const metadata = await sharp(sharpInput).metadata();
-  const { width: originalWidth, height: originalHeight } = metadata;
+  const metadata = await openInput(sharpInput).metadata();
+  const { width: originalWidth, height: originalHeight, autoOriented } = getOrientedDimensions(metadata, options);
+  const animation = await resolveAnimation(metadata, options);
 
   if (!originalWidth || !originalHeight) {
     throw createError(
@@ -234,47 +1576,402 @@ export async function convertBufferToAvif(inputBuffer, options = {}) {
     );
   }
 
-  // Calculate optimized dimensions (never upscale)
+  const encoding = await resolveEncodingSettings(sharpInput, metadata, options);
+  const sourceColor = detectSourceColor(metadata);
+  const color = await resolveColorSettings(sourceColor, metadata, animation, options);
+  const metadataPolicy = resolveMetadataPolicy(metadata, options, color.keepIccProfile);
+  if (color.assignedProfile) {
+    sharpInput = await assignIccProfile(sharpInput, color.assignedProfile);
+  }
+
+  // Calculate optimized dimensions of the (aspect) frame (never upscale)
+  const framing = await resolveFraming(originalWidth, originalHeight, options);
   const { width: targetWidth, height: targetHeight } = getOptimizedDimensions(
-    originalWidth,
-    originalHeight,
+    framing.width,
+    framing.height,
     maxWidth,
     maxHeight
   );
 
-  const sharpInstance = sharp(sharpInput)
-    .resize(targetWidth, targetHeight, {
-      kernel: sharp.kernel.lanczos3,
-      withoutEnlargement: true
-    });
-
-  // Conditionally preserve EXIF metadata
-  if (preserveExif) {
-    sharpInstance.keepMetadata();
-  }
-
-  const { data: outputBuffer, info } = await sharpInstance
-    .avif({
+  const {
+    data: outputBuffer,
+    info,
+    quality: usedQuality,
+    targetSizeMet,
+    ssim,
+    targetSsimMet
+  } = await encodeAvif(
+    openImage(sharpInput, animation),
+    targetWidth,
+    targetHeight,
+    {
       quality,
       effort,
-      chromaSubsampling: '4:2:0'
-    })
-    .toBuffer({ resolveWithObject: true });
+      metadataPolicy,
+      targetSize: options.targetSize ?? DEFAULT_CONFIG.targetSize,
+      targetSsim: options.targetSsim ?? DEFAULT_CONFIG.targetSsim,
+      minQuality: options.minQuality,
+      maxQuality: options.maxQuality,
+      lossless: encoding.lossless,
+      chromaSubsampling: encoding.chromaSubsampling,
+      bitDepth: color.bitDepth,
+      keepIccProfile: color.keepIccProfile,
+      autoOrient: options.autoOrient,
+      resize: framing.resize,
+      background: options.background
+    }
+  );
+  await assertAnimationPreserved(outputBuffer, animation);
+  const placeholders = await createPlaceholders(sharpInput, info.width, targetHeight, {
+    placeholders: options.placeholders,
+    autoOrient: options.autoOrient,
+    resize: framing.resize,
+    background: options.background
+  });
 
   return {
     buffer: outputBuffer,
     width: info.width,
-    height: info.height,
+    height: targetHeight,
     originalWidth,
     originalHeight,
+    autoOriented,
+    framing: framing.framing,
     originalSize,
     outputSize: outputBuffer.length,
+    quality: usedQuality,
+    targetSizeMet,
+    ssim,
+    targetSsimMet,
+    ...encoding,
+    bitDepth: color.bitDepth,
+    colorSpace: color.colorSpace,
+    iccProfile: color.iccProfile,
+    sourceColor,
+    metadataRetained: metadataPolicy.retained,
+    ...animation,
+    placeholders,
     wasPreprocessed,
-    resized: info.width !== originalWidth || info.height !== originalHeight,
+    resized: info.width !== originalWidth || targetHeight !== originalHeight,
     processingTime: overallTimer.end()
   };
 }
 
+/**
+ * Encode one AVIF per responsive breakpoint width from a single decoded source
+ * @param {string} inputPath - Path to input image
+ * @param {string|Buffer} sharpInput - Input for Sharp (path or preprocessed buffer)
+ * @param {Object} context - Values already computed by convertImageToAvif
+ * @returns {Promise<Object>} Processing result with a `variants` array
+ * @private
+ */
+async function convertResponsiveVariants(inputPath, sharpInput, context) {
+  const {
+    config,
+    encoding,
+    color,
+    sourceColor,
+    animation,
+    originalWidth,
+    originalHeight,
+    autoOriented,
+    framing,
+    originalSize,
+    wasPreprocessed,
+    metadataTime,
+    overallTimer
+  } = context;
+
+  assertVariantNameTemplate(config);
+  const variantWidths = getVariantWidths(framing.width, config.widths);
+  const variantHeight = (width) => Math.max(1, Math.round(width * framing.height / framing.width));
+  const deferNames = dependsOnEncoding(getNameTemplate(config));
+
+  // Skip if every variant exists and not forcing (names from the encoded output are checked after encoding)
+  if (!config.force && !deferNames) {
+    const variantPaths = variantWidths.map(width => getOutputPath(inputPath, config, { width, height: variantHeight(width) }));
+    const existing = await Promise.all(variantPaths.map(fileExists));
+    if (existing.every(Boolean)) {
+      return {
+        inputPath,
+        outputPath: variantPaths[variantPaths.length - 1],
+        skipped: true,
+        skippedReason: 'exists'
+      };
+    }
+  }
+
+  verbose(`Responsive widths: ${variantWidths.join(', ')}`);
+
+  // Decode once and clone the pipeline for every breakpoint
+  const conversionTimer = createTimer();
+  const baseInstance = openImage(sharpInput, animation);
+  const encoded = [];
+
+  for (const width of variantWidths) {
+    const height = variantHeight(width);
+    const { data, quality, targetSizeMet, ssim, targetSsimMet } = await encodeAvif(
+      baseInstance,
+      width,
+      height,
+      config
+    );
+    await assertAnimationPreserved(data, animation);
+    const outputPath = getOutputPath(inputPath, config, { width, height, quality, hash: hashContent(data) });
+    encoded.push({ width, height, outputPath, data, quality, targetSizeMet, ssim, targetSsimMet });
+  }
+
+  if (!config.force && deferNames) {
+    const existing = await Promise.all(encoded.map(variant => fileExists(variant.outputPath)));
+    if (existing.every(Boolean)) {
+      return {
+        inputPath,
+        outputPath: encoded[encoded.length - 1].outputPath,
+        skipped: true,
+        skippedReason: 'exists'
+      };
+    }
+  }
+
+  // The largest variant stands in for the source, so it decides whether the set is kept
+  const notSmaller = checkMinSavings(inputPath, encoded[encoded.length - 1], originalSize, config);
+  if (notSmaller) {
+    return notSmaller;
+  }
+
+  const variants = [];
+  for (const { data, ...variant } of encoded) {
+    await fs.mkdir(path.dirname(variant.outputPath), { recursive: true });
+    await fs.writeFile(variant.outputPath, data);
+
+    const fallbacks = await writeFallbackFormats(
+      inputPath,
+      sharpInput,
+      animation,
+      variant.width,
+      variant.height,
+      (extension) => replaceAvifExtension(variant.outputPath, extension),
+      config
+    );
+
+    variants.push({ ...variant, outputSize: data.length, fallbacks });
+  }
+  // The largest variant is reported as the primary output
+  const primary = variants[variants.length - 1];
+  const poster = animation.animated && config.poster
+    ? await writePosterFrame(
+      sharpInput,
+      primary.width,
+      primary.height,
+      getPosterPath(inputPath, config, primary),
+      config
+    )
+    : undefined;
+  const placeholders = await createPlaceholders(sharpInput, primary.width, primary.height, config);
+  const conversionTime = conversionTimer.end();
+
+  const sizeSavings = ((originalSize - primary.outputSize) / originalSize * 100).toFixed(1);
+
+  return {
+    inputPath,
+    outputPath: primary.outputPath,
+    originalSize,
+    outputSize: primary.outputSize,
+    sizeSavings: parseFloat(sizeSavings),
+    originalWidth,
+    originalHeight,
+    autoOriented,
+    framing: framing.framing,
+    newWidth: primary.width,
+    newHeight: primary.height,
+    resized: originalWidth !== primary.width || originalHeight !== primary.height,
+    quality: primary.quality,
+    targetSizeMet: primary.targetSizeMet,
+    ssim: primary.ssim,
+    targetSsimMet: primary.targetSsimMet,
+    variants,
+    fallbacks: variants.flatMap(variant => variant.fallbacks),
+    ...encoding,
+    bitDepth: color.bitDepth,
+    colorSpace: color.colorSpace,
+    iccProfile: color.iccProfile,
+    sourceColor,
+    ...animation,
+    poster,
+    placeholders,
+    preserveExif: config.preserveExif,
+    metadataRetained: config.metadataPolicy.retained,
+    wasPreprocessed,
+    skipped: false,
+    processingTime: overallTimer.end(),
+    metadataTime,
+    conversionTime
+  };
+}
+
+/**
+ * Reopen and fully decode a written AVIF
+ *
+ * An output that cannot be decoded is removed, so the next run converts
+ * the file again instead of skipping it.
+ *
+ * @param {string} outputPath - AVIF output path
+ * @returns {Promise<void>}
+ * @throws {Error} WRITE_ERROR if the output is missing, not AVIF or cannot be decoded
+ * @private
+ */
+async function verifyAvifOutput(outputPath) {
+  try {
+    const data = await fs.readFile(outputPath);
+    const image = sharp(data, { pages: -1 });
+    const { format } = await image.metadata();
+    if (format !== 'heif') {
+      throw new Error(`unexpected format ${format}`);
+    }
+    await image.raw().toBuffer();
+  } catch (error) {
+    await fs.rm(outputPath, { force: true });
+    throw createError(
+      `Output ${outputPath} could not be decoded (${error.message}); original kept`,
+      ERROR_TYPES.WRITE_ERROR
+    );
+  }
+}
+
+/**
+ * Get a free path for an original in the trash directory
+ *
+ * The input tree is mirrored below config.trashDir like outputs below
+ * config.outputDir; existing files are never replaced (`photo-1.jpg`).
+ *
+ * @param {string} inputPath - Path to input image
+ * @param {Object} config - Configuration object
+ * @param {?string} [config.trashDir] - Trash directory
+ * @param {?string} [config.inputRoot] - Directory the input tree is mirrored from
+ * @returns {Promise<string>} Trash path
+ * @private
+ */
+async function getTrashPath(inputPath, config) {
+  const trashDir = getOutputDir(inputPath, { ...config, outputDir: config.trashDir, flat: false });
+  const extension = path.extname(inputPath);
+  const name = path.basename(inputPath, extension);
+
+  let trashPath = path.join(trashDir, `${name}${extension}`);
+  for (let counter = 1; await fileExists(trashPath); counter++) {
+    trashPath = path.join(trashDir, `${name}-${counter}${extension}`);
+  }
+  return trashPath;
+}
+
+/**
+ * Delete or trash the original of a finished conversion
+ *
+ * Only runs when config.preserveOriginal is false and the conversion wrote
+ * its outputs. Every AVIF output is reopened and decoded first; if any
+ * fails, the original is kept and an error is thrown. Originals that serve
+ * as their own fallback (`photo.jpg` with a JPEG fallback in the same
+ * directory) are kept.
+ *
+ * @param {string} inputPath - Path to input image
+ * @param {Object} result - Conversion result
+ * @param {Object} config - Configuration object
+ * @param {boolean} [config.preserveOriginal] - Keep the original (default: true)
+ * @param {?string} [config.trashDir] - Move the original here instead of deleting it
+ * @param {?string} [config.inputRoot] - Directory the input tree is mirrored from under config.trashDir
+ * @param {string[]} [config.formats] - Output formats
+ * @returns {Promise<Object>} The result, with `originalRemoved` when the original was removed
+ * @throws {Error} WRITE_ERROR if an output cannot be decoded, or the file system error of the removal
+ * @private
+ */
+async function removeOriginal(inputPath, result, config) {
+  if (config.preserveOriginal !== false || result.skipped || result.error) {
+    return result;
+  }
+
+  const fallbackFormats = (config.formats || []).filter(format => format !== 'avif');
+  const isOwnFallback = !result.variants && fallbackFormats.some(format =>
+    path.resolve(replaceAvifExtension(result.outputPath, OUTPUT_FORMAT_EXTENSIONS[format])) === path.resolve(inputPath)
+  );
+  if (isOwnFallback) {
+    verbose(`  ⚠️  Keeping ${path.basename(inputPath)}: it is its own fallback`);
+    return result;
+  }
+
+  const outputPaths = result.images?.map(image => image.outputPath)
+    ?? result.variants?.map(variant => variant.outputPath)
+    ?? [result.outputPath];
+  for (const outputPath of outputPaths) {
+    await verifyAvifOutput(outputPath);
+  }
+
+  if (!config.trashDir) {
+    await fs.unlink(inputPath);
+    verbose(`  🗑️  Deleted original ${inputPath}`);
+    return { ...result, originalRemoved: { method: 'deleted' } };
+  }
+
+  const trashPath = await getTrashPath(inputPath, config);
+  await fs.mkdir(path.dirname(trashPath), { recursive: true });
+  try {
+    await fs.rename(inputPath, trashPath);
+  } catch (error) {
+    // Renaming fails across file systems; copy first so the original is never lost
+    if (error.code !== 'EXDEV') throw error;
+    await fs.copyFile(inputPath, trashPath);
+    await fs.unlink(inputPath);
+  }
+  verbose(`  🗑️  Moved original to ${trashPath}`);
+  return { ...result, originalRemoved: { method: 'trashed', trashPath } };
+}
+
+/**
+ * Apply the minimum savings policy (--min-savings) to an encoded output
+ * @param {string} inputPath - Path to input image
+ * @param {{outputPath: string, data: Buffer}} output - Encoded output, not yet written
+ * @param {number} originalSize - Source file size in bytes
+ * @param {Object} config - Configuration object
+ * @param {?number} [config.minSavings] - Minimum savings in percent (null = keep every output)
+ * @returns {?{inputPath: string, outputPath: string, skipped: boolean, skippedReason: string, originalSize: number, outputSize: number, sizeSavings: number}} Skipped result if the output is discarded, null if it is kept
+ * @private
+ */
+function checkMinSavings(inputPath, output, originalSize, config) {
+  if (config.minSavings === null || config.minSavings === undefined) {
+    return null;
+  }
+
+  const outputSize = output.data.length;
+  const sizeSavings = parseFloat(((originalSize - outputSize) / originalSize * 100).toFixed(1));
+  if (sizeSavings >= config.minSavings) {
+    return null;
+  }
+
+  verbose(`  ⏭️  AVIF saves ${sizeSavings}%, below the ${config.minSavings}% minimum; output discarded`);
+  return {
+    inputPath,
+    outputPath: output.outputPath,
+    skipped: true,
+    skippedReason: 'not-smaller',
+    originalSize,
+    outputSize,
+    sizeSavings
+  };
+}
+
+/**
+ * Describe how a dry run's original would be removed
+ * @param {Object} config - Configuration object
+ * @param {boolean} [config.preserveOriginal] - Keep the original (default: true)
+ * @param {?string} [config.trashDir] - Move the original here instead of deleting it
+ * @returns {{method: string}|undefined} Planned removal, or undefined if the original is kept
+ * @private
+ */
+function planOriginalRemoval(config) {
+  if (config.preserveOriginal !== false) {
+    return undefined;
+  }
+  return { method: config.trashDir ? 'trashed' : 'deleted' };
+}
+
 /**
  * Convert a single image file to AVIF
  * @param {string} inputPath - Path to input image
@@ -284,9 +1981,36 @@ export async function convertBufferToAvif(inputBuffer, options = {}) {
  * @param {number} config.maxWidth - Maximum width in pixels
  * @param {number} config.maxHeight - Maximum height in pixels
  * @param {?string} config.outputDir - Output directory (null = same as input)
- * @param {boolean} config.preserveExif - Whether to preserve EXIF metadata
+ * @param {?string} [config.inputRoot] - Directory whose tree is mirrored under config.outputDir (null = flat)
+ * @param {boolean} [config.flat] - Write every output directly into config.outputDir
+ * @param {boolean} config.preserveExif - Whether to preserve all metadata
+ * @param {?string[]} [config.metadata] - Metadata groups to keep: 'copyright', 'icc', 'datetime', 'camera', 'gps' (overrides preserveExif)
  * @param {boolean} config.force - Whether to overwrite existing files
- * @returns {Promise<{inputPath: string, outputPath: string, originalSize?: number, outputSize?: number, sizeSavings?: number, originalWidth?: number, originalHeight?: number, newWidth?: number, newHeight?: number, resized?: boolean, preserveExif?: boolean, wasPreprocessed?: boolean, skipped?: boolean, error?: string, errorCode?: string, processingTime?: number, metadataTime?: number, conversionTime?: number}>} Processing result
+ * @param {number[]} [config.widths] - Responsive breakpoint widths; emits one `<name>-<width>w.avif` per width instead of a single `<name>.avif`
+ * @param {?number} [config.targetSize] - Maximum output size in bytes; searches quality between config.minQuality and config.maxQuality
+ * @param {?number} [config.targetSsim] - Minimum SSIM (0-1); searches the lowest quality that reaches it (takes precedence over targetSize)
+ * @param {string[]} [config.formats] - Output formats; anything besides 'avif' (webp, jpeg, png) is written as a fallback next to the AVIF
+ * @param {string} [config.background] - Background color that JPEG fallbacks with alpha are flattened against
+ * @param {boolean|string} [config.animation] - Keep all frames of animated GIF/WebP input (false = first frame only, 'require' = fail if the encoder cannot keep them)
+ * @param {boolean} [config.poster] - Also write a static `<name>-poster.avif` from the first frame of animated input
+ * @param {boolean} [config.lossless] - Encode losslessly
+ * @param {string} [config.chroma] - Chroma subsampling '420', '444' or 'auto' (detects graphics in PNG/GIF sources)
+ * @param {number} [config.bitDepth] - AVIF bit depth 8, 10 or 12
+ * @param {boolean} [config.wideGamut] - Keep Display P3 / Adobe RGB / BT.2020 primaries instead of converting to sRGB
+ * @param {string} [config.colorProfile] - ICC handling: 'srgb' converts, 'keep' keeps the embedded profile, 'assign' tags with assignProfile
+ * @param {?string} [config.assignProfile] - Profile for 'assign': 'srgb', 'p3', 'adobe-rgb' or an ICC file path
+ * @param {boolean} [config.autoOrient] - Apply EXIF orientation before resizing; dimensions are reported post-rotation
+ * @param {?string|number} [config.aspect] - Output aspect ratio such as '16:9'
+ * @param {string} [config.fit] - 'cover', 'contain' or 'fill' when aspect is set
+ * @param {string} [config.crop] - 'center', 'attention' or 'entropy' for 'cover'
+ * @param {?{x: number, y: number}} [config.focus] - Focal point (0-1); a `<name>.focus.json` sidecar overrides it
+ * @param {boolean} [config.allImages] - Convert every image of a multi-image HEIC/HEIF as `<name>-1.avif`, `<name>-2.avif`, ... (false = primary image only)
+ * @param {?number} [config.heicImageIndex] - Convert only this image (0-based) of a HEIC/HEIF as `<name>-<index + 1>.avif`
+ * @param {boolean} [config.preserveOriginal] - Keep the original (false = delete it once every AVIF output has been reopened and decoded)
+ * @param {?number} [config.minSavings] - Discard outputs that save less than this percentage of the source size (skippedReason 'not-smaller')
+ * @param {?string} [config.trashDir] - Move removed originals here (mirroring the input tree) instead of deleting them
+ * @param {?string[]} [config.placeholders] - Placeholders to compute for the (largest) output: 'lqip', 'blurhash', 'thumbhash', 'color'
+ * @returns {Promise<{inputPath: string, outputPath: ?string, originalSize?: number, outputSize?: number, sizeSavings?: number, originalWidth?: number, originalHeight?: number, autoOriented?: boolean, framing?: {aspect: string, fit: string, strategy?: string, focus?: {x: number, y: number}, focusSource?: string}, newWidth?: number, newHeight?: number, resized?: boolean, quality?: number, targetSizeMet?: boolean, ssim?: number, targetSsimMet?: boolean, variants?: Array<{width: number, height: number, outputPath: string, outputSize: number, quality: number, targetSizeMet?: boolean, ssim?: number, targetSsimMet?: boolean, fallbacks: Array<{format: string, width: number, height: number, outputPath: string, outputSize: number}>}>, fallbacks?: Array<{format: string, width: number, height: number, outputPath: string, outputSize: number}>, lossless?: boolean, chromaSubsampling?: string, contentDetection?: {type: string, uniqueColors: number, flatRatio: number, alphaRatio: number}, bitDepth?: number, colorSpace?: string, iccProfile?: string, sourceColor?: {bitDepth: number, colorSpace: string, profile: string, profileDescription: ?string, wideGamut: boolean}, animated?: boolean, frames?: number, delay?: number[], loop?: number, poster?: {outputPath: string, outputSize: number}, placeholders?: {lqip?: string, blurhash?: string, thumbhash?: string, color?: string}, preserveExif?: boolean, metadataRetained?: string[], wasPreprocessed?: boolean, images?: Array<{index: number, primary: boolean, outputPath: string, outputSize?: number, width?: number, height?: number, placeholders?: Object, skipped?: boolean, error?: string}>, originalRemoved?: {method: string, trashPath?: string}, skipped?: boolean, skippedReason?: string, error?: string, errorCode?: string, processingTime?: number, metadataTime?: number, conversionTime?: number}>} Processing result
  * @throws {Error} If preprocessing or conversion fails
  * @example
  * const result = await convertImageToAvif('./photo.jpg', {
@@ -296,34 +2020,43 @@ export async function convertBufferToAvif(inputBuffer, options = {}) {
  *   maxHeight: 1200,
  *   preserveExif: true
  * });
+ *
+ * // Generate a responsive set: photo-320w.avif, photo-640w.avif, ...
+ * const { variants } = await convertImageToAvif('./photo.jpg', {
+ *   ...DEFAULT_CONFIG,
+ *   widths: [320, 640, 1024, 1920]
+ * });
  */
 export async function convertImageToAvif(inputPath, config) {
   const overallTimer = createTimer();
   
   try {
-    const inputDir = path.dirname(inputPath);
     const inputExt = path.extname(inputPath).toLowerCase();
-    const inputName = path.basename(inputPath, inputExt);
-    const outputDir = config.outputDir || inputDir;
-    const outputPath = path.join(outputDir, `${inputName}.avif`);
-
-    // Skip if output exists and not forcing
-    try {
-      await fs.access(outputPath);
-      if (!config.force) {
-        return { 
+    const isHeic = ['.heic', '.heif'].includes(inputExt);
+
+    if (isHeic && config.allImages) {
+      const combined = await processHeicImages(inputPath, config, convertImageToAvif);
+      if (combined) {
+        return await removeOriginal(inputPath, combined, config);
+      }
+    }
+
+    const nameTemplate = getNameTemplate(config);
+    const generateVariants = Array.isArray(config.widths) && config.widths.length > 0;
+
+    // Skip if output exists and not forcing (names that depend on the image are checked once known)
+    if (!dependsOnImage(nameTemplate)) {
+      const outputPath = getOutputPath(inputPath, config);
+      if (!config.force && await fileExists(outputPath)) {
+        return {
           inputPath,
           outputPath,
-          skipped: true 
+          skipped: true,
+          skippedReason: 'exists'
         };
       }
-    } catch {
-      // File doesn't exist, continue processing
     }
 
-    // Ensure output directory exists
-    await fs.mkdir(outputDir, { recursive: true });
-    
     // Read input file and handle HEIC preprocessing
     const metadataTimer = createTimer();
     let imageBuffer = await fs.readFile(inputPath);
@@ -332,11 +2065,8 @@ export async function convertImageToAvif(inputPath, config) {
     let wasPreprocessed = false;
     
     // Check if HEIC/HEIF file needs preprocessing
-    if (['.heic', '.heif'].includes(inputExt)) {
-      const preprocessResult = await preprocessHeicImage(
-        imageBuffer, 
-        config.quality / 100 // Convert quality scale
-      );
+    if (isHeic) {
+      const preprocessResult = await preprocessHeicImage(imageBuffer, config.heicImageIndex ?? null);
       
       if (!preprocessResult.success) {
         throw createError(
@@ -355,55 +2085,121 @@ export async function convertImageToAvif(inputPath, config) {
     const metadata = await sharp(sharpInput).metadata();
     const metadataTime = metadataTimer.end();
     
-    const { width: originalWidth, height: originalHeight } = metadata;
+    const { width: originalWidth, height: originalHeight, autoOriented } = getOrientedDimensions(metadata, config);
+    const animation = await resolveAnimation(metadata, config);
+    const encoding = await resolveEncodingSettings(sharpInput, metadata, config);
+    const sourceColor = detectSourceColor(metadata);
+    const color = await resolveColorSettings(sourceColor, metadata, animation, config);
+    const framing = await resolveFraming(originalWidth, originalHeight, config, inputPath);
+    const metadataPolicy = resolveMetadataPolicy(metadata, config, color.keepIccProfile);
+    const encodingConfig = { ...config, ...encoding, ...color, resize: framing.resize, metadataPolicy };
+    if (color.assignedProfile) {
+      sharpInput = await assignIccProfile(sharpInput, color.assignedProfile);
+    }
     const originalStats = await fs.stat(inputPath);
     const originalSize = originalStats.size;
 
     verbose(`Processing: ${inputPath}`);
-    verbose(`Original dimensions: ${originalWidth}x${originalHeight}`);
+    verbose(`Original dimensions: ${originalWidth}x${originalHeight}${autoOriented ? ` (EXIF orientation ${metadata.orientation} applied)` : ''}`);
+    if (animation.animated) {
+      verbose(`Animated: ${animation.frames} frames`);
+    }
+
+    if (generateVariants) {
+      const result = await convertResponsiveVariants(inputPath, sharpInput, {
+        config: encodingConfig,
+        encoding,
+        color,
+        sourceColor,
+        animation,
+        originalWidth,
+        originalHeight,
+        autoOriented,
+        framing,
+        originalSize,
+        wasPreprocessed,
+        metadataTime,
+        overallTimer
+      });
+      return await removeOriginal(inputPath, result, config);
+    }
 
-    // Calculate optimized dimensions
+    // Calculate optimized dimensions of the (aspect) frame
     const { width: newWidth, height: newHeight } = getOptimizedDimensions(
-      originalWidth,
-      originalHeight,
+      framing.width,
+      framing.height,
       config.maxWidth,
       config.maxHeight
     );
 
+    if (framing.framing) {
+      const { aspect, fit, strategy, focus, focusSource } = framing.framing;
+      const focusInfo = focus ? ` at ${focus.x},${focus.y} (${focusSource})` : '';
+      verbose(`Framing: ${aspect} ${fit}${strategy ? `, ${strategy}` : ''}${focusInfo}`);
+    }
     verbose(`Optimized dimensions: ${newWidth}x${newHeight}`);
 
+    // Names from the dimensions can be checked before encoding, names from the output only after
+    const deferName = dependsOnEncoding(nameTemplate);
+    if (dependsOnImage(nameTemplate) && !deferName) {
+      const outputPath = getOutputPath(inputPath, config, { width: newWidth, height: newHeight });
+      if (!config.force && await fileExists(outputPath)) {
+        return { inputPath, outputPath, skipped: true, skippedReason: 'exists' };
+      }
+    }
+
     // Convert to AVIF with optimization
     const conversionTimer = createTimer();
-    const sharpInstance = sharp(sharpInput)
-      .resize(newWidth, newHeight, {
-        kernel: sharp.kernel.lanczos3,
-        withoutEnlargement: true
-      });
-    
-    // Conditionally preserve EXIF metadata
-    if (config.preserveExif) {
-      sharpInstance.keepMetadata();
+    const { data, quality, targetSizeMet, ssim, targetSsimMet } = await encodeAvif(
+      openImage(sharpInput, animation),
+      newWidth,
+      newHeight,
+      encodingConfig
+    );
+    await assertAnimationPreserved(data, animation);
+
+    const outputValues = { width: newWidth, height: newHeight, quality, hash: hashContent(data) };
+    const outputPath = getOutputPath(inputPath, config, outputValues);
+    if (deferName && !config.force && await fileExists(outputPath)) {
+      return { inputPath, outputPath, skipped: true, skippedReason: 'exists' };
     }
-    
-    await sharpInstance
-      .avif({
-        quality: config.quality,
-        effort: config.effort,
-        chromaSubsampling: '4:2:0'
-      })
-      .toFile(outputPath);
+    const notSmaller = checkMinSavings(inputPath, { outputPath, data }, originalSize, config);
+    if (notSmaller) {
+      return notSmaller;
+    }
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, data);
+
+    const poster = animation.animated && config.poster
+      ? await writePosterFrame(
+        sharpInput,
+        newWidth,
+        newHeight,
+        getPosterPath(inputPath, config, outputValues),
+        encodingConfig
+      )
+      : undefined;
+
+    const fallbacks = await writeFallbackFormats(
+      inputPath,
+      sharpInput,
+      animation,
+      newWidth,
+      newHeight,
+      (extension) => replaceAvifExtension(outputPath, extension),
+      encodingConfig
+    );
+    const placeholders = await createPlaceholders(sharpInput, newWidth, newHeight, encodingConfig);
     const conversionTime = conversionTimer.end();
-    
-    // Get output file size
-    const outputStats = await fs.stat(outputPath);
-    const outputSize = outputStats.size;
-    
+
+    const outputSize = data.length;
+
     // Calculate savings and total processing time
     const sizeSavings = ((originalSize - outputSize) / originalSize * 100).toFixed(1);
     const dimensionChange = originalWidth !== newWidth || originalHeight !== newHeight;
     const totalProcessingTime = overallTimer.end();
 
-    return {
+    return await removeOriginal(inputPath, {
       inputPath,
       outputPath,
       originalSize,
@@ -411,23 +2207,36 @@ export async function convertImageToAvif(inputPath, config) {
       sizeSavings: parseFloat(sizeSavings),
       originalWidth,
       originalHeight,
+      autoOriented,
+      framing: framing.framing,
       newWidth,
       newHeight,
       resized: dimensionChange,
+      quality,
+      targetSizeMet,
+      ssim,
+      targetSsimMet,
+      fallbacks,
+      ...encoding,
+      bitDepth: color.bitDepth,
+      colorSpace: color.colorSpace,
+      iccProfile: color.iccProfile,
+      sourceColor,
+      ...animation,
+      poster,
+      placeholders,
       preserveExif: config.preserveExif,
+      metadataRetained: metadataPolicy.retained,
       wasPreprocessed: wasPreprocessed,
       skipped: false,
       processingTime: totalProcessingTime,
       metadataTime,
       conversionTime
-    };
+    }, config);
     
   } catch (error) {
     const totalProcessingTime = overallTimer.end();
-    const outputPath = path.join(
-      config.outputDir || path.dirname(inputPath),
-      `${path.basename(inputPath, path.extname(inputPath))}.avif`
-    );
+    const outputPath = getOutputPathOrNull(inputPath, config);
     return {
       inputPath,
       outputPath,
@@ -438,11 +2247,59 @@ export async function convertImageToAvif(inputPath, config) {
   }
 }
 
+/**
+ * Rough output/input size ratios per format, used for dry run estimates
+ * @constant {Object.<string, number>}
+ * @private
+ */
+const ESTIMATED_SIZE_RATIOS = {
+  avif: 0.6,
+  webp: 0.75,
+  jpeg: 0.9,
+  png: 1
+};
+
+/**
+ * Estimate an output size from the source size and pixel count ratio
+ * @param {number} originalSize - Original file size in bytes
+ * @param {number} outputPixels - Output pixel count
+ * @param {number} originalPixels - Original pixel count
+ * @param {string} [format='avif'] - Output format
+ * @returns {number} Estimated output size in bytes
+ * @private
+ */
+function estimateOutputSize(originalSize, outputPixels, originalPixels, format = 'avif') {
+  return Math.round(originalSize * (outputPixels / originalPixels) * ESTIMATED_SIZE_RATIOS[format]);
+}
+
+/**
+ * List the fallback outputs a dry run would write, with estimated sizes
+ * @param {string} inputPath - Path to input image
+ * @param {number} width - Target width in pixels
+ * @param {number} height - Target height in pixels
+ * @param {function(string): string} getOutputPath - Maps a file extension to an output path
+ * @param {Object} config - Configuration object
+ * @param {{originalSize: number, originalPixels: number}} source - Source size and pixel count
+ * @returns {Array<{format: string, width: number, height: number, outputPath: string, outputSize: number}>} Planned fallbacks
+ * @private
+ */
+function planFallbackFormats(inputPath, width, height, getOutputPath, config, source) {
+  return getFallbackFormats(config)
+    .map(format => ({
+      format,
+      width,
+      height,
+      outputPath: getOutputPath(OUTPUT_FORMAT_EXTENSIONS[format]),
+      outputSize: estimateOutputSize(source.originalSize, width * height, source.originalPixels, format)
+    }))
+    .filter(fallback => path.resolve(fallback.outputPath) !== path.resolve(inputPath));
+}
+
 /**
  * Analyze a single image file without converting (dry run)
  * @param {string} inputPath - Path to input image
  * @param {Object} config - Configuration object (same as convertImageToAvif)
- * @returns {Promise<{inputPath: string, outputPath: string, originalSize?: number, outputSize?: number, sizeSavings?: number, originalWidth?: number, originalHeight?: number, newWidth?: number, newHeight?: number, resized?: boolean, dimensionChange?: boolean, preserveExif?: boolean, wasPreprocessed?: boolean, processingTime?: number, metadataTime?: number, error?: string, errorCode?: string}>} Analysis result with estimated output size
+ * @returns {Promise<{inputPath: string, outputPath: ?string, originalSize?: number, outputSize?: number, sizeSavings?: number, originalWidth?: number, originalHeight?: number, autoOriented?: boolean, framing?: {aspect: string, fit: string, strategy?: string, focus?: {x: number, y: number}, focusSource?: string}, newWidth?: number, newHeight?: number, resized?: boolean, dimensionChange?: boolean, variants?: Array<{width: number, height: number, outputPath: string, outputSize: number, fallbacks: Array<Object>}>, fallbacks?: Array<{format: string, width: number, height: number, outputPath: string, outputSize: number}>, lossless?: boolean, chromaSubsampling?: string, contentDetection?: {type: string, uniqueColors: number, flatRatio: number, alphaRatio: number}, bitDepth?: number, colorSpace?: string, iccProfile?: string, sourceColor?: {bitDepth: number, colorSpace: string, profile: string, profileDescription: ?string, wideGamut: boolean}, animated?: boolean, frames?: number, delay?: number[], loop?: number, preserveExif?: boolean, metadataRetained?: string[], wasPreprocessed?: boolean, images?: Array<{index: number, primary: boolean, outputPath: string, outputSize?: number, width?: number, height?: number, skipped?: boolean, error?: string}>, originalRemoved?: {method: string, trashPath?: string}, processingTime?: number, metadataTime?: number, error?: string, errorCode?: string}>} Analysis result with estimated output size
  * @example
  * // Analyze what would happen without actually converting
  * const analysis = await analyzeImageFile('./photo.jpg', config);
@@ -452,11 +2309,15 @@ export async function analyzeImageFile(inputPath, config) {
   const overallTimer = createTimer();
   
   try {
-    const inputDir = path.dirname(inputPath);
     const inputExt = path.extname(inputPath).toLowerCase();
-    const inputName = path.basename(inputPath, inputExt);
-    const outputDir = config.outputDir || inputDir;
-    const outputPath = path.join(outputDir, `${inputName}.avif`);
+    const isHeic = ['.heic', '.heif'].includes(inputExt);
+
+    if (isHeic && config.allImages) {
+      const combined = await processHeicImages(inputPath, config, analyzeImageFile);
+      if (combined) {
+        return { ...combined, originalRemoved: planOriginalRemoval(config) };
+      }
+    }
 
     // Handle HEIC preprocessing for analysis (dry run)
     const metadataTimer = createTimer();
@@ -465,12 +2326,9 @@ export async function analyzeImageFile(inputPath, config) {
     let wasPreprocessed = false;
     
     // Check if HEIC/HEIF file needs preprocessing for metadata reading
-    if (['.heic', '.heif'].includes(inputExt)) {
+    if (isHeic) {
       let imageBuffer = await fs.readFile(inputPath);
-      const preprocessResult = await preprocessHeicImage(
-        imageBuffer, 
-        config.quality / 100
-      );
+      const preprocessResult = await preprocessHeicImage(imageBuffer, config.heicImageIndex ?? null);
       
       if (!preprocessResult.success) {
         throw createError(
@@ -487,19 +2345,67 @@ export async function analyzeImageFile(inputPath, config) {
     const metadata = await sharp(sharpInput).metadata();
     const metadataTime = metadataTimer.end();
     
-    const { width: originalWidth, height: originalHeight } = metadata;
+    const { width: originalWidth, height: originalHeight, autoOriented } = getOrientedDimensions(metadata, config);
+    const animation = await resolveAnimation(metadata, config);
+    const encoding = await resolveEncodingSettings(sharpInput, metadata, config);
+    const sourceColor = detectSourceColor(metadata);
+    const color = await resolveColorSettings(sourceColor, metadata, animation, config);
+    const framing = await resolveFraming(originalWidth, originalHeight, config, inputPath);
+    const metadataPolicy = resolveMetadataPolicy(metadata, config, color.keepIccProfile);
     const originalStats = await fs.stat(inputPath);
     const originalSize = originalStats.size;
 
-    const { width: newWidth, height: newHeight } = getOptimizedDimensions(
-      originalWidth,
-      originalHeight,
+    /** @type {Array<{width: number, height: number, outputPath: string, outputSize: number, fallbacks: Array<Object>}>|undefined} */
+    let variants;
+    // The quality is known up front unless a target searches it; the hash only after encoding
+    const quality = encoding.lossless || !(config.targetSsim || config.targetSize) ? config.quality : undefined;
+    let { width: newWidth, height: newHeight } = getOptimizedDimensions(
+      framing.width,
+      framing.height,
       config.maxWidth,
       config.maxHeight
     );
 
-    const pixelRatio = (newWidth * newHeight) / (originalWidth * originalHeight);
-    const estimatedSize = Math.round(originalSize * pixelRatio * 0.6);
+    if (Array.isArray(config.widths) && config.widths.length > 0) {
+      assertVariantNameTemplate(config);
+      variants = getVariantWidths(framing.width, config.widths).map(width => {
+        const height = Math.max(1, Math.round(width * framing.height / framing.width));
+        const variantPath = getOutputPath(inputPath, config, { width, height, quality });
+        return {
+          width,
+          height,
+          outputPath: variantPath,
+          outputSize: estimateOutputSize(originalSize, width * height, originalWidth * originalHeight),
+          fallbacks: planFallbackFormats(
+            inputPath,
+            width,
+            height,
+            (extension) => replaceAvifExtension(variantPath, extension),
+            config,
+            { originalSize, originalPixels: originalWidth * originalHeight }
+          )
+        };
+      });
+
+      const primary = variants[variants.length - 1];
+      newWidth = primary.width;
+      newHeight = primary.height;
+    }
+    const outputPath = variants
+      ? variants[variants.length - 1].outputPath
+      : getOutputPath(inputPath, config, { width: newWidth, height: newHeight, quality });
+
+    const estimatedSize = estimateOutputSize(originalSize, newWidth * newHeight, originalWidth * originalHeight);
+    const fallbacks = variants
+      ? variants.flatMap(variant => variant.fallbacks)
+      : planFallbackFormats(
+        inputPath,
+        newWidth,
+        newHeight,
+        (extension) => replaceAvifExtension(outputPath, extension),
+        config,
+        { originalSize, originalPixels: originalWidth * originalHeight }
+      );
     const sizeSavings = ((originalSize - estimatedSize) / originalSize * 100).toFixed(1);
     const dimensionChange = (originalWidth !== newWidth || originalHeight !== newHeight)
       ? ` (${originalWidth}x${originalHeight} → ${newWidth}x${newHeight})`
@@ -515,21 +2421,30 @@ export async function analyzeImageFile(inputPath, config) {
       sizeSavings: parseFloat(sizeSavings),
       originalWidth,
       originalHeight,
+      autoOriented,
+      framing: framing.framing,
       newWidth,
       newHeight,
       resized: dimensionChange !== '',
       dimensionChange: dimensionChange !== '',
+      variants,
+      fallbacks,
+      ...encoding,
+      bitDepth: color.bitDepth,
+      colorSpace: color.colorSpace,
+      iccProfile: color.iccProfile,
+      sourceColor,
+      ...animation,
       preserveExif: config.preserveExif,
+      metadataRetained: metadataPolicy.retained,
       wasPreprocessed: wasPreprocessed,
+      originalRemoved: planOriginalRemoval(config),
       processingTime: totalProcessingTime,
       metadataTime
     };
   } catch (error) {
     const totalProcessingTime = overallTimer.end();
-    const outputPath = path.join(
-      config.outputDir || path.dirname(inputPath),
-      `${path.basename(inputPath, path.extname(inputPath))}.avif`
-    );
+    const outputPath = getOutputPathOrNull(inputPath, config);
     return {
       inputPath,
       outputPath,
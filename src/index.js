@@ -6,7 +6,8 @@
  */
 
 import { optimizeImages } from './cli.js';
-import { convertImageToAvif, analyzeImageFile, convertBufferToAvif, isHeicBuffer } from './image-processor.js';
+import { convertImageToAvif, analyzeImageFile, convertBufferToAvif, isHeicBuffer, detectImageContent, supportsAnimatedAvif } from './image-processor.js';
+import { createAvifTransform, createAvifTransformStream } from './stream-converter.js';
 import { DEFAULT_CONFIG, SUPPORTED_FORMATS } from './constants.js';
 import { generateMarkdownReport, generateJsonReport, generateReports } from './report-generator.js';
 
@@ -16,6 +17,15 @@ export { optimizeImages, convertImageToAvif, analyzeImageFile };
 // Export the Buffer-based API (no filesystem access, ideal for upload routes)
 export { convertBufferToAvif, isHeicBuffer };
 
+// Export the streaming API (Node.js Duplex and web TransformStream)
+export { createAvifTransform, createAvifTransformStream };
+
+// Export content detection used by chroma auto mode
+export { detectImageContent };
+
+// Export the animated AVIF support check
+export { supportsAnimatedAvif };
+
 // Export report generation functions
 export { generateMarkdownReport, generateJsonReport, generateReports };
 
@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Image manifest for AVIF Image Optimizer
+ *
+ * Maintains a JSON lookup table keyed by source path that applications can
+ * import to render images: every output with its dimensions, byte size,
+ * MIME type and content hash, plus placeholders. Unlike the reports it has
+ * no timestamps or formatted values, keys and outputs are sorted, and each
+ * run only updates the sources it touched, so the file is stable under
+ * version control.
+ *
+ * Paths are relative to the manifest file and use forward slashes. The
+ * HTML rewriter uses an in-memory manifest to find the outputs of a source.
+ *
+ * @module manifest
+ */
+
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { OUTPUT_FORMAT_EXTENSIONS, OUTPUT_MIME_TYPES } from './constants.js';
+import { hashContent, replaceAvifExtension } from './name-template.js';
+import { listResultOutputs, getExpectedOutputs, getOutputPath } from './image-processor.js';
+
+/**
+ * Version of the manifest format; other versions are replaced
+ * @constant {number}
+ */
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Output formats in manifest order (AVIF first)
+ * @constant {string[]}
+ * @private
+ */
+const FORMAT_ORDER = Object.keys(OUTPUT_MIME_TYPES);
+
+/**
+ * Get the output format written with a file extension
+ * @param {string} filePath - Output path
+ * @returns {string|undefined} Format, e.g. 'jpeg' for `.jpg`
+ * @private
+ */
+function getOutputFormat(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  return FORMAT_ORDER.find(format => OUTPUT_FORMAT_EXTENSIONS[format] === extension);
+}
+
+/**
+ * Describe a written output file
+ * @param {string} outputPath - Output path
+ * @param {function(string): string} toManifestPath - Maps a path to its manifest form
+ * @returns {Promise<{src: string, type: string, width: number, height: number, bytes: number, hash: string}>} Output entry
+ * @private
+ */
+async function describeOutput(outputPath, toManifestPath) {
+  const data = await fs.readFile(outputPath);
+  const { width, height, pageHeight } = await sharp(data).metadata();
+  return {
+    src: toManifestPath(outputPath),
+    type: OUTPUT_MIME_TYPES[getOutputFormat(outputPath)],
+    width,
+    // Animated outputs report the height of all frames stacked
+    height: pageHeight || height,
+    bytes: data.length,
+    hash: hashContent(data)
+  };
+}
+
+/**
+ * Predict the outputs of a dry run from its analysis result
+ *
+ * Nothing is written in a dry run, so outputs carry the planned paths and
+ * dimensions but no byte sizes or hashes.
+ *
+ * @param {Object} result - Result of analyzeImageFile
+ * @param {function(string): string} toManifestPath - Maps a path to its manifest form
+ * @returns {?Object} Entry, or null without AVIF outputs
+ * @private
+ */
+function estimateEntry(result, toManifestPath) {
+  const avif = result.variants
+    ? result.variants.map(({ outputPath, width, height }) => ({ outputPath, width, height }))
+    : [{ outputPath: result.outputPath, width: result.newWidth, height: result.newHeight }];
+  if (!avif[0]?.outputPath || !avif[0].width) {
+    return null;
+  }
+
+  const outputs = [...avif, ...(result.fallbacks || [])].map(({ outputPath, width, height }) => ({
+    src: toManifestPath(outputPath),
+    type: OUTPUT_MIME_TYPES[getOutputFormat(outputPath)],
+    width,
+    height
+  }));
+  const largest = avif.reduce((a, b) => (b.width > a.width ? b : a));
+  return { width: largest.width, height: largest.height, outputs };
+}
+
+/**
+ * Open the image manifest stored at a path
+ *
+ * A missing or unreadable manifest starts empty. `record` updates the
+ * entry of a source from a conversion result: converted sources are
+ * described from their outputs, sources skipped because their outputs
+ * exist get an entry from the files on disk if they have none yet, and
+ * sources whose AVIF was discarded (`--min-savings`) lose theirs. `save`
+ * writes the manifest, dropping entries none of whose outputs exist any
+ * more; entries of originals removed after conversion are kept. `lookup`
+ * returns the entry of a source with paths relative to the working
+ * directory.
+ *
+ * Without a path the manifest lives in memory, relative to the working
+ * directory, and `save` does nothing. Dry run results are recorded with
+ * their planned outputs, without sizes or hashes.
+ *
+ * @param {?string} manifestPath - Manifest file path, e.g. 'images.json'
+ * @returns {Promise<{record: function(Object, Object): Promise<void>, lookup: function(string): ?Object, save: function(): Promise<void>, entries: Object.<string, Object>}>} Manifest
+ * @example
+ * const manifest = await openManifest('src/images.json');
+ * await manifest.record(await convertImageToAvif('public/hero.jpg', config), config);
+ * await manifest.save();
+ * // src/images.json: { "version": 1, "images": { "../public/hero.jpg": { "width": 1200, "height": 800, "outputs": [...] } } }
+ */
+export async function openManifest(manifestPath) {
+  const manifestDir = manifestPath ? path.dirname(path.resolve(manifestPath)) : process.cwd();
+  const toManifestPath = (filePath) => path.relative(manifestDir, path.resolve(filePath)).split(path.sep).join('/');
+
+  /** @type {Object.<string, Object>} */
+  let entries = {};
+  if (manifestPath) {
+    try {
+      const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+      if (manifest.version === MANIFEST_VERSION && manifest.images && typeof manifest.images === 'object') {
+        entries = manifest.images;
+      }
+    } catch {
+      // No usable manifest yet; it is rebuilt from this run
+    }
+  }
+
+  /**
+   * Build the entry of a source from its output files
+   * @param {string[]} outputPaths - AVIF outputs and fallbacks
+   * @param {?string} posterPath - Poster frame, if any
+   * @param {Object} [placeholders] - Placeholders from the result
+   * @returns {Promise<?Object>} Entry, or null without AVIF outputs
+   */
+  const describe = async (outputPaths, posterPath, placeholders) => {
+    const outputs = await Promise.all(
+      outputPaths.filter(output => getOutputFormat(output)).map(output => describeOutput(output, toManifestPath))
+    );
+    const avif = outputs.filter(output => output.type === OUTPUT_MIME_TYPES.avif);
+    if (avif.length === 0) {
+      return null;
+    }
+
+    outputs.sort((a, b) =>
+      FORMAT_ORDER.indexOf(getOutputFormat(a.src)) - FORMAT_ORDER.indexOf(getOutputFormat(b.src))
+      || a.width - b.width
+      || (a.src < b.src ? -1 : a.src > b.src ? 1 : 0)
+    );
+    // The largest AVIF gives the intrinsic size used to reserve layout space
+    const largest = avif.reduce((a, b) => (b.width > a.width ? b : a));
+    return {
+      width: largest.width,
+      height: largest.height,
+      outputs,
+      ...(posterPath ? { poster: await describeOutput(posterPath, toManifestPath) } : {}),
+      ...(placeholders ? { placeholders } : {})
+    };
+  };
+
+  return {
+    entries,
+
+    async record(result, config) {
+      const key = toManifestPath(result.inputPath);
+      if (result.error || result.skippedReason === 'collision') {
+        return;
+      }
+      if (result.skippedReason === 'not-smaller') {
+        delete entries[key];
+        return;
+      }
+
+      if (!result.skipped && config.dryRun) {
+        const entry = estimateEntry(result, toManifestPath);
+        if (entry) {
+          entries[key] = entry;
+        }
+        return;
+      }
+
+      if (!result.skipped) {
+        const posterPath = result.poster?.outputPath ?? null;
+        const outputs = listResultOutputs(result).filter(output => output !== posterPath);
+        const entry = await describe(outputs, posterPath, result.placeholders);
+        if (entry) {
+          entries[key] = entry;
+        }
+        return;
+      }
+
+      // Outputs written by an earlier run: describe what exists unless the entry is already known
+      if (!entries[key]) {
+        const posterPath = replaceAvifExtension(getOutputPath(result.inputPath, { ...config, widths: null }), '-poster.avif');
+        const existing = getExpectedOutputs(result.inputPath, config).filter(output => fsSync.existsSync(output));
+        const entry = await describe(
+          existing.filter(output => output !== posterPath),
+          existing.includes(posterPath) ? posterPath : null
+        );
+        if (entry) {
+          entries[key] = entry;
+        }
+      }
+    },
+
+    lookup(inputPath) {
+      const entry = entries[toManifestPath(inputPath)];
+      if (!entry) {
+        return null;
+      }
+      const fromManifestPath = (src) => path.relative(process.cwd(), path.join(manifestDir, src));
+      return {
+        ...entry,
+        outputs: entry.outputs.map(output => ({ ...output, src: fromManifestPath(output.src) }))
+      };
+    },
+
+    async save() {
+      if (!manifestPath) {
+        return;
+      }
+      const images = Object.fromEntries(
+        Object.keys(entries)
+          .filter(key => entries[key].outputs.some(output => fsSync.existsSync(path.join(manifestDir, output.src))))
+          .sort()
+          .map(key => [key, entries[key]])
+      );
+      // Write a temporary file first so an interrupted run never leaves a truncated manifest
+      const temporaryPath = `${manifestPath}.${process.pid}.tmp`;
+      await fs.mkdir(manifestDir, { recursive: true });
+      await fs.writeFile(temporaryPath, `${JSON.stringify({ version: MANIFEST_VERSION, images }, null, 2)}\n`);
+      await fs.rename(temporaryPath, manifestPath);
+    }
+  };
+}
@@ -0,0 +1,271 @@
+/**
+ * @fileoverview Selective metadata retention for AVIF Image Optimizer
+ *
+ * Splits source metadata into groups (copyright, icc, datetime, camera, gps)
+ * so that, for example, author and copyright credit can be kept while
+ * location data is always stripped. EXIF tags of the selected groups are
+ * read from the source and written back with Sharp's `withExif`; the ICC
+ * profile is handled by the color settings.
+ *
+ * @module metadata-policy
+ */
+
+import { METADATA_GROUPS } from './constants.js';
+
+/**
+ * EXIF tags kept by each metadata group, keyed by IFD as named by Sharp's
+ * `withExif` (IFD0 = main image, IFD2 = Exif sub-IFD, IFD3 = GPS) and by tag id
+ * @constant {Object.<string, Object.<string, Object.<number, string>>>}
+ * @private
+ */
+const GROUP_TAGS = {
+  copyright: {
+    IFD0: { 0x013B: 'Artist', 0x8298: 'Copyright' }
+  },
+  datetime: {
+    IFD0: { 0x0132: 'DateTime' },
+    IFD2: {
+      0x9003: 'DateTimeOriginal',
+      0x9004: 'DateTimeDigitized',
+      0x9010: 'OffsetTime',
+      0x9011: 'OffsetTimeOriginal',
+      0x9012: 'OffsetTimeDigitized',
+      0x9290: 'SubSecTime',
+      0x9291: 'SubSecTimeOriginal',
+      0x9292: 'SubSecTimeDigitized'
+    }
+  },
+  camera: {
+    IFD0: { 0x010F: 'Make', 0x0110: 'Model', 0x0131: 'Software' },
+    IFD2: {
+      0x829A: 'ExposureTime',
+      0x829D: 'FNumber',
+      0x8822: 'ExposureProgram',
+      0x8827: 'ISOSpeedRatings',
+      0x9201: 'ShutterSpeedValue',
+      0x9202: 'ApertureValue',
+      0x9204: 'ExposureBiasValue',
+      0x9207: 'MeteringMode',
+      0x9209: 'Flash',
+      0x920A: 'FocalLength',
+      0xA402: 'ExposureMode',
+      0xA403: 'WhiteBalance',
+      0xA405: 'FocalLengthIn35mmFilm',
+      0xA433: 'LensMake',
+      0xA434: 'LensModel'
+    }
+  },
+  gps: {
+    IFD3: {
+      0x0000: 'GPSVersionID',
+      0x0001: 'GPSLatitudeRef',
+      0x0002: 'GPSLatitude',
+      0x0003: 'GPSLongitudeRef',
+      0x0004: 'GPSLongitude',
+      0x0005: 'GPSAltitudeRef',
+      0x0006: 'GPSAltitude',
+      0x0007: 'GPSTimeStamp',
+      0x0010: 'GPSImgDirectionRef',
+      0x0011: 'GPSImgDirection',
+      0x001D: 'GPSDateStamp'
+    }
+  }
+};
+
+/**
+ * Byte size of one component of each TIFF field type
+ * (BYTE, ASCII, SHORT, LONG, RATIONAL, UNDEFINED, SLONG, SRATIONAL)
+ * @constant {Object.<number, number>}
+ * @private
+ */
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * Resolve the metadata groups to keep
+ *
+ * An explicit `metadata` list wins; otherwise `preserveExif` keeps every
+ * group and the default keeps none.
+ *
+ * @param {Object} options - Processing options
+ * @param {?string[]} [options.metadata] - Metadata groups to keep
+ * @param {boolean} [options.preserveExif] - Keep all metadata
+ * @returns {string[]} Groups to keep, in METADATA_GROUPS order
+ * @example
+ * resolveMetadataGroups({ metadata: ['gps', 'copyright'] });
+ * // Returns ['copyright', 'gps']
+ */
+export function resolveMetadataGroups(options) {
+  if (Array.isArray(options.metadata)) {
+    return METADATA_GROUPS.filter(group => options.metadata.includes(group));
+  }
+  return options.preserveExif ? [...METADATA_GROUPS] : [];
+}
+
+/**
+ * Read the entries of the IFD0, Exif and GPS directories of an EXIF block
+ * @param {Buffer} exif - EXIF block from Sharp metadata
+ * @returns {?{tiff: Buffer, littleEndian: boolean, ifds: Object.<string, Map<number, number>>}} Entry offsets keyed by tag id per IFD, or null if unreadable
+ * @private
+ */
+function readExifDirectories(exif) {
+  const tiff = exif.toString('ascii', 0, 4) === 'Exif' ? exif.subarray(6) : exif;
+  if (tiff.length < 8) {
+    return null;
+  }
+
+  const littleEndian = tiff.toString('ascii', 0, 2) === 'II';
+  const read16 = (offset) => littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+  const read32 = (offset) => littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+
+  const readIfd = (offset) => {
+    const entries = new Map();
+    if (!offset || offset + 2 > tiff.length) {
+      return entries;
+    }
+    const count = read16(offset);
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      if (entry + 12 > tiff.length) break;
+      entries.set(read16(entry), entry);
+    }
+    return entries;
+  };
+
+  const ifd0 = readIfd(read32(4));
+  const pointer = (tag) => ifd0.has(tag) ? read32(ifd0.get(tag) + 8) : 0;
+
+  return {
+    tiff,
+    littleEndian,
+    ifds: { IFD0: ifd0, IFD2: readIfd(pointer(0x8769)), IFD3: readIfd(pointer(0x8825)) }
+  };
+}
+
+/**
+ * Format an EXIF entry as the string Sharp's `withExif` expects
+ *
+ * Numbers are space separated and rationals written as `numerator/denominator`.
+ * UNDEFINED and unknown field types are skipped.
+ *
+ * @param {Buffer} tiff - TIFF data
+ * @param {number} entry - Offset of the 12-byte IFD entry
+ * @param {boolean} littleEndian - Byte order of the TIFF data
+ * @returns {?string} Formatted value, or null if it cannot be represented
+ * @private
+ */
+function formatExifValue(tiff, entry, littleEndian) {
+  const read16 = (offset) => littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+  const read32 = (offset) => littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+  const readSigned32 = (offset) => littleEndian ? tiff.readInt32LE(offset) : tiff.readInt32BE(offset);
+
+  const type = read16(entry + 2);
+  const count = read32(entry + 4);
+  const size = TYPE_SIZES[type];
+  if (!size || type === 7 || count === 0) {
+    return null;
+  }
+
+  const start = size * count <= 4 ? entry + 8 : read32(entry + 8);
+  if (start + size * count > tiff.length) {
+    return null;
+  }
+
+  if (type === 2) {
+    const text = tiff.toString('latin1', start, start + count).replace(/\0.*$/s, '').trim();
+    return text || null;
+  }
+
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const offset = start + i * size;
+    switch (type) {
+      case 1: values.push(tiff[offset]); break;
+      case 3: values.push(read16(offset)); break;
+      case 4: values.push(read32(offset)); break;
+      case 9: values.push(readSigned32(offset)); break;
+      case 5: values.push(`${read32(offset)}/${read32(offset + 4)}`); break;
+      case 10: values.push(`${readSigned32(offset)}/${readSigned32(offset + 4)}`); break;
+    }
+  }
+  return values.join(' ');
+}
+
+/**
+ * Resolve which metadata is written for one image
+ *
+ * Keeping every group keeps all source metadata unchanged (EXIF, XMP and
+ * IPTC included). Otherwise only the EXIF tags of the selected groups are
+ * copied; XMP and IPTC, which can embed any of them, are dropped.
+ *
+ * @param {import('sharp').Metadata} metadata - Sharp metadata of the source
+ * @param {Object} options - Processing options
+ * @param {?string[]} [options.metadata] - Metadata groups to keep
+ * @param {boolean} [options.preserveExif] - Keep all metadata
+ * @param {boolean} [keepIccProfile=false] - Whether the ICC profile ends up in the output
+ * @returns {{keepAll: boolean, exif: ?Object.<string, Object.<string, string>>, retained: string[]}} Write settings and the groups actually retained
+ * @example
+ * const policy = resolveMetadataPolicy(await sharp('photo.jpg').metadata(), { metadata: ['copyright'] });
+ * // Returns { keepAll: false, exif: { IFD0: { Copyright: '© Jane Doe' } }, retained: ['copyright'] }
+ */
+export function resolveMetadataPolicy(metadata, options, keepIccProfile = false) {
+  const groups = resolveMetadataGroups(options);
+  const keepAll = groups.length === METADATA_GROUPS.length;
+  const directories = metadata.exif ? readExifDirectories(metadata.exif) : null;
+
+  /** @type {Object.<string, Object.<string, string>>} */
+  const exif = {};
+  const retained = [];
+
+  for (const group of groups) {
+    if (group === 'icc') {
+      if (keepIccProfile) retained.push(group);
+      continue;
+    }
+
+    let found = false;
+    for (const [ifd, tags] of Object.entries(GROUP_TAGS[group])) {
+      const entries = directories?.ifds[ifd];
+      for (const [tag, name] of Object.entries(tags)) {
+        if (!entries?.has(Number(tag))) continue;
+        const value = formatExifValue(directories.tiff, entries.get(Number(tag)), directories.littleEndian);
+        if (value === null) continue;
+        exif[ifd] = { ...exif[ifd], [name]: value };
+        found = true;
+      }
+    }
+    if (found) retained.push(group);
+  }
+
+  return {
+    keepAll,
+    exif: !keepAll && Object.keys(exif).length > 0 ? exif : null,
+    retained
+  };
+}
+
+/**
+ * Reset the EXIF orientation to upright (1)
+ *
+ * For pixels that were already rotated while decoding, such as HEIC images
+ * whose container transforms are applied by the decoder, so that the tag
+ * does not rotate them a second time.
+ *
+ * @param {Buffer} exif - EXIF block (bare TIFF data or with an `Exif` prefix)
+ * @returns {Buffer} Copy of the EXIF block with Orientation set to 1
+ * @example
+ * const exif = clearExifOrientation(heicExif);
+ */
+export function clearExifOrientation(exif) {
+  const copy = Buffer.from(exif);
+  const directories = readExifDirectories(copy);
+  const entry = directories?.ifds.IFD0.get(0x0112);
+
+  if (entry !== undefined) {
+    if (directories.littleEndian) {
+      directories.tiff.writeUInt16LE(1, entry + 8);
+    } else {
+      directories.tiff.writeUInt16BE(1, entry + 8);
+    }
+  }
+  return copy;
+}
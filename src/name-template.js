@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Output file name templates for AVIF Image Optimizer
+ *
+ * Output names are rendered from a template such as `[name].avif`,
+ * `[name].[hash:8].avif` (cache busting) or `[name]-[width]w.avif`
+ * (responsive sets). Fallback formats and poster frames are named after the
+ * AVIF output by swapping its `.avif` extension.
+ *
+ * Token values become known at different stages: `[name]`, `[ext]` and
+ * `[dir]` up front, `[width]` and `[height]` once the image has been read,
+ * `[quality]` and `[hash]` once it has been encoded. Tokens without a value
+ * are left as written, e.g. `[hash:8]` in dry run paths.
+ *
+ * @module name-template
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import {
+  NAME_TEMPLATE_TOKENS,
+  DEFAULT_NAME_TEMPLATE,
+  DEFAULT_VARIANT_NAME_TEMPLATE
+} from './constants.js';
+import { ERROR_TYPES, createError } from './error-handler.js';
+
+/**
+ * Matches a template token with an optional length, e.g. `[name]` or `[hash:8]`
+ * @constant {RegExp}
+ * @private
+ */
+const TOKEN_PATTERN = /\[(\w+)(?::(\d+))?\]/g;
+
+/**
+ * Hex digits of `[hash]` without an explicit length
+ * @constant {number}
+ * @private
+ */
+const DEFAULT_HASH_LENGTH = 8;
+
+/**
+ * Tokens whose values are only known after encoding
+ * @constant {string[]}
+ * @private
+ */
+const ENCODED_TOKENS = ['quality', 'hash'];
+
+/**
+ * Check a name template and list the tokens it uses
+ *
+ * Templates must end in `.avif`, may contain subdirectories but no absolute
+ * paths or `..` segments, and may only use NAME_TEMPLATE_TOKENS. A length
+ * (`[hash:8]`) is only accepted for `[hash]`, from 1 to 64 digits.
+ *
+ * @param {string} template - Name template
+ * @returns {string[]} Tokens used by the template
+ * @throws {Error} INVALID_INPUT if the template is malformed
+ * @example
+ * parseNameTemplate('[name].[hash:8].avif');
+ * // Returns ['name', 'hash']
+ */
+export function parseNameTemplate(template) {
+  if (typeof template !== 'string' || !template.toLowerCase().endsWith('.avif') || template.length <= 5) {
+    throw createError('Name template must end with .avif', ERROR_TYPES.INVALID_INPUT);
+  }
+  if (path.isAbsolute(template) || template.split(/[\\/]/).includes('..')) {
+    throw createError('Name template must stay inside the output directory (no absolute paths or ..)', ERROR_TYPES.INVALID_INPUT);
+  }
+
+  const tokens = [];
+  for (const [match, token, length] of template.matchAll(TOKEN_PATTERN)) {
+    if (!NAME_TEMPLATE_TOKENS.includes(token)) {
+      throw createError(`Unknown name template token ${match}`, ERROR_TYPES.INVALID_INPUT);
+    }
+    if (length !== undefined && (token !== 'hash' || Number(length) < 1 || Number(length) > 64)) {
+      throw createError(`Invalid length in ${match} (only [hash:1] to [hash:64] take a length)`, ERROR_TYPES.INVALID_INPUT);
+    }
+    if (!tokens.includes(token)) {
+      tokens.push(token);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Get the name template that applies to a configuration
+ * @param {Object} config - Configuration object
+ * @param {?string} [config.nameTemplate] - Custom name template
+ * @param {?number[]} [config.widths] - Responsive widths
+ * @returns {string} Name template
+ * @example
+ * getNameTemplate({ widths: [320, 640] });
+ * // Returns '[name]-[width]w.avif'
+ */
+export function getNameTemplate(config) {
+  if (config.nameTemplate) {
+    return config.nameTemplate;
+  }
+  return Array.isArray(config.widths) && config.widths.length > 0
+    ? DEFAULT_VARIANT_NAME_TEMPLATE
+    : DEFAULT_NAME_TEMPLATE;
+}
+
+/**
+ * Check whether a template depends on the encoded output ([quality], [hash])
+ * @param {string} template - Name template
+ * @returns {boolean} True if the name is only known after encoding
+ */
+export function dependsOnEncoding(template) {
+  return parseNameTemplate(template).some(token => ENCODED_TOKENS.includes(token));
+}
+
+/**
+ * Check whether a template depends on the image (dimensions or encoded output)
+ * @param {string} template - Name template
+ * @returns {boolean} True if the name is only known after reading the image
+ */
+export function dependsOnImage(template) {
+  return parseNameTemplate(template).some(token => ['width', 'height', ...ENCODED_TOKENS].includes(token));
+}
+
+/**
+ * Render a name template
+ * @param {string} template - Name template
+ * @param {Object} values - Token values; tokens without a value are kept as written
+ * @param {string} [values.name] - Input file name without extension
+ * @param {string} [values.ext] - Input file extension without the dot
+ * @param {string} [values.dir] - Name of the input's directory
+ * @param {number} [values.width] - Output width in pixels
+ * @param {number} [values.height] - Output height in pixels
+ * @param {number} [values.quality] - AVIF quality used
+ * @param {string} [values.hash] - Hex SHA-256 of the output (see hashContent)
+ * @returns {string} Rendered file name (may contain subdirectories)
+ * @example
+ * renderNameTemplate('[name].[hash:8].avif', { name: 'hero', hash: 'd41d8cd98f00b204e980' });
+ * // Returns 'hero.d41d8cd9.avif'
+ */
+export function renderNameTemplate(template, values) {
+  return template.replace(TOKEN_PATTERN, (match, token, length) => {
+    const value = values[token];
+    if (value === undefined || value === null) {
+      return match;
+    }
+    if (token === 'hash') {
+      return String(value).slice(0, length ? Number(length) : DEFAULT_HASH_LENGTH);
+    }
+    return String(value);
+  });
+}
+
+/**
+ * Hash output data for the `[hash]` token
+ * @param {Buffer} data - Encoded output
+ * @returns {string} Hex SHA-256 digest
+ */
+export function hashContent(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Derive the path of a sibling output from an AVIF output path
+ * @param {string} avifPath - Output path ending in `.avif`
+ * @param {string} suffix - Replacement for the `.avif` extension, e.g. '.webp' or '-poster.avif'
+ * @returns {string} Sibling output path
+ * @example
+ * replaceAvifExtension('out/hero.3f2a9c1b.avif', '.webp');
+ * // Returns 'out/hero.3f2a9c1b.webp'
+ */
+export function replaceAvifExtension(avifPath, suffix) {
+  return avifPath.slice(0, -'.avif'.length) + suffix;
+}
@@ -8,6 +8,7 @@
  */
 
 import path from 'path';
+import { SKIP_REASONS } from './constants.js';
 
 /**
  * Output modes enum
@@ -150,6 +151,23 @@ export function formatTime(milliseconds) {
   }
 }
 
+/**
+ * Format a file path for display, relative to a root directory
+ * @param {string} filePath - File path
+ * @param {?string} [root] - Directory to show the path relative to
+ * @returns {string} Path relative to root, or the file name without a root or outside it
+ * @example
+ * formatPath('images/blog/a.jpg', 'images'); // Returns "blog/a.jpg"
+ * formatPath('images/blog/a.jpg'); // Returns "a.jpg"
+ */
+export function formatPath(filePath, root) {
+  if (!root) {
+    return path.basename(filePath);
+  }
+  const relativePath = path.relative(path.resolve(root), path.resolve(filePath));
+  return relativePath.startsWith('..') || path.isAbsolute(relativePath) ? path.basename(filePath) : relativePath;
+}
+
 /**
  * Format percentage
  * @param {number} value - Percentage value
@@ -169,7 +187,25 @@ export function formatPercentage(value, decimals = 1) {
  * @param {number} config.maxWidth - Maximum width
  * @param {number} config.maxHeight - Maximum height
  * @param {number} config.quality - Quality setting
+ * @param {?number} [config.targetSize] - Target maximum output size in bytes
+ * @param {?number} [config.targetSsim] - Target minimum SSIM
+ * @param {number} [config.minQuality] - Lowest quality for the target size search
+ * @param {number} [config.maxQuality] - Highest quality for the target size search
  * @param {number} config.effort - Effort level
+ * @param {boolean} [config.lossless] - Whether AVIF is encoded losslessly
+ * @param {string} [config.chroma] - Chroma subsampling mode ('420', '444' or 'auto')
+ * @param {number} [config.bitDepth] - AVIF bit depth
+ * @param {boolean} [config.wideGamut] - Whether wide-gamut primaries are kept
+ * @param {string} [config.colorProfile] - ICC handling mode (srgb, keep or assign)
+ * @param {?string} [config.assignProfile] - Profile assigned in assign mode
+ * @param {string[]} [config.formats] - Output formats
+ * @param {?number[]} [config.widths] - Responsive breakpoint widths
+ * @param {?string} [config.aspect] - Output aspect ratio
+ * @param {string} [config.fit] - How the image fills the aspect box
+ * @param {string} [config.crop] - Crop strategy for 'cover'
+ * @param {?{x: number, y: number}} [config.focus] - Focal point for 'cover'
+ * @param {boolean} [config.preserveExif] - Whether all metadata is kept
+ * @param {?string[]} [config.metadata] - Metadata groups to keep
  * @param {boolean} config.dryRun - Whether in dry run mode
  * @returns {void}
  */
@@ -180,9 +216,53 @@ export function displayHeader(config) {
   normal('========================');
   normal(`Supported formats: ${config.supportedFormats.join(', ')}`);
   normal(`Max dimensions: ${config.maxWidth}x${config.maxHeight}px`);
-  normal(`Quality: ${config.quality}`);
+  if (config.targetSsim) {
+    normal(`Quality: auto (${config.minQuality}-${config.maxQuality}) to reach SSIM ${config.targetSsim}`);
+  } else if (config.targetSize) {
+    normal(`Quality: auto (${config.minQuality}-${config.maxQuality}) to fit ${formatBytes(config.targetSize)}`);
+  } else {
+    normal(`Quality: ${config.quality}`);
+  }
   normal(`Effort: ${config.effort}`);
   
+  if (config.lossless) {
+    normal('Encoding: lossless');
+  } else if (config.chroma && config.chroma !== '420') {
+    normal(`Chroma: ${config.chroma === 'auto' ? 'auto (detects graphics in PNG/GIF)' : '4:4:4'}`);
+  }
+  
+  if (config.bitDepth > 8 || config.wideGamut) {
+    const gamutInfo = config.wideGamut ? ', wide-gamut primaries kept' : '';
+    normal(`Color: ${config.bitDepth || 8}-bit${gamutInfo}`);
+  }
+  
+  if (config.colorProfile === 'keep') {
+    normal('ICC profile: keep embedded');
+  } else if (config.colorProfile === 'assign') {
+    normal(`ICC profile: assign ${config.assignProfile}`);
+  }
+  
+  if (config.formats && config.formats.length > 1) {
+    normal(`Output formats: ${config.formats.join(', ')}`);
+  }
+  
+  if (config.metadata) {
+    normal(`Metadata: ${config.metadata.length > 0 ? config.metadata.join(', ') : 'none'}`);
+  } else if (config.preserveExif) {
+    normal('Metadata: all');
+  }
+  
+  if (config.aspect) {
+    const fit = config.fit || 'cover';
+    const cropInfo = fit !== 'cover' ? fit
+      : config.focus ? `cover, focus ${config.focus.x},${config.focus.y}` : `cover, ${config.crop || 'center'}`;
+    normal(`Aspect: ${config.aspect} (${cropInfo})`);
+  }
+  
+  if (config.widths && config.widths.length > 0) {
+    normal(`Responsive widths: ${config.widths.join(', ')}px`);
+  }
+  
   if (config.dryRun) {
     normal('Mode: Dry run (no files will be written)');
   }
@@ -196,6 +276,10 @@ export function displayHeader(config) {
  * @param {string} result.inputPath - Input file path
  * @param {string} result.outputPath - Output file path
  * @param {boolean} [result.skipped] - Whether file was skipped
+ * @param {string} [result.skippedReason] - Why the file was skipped: 'exists', 'collision', 'not-smaller' or 'cached'
+ * @param {boolean} [result.cached] - Whether a skip other than 'cached' was replayed from the build cache
+ * @param {string} [result.keptInputPath] - Input that keeps the output name of a skipped colliding input
+ * @param {{method: string, trashPath?: string}} [result.originalRemoved] - How the original was removed ('deleted' or 'trashed')
  * @param {string} [result.error] - Error message if failed
  * @param {string} [result.errorCode] - Error code if failed
  * @param {number} [result.originalSize] - Original file size
@@ -209,21 +293,63 @@ export function displayHeader(config) {
  * @param {boolean} [result.wasPreprocessed] - Whether HEIC preprocessing was required
  * @param {number} [result.originalWidth] - Original width in pixels
  * @param {number} [result.originalHeight] - Original height in pixels
+ * @param {boolean} [result.autoOriented] - Whether EXIF orientation was applied (dimensions are post-rotation)
  * @param {number} [result.newWidth] - New width in pixels
  * @param {number} [result.newHeight] - New height in pixels
+ * @param {number} [result.quality] - AVIF quality used for the output
+ * @param {boolean} [result.targetSizeMet] - Whether the output fits config.targetSize
+ * @param {number} [result.ssim] - SSIM of the output against the resized source
+ * @param {boolean} [result.targetSsimMet] - Whether the output reaches config.targetSsim
+ * @param {Array<{width: number, height: number, outputPath: string, outputSize: number, fallbacks?: Array<Object>}>} [result.variants] - Responsive variants
+ * @param {Array<{format: string, outputPath: string, outputSize: number}>} [result.fallbacks] - Fallback format outputs
+ * @param {boolean} [result.lossless] - Whether the output was encoded losslessly
+ * @param {string} [result.chromaSubsampling] - Chroma subsampling used for the output
+ * @param {{type: string}} [result.contentDetection] - Content detected in chroma auto mode
+ * @param {number} [result.bitDepth] - Output bit depth
+ * @param {string} [result.colorSpace] - Output color space
+ * @param {string} [result.iccProfile] - Output ICC profile: 'none', 'kept' or 'assigned'
+ * @param {string[]} [result.metadataRetained] - Metadata groups kept in the output
+ * @param {{bitDepth: number, colorSpace: string, profile: string, wideGamut: boolean}} [result.sourceColor] - Detected source bit depth, color space and profile source
+ * @param {boolean} [result.animated] - Whether the source is animated
+ * @param {number} [result.frames] - Number of animation frames
+ * @param {boolean} [result.firstFrameOnly] - Whether only the first frame was converted because animated AVIF is unsupported
+ * @param {{outputPath: string, outputSize: number}} [result.poster] - Static poster frame output
+ * @param {Object.<string, string>} [result.placeholders] - Lazy-loading placeholders by type
+ * @param {Array<{index: number, primary: boolean, outputPath: string, outputSize?: number, skipped?: boolean, error?: string}>} [result.images] - Outputs of every image of a multi-image HEIC/HEIF
  * @param {Object} config - Configuration object
  * @param {boolean} config.dryRun - Whether in dry run mode
- * @param {boolean} config.preserveExif - Whether EXIF was preserved
+ * @param {boolean} config.preserveExif - Whether all metadata was preserved
+ * @param {?number} [config.targetSize] - Target maximum output size in bytes
+ * @param {?number} [config.targetSsim] - Target minimum SSIM
+ * @param {?string} [config.outputDir] - Output directory; output paths are shown relative to it
+ * @param {?string} [config.inputRoot] - Input root; input paths are shown relative to it
+ * @param {?string} [config.trashDir] - Trash directory originals are moved to
+ * @param {?number} [config.minSavings] - Minimum savings percentage (--min-savings)
  * @returns {void}
  */
 export function displayFileProgress(result, config) {
   if (currentOutputMode === OUTPUT_MODES.JSON) return;
   
-  const inputName = path.basename(result.inputPath);
-  const outputName = path.basename(result.outputPath);
+  const inputName = formatPath(result.inputPath, config.inputRoot);
   
   if (result.skipped) {
-    normal(`⚠️  Skipping ${inputName}: output already exists`);
+    // Cache hits are the normal case in incremental builds; the summary counts them
+    if (result.skippedReason === 'cached') {
+      verbose(`⏭️  Skipping ${inputName}: unchanged since the last build (cache hit)`);
+      return;
+    }
+    if (result.cached) {
+      verbose(`⏭️  Skipping ${inputName}: unchanged since the last build, which discarded its AVIF (--min-savings)`);
+      return;
+    }
+    let reason = 'output already exists';
+    if (result.skippedReason === 'collision') {
+      reason = `output name taken by ${formatPath(result.keptInputPath, config.inputRoot)}`;
+    } else if (result.skippedReason === 'not-smaller') {
+      const savings = result.sizeSavings < 0 ? 'be larger' : `only save ${formatPercentage(result.sizeSavings)}`;
+      reason = `AVIF would ${savings} (${(result.originalSize / 1024).toFixed(1)}KB → ${(result.outputSize / 1024).toFixed(1)}KB), below --min-savings ${formatPercentage(config.minSavings)}`;
+    }
+    normal(`⚠️  Skipping ${inputName}: ${reason}`);
     return;
   }
   
@@ -242,14 +368,21 @@ export function displayFileProgress(result, config) {
       error(`   💡 The file format is not supported or the file is corrupted`);
     } else if (result.error.includes('Input file is missing')) {
       error(`   💡 The input file was not found`);
+    } else if (result.errorCode === 'ANIMATION_UNSUPPORTED') {
+      error(`   💡 Drop --require-animation to convert the first frame when animated AVIF is unsupported`);
+    } else if (result.errorCode === 'BIT_DEPTH_UNSUPPORTED') {
+      error(`   💡 Use --bit-depth 8, or install sharp against a global libvips for 10/12-bit output`);
     }
     return;
   }
   
-  // Success output
+  // Success output (error results may have no output path)
+  const outputName = formatPath(result.outputPath, config.outputDir || config.inputRoot);
   const emoji = config.dryRun ? '🔎' : '✅';
   const action = config.dryRun ? '→' : '→';
-  const metadataInfo = config.preserveExif ? ' with metadata' : '';
+  const metadataInfo = result.metadataRetained?.length
+    ? ` with metadata (${result.metadataRetained.join(', ')})`
+    : '';
   
   normal(`${emoji} ${inputName} ${action} ${outputName}${metadataInfo}`);
   
@@ -266,8 +399,99 @@ export function displayFileProgress(result, config) {
     sizeInfo += dimensionInfo;
   }
   
+  if (result.autoOriented) {
+    sizeInfo += ' [auto-oriented]';
+  }
+  
   normal(sizeInfo);
   
+  // Animation
+  if (result.animated) {
+    const posterInfo = result.poster ? `, poster ${path.basename(result.poster.outputPath)}` : '';
+    normal(`   🎞️  Animated: ${result.frames} frames${posterInfo}`);
+  } else if (result.firstFrameOnly) {
+    normal(`   ⚠️  First frame only: this sharp/libvips build cannot encode animated AVIF (${result.frames} frames)`);
+  }
+  
+  // Every image of a multi-image HEIC/HEIF
+  if (result.images) {
+    const imageInfo = result.images
+      .map(image => {
+        const details = [
+          image.primary ? 'primary' : null,
+          image.skipped ? 'exists' : `${(image.outputSize / 1024).toFixed(1)}KB`
+        ].filter(Boolean).join(', ');
+        return `${path.basename(image.outputPath)} (${details})`;
+      })
+      .join(', ');
+    normal(`   📚 Images: ${imageInfo}`);
+  }
+  
+  // Content detected in chroma auto mode
+  if (result.contentDetection) {
+    const encodingInfo = result.lossless ? 'lossless' : `chroma ${result.chromaSubsampling}`;
+    normal(`   🔍 Content: ${result.contentDetection.type} → ${encodingInfo}`);
+  }
+  
+  // Color, shown for sources or outputs beyond 8-bit sRGB
+  const { sourceColor } = result;
+  if (sourceColor && (sourceColor.bitDepth > 8 || sourceColor.colorSpace !== 'srgb' || result.bitDepth > 8 || result.iccProfile === 'assigned')) {
+    const profileSource = sourceColor.profile === 'exif' ? ' (EXIF)' : '';
+    const profileInfo = result.iccProfile && result.iccProfile !== 'none' ? ` (${result.iccProfile})` : '';
+    normal(`   🎨 Color: ${sourceColor.bitDepth}-bit ${sourceColor.colorSpace}${profileSource} → ${result.bitDepth}-bit ${result.colorSpace}${profileInfo}`);
+  }
+  
+  // Quality chosen by the target SSIM or target size search (lossless output skips the search)
+  if (result.targetSsimMet !== undefined) {
+    const ssimInfo = result.targetSsimMet
+      ? `reaches ${config.targetSsim}`
+      : `⚠️  below ${config.targetSsim} even at maximum quality`;
+    normal(`   Quality: ${result.quality} (SSIM ${result.ssim.toFixed(4)}, ${ssimInfo})`);
+  } else if (result.targetSizeMet !== undefined) {
+    const budgetInfo = result.targetSizeMet
+      ? `fits ${formatBytes(config.targetSize)}`
+      : `⚠️  exceeds ${formatBytes(config.targetSize)} even at minimum quality`;
+    normal(`   Quality: ${result.quality} (${budgetInfo})`);
+  }
+  
+  // Responsive variants
+  if (result.variants && result.variants.length > 0) {
+    const variantInfo = result.variants
+      .map(variant => {
+        const formats = [variant, ...(variant.fallbacks || [])]
+          .map(output => `${path.extname(output.outputPath).slice(1)} ${(output.outputSize / 1024).toFixed(1)}KB`)
+          .join(', ');
+        return `${variant.width}w (${formats})`;
+      })
+      .join(', ');
+    normal(`   Variants: ${variantInfo}`);
+  }
+  
+  // Fallback formats
+  if (result.fallbacks && result.fallbacks.length > 0 && !result.variants) {
+    const fallbackInfo = result.fallbacks
+      .map(fallback => `${path.basename(fallback.outputPath)} (${(fallback.outputSize / 1024).toFixed(1)}KB)`)
+      .join(', ');
+    normal(`   Fallbacks: ${fallbackInfo}`);
+  }
+
+  // Placeholders (the data URI and hashes are in --json and the JSON report)
+  if (result.placeholders) {
+    const placeholderInfo = Object.entries(result.placeholders)
+      .map(([type, value]) => type === 'color' ? `color ${value}` : type)
+      .join(', ');
+    normal(`   Placeholders: ${placeholderInfo}`);
+  }
+
+  // Removed original (--no-preserve-original)
+  if (result.originalRemoved) {
+    const { method, trashPath } = result.originalRemoved;
+    const removal = method === 'trashed'
+      ? `moved to ${trashPath || config.trashDir}`
+      : 'deleted';
+    normal(`   🗑️  Original ${config.dryRun ? 'would be ' : ''}${removal}`);
+  }
+  
   // Processing time
   const timeLabel = config.dryRun ? 'Analysis time' : 'Processing time';
   normal(`   ${timeLabel}: ${formatTime(result.processingTime)}`);
@@ -288,20 +512,36 @@ export function displayFileProgress(result, config) {
  * @param {Object} summary.stats - Statistics object
  * @param {number} summary.stats.processed - Number of files processed
  * @param {number} summary.stats.skipped - Number of files skipped
+ * @param {Object.<string, number>} [summary.stats.skippedReasons] - Skipped files per reason ('exists', 'collision', 'not-smaller', 'cached')
  * @param {number} summary.stats.resized - Number of files resized
+ * @param {number} [summary.stats.firstFrameOnly] - Animated files reduced to their first frame
  * @param {number} summary.stats.totalOriginalSize - Total original size
  * @param {number} summary.stats.totalOutputSize - Total output size
  * @param {number} summary.stats.totalSavingsPercent - Total savings percentage
+ * @param {Object.<string, {files: number, totalOutputSize: number}>} [summary.stats.formats] - Output count and bytes per format
+ * @param {number} [summary.stats.originalsDeleted] - Originals deleted after conversion
+ * @param {number} [summary.stats.originalsTrashed] - Originals moved to the trash directory
+ * @param {{hits: number, misses: number}} [summary.stats.cache] - Build cache hits and misses
  * @param {number} summary.stats.totalBatchTime - Total batch time
  * @param {number} summary.stats.averageProcessingTime - Average processing time
  * @param {Array} summary.results - Array of processing results
+ * @param {Array<Object>} [summary.collisions] - Output name collisions found before processing
+ * @param {Array<{filePath: string, images: number}>} [summary.htmlRewrites] - HTML files rewritten with --rewrite-html
+ * @param {Array<{filePath: string, images: number}>} [summary.cssRewrites] - Style sheets rewritten with --rewrite-css
  * @param {Object} config - Configuration object
  * @param {boolean} config.dryRun - Whether in dry run mode
+ * @param {?string} [config.trashDir] - Trash directory originals are moved to
  * @returns {void}
  */
 export function displaySummary(summary, config) {
   if (currentOutputMode === OUTPUT_MODES.JSON) {
-    json({ summary: summary.stats, results: summary.results });
+    json({
+      summary: summary.stats,
+      results: summary.results,
+      collisions: summary.collisions,
+      ...(summary.htmlRewrites ? { htmlRewrites: summary.htmlRewrites } : {}),
+      ...(summary.cssRewrites ? { cssRewrites: summary.cssRewrites } : {})
+    });
     return;
   }
   
@@ -313,9 +553,36 @@ export function displaySummary(summary, config) {
   
   if (stats.skipped > 0) {
     quiet(`⏭️  Skipped: ${stats.skipped} files`);
+    Object.entries(stats.skippedReasons || {}).forEach(([reason, count]) => {
+      quiet(`   ${SKIP_REASONS[reason] || reason}: ${count} files`);
+    });
   }
   
   quiet(`📏 Resized images: ${stats.resized} files`);
+  if (stats.firstFrameOnly > 0) {
+    quiet(`⚠️  First frame only: ${stats.firstFrameOnly} animated files (animated AVIF is not supported by this sharp/libvips build)`);
+  }
+
+  if (stats.cache) {
+    quiet(`🗄️  Cache: ${stats.cache.hits} hits, ${stats.cache.misses} misses`);
+  }
+
+  if (summary.htmlRewrites) {
+    const images = summary.htmlRewrites.reduce((sum, rewrite) => sum + rewrite.images, 0);
+    quiet(`📝 HTML: ${images} images in ${summary.htmlRewrites.length} files ${config.dryRun ? 'to rewrite' : 'rewritten'}`);
+  }
+  if (summary.cssRewrites) {
+    const references = summary.cssRewrites.reduce((sum, rewrite) => sum + rewrite.images, 0);
+    quiet(`🎨 CSS: ${references} references in ${summary.cssRewrites.length} files ${config.dryRun ? 'to rewrite' : 'rewritten'}`);
+  }
+
+  const verb = config.dryRun ? 'to delete' : 'deleted';
+  if (stats.originalsDeleted > 0) {
+    quiet(`🗑️  Originals ${verb}: ${stats.originalsDeleted} files`);
+  }
+  if (stats.originalsTrashed > 0) {
+    quiet(`🗑️  Originals ${config.dryRun ? 'to move' : 'moved'} to ${config.trashDir}: ${stats.originalsTrashed} files`);
+  }
   
   if (stats.processed > 0) {
     const totalOriginalKB = (stats.totalOriginalSize / 1024).toFixed(1);
@@ -323,12 +590,167 @@ export function displaySummary(summary, config) {
     const totalSavings = formatPercentage(stats.totalSavingsPercent);
     
     quiet(`💾 Total size savings: ${totalOriginalKB}KB → ${totalOutputKB}KB (${totalSavings})`);
+    
+    // Per-format breakdown when fallbacks were written
+    if (stats.formats && Object.keys(stats.formats).length > 1) {
+      Object.entries(stats.formats).forEach(([format, formatStats]) => {
+        quiet(`   ${format}: ${formatStats.files} files, ${(formatStats.totalOutputSize / 1024).toFixed(1)}KB`);
+      });
+    }
     quiet(`🌐 Modern format: All images now use AVIF (93%+ browser support)`);
     quiet(`⏱️  Total batch time: ${formatTime(stats.totalBatchTime)}`);
     quiet(`⚡ Average time per file: ${formatTime(stats.averageProcessingTime)}`);
   }
 }
 
+/**
+ * Display output name collisions found before processing
+ *
+ * Unresolved collisions (`error`) are printed as errors; in a dry run they
+ * are listed with the options that would resolve them.
+ *
+ * @param {Array<{outputPath: string, inputs: string[], resolution: string, kept?: string, outputs?: string[]}>} collisions - Collisions from planOutputs
+ * @param {Object} config - Configuration object
+ * @param {boolean} config.dryRun - Whether in dry run mode
+ * @param {?string} [config.outputDir] - Output directory; output paths are shown relative to it
+ * @param {?string} [config.inputRoot] - Input root; input paths are shown relative to it
+ * @returns {void}
+ */
+export function displayCollisions(collisions, config) {
+  if (currentOutputMode === OUTPUT_MODES.JSON || collisions.length === 0) return;
+
+  const outputRoot = config.outputDir || config.inputRoot;
+  const unresolved = collisions.some(collision => collision.resolution === 'error');
+  const print = unresolved && !config.dryRun ? error : normal;
+
+  print(`${unresolved ? '❌' : '⚠️ '} ${collisions.length} output name collision(s):`);
+  collisions.forEach(collision => {
+    const inputs = collision.inputs.map(input => formatPath(input, config.inputRoot)).join(', ');
+    let resolution = '';
+    if (collision.resolution === 'prefer') {
+      resolution = ` (keeping ${formatPath(collision.kept, config.inputRoot)})`;
+    } else if (collision.resolution === 'suffix') {
+      resolution = ` (as ${collision.outputs.map(output => formatPath(output, outputRoot)).join(', ')})`;
+    }
+    print(`   ${formatPath(collision.outputPath, outputRoot)} ← ${inputs}${resolution}`);
+  });
+
+  if (unresolved) {
+    print(`   💡 Use --on-collision suffix (photo.png.avif) or --on-collision prefer --prefer-formats png,jpg`);
+  }
+  normal('');
+}
+
+/**
+ * Display web files rewritten by --rewrite-html or --rewrite-css
+ *
+ * A dry run prints the changes as a diff; otherwise each rewritten file is
+ * listed. In JSON mode the rewrites are part of the summary.
+ *
+ * @param {Array<{filePath: string, images: number, sourceMap?: string, diff?: string}>} rewrites - Rewritten files from rewriteHtmlFiles or rewriteCssFiles
+ * @param {string} change - What was done per reference, e.g. 'image(s) wrapped in <picture>'
+ * @param {Object} config - Configuration object
+ * @param {boolean} config.dryRun - Whether in dry run mode
+ * @returns {void}
+ */
+export function displayRewrites(rewrites, change, config) {
+  if (currentOutputMode === OUTPUT_MODES.JSON) return;
+
+  rewrites.forEach(rewrite => {
+    if (config.dryRun) {
+      normal(`\n${rewrite.diff}`);
+    } else {
+      normal(`📝 ${rewrite.filePath}: ${rewrite.images} ${change}${rewrite.sourceMap ? ' (source map updated)' : ''}`);
+    }
+  });
+}
+
+/**
+ * Display that watch mode has started
+ * @param {string} directory - Watched directory
+ * @param {Object} config - Configuration object
+ * @param {boolean} [config.prune] - Whether outputs of deleted sources are deleted
+ * @returns {void}
+ */
+export function displayWatchStart(directory, config) {
+  if (currentOutputMode === OUTPUT_MODES.JSON) {
+    json({ watch: 'started', directory }, false);
+    return;
+  }
+
+  quiet(`\n👀 Watching ${directory} for new and changed images${config.prune ? ' (deleting outputs of deleted sources)' : ''}`);
+  quiet('   Press Ctrl+C to stop');
+}
+
+/**
+ * Display the outcome of a watch mode batch
+ *
+ * In JSON mode each batch is printed as one line, so other tools can
+ * follow the output.
+ *
+ * @param {Object} summary - Batch summary from the conversion
+ * @param {Object} summary.stats - Batch statistics (processed, skipped, errors, sizes)
+ * @param {Array} summary.results - Successful processing results
+ * @param {Array<Object>} [summary.htmlRewrites] - HTML files rewritten after the batch
+ * @param {Array<Object>} [summary.cssRewrites] - Style sheets rewritten after the batch
+ * @param {Object} config - Configuration object
+ * @returns {void}
+ */
+export function displayWatchBatch(summary, config) {
+  if (currentOutputMode === OUTPUT_MODES.JSON) {
+    json({
+      watch: 'batch',
+      summary: summary.stats,
+      results: summary.results,
+      ...(summary.htmlRewrites ? { htmlRewrites: summary.htmlRewrites } : {}),
+      ...(summary.cssRewrites ? { cssRewrites: summary.cssRewrites } : {})
+    }, false);
+    return;
+  }
+
+  const { stats } = summary;
+  const parts = [`${stats.processed} converted`];
+  if (stats.skipped > 0) parts.push(`${stats.skipped} skipped`);
+  if (stats.firstFrameOnly > 0) parts.push(`${stats.firstFrameOnly} first frame only`);
+  if (stats.errors > 0) parts.push(`${stats.errors} failed`);
+  const savings = stats.processed > 0
+    ? ` (${formatBytes(stats.totalOriginalSize)} → ${formatBytes(stats.totalOutputSize)})`
+    : '';
+  quiet(`🔄 ${new Date().toLocaleTimeString()} ${parts.join(', ')}${savings}`);
+}
+
+/**
+ * Display outputs deleted because their source was deleted
+ * @param {string} inputPath - Deleted source
+ * @param {string[]} outputs - Deleted outputs
+ * @param {Object} config - Configuration object
+ * @param {?string} [config.outputDir] - Output directory; output paths are shown relative to it
+ * @param {?string} [config.inputRoot] - Input root; input paths are shown relative to it
+ * @returns {void}
+ */
+export function displayPrunedOutputs(inputPath, outputs, config) {
+  if (currentOutputMode === OUTPUT_MODES.JSON) {
+    json({ watch: 'pruned', inputPath, outputs }, false);
+    return;
+  }
+
+  const outputRoot = config.outputDir || config.inputRoot;
+  normal(`🧹 ${formatPath(inputPath, config.inputRoot)} deleted, removed ${outputs.map(output => formatPath(output, outputRoot)).join(', ')}`);
+}
+
+/**
+ * Display that watch mode has stopped
+ * @returns {void}
+ */
+export function displayWatchStop() {
+  if (currentOutputMode === OUTPUT_MODES.JSON) {
+    json({ watch: 'stopped' }, false);
+    return;
+  }
+
+  quiet('\n👋 Stopped watching');
+}
+
 /**
  * Display file discovery results
  * @param {number} fileCount - Number of files found
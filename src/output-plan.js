@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Output planning for AVIF Image Optimizer
+ *
+ * Maps every input of a batch to its output path before processing starts,
+ * so inputs that would write the same file (`photo.jpg` and `photo.png` →
+ * `photo.avif`) are found up front instead of racing each other in the
+ * parallel workers.
+ *
+ * @module output-plan
+ */
+
+import path from 'path';
+import { DEFAULT_CONFIG } from './constants.js';
+import { getOutputPath } from './image-processor.js';
+import { getNameTemplate, parseNameTemplate, replaceAvifExtension } from './name-template.js';
+
+/**
+ * Extensions that name the same source format
+ * @constant {Object.<string, string>}
+ * @private
+ */
+const EXTENSION_ALIASES = {
+  '.jpeg': '.jpg',
+  '.tif': '.tiff',
+  '.heif': '.heic'
+};
+
+/**
+ * Get the configuration that suffixes output names with the source extension
+ * @param {Object} config - Configuration object
+ * @returns {Object} Configuration whose name template ends in `.[ext].avif`
+ * @private
+ */
+function getSuffixedConfig(config) {
+  return { ...config, nameTemplate: replaceAvifExtension(getNameTemplate(config), '.[ext].avif') };
+}
+
+/**
+ * Rank an input by its extension in a preference list
+ * @param {string} inputPath - Input file path
+ * @param {string[]} preferFormats - Extensions in order of preference
+ * @returns {number} Position in the list (unlisted extensions rank last)
+ * @private
+ */
+function getPreferenceRank(inputPath, preferFormats) {
+  const normalize = (extension) => {
+    const lower = extension.toLowerCase();
+    return EXTENSION_ALIASES[lower] || lower;
+  };
+  const rank = preferFormats.map(normalize).indexOf(normalize(path.extname(inputPath)));
+  return rank === -1 ? preferFormats.length : rank;
+}
+
+/**
+ * Plan the outputs of a batch and resolve output name collisions
+ *
+ * Output paths are compared case-insensitively, as on macOS and Windows
+ * file systems. Templates with `[hash]` cannot collide (different content
+ * gets different names) and are not checked; other image-dependent tokens
+ * are compared as written, which flags inputs that may collide.
+ *
+ * Collisions are resolved according to config.onCollision:
+ * - `prefer` (default): the input ranked first by config.preferFormats
+ *   keeps the name, the others are skipped. `ranked` lists every input in
+ *   order of preference, so the caller can fall back to the next one when
+ *   the kept input writes nothing
+ * - `suffix`: every colliding input is named after its source extension
+ *   (`photo.jpg.avif`, `photo.png.avif`)
+ * - `error`: nothing is resolved; the caller reports the collisions
+ *
+ * @param {string[]} files - Input file paths
+ * @param {Object} config - Configuration object
+ * @param {string} [config.onCollision='prefer'] - Resolution: 'prefer', 'suffix' or 'error'
+ * @param {string[]} [config.preferFormats] - Extensions in order of preference for 'prefer'
+ * @param {?string} [config.outputDir] - Output directory (null = same as input)
+ * @param {?string} [config.nameTemplate] - Output name template
+ * @param {?number[]} [config.widths] - Responsive widths
+ * @returns {{collisions: Array<{outputPath: string, inputs: string[], resolution: string, kept?: string, ranked?: string[], outputs?: string[]}>, configs: Map<string, Object>, skipped: Map<string, string>}} Collisions, per-input configurations of renamed inputs, and skipped inputs mapped to the input kept instead
+ * @example
+ * const { collisions, configs, skipped } = planOutputs(['a/photo.jpg', 'a/photo.png'], { ...config, onCollision: 'suffix' });
+ * // collisions[0] is { outputPath: 'a/photo.avif', inputs: [...], resolution: 'suffix', outputs: ['a/photo.jpg.avif', 'a/photo.png.avif'] }
+ */
+export function planOutputs(files, config) {
+  const collisions = [];
+  const configs = new Map();
+  /** @type {Map<string, string>} */
+  const skipped = new Map();
+
+  if (parseNameTemplate(getNameTemplate(config)).includes('hash')) {
+    return { collisions, configs, skipped };
+  }
+
+  /** @type {Map<string, {outputPath: string, inputs: string[]}>} */
+  const outputs = new Map();
+  for (const file of files) {
+    const outputPath = getOutputPath(file, config);
+    const key = path.resolve(outputPath).toLowerCase();
+    if (!outputs.has(key)) {
+      outputs.set(key, { outputPath, inputs: [] });
+    }
+    outputs.get(key).inputs.push(file);
+  }
+
+  const resolution = config.onCollision || DEFAULT_CONFIG.onCollision;
+  const preferFormats = config.preferFormats || DEFAULT_CONFIG.preferFormats;
+  for (const { outputPath, inputs } of outputs.values()) {
+    if (inputs.length < 2) continue;
+    const sorted = [...inputs].sort();
+
+    if (resolution === 'prefer') {
+      const ranked = [...sorted].sort(
+        (a, b) => getPreferenceRank(a, preferFormats) - getPreferenceRank(b, preferFormats)
+      );
+      const [kept, ...others] = ranked;
+      others.forEach(input => skipped.set(input, kept));
+      collisions.push({ outputPath, inputs: sorted, resolution, kept, ranked });
+    } else if (resolution === 'suffix') {
+      const suffixedConfig = getSuffixedConfig(config);
+      sorted.forEach(input => configs.set(input, suffixedConfig));
+      collisions.push({
+        outputPath,
+        inputs: sorted,
+        resolution,
+        outputs: sorted.map(input => getOutputPath(input, suffixedConfig))
+      });
+    } else {
+      collisions.push({ outputPath, inputs: sorted, resolution: 'error' });
+    }
+  }
+
+  return { collisions, configs, skipped };
+}
@@ -0,0 +1,291 @@
+/**
+ * @fileoverview Lazy-loading placeholders for AVIF Image Optimizer
+ *
+ * Computes tiny stand-ins that can be inlined into HTML or JSON and shown
+ * while the AVIF loads: a blurred low-quality image (LQIP) as a data URI,
+ * BlurHash and ThumbHash strings, and the dominant color. All of them are
+ * derived from one thumbnail of the resized output (at most 100x100
+ * pixels), so they match the framing of the AVIF.
+ *
+ * The BlurHash and ThumbHash encoders follow the reference implementations
+ * (github.com/woltapp/blurhash, github.com/evanw/thumbhash, both MIT) and
+ * produce strings their decoders accept.
+ *
+ * @module placeholders
+ */
+
+import sharp from 'sharp';
+import { LQIP_SIZE } from './constants.js';
+
+/**
+ * Side length the thumbnail must fit in (ThumbHash's limit)
+ * @constant {number}
+ */
+export const PLACEHOLDER_THUMBNAIL_SIZE = 100;
+
+/**
+ * BlurHash components along the longer and the shorter side
+ * @constant {number}
+ * @private
+ */
+const BLURHASH_COMPONENTS = { long: 4, short: 3 };
+
+/**
+ * Base 83 alphabet of BlurHash strings
+ * @constant {string}
+ * @private
+ */
+const BASE83_DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+/**
+ * Encode an integer as fixed-length base 83
+ * @param {number} value - Non-negative integer
+ * @param {number} length - Number of digits
+ * @returns {string} Base 83 digits
+ * @private
+ */
+function encodeBase83(value, length) {
+  let result = '';
+  for (let i = 1; i <= length; i++) {
+    result += BASE83_DIGITS[Math.floor(value / 83 ** (length - i)) % 83];
+  }
+  return result;
+}
+
+/**
+ * Convert an 8-bit sRGB value to linear light (0-1)
+ * @param {number} value - sRGB value 0-255
+ * @returns {number} Linear value
+ * @private
+ */
+function srgbToLinear(value) {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+}
+
+/**
+ * Convert linear light (0-1) to an 8-bit sRGB value
+ * @param {number} value - Linear value
+ * @returns {number} sRGB value 0-255
+ * @private
+ */
+function linearToSrgb(value) {
+  const v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308
+    ? Math.trunc(v * 12.92 * 255 + 0.5)
+    : Math.trunc((1.055 * v ** (1 / 2.4) - 0.055) * 255 + 0.5);
+}
+
+/**
+ * Encode RGBA pixels as a BlurHash string
+ *
+ * Uses 4 components along the longer side and 3 along the shorter one,
+ * which gives a 28 character hash.
+ *
+ * @param {Buffer|Uint8Array} rgba - Raw RGBA pixels (alpha is ignored)
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {string} BlurHash
+ * @example
+ * encodeBlurHash(pixels, 100, 67);
+ * // Returns e.g. 'LEHV6nWB2yk8pyo0adR*.7kCMdnj'
+ */
+export function encodeBlurHash(rgba, width, height) {
+  const componentsX = width >= height ? BLURHASH_COMPONENTS.long : BLURHASH_COMPONENTS.short;
+  const componentsY = width >= height ? BLURHASH_COMPONENTS.short : BLURHASH_COMPONENTS.long;
+
+  const linear = Float64Array.from({ length: width * height * 3 }, (_, i) =>
+    srgbToLinear(rgba[Math.floor(i / 3) * 4 + i % 3])
+  );
+
+  const factors = [];
+  for (let cy = 0; cy < componentsY; cy++) {
+    for (let cx = 0; cx < componentsX; cx++) {
+      const normalisation = cx === 0 && cy === 0 ? 1 : 2;
+      const factor = [0, 0, 0];
+      for (let y = 0; y < height; y++) {
+        const basisY = Math.cos(Math.PI * cy * y / height);
+        for (let x = 0; x < width; x++) {
+          const basis = normalisation * Math.cos(Math.PI * cx * x / width) * basisY;
+          const offset = (y * width + x) * 3;
+          factor[0] += basis * linear[offset];
+          factor[1] += basis * linear[offset + 1];
+          factor[2] += basis * linear[offset + 2];
+        }
+      }
+      factors.push(factor.map(value => value / (width * height)));
+    }
+  }
+
+  const [dc, ...ac] = factors;
+  const maximum = Math.max(...ac.flat().map(Math.abs));
+  const quantisedMaximum = Math.max(0, Math.min(82, Math.floor(maximum * 166 - 0.5)));
+  const maximumValue = (quantisedMaximum + 1) / 166;
+  const quantise = (value) => Math.max(0, Math.min(18, Math.floor(
+    Math.sign(value) * Math.abs(value / maximumValue) ** 0.5 * 9 + 9.5
+  )));
+
+  return encodeBase83((componentsX - 1) + (componentsY - 1) * 9, 1)
+    + encodeBase83(quantisedMaximum, 1)
+    + encodeBase83((linearToSrgb(dc[0]) << 16) + (linearToSrgb(dc[1]) << 8) + linearToSrgb(dc[2]), 4)
+    + ac.map(([r, g, b]) => encodeBase83(quantise(r) * 19 * 19 + quantise(g) * 19 + quantise(b), 2)).join('');
+}
+
+/**
+ * Encode one ThumbHash channel with a DCT into its DC and normalized AC terms
+ * @param {number[]} channel - Channel values, row by row
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} nx - Components along x
+ * @param {number} ny - Components along y
+ * @returns {{dc: number, ac: number[], scale: number}} Encoded channel
+ * @private
+ */
+function encodeThumbHashChannel(channel, width, height, nx, ny) {
+  let dc = 0;
+  let scale = 0;
+  const ac = [];
+  for (let cy = 0; cy < ny; cy++) {
+    for (let cx = 0; cx * ny < nx * (ny - cy); cx++) {
+      let f = 0;
+      for (let y = 0; y < height; y++) {
+        const fy = Math.cos(Math.PI / height * cy * (y + 0.5));
+        for (let x = 0; x < width; x++) {
+          f += channel[x + y * width] * Math.cos(Math.PI / width * cx * (x + 0.5)) * fy;
+        }
+      }
+      f /= width * height;
+      if (cx || cy) {
+        ac.push(f);
+        scale = Math.max(scale, Math.abs(f));
+      } else {
+        dc = f;
+      }
+    }
+  }
+  return { dc, ac: scale ? ac.map(f => 0.5 + 0.5 / scale * f) : ac, scale };
+}
+
+/**
+ * Encode RGBA pixels as a ThumbHash
+ * @param {Buffer|Uint8Array} rgba - Raw RGBA pixels
+ * @param {number} width - Width in pixels (at most 100)
+ * @param {number} height - Height in pixels (at most 100)
+ * @returns {string} Base64 ThumbHash
+ * @throws {Error} If the image is larger than 100x100
+ * @example
+ * encodeThumbHash(pixels, 100, 67);
+ * // Returns e.g. '1QcSHQRnh493V4dIh4eXh1h4kJUI'
+ */
+export function encodeThumbHash(rgba, width, height) {
+  if (width > PLACEHOLDER_THUMBNAIL_SIZE || height > PLACEHOLDER_THUMBNAIL_SIZE) {
+    throw new Error(`ThumbHash input must fit in ${PLACEHOLDER_THUMBNAIL_SIZE}x${PLACEHOLDER_THUMBNAIL_SIZE} (got ${width}x${height})`);
+  }
+  const pixels = width * height;
+  const { round, max } = Math;
+
+  // Average color, weighted by alpha
+  let avgR = 0, avgG = 0, avgB = 0, avgA = 0;
+  for (let i = 0; i < pixels; i++) {
+    const alpha = rgba[i * 4 + 3] / 255;
+    avgR += alpha / 255 * rgba[i * 4];
+    avgG += alpha / 255 * rgba[i * 4 + 1];
+    avgB += alpha / 255 * rgba[i * 4 + 2];
+    avgA += alpha;
+  }
+  if (avgA) {
+    avgR /= avgA;
+    avgG /= avgA;
+    avgB /= avgA;
+  }
+
+  // Fewer luminance components when alpha needs the space
+  const hasAlpha = avgA < pixels;
+  const lLimit = hasAlpha ? 5 : 7;
+  const lx = max(1, round(lLimit * width / max(width, height)));
+  const ly = max(1, round(lLimit * height / max(width, height)));
+
+  // Convert to luminance, yellow-blue, red-green and alpha, composited over the average color
+  const l = [], p = [], q = [], a = [];
+  for (let i = 0; i < pixels; i++) {
+    const alpha = rgba[i * 4 + 3] / 255;
+    const r = avgR * (1 - alpha) + alpha / 255 * rgba[i * 4];
+    const g = avgG * (1 - alpha) + alpha / 255 * rgba[i * 4 + 1];
+    const b = avgB * (1 - alpha) + alpha / 255 * rgba[i * 4 + 2];
+    l.push((r + g + b) / 3);
+    p.push((r + g) / 2 - b);
+    q.push(r - g);
+    a.push(alpha);
+  }
+
+  const lChannel = encodeThumbHashChannel(l, width, height, max(3, lx), max(3, ly));
+  const pChannel = encodeThumbHashChannel(p, width, height, 3, 3);
+  const qChannel = encodeThumbHashChannel(q, width, height, 3, 3);
+  const aChannel = hasAlpha ? encodeThumbHashChannel(a, width, height, 5, 5) : null;
+
+  const isLandscape = width > height;
+  const header24 = round(63 * lChannel.dc)
+    | (round(31.5 + 31.5 * pChannel.dc) << 6)
+    | (round(31.5 + 31.5 * qChannel.dc) << 12)
+    | (round(31 * lChannel.scale) << 18)
+    | ((hasAlpha ? 1 : 0) << 23);
+  const header16 = (isLandscape ? ly : lx)
+    | (round(63 * pChannel.scale) << 3)
+    | (round(63 * qChannel.scale) << 9)
+    | ((isLandscape ? 1 : 0) << 15);
+  const hash = [header24 & 255, (header24 >> 8) & 255, header24 >> 16, header16 & 255, header16 >> 8];
+  if (aChannel) {
+    hash.push(round(15 * aChannel.dc) | (round(15 * aChannel.scale) << 4));
+  }
+
+  // Pack the AC terms as 4-bit values, two per byte
+  const acStart = hash.length;
+  const channels = aChannel ? [lChannel, pChannel, qChannel, aChannel] : [lChannel, pChannel, qChannel];
+  channels.flatMap(channel => channel.ac).forEach((f, index) => {
+    hash[acStart + (index >> 1)] = (hash[acStart + (index >> 1)] || 0) | (round(15 * f) << ((index & 1) << 2));
+  });
+
+  return Buffer.from(hash).toString('base64');
+}
+
+/**
+ * Compute placeholders from a thumbnail of the output
+ * @param {{data: Buffer, info: {width: number, height: number}}} thumbnail - Raw RGBA pixels that fit in PLACEHOLDER_THUMBNAIL_SIZE
+ * @param {string[]} types - Placeholders to compute: 'lqip', 'blurhash', 'thumbhash', 'color'
+ * @returns {Promise<{lqip?: string, blurhash?: string, thumbhash?: string, color?: string}>} Placeholders by type
+ * @example
+ * const thumbnail = await sharp('hero.jpg').resize(100, 100, { fit: 'inside' }).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+ * await generatePlaceholders(thumbnail, ['blurhash', 'color']);
+ * // Returns { blurhash: 'LEHV6nWB2yk8pyo0adR*.7kCMdnj', color: '#a0522d' }
+ */
+export async function generatePlaceholders({ data, info }, types) {
+  const { width, height } = info;
+  const raw = { raw: { width, height, channels: /** @type {4} */ (4) } };
+  const placeholders = {};
+
+  for (const type of types) {
+    switch (type) {
+      case 'lqip': {
+        const lqip = await sharp(data, raw)
+          .resize(LQIP_SIZE, LQIP_SIZE, { fit: 'inside', withoutEnlargement: true })
+          .webp({ quality: 40, alphaQuality: 40 })
+          .toBuffer();
+        placeholders.lqip = `data:image/webp;base64,${lqip.toString('base64')}`;
+        break;
+      }
+      case 'blurhash':
+        placeholders.blurhash = encodeBlurHash(data, width, height);
+        break;
+      case 'thumbhash':
+        placeholders.thumbhash = encodeThumbHash(data, width, height);
+        break;
+      case 'color': {
+        const { dominant } = await sharp(data, raw).stats();
+        placeholders.color = `#${[dominant.r, dominant.g, dominant.b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+        break;
+      }
+    }
+  }
+
+  return placeholders;
+}
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Perceptual quality metrics for AVIF Image Optimizer
+ *
+ * Computes the structural similarity index (SSIM) between two greyscale
+ * images so the encoder can pick the lowest quality that still looks
+ * like the source.
+ *
+ * @module quality-metrics
+ */
+
+/**
+ * Side length of the square windows SSIM is averaged over
+ * @constant {number}
+ * @private
+ */
+const WINDOW_SIZE = 8;
+
+/**
+ * Stabilizing constants from the original SSIM paper for 8-bit samples
+ * @constant {number}
+ * @private
+ */
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+/**
+ * Compute the mean SSIM of two single-channel 8-bit images
+ *
+ * Both buffers must hold raw greyscale pixels of the same dimensions
+ * (e.g. from `sharp().greyscale().raw().toBuffer()`). Statistics are
+ * computed over non-overlapping 8x8 windows; images smaller than a window
+ * are treated as a single window.
+ *
+ * @param {Buffer|Uint8Array} reference - Reference pixels (the resized source)
+ * @param {Buffer|Uint8Array} candidate - Candidate pixels (the decoded output)
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {number} SSIM between 0 and 1 (1 = identical)
+ * @throws {Error} If the buffers do not match the given dimensions
+ * @example
+ * const ssim = computeSsim(sourcePixels, decodedPixels, 640, 480);
+ * // Returns e.g. 0.9812
+ */
+export function computeSsim(reference, candidate, width, height) {
+  if (reference.length !== width * height || candidate.length !== width * height) {
+    throw new Error('SSIM inputs must be single-channel images of identical dimensions');
+  }
+
+  const windowWidth = Math.min(WINDOW_SIZE, width);
+  const windowHeight = Math.min(WINDOW_SIZE, height);
+  let total = 0;
+  let windows = 0;
+
+  for (let y = 0; y + windowHeight <= height; y += windowHeight) {
+    for (let x = 0; x + windowWidth <= width; x += windowWidth) {
+      let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+
+      for (let wy = 0; wy < windowHeight; wy++) {
+        const row = (y + wy) * width + x;
+        for (let wx = 0; wx < windowWidth; wx++) {
+          const a = reference[row + wx];
+          const b = candidate[row + wx];
+          sumA += a;
+          sumB += b;
+          sumAA += a * a;
+          sumBB += b * b;
+          sumAB += a * b;
+        }
+      }
+
+      const n = windowWidth * windowHeight;
+      const meanA = sumA / n;
+      const meanB = sumB / n;
+      const varianceA = sumAA / n - meanA * meanA;
+      const varianceB = sumBB / n - meanB * meanB;
+      const covariance = sumAB / n - meanA * meanB;
+
+      total += ((2 * meanA * meanB + C1) * (2 * covariance + C2)) /
+        ((meanA * meanA + meanB * meanB + C1) * (varianceA + varianceB + C2));
+      windows++;
+    }
+  }
+
+  return total / windows;
+}
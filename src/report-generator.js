@@ -8,10 +8,83 @@
 
 import fs from 'fs';
 import path from 'path';
-import { formatBytes, formatTime, formatPercentage } from './output-formatter.js';
+import { formatBytes, formatTime, formatPercentage, formatPath } from './output-formatter.js';
+import { SKIP_REASONS } from './constants.js';
+
+/**
+ * Render the per-format output breakdown for the markdown summary
+ * @param {Object.<string, {files: number, totalOutputSize: number}>} [formats] - Output count and bytes per format
+ * @returns {string} Markdown section, or an empty string for AVIF-only runs
+ * @private
+ */
+function formatBreakdown(formats) {
+  if (!formats || Object.keys(formats).length <= 1) {
+    return '';
+  }
+
+  const rows = Object.entries(formats)
+    .map(([format, formatStats]) => `| ${format} | ${formatStats.files} | ${formatBytes(formatStats.totalOutputSize)} |`)
+    .join('\n');
+
+  return `
+### Output Formats
+
+| Format | Files | Total Size |
+|--------|-------|------------|
+${rows}
+`;
+}
+
+/**
+ * Render the skipped files per reason for the markdown summary
+ * @param {Object.<string, number>} [skippedReasons] - Skipped files per reason
+ * @returns {string} Breakdown such as " (output exists: 2, not smaller than the original: 1)", or an empty string
+ * @private
+ */
+function formatSkippedReasons(skippedReasons) {
+  const entries = Object.entries(skippedReasons || {});
+  if (entries.length === 0) {
+    return '';
+  }
+  return ` (${entries.map(([reason, count]) => `${SKIP_REASONS[reason] || reason}: ${count}`).join(', ')})`;
+}
+
+/**
+ * Render the output name collisions for the markdown summary
+ * @param {Array<{outputPath: string, inputs: string[], resolution: string, kept?: ?string, outputs?: string[]}>} [collisions] - Collisions from planOutputs; `kept` is null when no input was written
+ * @param {?string} [inputRoot] - Input root the paths are shown relative to
+ * @returns {string} Markdown section, or an empty string without collisions
+ * @private
+ */
+function formatCollisions(collisions, inputRoot) {
+  if (!collisions || collisions.length === 0) {
+    return '';
+  }
+
+  const rows = collisions
+    .map(collision => {
+      const inputs = collision.inputs.map(input => formatPath(input, inputRoot)).join(', ');
+      const resolution = collision.resolution === 'prefer'
+        ? (collision.kept ? `kept ${formatPath(collision.kept, inputRoot)}` : 'unresolved, no input was written')
+        : (collision.outputs || []).map(output => path.basename(output)).join(', ') || collision.resolution;
+      return `| ${path.basename(collision.outputPath)} | ${inputs} | ${resolution} |`;
+    })
+    .join('\n');
+
+  return `
+### Output Name Collisions
+
+| Output | Inputs | Resolution |
+|--------|--------|------------|
+${rows}
+`;
+}
 
 /**
  * Generate a markdown report from conversion results
+ *
+ * Files are listed relative to summary.inputRoot when it is set.
+ *
  * @param {Object} summary - The conversion summary object
  * @param {string} outputPath - Path where the report should be saved
  * @returns {string} The path of the generated report
@@ -27,9 +100,9 @@ Generated on: ${timestamp}
 ## Summary
 
 - **Files Processed**: ${stats.processed}
-- **Files Skipped**: ${stats.skipped}
+- **Files Skipped**: ${stats.skipped}${formatSkippedReasons(stats.skippedReasons)}
 - **Files Resized**: ${stats.resized}
-- **Total Original Size**: ${formatBytes(stats.totalOriginalSize)}
+${stats.firstFrameOnly ? `- **First Frame Only**: ${stats.firstFrameOnly} (animated AVIF is not supported by this sharp/libvips build)\n` : ''}- **Total Original Size**: ${formatBytes(stats.totalOriginalSize)}
 - **Total Output Size**: ${formatBytes(stats.totalOutputSize)}
 - **Total Savings**: ${formatPercentage(stats.totalSavingsPercent)}
 - **Total Processing Time**: ${formatTime(stats.totalProcessingTime)}
@@ -37,22 +110,27 @@ Generated on: ${timestamp}
 - **Batch Processing Time**: ${formatTime(stats.totalBatchTime)}
 - **Concurrency Level**: ${stats.concurrency}
 - **Errors**: ${stats.errors || 0}
-
+${stats.cache ? `- **Cache**: ${stats.cache.hits} hits, ${stats.cache.misses} misses\n` : ''}${stats.originalsDeleted ? `- **Originals Deleted**: ${stats.originalsDeleted}\n` : ''}${stats.originalsTrashed ? `- **Originals Moved to Trash**: ${stats.originalsTrashed}\n` : ''}${formatBreakdown(stats.formats)}${formatCollisions(summary.collisions, summary.inputRoot)}
 ## Detailed Results
 
-| File | Original Size | Output Size | Savings | Dimensions | Processing Time |
-|------|---------------|-------------|---------|------------|-----------------|
+| File | Original Size | Output Size | Savings | Dimensions | Quality | SSIM | Metadata | Original | Processing Time |
+|------|---------------|-------------|---------|------------|---------|------|----------|----------|-----------------|
 `;
 
   // Add each file result to the table
   results.forEach(result => {
-    const dimensionChange = result.resized || result.dimensionChange
+    const dimensions = result.resized || result.dimensionChange
       ? `${result.originalWidth}x${result.originalHeight} → ${result.newWidth}x${result.newHeight}`
       : `${result.originalWidth}x${result.originalHeight}`;
+    const dimensionChange = result.firstFrameOnly ? `${dimensions} (first of ${result.frames} frames)` : dimensions;
     
     const savingsPercent = result.savingsPercent !== undefined ? result.savingsPercent : result.sizeSavings;
+    const ssim = result.ssim !== undefined ? result.ssim.toFixed(4) : '-';
+    const quality = result.lossless ? 'lossless' : (result.quality ?? '-');
+    const metadata = result.metadataRetained?.length ? result.metadataRetained.join(', ') : '-';
+    const original = result.originalRemoved?.method ?? 'kept';
     
-    content += `| ${path.basename(result.inputPath)} | ${formatBytes(result.originalSize)} | ${formatBytes(result.outputSize)} | ${formatPercentage(savingsPercent)} | ${dimensionChange} | ${formatTime(result.processingTime)} |\n`;
+    content += `| ${formatPath(result.inputPath, summary.inputRoot)} | ${formatBytes(result.originalSize)} | ${formatBytes(result.outputSize)} | ${formatPercentage(savingsPercent)} | ${dimensionChange} | ${quality} | ${ssim} | ${metadata} | ${original} | ${formatTime(result.processingTime)} |\n`;
   });
 
   content += `\n---\n*Report generated by AVIF Image Optimizer*\n`;
@@ -71,7 +149,9 @@ Generated on: ${timestamp}
 export function generateJsonReport(summary, outputPath) {
   const report = {
     timestamp: new Date().toISOString(),
+    inputRoot: summary.inputRoot,
     stats: summary.stats,
+    collisions: summary.collisions || [],
     results: summary.results.map(result => ({
       ...result,
       // Include formatted values for convenience
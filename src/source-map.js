@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Source map updates for AVIF Image Optimizer
+ *
+ * When references in a generated CSS file are rewritten, everything after
+ * an edit moves. This module moves the generated positions of a source map
+ * (version 3) along with the text, so the map keeps pointing each rule to
+ * its original source. Text inserted by the rewrite has no mapping.
+ *
+ * @module source-map
+ */
+
+import { applyEdits } from './web-references.js';
+
+/**
+ * Base64 digits used by VLQ-encoded mappings
+ * @constant {string}
+ * @private
+ */
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Decode one segment of a mappings string into its VLQ values
+ * @param {string} segment - Base64 VLQ segment, e.g. 'AAAA'
+ * @returns {number[]} Relative values (generated column, source, line, column, name)
+ * @private
+ */
+function decodeSegment(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  for (const character of segment) {
+    const digit = BASE64.indexOf(character);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+}
+
+/**
+ * Encode VLQ values into a mappings segment
+ * @param {number[]} values - Relative values
+ * @returns {string} Base64 VLQ segment
+ * @private
+ */
+function encodeSegment(values) {
+  let segment = '';
+  for (const value of values) {
+    let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+    do {
+      const digit = vlq & 31;
+      vlq >>>= 5;
+      segment += BASE64[digit | (vlq > 0 ? 32 : 0)];
+    } while (vlq > 0);
+  }
+  return segment;
+}
+
+/**
+ * Get the offset of the first character of every line
+ * @param {string} text - Text
+ * @returns {number[]} Line start offsets
+ * @private
+ */
+function getLineStarts(text) {
+  const starts = [0];
+  for (let index = text.indexOf('\n'); index !== -1; index = text.indexOf('\n', index + 1)) {
+    starts.push(index + 1);
+  }
+  return starts;
+}
+
+/**
+ * Map an offset in the original text to the edited text
+ * @param {number} offset - Offset in the original text
+ * @param {Array<{start: number, end: number, text: string}>} edits - Edits in order
+ * @returns {number} Offset in the edited text; offsets inside a replaced range map to its start
+ * @private
+ */
+function mapOffset(offset, edits) {
+  let delta = 0;
+  for (const edit of edits) {
+    if (edit.end <= offset && (edit.start < offset || edit.start === edit.end)) {
+      delta += edit.text.length - (edit.end - edit.start);
+    } else if (edit.start < offset) {
+      return edit.start + delta;
+    } else {
+      break;
+    }
+  }
+  return offset + delta;
+}
+
+/**
+ * Move the generated positions of a source map through text edits
+ *
+ * Index maps (with `sections`) are returned unchanged.
+ *
+ * @param {Object} map - Parsed source map (version 3)
+ * @param {string} text - Generated text the map describes
+ * @param {Array<{start: number, end: number, text: string}>} edits - Edits applied to the text, in order
+ * @returns {Object} Source map for the edited text
+ * @example
+ * const map = JSON.parse(await fs.readFile('dist/main.css.map', 'utf8'));
+ * const { css, edits } = rewriteCss(original, options);
+ * await fs.writeFile('dist/main.css.map', JSON.stringify(shiftSourceMap(map, original, edits)));
+ */
+export function shiftSourceMap(map, text, edits) {
+  if (typeof map.mappings !== 'string' || edits.length === 0) {
+    return map;
+  }
+
+  const originalStarts = getLineStarts(text);
+  const editedStarts = getLineStarts(applyEdits(text, edits));
+
+  // Decode to absolute values, moving each generated position
+  /** @type {Array<{line: number, column: number, rest: number[]}>} */
+  const segments = [];
+  const state = [0, 0, 0, 0];
+  map.mappings.split(';').forEach((line, lineIndex) => {
+    let column = 0;
+    for (const encoded of line.split(',')) {
+      if (!encoded) continue;
+      const [columnDelta, ...deltas] = decodeSegment(encoded);
+      column += columnDelta;
+      const rest = deltas.map((delta, index) => (state[index] += delta));
+
+      const offset = mapOffset((originalStarts[lineIndex] ?? text.length) + column, edits);
+      let newLine = editedStarts.length - 1;
+      while (editedStarts[newLine] > offset) newLine--;
+      segments.push({ line: newLine, column: offset - editedStarts[newLine], rest });
+    }
+  });
+
+  // Re-encode with positions relative to the previous segment again
+  segments.sort((a, b) => a.line - b.line || a.column - b.column);
+  const lines = Array.from({ length: editedStarts.length }, () => []);
+  const previous = [0, 0, 0, 0];
+  let previousLine = -1;
+  let previousColumn = 0;
+  for (const segment of segments) {
+    if (segment.line !== previousLine) {
+      previousLine = segment.line;
+      previousColumn = 0;
+    }
+    const deltas = segment.rest.map((value, index) => value - previous[index]);
+    segment.rest.forEach((value, index) => (previous[index] = value));
+    lines[segment.line].push(encodeSegment([segment.column - previousColumn, ...deltas]));
+    previousColumn = segment.column;
+  }
+
+  // Trailing empty lines carry no information
+  while (lines.length > 0 && lines[lines.length - 1].length === 0) lines.pop();
+  return { ...map, mappings: lines.map(line => line.join(',')).join(';') };
+}
@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Streaming conversion API for AVIF Image Optimizer
+ *
+ * Wraps the buffer API in a Node.js Duplex (Transform) stream and a web
+ * TransformStream, so uploads can be piped straight through the converter
+ * with the same resize, quality, color and metadata rules.
+ *
+ * Chunks are written into a Sharp instance as they arrive. The first bytes
+ * are inspected first: HEIC/HEIF input (recognized with isHeicBuffer) is
+ * decoded outside Sharp and animated GIF/WebP whose frames can be kept is
+ * opened with every frame, so only those are collected and converted with
+ * convertBufferToAvif. Encoding needs the complete image, so the AVIF is
+ * written to the readable side in one piece once the input ends.
+ *
+ * @module stream-converter
+ */
+
+import { once } from 'events';
+import { Transform } from 'stream';
+import sharp from 'sharp';
+import { DEFAULT_CONFIG } from './constants.js';
+import {
+  convertBufferToAvif,
+  convertStreamedInputToAvif,
+  isHeicBuffer,
+  supportsAnimatedAvif
+} from './image-processor.js';
+
+/**
+ * Conversion result reported by the streams: the convertBufferToAvif result
+ * without the AVIF buffer, which is written to the stream instead
+ * @typedef {Omit<Awaited<ReturnType<typeof convertBufferToAvif>>, 'buffer'>} StreamConversionResult
+ */
+
+/**
+ * Bytes inspected before deciding how to convert the input (see isHeicBuffer)
+ * @constant {number}
+ * @private
+ */
+const SNIFF_LENGTH = 12;
+
+/**
+ * Check whether input must be collected into a buffer before converting
+ * @param {Buffer} header - First bytes of the input (shorter only if the input is)
+ * @param {Object} options - Conversion options (see convertBufferToAvif)
+ * @returns {Promise<boolean>} True for HEIC/HEIF, animated formats whose frames are kept, and tiny inputs
+ * @private
+ */
+async function needsBuffering(header, options) {
+  if (header.length < SNIFF_LENGTH || isHeicBuffer(header)) {
+    return true;
+  }
+  const animatable = header.toString('ascii', 0, 3) === 'GIF'
+    || (header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WEBP');
+  return animatable && (options.animation ?? DEFAULT_CONFIG.animation) !== false && supportsAnimatedAvif();
+}
+
+/**
+ * Feed chunks to Sharp (or collect them) and convert once the input is complete
+ * @param {Object} options - Conversion options (see convertBufferToAvif)
+ * @returns {{push: function(Uint8Array): Promise<void>, convert: function(): Promise<{buffer: Buffer, result: StreamConversionResult}>, result: Promise<StreamConversionResult>}} Chunk sink with the result promise
+ * @private
+ */
+function createConversion(options) {
+  /** @type {Buffer[]} Chunks read before the first bytes are inspected, or all chunks of buffered input */
+  let chunks = [];
+  let size = 0;
+  let inspected = false;
+  /** @type {?import('sharp').Sharp} */
+  let input = null;
+  let resolveResult;
+  let rejectResult;
+  /** @type {Promise<StreamConversionResult>} */
+  const result = new Promise((resolve, reject) => {
+    resolveResult = resolve;
+    rejectResult = reject;
+  });
+  // Errors are also reported by the stream; avoid unhandled rejections when only the stream is used
+  result.catch(() => {});
+
+  const inspect = async () => {
+    inspected = true;
+    if (!(await needsBuffering(Buffer.concat(chunks), options))) {
+      input = sharp();
+      chunks.forEach(chunk => input.write(chunk));
+      chunks = [];
+    }
+  };
+
+  return {
+    async push(chunk) {
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+      size += buffer.length;
+      if (input) {
+        input.write(buffer);
+        return;
+      }
+      chunks.push(buffer);
+      if (!inspected && size >= SNIFF_LENGTH) {
+        await inspect();
+      }
+    },
+    async convert() {
+      try {
+        if (!inspected) {
+          await inspect();
+        }
+        let conversion;
+        if (input) {
+          const finished = once(input, 'finish');
+          input.end();
+          await finished;
+          conversion = await convertStreamedInputToAvif(input, size, options);
+        } else {
+          conversion = await convertBufferToAvif(Buffer.concat(chunks), options);
+          chunks = [];
+        }
+        const { buffer, ...metadata } = conversion;
+        resolveResult(metadata);
+        return { buffer, result: metadata };
+      } catch (error) {
+        rejectResult(error);
+        throw error;
+      }
+    },
+    result
+  };
+}
+
+/**
+ * Create a Duplex stream that converts the image written to it into AVIF
+ *
+ * Works with `stream.pipeline()`: write (or pipe) the source image in and
+ * read the AVIF out. When the input ends, the stream emits a `result` event
+ * with the conversion metadata (dimensions, sizes, quality, color,
+ * metadata retained, ...) before the AVIF data; the same object is
+ * available as the `result` promise. Conversion errors destroy the stream
+ * with the error thrown by convertBufferToAvif and reject `result`.
+ *
+ * @param {Object} [options={}] - Conversion options, the same as convertBufferToAvif
+ * @returns {Transform & {result: Promise<StreamConversionResult>}} Duplex stream with the result promise
+ * @example
+ * import { pipeline } from 'stream/promises';
+ *
+ * const avif = createAvifTransform({ maxDimension: 1600, quality: 60 });
+ * avif.on('result', ({ width, height, outputSize }) => console.log(width, height, outputSize));
+ * await pipeline(request, avif, fs.createWriteStream('upload.avif'));
+ */
+export function createAvifTransform(options = {}) {
+  const conversion = createConversion(options);
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      conversion.push(chunk).then(() => callback(), callback);
+    },
+    flush(callback) {
+      conversion.convert().then(
+        ({ buffer, result }) => {
+          stream.emit('result', result);
+          callback(null, buffer);
+        },
+        callback
+      );
+    }
+  });
+
+  return Object.assign(stream, { result: conversion.result });
+}
+
+/**
+ * Create a web TransformStream that converts the image written to it into AVIF
+ *
+ * For runtimes built on web streams (fetch bodies, Next.js route handlers):
+ * pipe the request body through it and respond with the readable side.
+ * Conversion metadata is available as the `result` promise; errors error
+ * the stream and reject `result`.
+ *
+ * @param {Object} [options={}] - Conversion options, the same as convertBufferToAvif
+ * @returns {TransformStream<Uint8Array, Uint8Array> & {result: Promise<StreamConversionResult>}} Transform stream with the result promise
+ * @example
+ * export async function POST(request) {
+ *   const avif = createAvifTransformStream({ maxDimension: 1600 });
+ *   return new Response(request.body.pipeThrough(avif), {
+ *     headers: { 'Content-Type': 'image/avif' }
+ *   });
+ * }
+ */
+export function createAvifTransformStream(options = {}) {
+  const conversion = createConversion(options);
+
+  /** @type {TransformStream<Uint8Array, Uint8Array>} */
+  const stream = new TransformStream({
+    transform(chunk) {
+      return conversion.push(chunk);
+    },
+    async flush(controller) {
+      const { buffer } = await conversion.convert();
+      controller.enqueue(new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength));
+    }
+  });
+
+  return Object.assign(stream, { result: conversion.result });
+}
@@ -1,6 +1,20 @@
 import fs from 'fs';
 import path from 'path';
 import { displayValidationError } from './output-formatter.js';
+import {
+  OUTPUT_FORMAT_EXTENSIONS,
+  CHROMA_MODES,
+  BIT_DEPTHS,
+  COLOR_PROFILE_MODES,
+  FIT_MODES,
+  CROP_STRATEGIES,
+  METADATA_GROUPS,
+  COLLISION_MODES,
+  PLACEHOLDER_TYPES,
+  SUPPORTED_FORMATS
+} from './constants.js';
+import { BUILTIN_PROFILE_NAMES } from './color-profile.js';
+import { parseNameTemplate } from './name-template.js';
 
 /**
  * @fileoverview Validation Functions for AVIF Image Optimizer
@@ -83,6 +97,493 @@ export function validateEffort(value) {
   );
 }
 
+/**
+ * Validate a comma-separated list of responsive breakpoint widths
+ * @param {string} value - The widths list (e.g. "320,640,1024")
+ * @returns {number[]} The validated widths in pixels
+ * @throws {void} Exits process with code 1 if validation fails
+ * @example
+ * const widths = validateWidths('320,640,1024'); // Returns [320, 640, 1024]
+ * validateWidths('320,abc'); // Exits with error
+ */
+export function validateWidths(value) {
+  const parts = String(value).split(',').map(part => part.trim()).filter(Boolean);
+
+  if (parts.length === 0) {
+    displayValidationError('Widths must be a comma-separated list of pixel values', {
+      provided: value,
+      examples: ['--widths 320,640,1024', '--widths 640,1280,1920']
+    });
+    process.exit(1);
+  }
+
+  return parts.map(part => validateNumericRange(
+    part,
+    1,
+    50000,
+    'Width',
+    ['--widths 320,640,1024', '--widths 640,1280,1920']
+  ));
+}
+
+/**
+ * Byte multipliers for size units (binary, matching formatBytes)
+ * @constant {Object.<string, number>}
+ * @private
+ */
+const SIZE_UNITS = {
+  B: 1,
+  KB: 1024,
+  MB: 1024 * 1024
+};
+
+/**
+ * Validate a file size such as "80KB", "1.5MB" or "50000"
+ * @param {string} value - The size to validate (plain numbers are bytes)
+ * @returns {number} The validated size in bytes
+ * @throws {void} Exits process with code 1 if validation fails
+ * @example
+ * const bytes = validateByteSize('80KB'); // Returns 81920
+ * validateByteSize('lots'); // Exits with error
+ */
+export function validateByteSize(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB)?$/i);
+  const bytes = match
+    ? Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()])
+    : NaN;
+
+  if (!match || bytes < 1) {
+    displayValidationError('Size must be a positive number of bytes, optionally with a KB or MB unit', {
+      provided: value,
+      examples: ['--max-bytes 80KB', '--max-bytes 1.5MB', '--max-bytes 50000']
+    });
+    process.exit(1);
+  }
+
+  return bytes;
+}
+
+/**
+ * Validate a minimum savings percentage
+ *
+ * Accepts a percentage with or without `%` from 0 (never larger than the
+ * source) to 99.
+ *
+ * @param {string} value - The percentage to validate, e.g. '10%'
+ * @returns {number} The percentage as a number
+ * @throws {void} Exits process with code 1 if validation fails
+ * @example
+ * const minSavings = validateMinSavings('10%'); // Returns 10
+ * validateMinSavings('150%'); // Exits with error
+ */
+export function validateMinSavings(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*%?$/);
+  const percent = match ? parseFloat(match[1]) : NaN;
+
+  if (Number.isNaN(percent) || percent > 99) {
+    displayValidationError('Minimum savings must be a percentage from 0 to 99', {
+      provided: value,
+      examples: ['--min-savings 10%', '--min-savings 0 (only keep AVIFs smaller than the source)']
+    });
+    process.exit(1);
+  }
+
+  return percent;
+}
+
+/**
+ * Validate a target SSIM threshold (greater than 0, at most 1)
+ * @param {string|number} value - The SSIM threshold to validate
+ * @returns {number} The validated threshold
+ * @throws {void} Exits process with code 1 if validation fails
+ * @example
+ * const ssim = validateTargetSsim('0.98'); // Returns 0.98
+ * validateTargetSsim('98'); // Exits with error
+ */
+export function validateTargetSsim(value) {
+  const num = parseFloat(String(value));
+
+  if (isNaN(num) || num <= 0 || num > 1) {
+    displayValidationError('Target SSIM must be a number greater than 0 and at most 1', {
+      provided: value,
+      examples: ['--target-ssim 0.95', '--target-ssim 0.98', '--target-ssim 0.99']
+    });
+    process.exit(1);
+  }
+
+  return num;
+}
+
+/**
+ * Validate a comma-separated list of output formats
+ *
+ * `jpg` is accepted as an alias for `jpeg`. AVIF is always produced, so it is
+ * added first when missing.
+ *
+ * @param {string} value - The formats list (e.g. "avif,webp,jpeg")
+ * @returns {string[]} The validated, de-duplicated formats with 'avif' first
+ * @throws {void} Exits process with code 1 if validation fails
+ * @example
+ * const formats = validateFormats('webp,jpg'); // Returns ['avif', 'webp', 'jpeg']
+ * validateFormats('gif'); // Exits with error
+ */
+export function validateFormats(value) {
+  const supported = Object.keys(OUTPUT_FORMAT_EXTENSIONS);
+  const formats = String(value)
+    .split(',')
+    .map(format => format.trim().toLowerCase())
+    .filter(Boolean)
+    .map(format => format === 'jpg' ? 'jpeg' : format);
+
+  const unsupported = formats.filter(format => !supported.includes(format));
+  if (formats.length === 0 || unsupported.length > 0) {
+    displayValidationError(`Output formats must be a comma-separated list of: ${supported.join(', ')}`, {
+      provided: value,
+      examples: ['--formats avif,webp', '--formats avif,webp,jpeg']
+    });
+    process.exit(1);
+  }
+
+  return [...new Set(['avif', ...formats])];
+}
+
+/**
+ * Validate a comma-separated list of placeholders to compute
+ * @param {string} value - The placeholders list (e.g. "blurhash,color")
+ * @returns {string[]} The validated, de-duplicated placeholders
+ * @throws {void} Exits process with code 1 if validation fails
+ * @example
+ * const placeholders = validatePlaceholders('lqip,color'); // Returns ['lqip', 'color']
+ * validatePlaceholders('svg'); // Exits with error
+ */
+export function validatePlaceholders(value) {
+  const placeholders = String(value)
+    .split(',')
+    .map(placeholder => placeholder.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unsupported = placeholders.filter(placeholder => !PLACEHOLDER_TYPES.includes(placeholder));
+  if (placeholders.length === 0 || unsupported.length > 0) {
+    displayValidationError(`Placeholders must be a comma-separated list of: ${PLACEHOLDER_TYPES.join(', ')}`, {
+      provided: value,
+      examples: ['--placeholders blurhash', '--placeholders lqip,color', '--placeholders thumbhash,color']
+    });
+    process.exit(1);
+  }
+
+  return [...new Set(placeholders)];
+}
+
+/**
+ * Validate a comma-separated list of metadata groups to keep
+ *
+ * `all` keeps every group and `none` strips all metadata.
+ *
+ * @param {string} value - The groups list (e.g. "copyright,icc")
+ * @returns {string[]} The validated, de-duplicated groups
+ * @throws {void} Exits process with code 1 if validation fails
+ * @example
+ * const groups = validateMetadataGroups('copyright,datetime'); // Returns ['copyright', 'datetime']
+ * validateMetadataGroups('none'); // Returns []
+ * validateMetadataGroups('location'); // Exits with error
+ */
+export function validateMetadataGroups(value) {
+  const groups = String(value)
+    .split(',')
+    .map(group => group.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (groups.length === 1 && groups[0] === 'none') {
+    return [];
+  }
+  if (groups.length === 1 && groups[0] === 'all') {
+    return [...METADATA_GROUPS];
+  }
+
+  const unknown = groups.filter(group => !METADATA_GROUPS.includes(group));
+  if (groups.length === 0 || unknown.length > 0) {
+    displayValidationError(`Metadata groups must be all, none or a comma-separated list of: ${METADATA_GROUPS.join(', ')}`, {
+      provided: value,
+      examples: ['--metadata copyright,icc', '--metadata copyright,datetime,camera', '--metadata none']
+    });
+    process.exit(1);
+  }
+
+  return [...new Set(groups)];
+}
+
+/**
+ * Validate an output file name template
+ *
+ * Templates must end in `.avif` and may use the tokens [name], [ext],
+ * [dir], [width], [height], [quality] and [hash] (or [hash:8]).
+ *
+ * @param {string} value - The template to validate
+ * @returns {string} The validated template
+ * @throws {void} Exits process with code 1 if validation fails
+ * @example
+ * const template = validateNameTemplate('[name].[hash:8].avif'); // Returns '[name].[hash:8].avif'
+ * validateNameTemplate('[name].webp'); // Exits with error
+ */
+export function validateNameTemplate(value) {
+  try {
+    parseNameTemplate(value);
+  } catch (error) {
+    displayValidationError(error.message, {
+      provided: value,
+      examples: ['--name-template "[name].[hash:8].avif"', '--name-template "[name]-[width]w.avif"', '--name-template "[dir]/[name].avif"']
+    });
+    process.exit(1);
+  }
+
+  return value;
+}
+
+/**
+ * Validate an output name collision mode
+ * @param {string} value - The mode to validate
+ * @returns {string} The normalized mode: 'error', 'prefer' or 'suffix'
+ * @throws {void} Exits process with code 1 if validation fails
+ * @example
+ * const mode = validateCollisionMode('Suffix'); // Returns 'suffix'
+ * validateCollisionMode('overwrite'); // Exits with error
+ */
+export function validateCollisionMode(value) {
+  const mode = String(value).trim().toLowerCase();
+
+  if (!COLLISION_MODES.includes(mode)) {
+    displayValidationError(`Collision mode must be one of: ${COLLISION_MODES.join(', ')}`, {
+      provided: value,
+      examples: ['--on-collision suffix', '--on-collision prefer --prefer-formats png,jpg']
+    });
+    process.exit(1);
+  }
+
+  return mode;
+}
+
+/**
+ * Validate a comma-separated source format preference list
+ * @param {string} value - Comma-separated formats, with or without dots
+ * @returns {string[]} Extensions in order of preference, e.g. ['.png', '.jpg']
+ * @throws {void} Exits process with code 1 if validation fails
+ * @example
+ * const formats = validatePreferFormats('png,JPG'); // Returns ['.png', '.jpg']
+ * validatePreferFormats('bmp'); // Exits with error
+ */
+export function validatePreferFormats(value) {
+  const formats = String(value)
+    .split(',')
+    .map(format => format.trim().toLowerCase().replace(/^\.?/, '.'))
+    .filter(format => format !== '.');
+
+  const unknown = formats.filter(format => !SUPPORTED_FORMATS.includes(format));
+  if (formats.length === 0 || unknown.length > 0) {
+    displayValidationError(`Preferred formats must be supported input formats: ${SUPPORTED_FORMATS.map(format => format.slice(1)).join(', ')}`, {
+      provided: value,
+      examples: ['--prefer-formats png,jpg', '--prefer-formats heic,png,webp,jpg']
+    });
+    process.exit(1);
+  }
+
+  return [...new Set(formats)];
+}
+
+/**
+ * Validate a chroma subsampling mode
+ *
+ * Accepts `420`, `444` (with or without colons) or `auto`.
+ *
+ * @param {string} value - The chroma mode to validate
+ * @returns {string} The normalized mode: '420', '444' or 'auto'
+ * @throws {void} Exits process with code 1 if validation fails
+ * @example
+ * const chroma = validateChroma('4:4:4'); // Returns '444'
+ * validateChroma('422'); // Exits with error
+ */
+export function validateChroma(value) {
+  const chroma = String(value).trim().toLowerCase().replace(/:/g, '');
+
+  if (!CHROMA_MODES.includes(chroma)) {
+    displayValidationError(`Chroma must be one of: ${CHROMA_MODES.join(', ')}`, {
+      provided: value,
+      examples: ['--chroma 444', '--chroma auto']
+    });
+    process.exit(1);
+  }
+
+  return chroma;
+}
+
+/**
+ * Validate an AVIF bit depth (8, 10 or 12)
+ * @param {string|number} value - The bit depth to validate
+ * @returns {number} The validated bit depth
+ * @throws {void} Exits process with code 1 if validation fails
+ * @example
+ * const bitDepth = validateBitDepth('10'); // Returns 10
+ * validateBitDepth('16'); // Exits with error
+ */
+export function validateBitDepth(value) {
+  const bitDepth = Number(value);
+
+  if (!BIT_DEPTHS.includes(bitDepth)) {
+    displayValidationError(`Bit depth must be one of: ${BIT_DEPTHS.join(', ')}`, {
+      provided: value,
+      examples: ['--bit-depth 10', '--bit-depth 12']
+    });
+    process.exit(1);
+  }
+
+  return bitDepth;
+}
+
+/**
+ * Validate an ICC profile handling mode (srgb, keep or assign)
+ * @param {string} value - The mode to validate
+ * @returns {string} The validated mode (lowercase)
+ * @throws {void} Exits process with code 1 if validation fails
+ * @example
+ * const mode = validateColorProfile('keep'); // Returns 'keep'
+ * validateColorProfile('cmyk'); // Exits with error
+ */
+export function validateColorProfile(value) {
+  const mode = String(value).trim().toLowerCase();
+
+  if (!COLOR_PROFILE_MODES.includes(mode)) {
+    displayValidationError(`Color profile mode must be one of: ${COLOR_PROFILE_MODES.join(', ')}`, {
+      provided: value,
+      examples: ['--color-profile srgb', '--color-profile keep', '--assign-profile adobe-rgb']
+    });
+    process.exit(1);
+  }
+
+  return mode;
+}
+
+/**
+ * Validate a profile to assign: a built-in profile name or an existing ICC file
+ * @param {string} value - Built-in name ('srgb', 'p3', 'adobe-rgb') or path to an .icc/.icm file
+ * @returns {string} The built-in name (lowercase) or the resolved file path
+ * @throws {void} Exits process with code 1 if validation fails
+ * @example
+ * const profile = validateAssignProfile('adobe-rgb'); // Returns 'adobe-rgb'
+ * validateAssignProfile('./missing.icc'); // Exits with error
+ */
+export function validateAssignProfile(value) {
+  const name = String(value).trim().toLowerCase();
+  if (BUILTIN_PROFILE_NAMES.includes(name)) {
+    return name;
+  }
+
+  const resolvedPath = path.resolve(value);
+  if (!fs.existsSync(resolvedPath) || !fs.statSync(resolvedPath).isFile()) {
+    displayValidationError(`Profile must be one of ${BUILTIN_PROFILE_NAMES.join(', ')} or an existing ICC file`, {
+      provided: value,
+      examples: ['--assign-profile adobe-rgb', '--assign-profile p3', '--assign-profile ./profiles/camera.icc']
+    });
+    process.exit(1);
+  }
+
+  return resolvedPath;
+}
+
+/**
+ * Validate an output aspect ratio
+ *
+ * Accepts `W:H` or `W/H` with positive numbers (e.g. `16:9`, `4/3`, `1.91:1`).
+ *
+ * @param {string} value - The aspect ratio to validate
+ * @returns {string} The normalized ratio as 'W:H'
+ * @throws {void} Exits process with code 1 if validation fails
+ * @example
+ * const aspect = validateAspect('16/9'); // Returns '16:9'
+ * validateAspect('wide'); // Exits with error
+ */
+export function validateAspect(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*[:/]\s*(\d+(?:\.\d+)?)$/);
+
+  if (!match || Number(match[1]) <= 0 || Number(match[2]) <= 0) {
+    displayValidationError('Aspect ratio must be W:H with positive numbers', {
+      provided: value,
+      examples: ['--aspect 16:9', '--aspect 1:1', '--aspect 4:3']
+    });
+    process.exit(1);
+  }
+
+  return `${Number(match[1])}:${Number(match[2])}`;
+}
+
+/**
+ * Validate how the source fills an --aspect box (cover, contain or fill)
+ * @param {string} value - The fit mode to validate
+ * @returns {string} The validated fit mode (lowercase)
+ * @throws {void} Exits process with code 1 if validation fails
+ * @example
+ * const fit = validateFit('contain'); // Returns 'contain'
+ * validateFit('stretch'); // Exits with error
+ */
+export function validateFit(value) {
+  const fit = String(value).trim().toLowerCase();
+
+  if (!FIT_MODES.includes(fit)) {
+    displayValidationError(`Fit must be one of: ${FIT_MODES.join(', ')}`, {
+      provided: value,
+      examples: ['--fit cover', '--fit contain']
+    });
+    process.exit(1);
+  }
+
+  return fit;
+}
+
+/**
+ * Validate a crop strategy (center, attention or entropy)
+ * @param {string} value - The crop strategy to validate
+ * @returns {string} The validated strategy (lowercase)
+ * @throws {void} Exits process with code 1 if validation fails
+ * @example
+ * const crop = validateCrop('attention'); // Returns 'attention'
+ * validateCrop('faces'); // Exits with error
+ */
+export function validateCrop(value) {
+  const crop = String(value).trim().toLowerCase();
+
+  if (!CROP_STRATEGIES.includes(crop)) {
+    displayValidationError(`Crop strategy must be one of: ${CROP_STRATEGIES.join(', ')}`, {
+      provided: value,
+      examples: ['--crop attention', '--crop entropy']
+    });
+    process.exit(1);
+  }
+
+  return crop;
+}
+
+/**
+ * Validate a focal point given as `x,y` fractions of width and height
+ * @param {string} value - The focal point to validate (e.g. '0.3,0.6')
+ * @returns {{x: number, y: number}} The focal point
+ * @throws {void} Exits process with code 1 if validation fails
+ * @example
+ * const focus = validateFocus('0.3,0.6'); // Returns { x: 0.3, y: 0.6 }
+ * validateFocus('30,60'); // Exits with error
+ */
+export function validateFocus(value) {
+  const parts = String(value).split(',').map(part => part.trim());
+  const [x, y] = parts.map(Number);
+
+  if (parts.length !== 2 || parts.some(part => part === '') || ![x, y].every(n => n >= 0 && n <= 1)) {
+    displayValidationError('Focal point must be x,y with values between 0 and 1', {
+      provided: value,
+      examples: ['--focus 0.5,0.5', '--focus 0.3,0.6']
+    });
+    process.exit(1);
+  }
+
+  return { x, y };
+}
+
 /**
  * Validate that input path exists
  * @param {string} inputPath - The input path to validate (supports glob patterns)
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview File watching for AVIF Image Optimizer
+ *
+ * Collects file system events under a directory and hands the changed paths
+ * to a callback in debounced batches. Batches never overlap: changes made
+ * while a batch is being converted are collected for the next one.
+ *
+ * @module watcher
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { WATCH_DEBOUNCE_MS } from './constants.js';
+
+/**
+ * Watch a directory and report changed paths in debounced batches
+ *
+ * Paths are reported as `path.join(directory, <relative path>)`, for files
+ * that were created, changed or deleted alike; callers check which still
+ * exist. Recursive watching needs Node.js 20 on Linux.
+ *
+ * @param {string} directory - Directory to watch
+ * @param {Object} options - Watch options
+ * @param {boolean} [options.recursive=false] - Also watch subdirectories
+ * @param {number} [options.debounceMs=WATCH_DEBOUNCE_MS] - Quiet period before a batch is reported
+ * @param {function(string[]): (Promise<void>|void)} options.onChange - Called with the changed paths of a batch
+ * @param {function(Error): void} [options.onError] - Called when the watcher or a batch fails
+ * @returns {{close: function(): Promise<void>}} Watcher; close() stops watching and waits for a running batch
+ * @example
+ * const watcher = watchDirectory('public', {
+ *   recursive: true,
+ *   onChange: async (paths) => console.log('changed:', paths)
+ * });
+ * process.once('SIGINT', () => watcher.close());
+ */
+export function watchDirectory(directory, { recursive = false, debounceMs = WATCH_DEBOUNCE_MS, onChange, onError = () => {} }) {
+  /** @type {Set<string>} */
+  const pending = new Set();
+  let timer = null;
+  /** @type {?Promise<void>} */
+  let running = null;
+  let closed = false;
+
+  const flush = () => {
+    timer = null;
+    if (running || closed || pending.size === 0) return;
+
+    const changed = [...pending];
+    pending.clear();
+    running = Promise.resolve()
+      .then(() => onChange(changed))
+      .catch(onError)
+      .finally(() => {
+        running = null;
+        if (pending.size > 0) schedule();
+      });
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounceMs);
+  };
+
+  const watcher = fs.watch(directory, { recursive }, (eventType, filename) => {
+    if (!filename || closed) return;
+    pending.add(path.join(directory, filename.toString()));
+    schedule();
+  });
+  watcher.on('error', onError);
+
+  return {
+    async close() {
+      closed = true;
+      clearTimeout(timer);
+      watcher.close();
+      await running;
+    }
+  };
+}
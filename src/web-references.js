@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Shared helpers for rewriting image references in web files
+ *
+ * Maps URLs found in HTML and CSS files to source images on disk and outputs back
+ * to URLs, applies text edits and prints them as a diff for dry runs.
+ *
+ * @module web-references
+ */
+
+import path from 'path';
+
+/**
+ * URLs that never point to a local file: schemes (http:, data:),
+ * protocol-relative URLs and fragments
+ * @constant {RegExp}
+ * @private
+ */
+const EXTERNAL_URL = /^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i;
+
+/**
+ * Resolve a URL referenced by a web file to a path on disk
+ *
+ * Relative URLs are resolved against the referencing file, root-relative
+ * URLs (`/images/hero.jpg`) against the web root. Query strings and
+ * fragments are ignored.
+ *
+ * @param {string} url - URL as written in the file
+ * @param {string} fromFile - File containing the reference
+ * @param {string} webRoot - Directory served as `/`
+ * @returns {?string} Referenced path, or null for external and data URLs
+ * @example
+ * resolveReference('../img/hero.jpg?v=2', 'dist/blog/post.html', 'dist'); // 'dist/img/hero.jpg'
+ * resolveReference('/img/hero.jpg', 'dist/blog/post.html', 'dist');        // 'dist/img/hero.jpg'
+ */
+export function resolveReference(url, fromFile, webRoot) {
+  const trimmed = url.trim();
+  if (!trimmed || EXTERNAL_URL.test(trimmed)) {
+    return null;
+  }
+
+  let urlPath = trimmed.replace(/[?#].*$/, '');
+  try {
+    urlPath = decodeURIComponent(urlPath);
+  } catch {
+    // Malformed escapes are looked up as written
+  }
+  return urlPath.startsWith('/')
+    ? path.join(webRoot, urlPath)
+    : path.join(path.dirname(fromFile), urlPath);
+}
+
+/**
+ * Build the URL a web file uses to reference an output
+ *
+ * Mirrors the style of the original reference: root-relative URLs stay
+ * root-relative, anything else becomes relative to the referencing file.
+ *
+ * @param {string} outputPath - Output file on disk
+ * @param {string} fromFile - File that will contain the reference
+ * @param {string} webRoot - Directory served as `/`
+ * @param {boolean} rootRelative - Whether to build a root-relative URL
+ * @returns {?string} URL, or null if a root-relative URL would leave the web root
+ * @example
+ * toReference('dist/img/hero.avif', 'dist/blog/post.html', 'dist', false); // '../img/hero.avif'
+ * toReference('dist/img/hero.avif', 'dist/blog/post.html', 'dist', true);  // '/img/hero.avif'
+ */
+export function toReference(outputPath, fromFile, webRoot, rootRelative) {
+  const relative = rootRelative
+    ? path.relative(webRoot, outputPath)
+    : path.relative(path.dirname(fromFile), outputPath);
+  if (rootRelative && (relative.startsWith('..') || path.isAbsolute(relative))) {
+    return null;
+  }
+
+  const url = relative.split(path.sep).map(segment => encodeURIComponent(segment)).join('/');
+  return rootRelative ? `/${url}` : url;
+}
+
+/**
+ * Apply non-overlapping edits to a text
+ * @param {string} text - Original text
+ * @param {Array<{start: number, end: number, text: string}>} edits - Replacements of text.slice(start, end), in order
+ * @returns {string} Edited text
+ * @example
+ * applyEdits('<img src="a.jpg">', [{ start: 0, end: 0, text: '<picture>' }]); // '<picture><img src="a.jpg">'
+ */
+export function applyEdits(text, edits) {
+  let edited = '';
+  let position = 0;
+  for (const edit of edits) {
+    edited += text.slice(position, edit.start) + edit.text;
+    position = edit.end;
+  }
+  return edited + text.slice(position);
+}
+
+/**
+ * Format edits as a unified diff without context lines
+ *
+ * Edits on the same lines are combined into one hunk. The output can be
+ * reviewed like `git diff` or applied with `patch`.
+ *
+ * @param {string} filePath - Path shown in the diff header
+ * @param {string} text - Original text
+ * @param {Array<{start: number, end: number, text: string}>} edits - Edits in order, as for applyEdits
+ * @returns {string} Diff, empty without edits
+ * @example
+ * formatDiff('index.html', '<img src="a.jpg">\n', [{ start: 0, end: 0, text: '<picture>' }]);
+ * // --- index.html
+ * // +++ index.html
+ * // (hunk header for line 1)
+ * // -<img src="a.jpg">
+ * // +<picture><img src="a.jpg">
+ */
+export function formatDiff(filePath, text, edits) {
+  if (edits.length === 0) {
+    return '';
+  }
+
+  const lineStart = (offset) => text.lastIndexOf('\n', offset - 1) + 1;
+  const lineEnd = (offset) => {
+    const end = text.indexOf('\n', offset);
+    return end === -1 ? text.length : end;
+  };
+  const lineNumber = (offset) => text.slice(0, offset).split('\n').length;
+
+  // Group edits that touch the same lines into hunks
+  /** @type {Array<{from: number, to: number, edits: Array<{start: number, end: number, text: string}>}>} */
+  const hunks = [];
+  for (const edit of edits) {
+    const from = lineStart(edit.start);
+    const to = lineEnd(Math.max(edit.start, edit.end - 1));
+    const previous = hunks[hunks.length - 1];
+    if (previous && from <= previous.to) {
+      previous.to = Math.max(previous.to, to);
+      previous.edits.push(edit);
+    } else {
+      hunks.push({ from, to, edits: [edit] });
+    }
+  }
+
+  const lines = [`--- ${filePath}`, `+++ ${filePath}`];
+  let lineOffset = 0;
+  for (const hunk of hunks) {
+    const before = text.slice(hunk.from, hunk.to).split('\n');
+    const after = applyEdits(
+      text.slice(hunk.from, hunk.to),
+      hunk.edits.map(edit => ({ ...edit, start: edit.start - hunk.from, end: edit.end - hunk.from }))
+    ).split('\n');
+    const firstLine = lineNumber(hunk.from);
+    lines.push(`@@ -${firstLine},${before.length} +${firstLine + lineOffset},${after.length} @@`);
+    lines.push(...before.map(line => `-${line}`), ...after.map(line => `+${line}`));
+    lineOffset += after.length - before.length;
+  }
+  return lines.join('\n');
+}